@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken'
 import mongoose from 'mongoose'
 import User from '../models/User.js'
+import { findActiveSession } from '../services/sessionService.js'
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_jwt_secret'
 
@@ -31,6 +32,14 @@ export const auth = async (req, res, next) => {
       // Verify token in DB-backed mode
   const decoded = jwt.verify(token, JWT_SECRET)
 
+      // Login challenge tokens (2FA pending) are not session tokens
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token is not valid'
+        })
+      }
+
       // Normal DB-backed auth
       const user = await User.findById(decoded.userId)
       if (!user) {
@@ -47,7 +56,24 @@ export const auth = async (req, res, next) => {
         })
       }
 
-      req.user = { id: user._id, email: user.email }
+      // Tokens issued before the last password change carry an older version
+      if ((decoded.tokenVersion || 0) !== user.tokenVersion) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired - please log in again'
+        })
+      }
+
+      // Revoked, expired or logged-out sessions lose access immediately
+      const session = await findActiveSession(decoded.sid, user._id)
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked - please log in again'
+        })
+      }
+
+      req.user = { id: user._id, email: user.email, sessionId: session._id }
       next()
     } catch (error) {
       return res.status(401).json({
@@ -100,6 +126,11 @@ export const socketAuth = async (socket, next) => {
       return next(new Error('Authentication failed'))
     }
 
+    if (decoded.purpose) {
+      console.error('Socket auth: challenge token used as session token')
+      return next(new Error('Authentication failed'))
+    }
+
     const user = await User.findById(decoded.userId)
 
     if (!user || !user.isActive) {
@@ -107,8 +138,20 @@ export const socketAuth = async (socket, next) => {
       return next(new Error('Authentication failed'))
     }
 
+    if ((decoded.tokenVersion || 0) !== user.tokenVersion) {
+      console.error('Socket auth: token revoked by password change', { userId: decoded.userId })
+      return next(new Error('Authentication failed'))
+    }
+
+    const session = await findActiveSession(decoded.sid, user._id)
+    if (!session) {
+      console.error('Socket auth: session revoked or expired', { userId: decoded.userId })
+      return next(new Error('Authentication failed'))
+    }
+
     socket.userId = user._id.toString()
     socket.userEmail = user.email
+    socket.sessionId = session._id.toString()
     next()
   } catch (error) {
     console.error('Socket auth unexpected error:', error)
@@ -116,21 +159,64 @@ export const socketAuth = async (socket, next) => {
   }
 }
 
-// Admin role check
-export const adminAuth = async (req, res, next) => {
+// Role check; use after `auth`. Sets req.user.role for handlers and audit entries.
+export const requireRole = (...roles) => async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id)
+    const user = await User.findById(req.user.id).select('role')
     
-    if (!user || user.role !== 'admin') {
+    if (!user || !roles.includes(user.role)) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin privileges required.'
+        message: `Access denied. ${roles.map(role => role[0].toUpperCase() + role.slice(1)).join(' or ')} privileges required.`
       })
     }
 
+    req.user.role = user.role
+    next()
+  } catch (error) {
+    console.error('Role auth error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error in authorization',
+      error: error.message
+    })
+  }
+}
+
+// Admin role check
+export const adminAuth = requireRole('admin')
+
+// Actions VERIFIED_ONLY_ACTIONS can restrict to accounts with a confirmed email:
+// emergency_response, public_chat, rewards_redeem
+const verifiedOnlyActions = () => (process.env.VERIFIED_ONLY_ACTIONS || '')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean)
+
+export const VERIFICATION_REQUIRED_MESSAGE = 'Please verify your email address to use this feature'
+
+// Whether the user may perform an action, given the configured restrictions
+export const meetsVerificationRequirement = async (userId, action) => {
+  if (!verifiedOnlyActions().includes(action) || mongoose.connection.readyState !== 1) {
+    return true
+  }
+  const user = await User.findById(userId).select('isVerified')
+  return !!user?.isVerified
+}
+
+// Route guard for an action that may be limited to verified accounts; use after `auth`
+export const requireVerified = (action) => async (req, res, next) => {
+  try {
+    if (!(await meetsVerificationRequirement(req.user.id, action))) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: VERIFICATION_REQUIRED_MESSAGE
+      })
+    }
     next()
   } catch (error) {
-    console.error('Admin auth error:', error)
+    console.error('Verification check error:', error)
     res.status(500).json({
       success: false,
       message: 'Server error in authorization',
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose'
+
+// Background erasure of a closed account. Kept after the user is gone as the
+// record of what was removed or anonymised; holds no personal data itself.
+const accountDeletionSchema = new mongoose.Schema({
+  // Id of the deleted account (the User document no longer exists once completed)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // One entry per finished step; steps already listed are skipped on retry
+  steps: [{
+    name: {
+      type: String,
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['deleted', 'anonymised', 'retained']
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+
+  // Retry schedule and the lease held by the worker running the job
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,
+
+  completedAt: Date
+}, {
+  timestamps: true
+})
+
+accountDeletionSchema.index({ status: 1, nextAttemptAt: 1 })
+
+const AccountDeletion = mongoose.model('AccountDeletion', accountDeletionSchema)
+
+export default AccountDeletion
\ No newline at end of file
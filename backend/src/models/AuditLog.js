@@ -0,0 +1,70 @@
+import mongoose from 'mongoose'
+
+// Append-only record of privileged (admin/moderator) and account-closing actions
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Role the actor held when acting
+  actorRole: String,
+
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'user.deactivate',
+      'user.reactivate',
+      'user.role_change',
+      'user.delete_request',
+      'alert.force_resolve',
+      'chat.room_close',
+      'chat.room_reopen',
+      'chat.message_delete',
+      'chat.participant_remove',
+      'rewards.adjust'
+    ]
+  },
+
+  targetType: {
+    type: String,
+    enum: ['User', 'EmergencyAlert', 'ChatRoom', 'ChatMessage'],
+    required: true
+  },
+
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Before/after values and other action-specific data
+  details: mongoose.Schema.Types.Mixed,
+
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 })
+auditLogSchema.index({ action: 1, createdAt: -1 })
+
+// Entries are never edited
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Audit log entries are immutable'))
+})
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema)
+
+export default AuditLog
\ No newline at end of file
@@ -1,5 +1,13 @@
 import mongoose from 'mongoose'
 
+// Unanswered alerts are auto-resolved after this long
+export const AUTO_RESOLVE_MINUTES = parseInt(process.env.EMERGENCY_AUTO_RESOLVE_MINUTES) || 30
+
+export const ALERT_TYPES = ['accident', 'breakdown', 'medical', 'battery', 'theft', 'other']
+
+// Least to most severe
+export const ALERT_SEVERITIES = ['low', 'medium', 'high', 'critical']
+
 const emergencyAlertSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,13 +17,13 @@ const emergencyAlertSchema = new mongoose.Schema({
   
   type: {
     type: String,
-    enum: ['accident', 'breakdown', 'medical', 'battery', 'theft', 'other'],
+    enum: ALERT_TYPES,
     required: true
   },
   
   severity: {
     type: String,
-    enum: ['low', 'medium', 'high', 'critical'],
+    enum: ALERT_SEVERITIES,
     default: 'medium'
   },
   
@@ -68,6 +76,50 @@ const emergencyAlertSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // When the scheduler should auto-resolve an unanswered alert
+  autoResolveAt: {
+    type: Date,
+    default: () => new Date(Date.now() + AUTO_RESOLVE_MINUTES * 60 * 1000)
+  },
+
+  // Set once an unanswered alert climbs past the first rung of the ladder
+  escalatedAt: Date,
+
+  // Escalation ladder progress (see sweepEmergencyAlerts)
+  escalation: {
+    stage: {
+      type: Number,
+      default: 0
+    },
+    radius: Number, // current notification radius in meters
+    nextAt: Date, // when the next stage is due; unset once the ladder is finished
+    notifiedUsers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+
+  // Audit trail of every status transition
+  timeline: [{
+    event: {
+      type: String,
+      enum: [
+        'created', 'notified_nearby', 'contacts_notified', 'radius_widened', 'contacts_renotified',
+        'service_called', 'escalated', 'responded', 'resolved', 'auto_resolved', 'cancelled'
+      ],
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  }],
   
   resolvedAt: Date,
   resolvedBy: {
@@ -83,16 +135,21 @@ emergencyAlertSchema.index({ location: '2dsphere' })
 emergencyAlertSchema.index({ user: 1, createdAt: -1 })
 emergencyAlertSchema.index({ status: 1, createdAt: -1 })
 
-// Auto-resolve after 30 minutes if no response
-emergencyAlertSchema.methods.scheduleAutoResolve = function() {
-  setTimeout(async () => {
-    if (this.status === 'active') {
-      this.status = 'resolved'
-      this.autoResolved = true
-      this.resolvedAt = new Date()
-      await this.save()
-    }
-  }, 30 * 60 * 1000) // 30 minutes
+emergencyAlertSchema.index({ status: 1, autoResolveAt: 1 })
+emergencyAlertSchema.index({ status: 1, 'escalation.nextAt': 1 })
+
+// Record creation in the timeline
+emergencyAlertSchema.pre('save', function(next) {
+  if (this.isNew && !this.timeline.some(e => e.event === 'created')) {
+    this.timeline.push({ event: 'created', actor: this.user })
+  }
+  next()
+})
+
+// Append a timeline entry (caller saves)
+emergencyAlertSchema.methods.addTimelineEvent = function(event, { actor, note } = {}) {
+  this.timeline.push({ event, actor, note, at: new Date() })
+  console.log(`Emergency alert ${this._id}: ${event}${note ? ` (${note})` : ''}`)
 }
 
 const EmergencyAlert = mongoose.model('EmergencyAlert', emergencyAlertSchema)
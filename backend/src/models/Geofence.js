@@ -0,0 +1,133 @@
+import mongoose from 'mongoose'
+
+export const GEOFENCE_CATEGORIES = ['home', 'office', 'meeting_point', 'restricted', 'route_corridor', 'other']
+export const GEOFENCE_EVENTS = ['enter', 'exit']
+// me: the rider who crossed; contacts: their confirmed emergency contacts;
+// group: the fence's group members; leaders: the group's leaders
+export const GEOFENCE_AUDIENCES = ['me', 'contacts', 'group', 'leaders']
+
+// An area riders are told about entering or leaving. Personal fences apply to their
+// owner; group fences are set by a leader and apply to every active member.
+const geofenceSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RideGroup'
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Geofence name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  category: {
+    type: String,
+    enum: GEOFENCE_CATEGORIES,
+    default: 'other'
+  },
+
+  // Point with `radius` (a circle), Polygon, or LineString with `radius` either side
+  // (a route corridor)
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Point', 'Polygon', 'LineString'],
+      required: true
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    }
+  },
+  radius: Number, // metres
+  // Saved route a corridor was drawn from
+  savedRoute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedRoute'
+  },
+
+  rules: [{
+    _id: false,
+    on: {
+      type: String,
+      enum: GEOFENCE_EVENTS,
+      required: true
+    },
+    notify: {
+      type: String,
+      enum: GEOFENCE_AUDIENCES,
+      required: true
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Last known side of the fence per rider; a transition is a change here
+  presence: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    inside: Boolean,
+    since: Date
+  }]
+}, {
+  timestamps: true
+})
+
+geofenceSchema.index({ owner: 1, group: 1 })
+geofenceSchema.index({ group: 1, isActive: 1 })
+
+// One enter or exit, kept as the fence's history
+const geofenceEventSchema = new mongoose.Schema({
+  geofence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Geofence',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RideGroup'
+  },
+  event: {
+    type: String,
+    enum: GEOFENCE_EVENTS,
+    required: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number] // [longitude, latitude]
+  },
+  // Audiences notified by the fence's rules
+  notified: [String],
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+})
+
+geofenceEventSchema.index({ geofence: 1, occurredAt: -1 })
+geofenceEventSchema.index({ user: 1, occurredAt: -1 })
+
+const Geofence = mongoose.model('Geofence', geofenceSchema)
+const GeofenceEvent = mongoose.model('GeofenceEvent', geofenceEventSchema)
+
+export { GeofenceEvent }
+export default Geofence
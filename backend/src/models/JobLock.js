@@ -0,0 +1,29 @@
+import mongoose from 'mongoose'
+
+// Lease used by the scheduler so a job runs on one instance at a time
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  owner: {
+    type: String,
+    required: true
+  },
+
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+
+  lastRunAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+})
+
+const JobLock = mongoose.model('JobLock', jobLockSchema)
+
+export default JobLock
\ No newline at end of file
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose'
+
+// Every read of a medical ID by a responder; shown to the rider afterwards
+const medicalAccessLogSchema = new mongoose.Schema({
+  // Rider whose medical ID was read
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  accessor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Alert that granted access
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyAlert',
+    required: true
+  },
+
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+// Indexes
+medicalAccessLogSchema.index({ owner: 1, createdAt: -1 })
+
+const MedicalAccessLog = mongoose.model('MedicalAccessLog', medicalAccessLogSchema)
+
+export default MedicalAccessLog
\ No newline at end of file
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose'
+
+// A rider's medical ID. The contents (blood group, allergies, conditions,
+// medications, insurance) are stored encrypted; see medicalService.
+const medicalProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  encryptedData: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+const MedicalProfile = mongoose.model('MedicalProfile', medicalProfileSchema)
+
+export default MedicalProfile
\ No newline at end of file
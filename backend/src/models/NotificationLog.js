@@ -0,0 +1,70 @@
+import mongoose from 'mongoose'
+
+// Delivery record for every outbound notification
+const notificationLogSchema = new mongoose.Schema({
+  // Recipient account, when the notification targets a user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  channel: {
+    type: String,
+    enum: ['sms', 'whatsapp', 'voice', 'email', 'push'],
+    required: true
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  // Phone number, email address or push endpoint
+  to: {
+    type: String,
+    required: true
+  },
+
+  subject: String,
+
+  body: {
+    type: String,
+    maxlength: 2000
+  },
+
+  // What triggered the notification
+  context: {
+    type: {
+      type: String,
+      enum: ['emergency', 'chat_mention', 'password_reset', 'email_verification', 'service_reminder', 'contact_consent', 'geofence', 'other'],
+      default: 'other'
+    },
+    refId: mongoose.Schema.Types.ObjectId
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  providerMessageId: String,
+  error: String,
+  sentAt: Date
+}, {
+  timestamps: true
+})
+
+// Indexes
+notificationLogSchema.index({ user: 1, createdAt: -1 })
+notificationLogSchema.index({ 'context.type': 1, 'context.refId': 1 })
+notificationLogSchema.index({ status: 1, createdAt: -1 })
+
+const NotificationLog = mongoose.model('NotificationLog', notificationLogSchema)
+
+export default NotificationLog
\ No newline at end of file
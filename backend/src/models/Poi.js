@@ -0,0 +1,54 @@
+import mongoose from 'mongoose'
+
+export const POI_CATEGORIES = ['fuel', 'repair', 'medical', 'food', 'parking', 'atm']
+
+// A point of interest from OpenStreetMap, cached from Overpass or an imported extract
+const poiSchema = new mongoose.Schema({
+  // e.g. "node/123456"
+  osmId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  categories: [{
+    type: String,
+    enum: POI_CATEGORIES
+  }],
+  // Raw OSM kind: hospital, clinic, pharmacy, fuel, ...
+  kind: String,
+
+  name: String,
+  address: String,
+  phone: String,
+  website: String,
+  openingHours: String,
+  // OSM emergency=yes/no on medical facilities
+  emergency: String,
+
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+
+  source: {
+    type: String,
+    enum: ['overpass', 'import'],
+    default: 'overpass'
+  }
+}, {
+  timestamps: true
+})
+
+poiSchema.index({ location: '2dsphere', categories: 1 })
+
+const Poi = mongoose.model('Poi', poiSchema)
+
+export default Poi
\ No newline at end of file
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose'
+
+// One geohash cell of one POI category fetched from Overpass
+const poiTileSchema = new mongoose.Schema({
+  geohash: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+
+  fetchedAt: Date,
+  // Past this the tile is served as is and refreshed in the background
+  expiresAt: Date,
+  // Refresh only tiles riders still look at
+  lastRequestedAt: Date,
+  // Set while a refresh is running so concurrent requests don't repeat it
+  refreshingUntil: Date,
+
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastError: String
+}, {
+  timestamps: true
+})
+
+poiTileSchema.index({ geohash: 1, category: 1 }, { unique: true })
+poiTileSchema.index({ expiresAt: 1, lastRequestedAt: -1 })
+
+const PoiTile = mongoose.model('PoiTile', poiTileSchema)
+
+export default PoiTile
\ No newline at end of file
@@ -21,15 +21,17 @@ const rewardSchema = new mongoose.Schema({
       'referral',
       'eco_riding',
       'group_ride_leader',
-      'first_aid_certified'
+      'first_aid_certified',
+      'redemption',
+      'admin_adjustment'
     ],
     required: true
   },
   
+  // Negative for debits (redemptions, admin adjustments)
   points: {
     type: Number,
-    required: true,
-    min: 0
+    required: true
   },
   
   description: {
@@ -40,15 +40,31 @@ const rideSchema = new mongoose.Schema({
   },
   
   route: {
-    waypoints: [{
-      coordinates: [Number],
-      timestamp: Date,
-      speed: Number, // km/h
-      heading: Number // degrees
-    }],
+    // The full track lives in TrackPoint; the ride keeps a simplified encoded polyline
+    preview: String,
+    pointCount: {
+      type: Number,
+      default: 0
+    },
+    // How the raw track was cleaned before stats were taken (see trackCleaningService)
+    processing: {
+      rawPoints: Number,
+      cleanedPoints: Number,
+      rejectedForAccuracy: Number,
+      rejectedForSpeed: Number,
+      stoppedPoints: Number,
+      mapMatchedBy: String,
+      processedAt: Date
+    },
     totalDistance: Number, // in meters
+    // Meters measured from the recorded track; 0 without one, where totalDistance
+    // keeps the planned estimate
+    trackedDistance: Number,
     estimatedDuration: Number, // in seconds
-    actualDuration: Number
+    actualDuration: Number, // seconds ridden, pauses excluded
+    pausedDuration: Number, // seconds
+    // Routing provider behind the estimate ('straight-line' when computed offline)
+    provider: String
   },
   
   status: {
@@ -56,6 +72,31 @@ const rideSchema = new mongoose.Schema({
     enum: ['planning', 'active', 'paused', 'completed', 'cancelled'],
     default: 'planning'
   },
+
+  // Pause intervals; `auto` ones were started by the server when the rider stood still
+  pauses: [{
+    _id: false,
+    startedAt: Date,
+    endedAt: Date,
+    auto: Boolean
+  }],
+
+  // Auto-pause state: where the rider last moved from and since when (see rideLifecycleService)
+  motion: {
+    anchor: [Number], // [longitude, latitude]
+    since: Date,
+    lastFixAt: Date
+  },
+
+  // Completed by the stale-ride sweep rather than the rider
+  autoCompleted: Boolean,
+  
+  // Recorded in the app or imported from a GPX file
+  source: {
+    type: String,
+    enum: ['recorded', 'imported'],
+    default: 'recorded'
+  },
   
   rideType: {
     type: String,
@@ -68,12 +109,41 @@ const rideSchema = new mongoose.Schema({
     ref: 'RideGroup'
   },
   
+  // Saved route the ride follows, if it was started from one
+  savedRoute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedRoute'
+  },
+  
+  // Bike from the rider's garage; its odometer is advanced when the ride completes
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  
   // Ride metrics
   metrics: {
     averageSpeed: Number,
     maxSpeed: Number,
-    fuelConsumed: Number,
-    co2Saved: Number,
+    movingTime: Number, // seconds
+    stoppedTime: Number, // seconds
+    // Standstills long enough to count as a stop
+    stops: [{
+      _id: false,
+      coordinates: [Number], // [longitude, latitude]
+      startTime: Date,
+      duration: Number // seconds
+    }],
+    elevationGain: Number, // metres, from DEM tiles
+    elevationLoss: Number,
+    minElevation: Number,
+    maxElevation: Number,
+    hardBrakingCount: Number,
+    hardAccelerationCount: Number,
+    maxLeanLeft: Number, // degrees, when the app sends lean
+    maxLeanRight: Number,
+    fuelConsumed: Number, // litres
+    co2Saved: Number, // kg against an average car
     calories: Number
   },
   
@@ -116,15 +186,19 @@ rideSchema.index({ startLocation: '2dsphere' })
 rideSchema.index({ endLocation: '2dsphere' })
 
 // Methods
-rideSchema.methods.calculateStats = function() {
-  if (this.route.waypoints.length < 2) return
+// `points` is the ride's cleaned track in time order (see trackService.finaliseRideTrack)
+rideSchema.methods.calculateStats = function(points) {
+  if (points.length < 2) {
+    this.route.trackedDistance = 0
+    return
+  }
   
   let totalDistance = 0
   let speeds = []
   
-  for (let i = 1; i < this.route.waypoints.length; i++) {
-    const prev = this.route.waypoints[i - 1]
-    const curr = this.route.waypoints[i]
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1]
+    const curr = points[i]
     
     // Calculate distance using Haversine formula
     const distance = this.calculateDistance(
@@ -140,10 +214,28 @@ rideSchema.methods.calculateStats = function() {
   }
   
   this.route.totalDistance = totalDistance
-  this.metrics.averageSpeed = speeds.length > 0 ? speeds.reduce((a, b) => a + b) / speeds.length : 0
+  this.route.trackedDistance = totalDistance
+
+  if (this.startTime && this.endTime) {
+    this.route.pausedDuration = Math.round(this.pausedSeconds(this.endTime))
+    this.route.actualDuration = Math.max(0, Math.round((this.endTime - this.startTime) / 1000) - this.route.pausedDuration)
+  }
+
+  // Over the time actually ridden when it's known, so pauses don't drag it down
+  this.metrics.averageSpeed = this.route.actualDuration > 0
+    ? totalDistance / this.route.actualDuration * 3.6
+    : (speeds.length > 0 ? speeds.reduce((a, b) => a + b) / speeds.length : 0)
   this.metrics.maxSpeed = speeds.length > 0 ? Math.max(...speeds) : 0
 }
 
+// Seconds spent paused; a pause still open counts up to `until`
+rideSchema.methods.pausedSeconds = function(until = new Date()) {
+  return this.pauses.reduce((total, pause) => {
+    const end = pause.endedAt || until
+    return total + Math.max(0, (end - pause.startedAt) / 1000)
+  }, 0)
+}
+
 rideSchema.methods.calculateDistance = function(lat1, lon1, lat2, lon2) {
   const R = 6371e3 // Earth's radius in meters
   const φ1 = lat1 * Math.PI / 180
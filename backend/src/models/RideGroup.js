@@ -0,0 +1,117 @@
+import mongoose from 'mongoose'
+
+const rideGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    maxlength: 500
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['leader', 'sweep', 'member'],
+      default: 'member'
+    },
+    status: {
+      type: String,
+      enum: ['invited', 'active'],
+      default: 'invited'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    joinedAt: Date
+  }],
+
+  // Optional planned meeting point / destination
+  meetingPoint: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number], // [longitude, latitude]
+    address: String
+  },
+
+  scheduledAt: Date,
+
+  settings: {
+    maxMembers: {
+      type: Number,
+      default: 30
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'disbanded'],
+    default: 'active'
+  },
+
+  disbandedAt: Date
+}, {
+  timestamps: true
+})
+
+// Indexes
+rideGroupSchema.index({ 'members.user': 1, status: 1 })
+rideGroupSchema.index({ createdBy: 1, createdAt: -1 })
+
+// Find a member entry for a user (any status)
+rideGroupSchema.methods.getMember = function(userId) {
+  return this.members.find(m => m.user.toString() === userId.toString())
+}
+
+// Active (accepted) membership check
+rideGroupSchema.methods.isActiveMember = function(userId) {
+  const member = this.getMember(userId)
+  return !!member && member.status === 'active'
+}
+
+// Leader check
+rideGroupSchema.methods.isLeader = function(userId) {
+  const member = this.getMember(userId)
+  return !!member && member.status === 'active' && member.role === 'leader'
+}
+
+// Static method to find groups a user belongs to
+rideGroupSchema.statics.findForUser = function(userId, options = {}) {
+  const query = {
+    status: 'active',
+    'members.user': userId
+  }
+
+  if (options.memberStatus) {
+    query.members = { $elemMatch: { user: userId, status: options.memberStatus } }
+    delete query['members.user']
+  }
+
+  return this.find(query)
+}
+
+const RideGroup = mongoose.model('RideGroup', rideGroupSchema)
+
+export default RideGroup
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose'
+import crypto from 'crypto'
+
+// Time-limited public link that lets family/friends follow an active ride
+const rideShareSchema = new mongoose.Schema({
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the token; the raw token is only returned once on creation
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Optional label, e.g. "Mom"
+  label: {
+    type: String,
+    maxlength: 50
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+
+  lastViewedAt: Date,
+
+  viewCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+})
+
+// Indexes
+rideShareSchema.index({ ride: 1, expiresAt: 1 })
+rideShareSchema.index({ rider: 1, createdAt: -1 })
+
+rideShareSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+// Create a share and return the raw token alongside it
+rideShareSchema.statics.issue = async function({ ride, rider, label, expiresAt }) {
+  const token = crypto.randomBytes(24).toString('base64url')
+  const share = await this.create({
+    ride,
+    rider,
+    label,
+    expiresAt,
+    tokenHash: this.hashToken(token)
+  })
+  return { share, token }
+}
+
+// Look up a share that is neither revoked nor expired
+rideShareSchema.statics.findValidByToken = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  })
+}
+
+rideShareSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+const RideShare = mongoose.model('RideShare', rideShareSchema)
+
+export default RideShare
\ No newline at end of file
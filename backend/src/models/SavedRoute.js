@@ -0,0 +1,98 @@
+import mongoose from 'mongoose'
+
+export const ROUTE_VISIBILITIES = ['private', 'group', 'public']
+
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  },
+  address: String
+}, { _id: false })
+
+// A planned multi-stop route riders can keep and start rides from
+const savedRouteSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Route name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: 30
+  }],
+
+  // private: owner only; group: members of `group`; public: every rider
+  visibility: {
+    type: String,
+    enum: ROUTE_VISIBILITIES,
+    default: 'private'
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RideGroup'
+  },
+
+  // Ordered stops, start first and destination last
+  stops: [pointSchema],
+  startLocation: pointSchema,
+
+  profile: {
+    type: String,
+    default: 'driving'
+  },
+  avoid: [String],
+
+  // The planned line and its totals
+  geometry: {
+    type: {
+      type: String,
+      enum: ['LineString'],
+      default: 'LineString'
+    },
+    coordinates: [[Number]]
+  },
+  distance: Number, // meters
+  duration: Number, // seconds
+  // Routing provider that planned it ('straight-line' when planned offline)
+  provider: String,
+  legs: [{
+    _id: false,
+    distance: Number,
+    duration: Number
+  }],
+
+  timesRidden: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+})
+
+savedRouteSchema.index({ owner: 1, updatedAt: -1 })
+savedRouteSchema.index({ visibility: 1, tags: 1 })
+savedRouteSchema.index({ group: 1 })
+savedRouteSchema.index({ startLocation: '2dsphere' })
+
+const SavedRoute = mongoose.model('SavedRoute', savedRouteSchema)
+
+export default SavedRoute
\ No newline at end of file
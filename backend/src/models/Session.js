@@ -0,0 +1,67 @@
+import mongoose from 'mongoose'
+import crypto from 'crypto'
+
+// One signed-in device. The refresh token rotates on every use and every
+// access token carries the session id, so revoking a session logs that device out.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Hash of the token it replaced; seeing it again means a stolen token is being replayed
+  previousTokenHash: String,
+  rotatedAt: Date,
+
+  // Device info for the session list
+  userAgent: String,
+  ip: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'password_changed', 'refresh_reuse', 'account_deleted']
+  }
+}, {
+  timestamps: true
+})
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 })
+sessionSchema.index({ previousTokenHash: 1 })
+// Let MongoDB purge sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+sessionSchema.statics.generateToken = function() {
+  return crypto.randomBytes(48).toString('base64url')
+}
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+const Session = mongoose.model('Session', sessionSchema)
+
+export default Session
\ No newline at end of file
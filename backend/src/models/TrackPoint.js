@@ -0,0 +1,38 @@
+import mongoose from 'mongoose'
+
+// One GPS fix of a ride. Stored in a time-series collection bucketed by ride,
+// so tracks of any length stay out of the Ride document.
+const trackPointSchema = new mongoose.Schema({
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  // Device time of the fix
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  coordinates: [Number], // [longitude, latitude]
+  speed: Number, // km/h
+  heading: Number, // degrees
+  accuracy: Number, // metres, as reported by the device
+  lean: Number // degrees from upright, right positive; only when the app has sensor data
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'ride',
+    granularity: 'seconds'
+  },
+  versionKey: false
+})
+
+trackPointSchema.index({ ride: 1, timestamp: 1 })
+
+const TrackPoint = mongoose.model('TrackPoint', trackPointSchema)
+
+// The track after cleaning (and map matching, when enabled), rebuilt each time a ride
+// completes. The raw fixes above are never altered.
+export const CleanTrackPoint = mongoose.model('CleanTrackPoint', trackPointSchema.clone())
+
+export default TrackPoint
\ No newline at end of file
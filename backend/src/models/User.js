@@ -1,5 +1,13 @@
 import mongoose from 'mongoose'
 import bcrypt from 'bcryptjs'
+import crypto from 'crypto'
+import { ALERT_TYPES, ALERT_SEVERITIES } from './EmergencyAlert.js'
+
+// How long an emailed password reset link stays valid
+export const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES) || 60
+
+// How long an email verification link stays valid
+export const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 48
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -39,11 +47,66 @@ const userSchema = new mongoose.Schema({
     licensePlate: String
   },
   
-  // Emergency contacts
+  // Emergency contacts, alerted in priority order (lowest first) once they opt in
   emergencyContacts: [{
-    name: String,
+    name: {
+      type: String,
+      trim: true
+    },
     phone: String,
-    relationship: String
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    relationship: String,
+    priority: {
+      type: Number,
+      default: 0
+    },
+    // Which alerts reach this contact; no types means every type
+    alertTypes: [{
+      type: String,
+      enum: ALERT_TYPES
+    }],
+    minSeverity: {
+      type: String,
+      enum: ALERT_SEVERITIES,
+      default: 'low'
+    },
+    consent: {
+      status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'declined'],
+        default: 'pending'
+      },
+      channel: {
+        type: String,
+        enum: ['sms', 'email']
+      },
+      tokenHash: String,
+      expiresAt: Date,
+      requestedAt: Date,
+      respondedAt: Date,
+      // Listed before opt-in existed: still alerted while their request is unanswered
+      grandfathered: Boolean
+    }
+  }],
+  
+  // Web Push subscriptions, one per browser/device
+  pushSubscriptions: [{
+    endpoint: {
+      type: String,
+      required: true
+    },
+    keys: {
+      p256dh: String,
+      auth: String
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
   
   // Location preferences
@@ -108,6 +171,27 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Totals of completed rides' metrics
+    totalMovingTime: {
+      type: Number, // seconds
+      default: 0
+    },
+    totalElevationGain: {
+      type: Number, // metres
+      default: 0
+    },
+    totalFuelConsumed: {
+      type: Number, // litres
+      default: 0
+    },
+    totalCo2Saved: {
+      type: Number, // kg
+      default: 0
+    },
+    totalCalories: {
+      type: Number,
+      default: 0
+    },
     helpCount: {
       type: Number,
       default: 0
@@ -132,6 +216,13 @@ const userSchema = new mongoose.Schema({
     default: Date.now
   },
   
+  // Access level: riders by default; responders are vetted first-aid volunteers
+  role: {
+    type: String,
+    enum: ['rider', 'responder', 'moderator', 'admin'],
+    default: 'rider'
+  },
+  
   // Account status
   isActive: {
     type: Boolean,
@@ -140,6 +231,61 @@ const userSchema = new mongoose.Schema({
   isVerified: {
     type: Boolean,
     default: false
+  },
+  // Set when the owner closes the account; the erasure job removes the document
+  deletionRequestedAt: Date,
+  verifiedAt: Date,
+  
+  // Email verification (SHA-256 of the emailed token, single use)
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  
+  // Password reset (SHA-256 of the emailed token, single use)
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: Date,
+  
+  // TOTP two-factor auth, on while a secret is set; preferences.twoFactorEnabled only
+  // mirrors it for the app
+  twoFactor: {
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrolment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // bcrypt hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step, to refuse replays
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  
+  // Embedded in every JWT; bumping it invalidates all issued tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -147,6 +293,7 @@ const userSchema = new mongoose.Schema({
 
 // Index for geospatial queries
 userSchema.index({ currentLocation: '2dsphere' })
+userSchema.index({ 'emergencyContacts.consent.tokenHash': 1 }, { sparse: true })
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -157,6 +304,14 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12)
     this.password = await bcrypt.hash(this.password, salt)
+
+    // A new password logs out every existing session and voids pending reset links
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date()
+      this.tokenVersion = (this.tokenVersion || 0) + 1
+      this.passwordResetToken = undefined
+      this.passwordResetExpires = undefined
+    }
     next()
   } catch (error) {
     next(error)
@@ -173,9 +328,38 @@ userSchema.methods.getPublicProfile = function() {
   const user = this.toObject()
   delete user.password
   delete user.emergencyContacts
+  delete user.pushSubscriptions
+  delete user.passwordResetToken
+  delete user.passwordResetExpires
+  delete user.emailVerificationToken
+  delete user.emailVerificationExpires
+  delete user.tokenVersion
+  if (user.twoFactor) {
+    user.twoFactor = { enabledAt: user.twoFactor.enabledAt }
+  }
   return user
 }
 
+userSchema.statics.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+// Issue a password reset token; only its hash is stored. Caller saves the user.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex')
+  this.passwordResetToken = this.constructor.hashResetToken(token)
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000)
+  return token
+}
+
+// Issue an email verification token, replacing any earlier one. Caller saves the user.
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex')
+  this.emailVerificationToken = this.constructor.hashResetToken(token)
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000)
+  return token
+}
+
 // Update last seen
 userSchema.methods.updateLastSeen = function() {
   this.lastSeen = new Date()
@@ -214,7 +398,12 @@ userSchema.statics.findNearby = function(longitude, latitude, maxDistance = 1000
     query.isOnline = true
   }
 
-  return this.find(query).select('-password -emergencyContacts')
+  // options.role: only users with this role (e.g. 'responder')
+  if (options.role) {
+    query.role = options.role
+  }
+
+  return this.find(query).select('-password -emergencyContacts -pushSubscriptions')
 }
 
 const User = mongoose.model('User', userSchema)
@@ -0,0 +1,184 @@
+import mongoose from 'mongoose'
+
+export const SERVICE_TYPES = ['oil', 'chain', 'tyres', 'brakes', 'air_filter', 'general']
+
+// Intervals given to a new bike unless the rider supplies their own
+export const DEFAULT_SERVICE_INTERVALS = [
+  { type: 'oil', intervalKm: 3000, intervalDays: 180 },
+  { type: 'chain', intervalKm: 600 },
+  { type: 'tyres', intervalKm: 12000, intervalDays: 3 * 365 }
+]
+
+// A service counts as due soon within this share of its interval
+const DUE_SOON_FRACTION = 0.1
+
+// Keep the odometer history bounded; every completed ride adds a reading
+export const MAX_ODOMETER_READINGS = 500
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// One bike in a rider's garage
+const vehicleSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  nickname: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  make: {
+    type: String,
+    required: [true, 'Make is required'],
+    trim: true,
+    maxlength: 50
+  },
+  model: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  year: Number,
+  color: String,
+  licensePlate: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: 20
+  },
+  vehicleType: {
+    type: String,
+    enum: ['motorcycle', 'scooter', 'moped', 'electric', 'other'],
+    default: 'motorcycle'
+  },
+  // km per litre, for ride fuel estimates; a typical figure for the type is used otherwise
+  fuelEconomy: {
+    type: Number,
+    min: 1
+  },
+
+  // Used for rides started without choosing a bike
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+
+  // Current reading in km
+  odometer: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  odometerReadings: [{
+    value: Number, // km
+    source: {
+      type: String,
+      enum: ['manual', 'ride'],
+      default: 'manual'
+    },
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Maintenance schedule; a service is due at whichever limit comes first
+  serviceIntervals: [{
+    type: {
+      type: String,
+      enum: SERVICE_TYPES,
+      required: true
+    },
+    intervalKm: Number,
+    intervalDays: Number,
+    lastServicedAt: Date,
+    // Set to the starting odometer when the bike is added
+    lastServicedOdometer: Number,
+    // Reminder already sent for the current service cycle
+    lastRemindedAt: Date
+  }],
+
+  serviceHistory: [{
+    type: {
+      type: String,
+      enum: SERVICE_TYPES,
+      required: true
+    },
+    servicedAt: {
+      type: Date,
+      default: Date.now
+    },
+    odometer: Number,
+    cost: Number,
+    notes: {
+      type: String,
+      maxlength: 500
+    }
+  }]
+}, {
+  timestamps: true
+})
+
+// Indexes
+vehicleSchema.index({ owner: 1, isPrimary: -1, createdAt: 1 })
+
+// Where each service interval stands: ok, due_soon or overdue
+vehicleSchema.methods.getServiceStatus = function(now = new Date()) {
+  return this.serviceIntervals.map(interval => {
+    // A service never logged counts from when the bike was added
+    const sinceOdometer = interval.lastServicedOdometer ?? 0
+    const since = interval.lastServicedAt || this.createdAt || now
+
+    const dueAtOdometer = interval.intervalKm ? sinceOdometer + interval.intervalKm : null
+    const dueAt = interval.intervalDays ? new Date(since.getTime() + interval.intervalDays * DAY_MS) : null
+
+    const kmRemaining = dueAtOdometer !== null ? Math.round(dueAtOdometer - this.odometer) : null
+    const daysRemaining = dueAt ? Math.ceil((dueAt - now) / DAY_MS) : null
+
+    let status = 'ok'
+    if ((kmRemaining !== null && kmRemaining <= 0) || (daysRemaining !== null && daysRemaining <= 0)) {
+      status = 'overdue'
+    } else if (
+      (kmRemaining !== null && kmRemaining <= interval.intervalKm * DUE_SOON_FRACTION) ||
+      (daysRemaining !== null && daysRemaining <= interval.intervalDays * DUE_SOON_FRACTION)
+    ) {
+      status = 'due_soon'
+    }
+
+    return {
+      type: interval.type,
+      status,
+      intervalKm: interval.intervalKm,
+      intervalDays: interval.intervalDays,
+      lastServicedAt: interval.lastServicedAt,
+      dueAtOdometer,
+      dueAt,
+      kmRemaining,
+      daysRemaining
+    }
+  })
+}
+
+// Record a service and restart that interval from the current reading
+vehicleSchema.methods.logService = function({ type, servicedAt = new Date(), odometer = this.odometer, cost, notes }) {
+  this.serviceHistory.push({ type, servicedAt, odometer, cost, notes })
+
+  const interval = this.serviceIntervals.find(i => i.type === type)
+  if (interval && (!interval.lastServicedAt || servicedAt >= interval.lastServicedAt)) {
+    interval.lastServicedAt = servicedAt
+    interval.lastServicedOdometer = odometer
+    interval.lastRemindedAt = undefined
+  }
+}
+
+const Vehicle = mongoose.model('Vehicle', vehicleSchema)
+
+export default Vehicle
\ No newline at end of file
@@ -0,0 +1,670 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { auth, requireRole } from '../middleware/auth.js'
+import User from '../models/User.js'
+import EmergencyAlert from '../models/EmergencyAlert.js'
+import { ChatMessage, ChatRoom } from '../models/Chat.js'
+import AuditLog from '../models/AuditLog.js'
+import { Reward } from '../models/Reward.js'
+import { recordAudit } from '../services/adminService.js'
+import { revokeAllSessions } from '../services/sessionService.js'
+import { broadcastRiderUpdate } from '../services/rideShareService.js'
+import { emitToRoom, clearRoom, removeUserFromRoom } from '../services/socketService.js'
+
+const router = express.Router()
+
+const ROLES = ['rider', 'responder', 'moderator', 'admin']
+
+const staff = requireRole('moderator', 'admin')
+const adminOnly = requireRole('admin')
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const paging = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1)
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100)
+  return { page, limit, skip: (page - 1) * limit }
+}
+
+const isId = (value) => mongoose.Types.ObjectId.isValid(value)
+
+// Everything below needs a signed-in staff member and the database
+router.use(auth, (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      message: 'Database is not connected. Admin tools are unavailable.'
+    })
+  }
+  next()
+})
+
+// @route   GET /api/admin/users
+// @desc    Search users by name/email, role and status
+// @access  Moderator, Admin
+router.get('/users', staff, async (req, res) => {
+  try {
+    const { q, role, status } = req.query
+    const { page, limit, skip } = paging(req.query)
+
+    const query = {}
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i')
+      query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }]
+    }
+    if (role && ROLES.includes(role)) query.role = role
+    if (status === 'active') query.isActive = true
+    if (status === 'inactive') query.isActive = false
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('name email phone avatar role isActive isVerified isOnline lastSeen stats createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      users,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    })
+  } catch (error) {
+    console.error('Admin user search error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search users',
+      error: error.message
+    })
+  }
+})
+
+// @route   PUT /api/admin/users/:userId/status
+// @desc    Deactivate or reactivate an account
+// @access  Admin
+router.put('/users/:userId/status', adminOnly, async (req, res) => {
+  try {
+    const { userId } = req.params
+    const { isActive, reason } = req.body
+
+    if (typeof isActive !== 'boolean' || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive (boolean) and a reason are required'
+      })
+    }
+
+    if (userId === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      })
+    }
+
+    const user = isId(userId) && await User.findById(userId)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      })
+    }
+
+    if (isActive && user.deletionRequestedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account is being deleted at its owner\'s request and cannot be reactivated'
+      })
+    }
+
+    const previous = user.isActive
+    user.isActive = isActive
+    if (!isActive) {
+      user.isOnline = false
+      user.isRiding = false
+    }
+    await user.save({ validateBeforeSave: false })
+
+    // A deactivated account is signed out everywhere at once
+    if (!isActive) {
+      await revokeAllSessions(user._id, { reason: 'revoked' })
+    }
+
+    await recordAudit(req, {
+      action: isActive ? 'user.reactivate' : 'user.deactivate',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { before: { isActive: previous }, after: { isActive } }
+    })
+
+    res.json({
+      success: true,
+      message: isActive ? 'Account reactivated' : 'Account deactivated',
+      user: { id: user._id, isActive: user.isActive }
+    })
+  } catch (error) {
+    console.error('Admin user status error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update account status',
+      error: error.message
+    })
+  }
+})
+
+// @route   PUT /api/admin/users/:userId/role
+// @desc    Change a user's role
+// @access  Admin
+router.put('/users/:userId/role', adminOnly, async (req, res) => {
+  try {
+    const { userId } = req.params
+    const { role, reason } = req.body
+
+    if (!ROLES.includes(role) || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason and a role (${ROLES.join(', ')}) are required`
+      })
+    }
+
+    if (userId === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      })
+    }
+
+    const user = isId(userId) && await User.findById(userId)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      })
+    }
+
+    const previous = user.role
+    if (previous === role) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already a ${role}`
+      })
+    }
+
+    user.role = role
+    await user.save({ validateBeforeSave: false })
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { before: { role: previous }, after: { role } }
+    })
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      user: { id: user._id, role: user.role }
+    })
+  } catch (error) {
+    console.error('Admin role change error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role',
+      error: error.message
+    })
+  }
+})
+
+// @route   POST /api/admin/users/:userId/rewards
+// @desc    Credit or debit a user's reward balance
+// @access  Admin
+router.post('/users/:userId/rewards', adminOnly, async (req, res) => {
+  try {
+    const { userId } = req.params
+    const delta = parseInt(req.body.delta)
+    const { reason } = req.body
+
+    if (!delta || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A non-zero delta and a reason are required'
+      })
+    }
+
+    if (!isId(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      })
+    }
+
+    // Debits never take the balance below zero
+    const filter = { _id: userId }
+    if (delta < 0) filter['stats.rewardPoints'] = { $gte: -delta }
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { $inc: { 'stats.rewardPoints': delta } },
+      { new: true }
+    ).select('stats.rewardPoints')
+
+    if (!user) {
+      const exists = await User.exists({ _id: userId })
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Insufficient points for this debit' : 'User not found'
+      })
+    }
+
+    // Keep the points history in step with the balance
+    await Reward.create({
+      user: user._id,
+      activityType: 'admin_adjustment',
+      points: delta,
+      description: `Adjusted by an admin: ${reason}`.slice(0, 200),
+      relatedActivity: req.user.id,
+      relatedModel: 'User'
+    })
+
+    await recordAudit(req, {
+      action: 'rewards.adjust',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: {
+        delta,
+        before: { rewardPoints: user.stats.rewardPoints - delta },
+        after: { rewardPoints: user.stats.rewardPoints }
+      }
+    })
+
+    res.json({
+      success: true,
+      message: 'Reward balance updated',
+      rewardPoints: user.stats.rewardPoints
+    })
+  } catch (error) {
+    console.error('Admin reward adjust error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust reward balance',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/admin/alerts
+// @desc    Review emergency alerts (open ones by default)
+// @access  Moderator, Admin
+router.get('/alerts', staff, async (req, res) => {
+  try {
+    const { status = 'open' } = req.query
+    const { page, limit, skip } = paging(req.query)
+
+    const query = status === 'open'
+      ? { status: { $in: ['active', 'responded'] } }
+      : status === 'all' ? {} : { status }
+
+    const [alerts, total] = await Promise.all([
+      EmergencyAlert.find(query)
+        .populate('user', 'name email phone')
+        .populate('responders.user', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      EmergencyAlert.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      alerts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    })
+  } catch (error) {
+    console.error('Admin alerts error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load alerts',
+      error: error.message
+    })
+  }
+})
+
+// @route   PUT /api/admin/alerts/:alertId/resolve
+// @desc    Force-resolve an emergency alert (stale, duplicate or abusive)
+// @access  Admin
+router.put('/alerts/:alertId/resolve', adminOnly, async (req, res) => {
+  try {
+    const { alertId } = req.params
+    const { reason } = req.body
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      })
+    }
+
+    const alert = isId(alertId) && await EmergencyAlert.findById(alertId)
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency alert not found'
+      })
+    }
+
+    if (!['active', 'responded'].includes(alert.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Alert is already ${alert.status}`
+      })
+    }
+
+    const previous = alert.status
+    alert.status = 'resolved'
+    alert.resolvedAt = new Date()
+    alert.resolvedBy = req.user.id
+    // Stop any pending escalation stage
+    if (alert.escalation) alert.escalation.nextAt = undefined
+    alert.addTimelineEvent('resolved', { actor: req.user.id, note: `Force-resolved by admin: ${reason}` })
+    await alert.save()
+
+    broadcastRiderUpdate(alert.user).catch(err => console.error('Share broadcast error:', err))
+
+    await recordAudit(req, {
+      action: 'alert.force_resolve',
+      targetType: 'EmergencyAlert',
+      targetId: alert._id,
+      reason,
+      details: { before: { status: previous }, after: { status: 'resolved' } }
+    })
+
+    res.json({
+      success: true,
+      message: 'Emergency alert resolved',
+      alert: { id: alert._id, status: alert.status, resolvedAt: alert.resolvedAt }
+    })
+  } catch (error) {
+    console.error('Admin alert resolve error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve alert',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/admin/chat/rooms
+// @desc    List chat rooms for moderation
+// @access  Moderator, Admin
+router.get('/chat/rooms', staff, async (req, res) => {
+  try {
+    const { q, status } = req.query
+    const { page, limit, skip } = paging(req.query)
+
+    const query = {}
+    if (q) query.name = new RegExp(escapeRegex(q.trim()), 'i')
+    if (status === 'open') query.isActive = true
+    if (status === 'closed') query.isActive = false
+
+    const [rooms, total] = await Promise.all([
+      ChatRoom.find(query)
+        .populate('participants.user', 'name email')
+        .sort({ lastActivity: -1 })
+        .skip(skip)
+        .limit(limit),
+      ChatRoom.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      rooms,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    })
+  } catch (error) {
+    console.error('Admin chat rooms error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load chat rooms',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/admin/chat/rooms/:roomId/messages
+// @desc    Read a room's recent messages, including deleted ones
+// @access  Moderator, Admin
+router.get('/chat/rooms/:roomId/messages', staff, async (req, res) => {
+  try {
+    if (!isId(req.params.roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid room ID'
+      })
+    }
+
+    const { page, limit, skip } = paging({ ...req.query, limit: req.query.limit || 50 })
+
+    const messages = await ChatMessage.find({ room: req.params.roomId })
+      .populate('sender', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+
+    res.json({
+      success: true,
+      messages: messages.reverse(),
+      pagination: { page, limit }
+    })
+  } catch (error) {
+    console.error('Admin chat messages error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load messages',
+      error: error.message
+    })
+  }
+})
+
+// @route   PUT /api/admin/chat/rooms/:roomId/status
+// @desc    Close or reopen a chat room
+// @access  Moderator, Admin
+router.put('/chat/rooms/:roomId/status', staff, async (req, res) => {
+  try {
+    const { roomId } = req.params
+    const { isActive, reason } = req.body
+
+    if (typeof isActive !== 'boolean' || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive (boolean) and a reason are required'
+      })
+    }
+
+    const room = isId(roomId) && await ChatRoom.findById(roomId)
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found'
+      })
+    }
+
+    room.isActive = isActive
+    await room.save()
+
+    if (!isActive) {
+      emitToRoom(`chat_${roomId}`, 'chat-room-closed', { roomId, reason })
+      clearRoom(`chat_${roomId}`)
+    }
+
+    await recordAudit(req, {
+      action: isActive ? 'chat.room_reopen' : 'chat.room_close',
+      targetType: 'ChatRoom',
+      targetId: room._id,
+      reason,
+      details: { name: room.name }
+    })
+
+    res.json({
+      success: true,
+      message: isActive ? 'Chat room reopened' : 'Chat room closed'
+    })
+  } catch (error) {
+    console.error('Admin chat room status error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update chat room',
+      error: error.message
+    })
+  }
+})
+
+// @route   DELETE /api/admin/chat/messages/:messageId
+// @desc    Remove a message from a room
+// @access  Moderator, Admin
+router.delete('/chat/messages/:messageId', staff, async (req, res) => {
+  try {
+    const { messageId } = req.params
+    const reason = req.body?.reason || req.query.reason
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      })
+    }
+
+    const chatMessage = isId(messageId) && await ChatMessage.findById(messageId)
+    if (!chatMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      })
+    }
+
+    chatMessage.isDeleted = true
+    chatMessage.deletedAt = new Date()
+    await chatMessage.save()
+
+    emitToRoom(`chat_${chatMessage.room}`, 'message-deleted', { messageId: chatMessage._id, roomId: chatMessage.room })
+
+    await recordAudit(req, {
+      action: 'chat.message_delete',
+      targetType: 'ChatMessage',
+      targetId: chatMessage._id,
+      reason,
+      details: { room: chatMessage.room, sender: chatMessage.sender, message: chatMessage.message }
+    })
+
+    res.json({
+      success: true,
+      message: 'Message removed'
+    })
+  } catch (error) {
+    console.error('Admin message delete error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove message',
+      error: error.message
+    })
+  }
+})
+
+// @route   DELETE /api/admin/chat/rooms/:roomId/participants/:userId
+// @desc    Remove a participant from a room
+// @access  Moderator, Admin
+router.delete('/chat/rooms/:roomId/participants/:userId', staff, async (req, res) => {
+  try {
+    const { roomId, userId } = req.params
+    const reason = req.body?.reason || req.query.reason
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      })
+    }
+
+    const room = isId(roomId) && await ChatRoom.findById(roomId)
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found'
+      })
+    }
+
+    const before = room.participants.length
+    room.participants = room.participants.filter(p => p.user.toString() !== userId)
+    if (room.participants.length === before) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not in this room'
+      })
+    }
+    await room.save()
+
+    removeUserFromRoom(userId, `chat_${roomId}`)
+    emitToRoom(`chat_${roomId}`, 'user-left-chat', { userId, timestamp: new Date() })
+
+    await recordAudit(req, {
+      action: 'chat.participant_remove',
+      targetType: 'ChatRoom',
+      targetId: room._id,
+      reason,
+      details: { user: userId }
+    })
+
+    res.json({
+      success: true,
+      message: 'Participant removed'
+    })
+  } catch (error) {
+    console.error('Admin participant remove error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove participant',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/admin/audit
+// @desc    Browse the audit log
+// @access  Admin
+router.get('/audit', adminOnly, async (req, res) => {
+  try {
+    const { action, actor, targetId } = req.query
+    const { page, limit, skip } = paging(req.query)
+
+    const query = {}
+    if (action) query.action = action
+    if (actor && isId(actor)) query.actor = actor
+    if (targetId && isId(targetId)) query.targetId = targetId
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    })
+  } catch (error) {
+    console.error('Admin audit log error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load audit log',
+      error: error.message
+    })
+  }
+})
+
+export default router
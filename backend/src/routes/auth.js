@@ -3,8 +3,38 @@ import multer from 'multer'
 import path from 'path'
 import jwt from 'jsonwebtoken'
 import mongoose from 'mongoose'
-import User from '../models/User.js'
+import rateLimit from 'express-rate-limit'
+import User, { PASSWORD_RESET_MINUTES, EMAIL_VERIFICATION_HOURS } from '../models/User.js'
 import { auth } from '../middleware/auth.js'
+import { notifyUser } from '../services/notificationService.js'
+import {
+  createSession,
+  rotateSession,
+  signAccessToken,
+  listSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions
+} from '../services/sessionService.js'
+import {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  buildQrCode,
+  generateBackupCodes,
+  matchBackupCode
+} from '../services/totpService.js'
+import { buildAccountExport, requestAccountDeletion } from '../services/accountService.js'
+import {
+  MAX_EMERGENCY_CONTACTS,
+  sanitizeContact,
+  serializeContact,
+  sortContacts,
+  startContactConsent,
+  sendContactConsent,
+  findContactByConsentToken,
+  predatesConsent
+} from '../services/emergencyContactService.js'
 
 const router = express.Router()
 
@@ -37,13 +67,78 @@ const JWT_SECRET = process.env.JWT_SECRET || 'dev_jwt_secret'
 // In-memory store for demo emergency contacts when DB is disconnected
 const demoEmergencyContacts = new Map()
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Short-lived token proving the password step of a 2FA login
+const generateChallengeToken = (user) => {
+  return jwt.sign({ userId: user._id, tokenVersion: user.tokenVersion || 0, purpose: '2fa' }, JWT_SECRET, {
+    expiresIn: '5m'
   })
 }
 
+// Guess limiter for second-factor codes
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: { success: false, message: 'Too many verification attempts, please try again later.' }
+})
+
+// Verification emails are cheap to request; keep them from being used to spam an inbox
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: { success: false, message: 'Too many verification emails requested, please try again later.' }
+})
+
+// Data exports read every collection; a few per hour is plenty
+const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  message: { success: false, message: 'Too many export requests, please try again later.' }
+})
+
+// Email the link that confirms the account's address
+const sendVerificationEmail = (user, token) => {
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email/${token}`
+  return notifyUser(user._id, {
+    channels: ['email'],
+    subject: 'Confirm your Rider Sathi email address',
+    body: `Hi ${user.name},\n\nPlease confirm your email address (link valid for ${EMAIL_VERIFICATION_HOURS} hours): ${verifyUrl}\n\nIf you did not create a Rider Sathi account, you can ignore this email.`,
+    context: { type: 'email_verification', refId: user._id }
+  })
+}
+
+// Check a TOTP code (or, failing that, a backup code) for a user loaded with
+// +twoFactor.secret. Consumes what it accepts atomically so neither can be
+// reused. Resolves to 'totp', 'backup_code' or null.
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactor?.secret, code, { lastUsedStep: user.twoFactor?.lastUsedStep ?? -1 })
+    if (step !== null) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }]
+        },
+        { 'twoFactor.lastUsedStep': step }
+      )
+      if (result.modifiedCount === 1) return 'totp'
+    }
+  }
+
+  if (backupCode) {
+    const index = await matchBackupCode(user.twoFactor?.backupCodes, backupCode)
+    if (index !== -1) {
+      const hash = user.twoFactor.backupCodes[index]
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.backupCodes': hash },
+        { $pull: { 'twoFactor.backupCodes': hash } }
+      )
+      if (result.modifiedCount === 1) return 'backup_code'
+    }
+  }
+
+  return null
+}
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -76,16 +171,21 @@ router.post('/register', async (req, res) => {
       phone,
       bikeDetails
     })
+    const verificationToken = user.createEmailVerificationToken()
 
     await user.save()
 
-    // Generate token
-    const token = generateToken(user._id)
+    sendVerificationEmail(user, verificationToken)
+      .catch(err => console.error('Verification email error:', err))
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req)
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: user.getPublicProfile()
     })
   } catch (error) {
@@ -114,7 +214,7 @@ router.post('/login', async (req, res) => {
     }
 
     // Regular database mode
-    const user = await User.findOne({ email }).select('+password')
+    const user = await User.findOne({ email }).select('+password +twoFactor.secret')
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -139,17 +239,28 @@ router.post('/login', async (req, res) => {
       })
     }
 
+    // Two-step login: the password only earns a challenge for the TOTP step
+    if (user.twoFactor?.secret) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user),
+        message: 'Enter the code from your authenticator app'
+      })
+    }
+
     // Update user status
     user.isOnline = true
     await user.updateLastSeen()
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req)
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: user.getPublicProfile()
     })
   } catch (error) {
@@ -162,6 +273,161 @@ router.post('/login', async (req, res) => {
   }
 })
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-factor login with a TOTP or backup code
+// @access  Public (challenge token)
+router.post('/login/2fa', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({ success: false, message: 'Challenge token and a verification code are required' })
+    }
+
+    let decoded
+    try {
+      decoded = jwt.verify(challengeToken, JWT_SECRET)
+    } catch (err) {
+      return res.status(401).json({ success: false, message: 'Login challenge has expired - please sign in again' })
+    }
+
+    if (decoded.purpose !== '2fa') {
+      return res.status(401).json({ success: false, message: 'Invalid login challenge' })
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep')
+    if (!user || !user.isActive || (decoded.tokenVersion || 0) !== user.tokenVersion) {
+      return res.status(401).json({ success: false, message: 'Invalid login challenge' })
+    }
+
+    const method = await verifySecondFactor(user, { code, backupCode })
+    if (!method) {
+      return res.status(401).json({ success: false, message: 'Invalid verification code' })
+    }
+
+    user.isOnline = true
+    await user.updateLastSeen()
+
+    const { token, refreshToken } = await createSession(user, req)
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: user.getPublicProfile(),
+      backupCodesRemaining: method === 'backup_code' ? user.twoFactor.backupCodes.length - 1 : undefined
+    })
+  } catch (error) {
+    console.error('2FA login error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: error.message
+    })
+  }
+})
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate a refresh token and issue a new access token
+// @access  Public (refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' })
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ success: false, message: 'Database is not connected. Refresh is unavailable.' })
+    }
+
+    const result = await rotateSession(refreshToken, req)
+    if (result.error) {
+      return res.status(401).json({ success: false, message: result.error })
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    })
+  } catch (error) {
+    console.error('Token refresh error:', error)
+    res.status(500).json({ success: false, message: 'Failed to refresh session', error: error.message })
+  }
+})
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices currently signed in
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.json({ success: true, sessions: [] })
+    }
+
+    const sessions = await listSessions(req.user.id)
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.user.sessionId?.toString()
+      }))
+    })
+  } catch (error) {
+    console.error('Sessions list error:', error)
+    res.status(500).json({ success: false, message: 'Failed to load sessions', error: error.message })
+  }
+})
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ success: false, message: 'Session not found' })
+    }
+
+    const revoked = await revokeSession(req.user.id, req.params.sessionId, 'revoked')
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'Session not found' })
+    }
+
+    res.json({ success: true, message: 'Session revoked' })
+  } catch (error) {
+    console.error('Session revoke error:', error)
+    res.status(500).json({ success: false, message: 'Failed to revoke session', error: error.message })
+  }
+})
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every device (?exceptCurrent=true keeps this one)
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const keepCurrent = req.query.exceptCurrent === 'true'
+    const count = await revokeAllSessions(req.user.id, {
+      except: keepCurrent ? req.user.sessionId : undefined,
+      reason: 'revoked_all'
+    })
+
+    res.json({ success: true, message: `${count} session(s) revoked`, revoked: count })
+  } catch (error) {
+    console.error('Session revoke-all error:', error)
+    res.status(500).json({ success: false, message: 'Failed to revoke sessions', error: error.message })
+  }
+})
+
 // @route   GET /api/auth/profile
 // @desc    Get current user profile
 // @access  Private
@@ -206,19 +472,39 @@ router.get('/profile', auth, async (req, res) => {
   }
 })
 
+// Demo contacts get ids so they can be edited and reordered like real ones
+const demoContactsFor = (userId) => {
+  if (!demoEmergencyContacts.has(userId)) {
+    demoEmergencyContacts.set(userId, [
+      { name: 'Alice', phone: '+1234567890', relationship: 'Friend' },
+      { name: 'Bob', phone: '+1987654321', relationship: 'Family' }
+    ].map((contact, index) => ({
+      _id: new mongoose.Types.ObjectId().toString(),
+      ...contact,
+      priority: index,
+      alertTypes: [],
+      minSeverity: 'low',
+      consent: { status: 'confirmed' }
+    })))
+  }
+  return demoEmergencyContacts.get(userId)
+}
+
+// Opt-in requests reach third parties; keep them from being used to spam someone
+const contactConsentLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  message: { success: false, message: 'Too many confirmation requests, please try again later.' }
+})
+
 // @route   GET /api/auth/emergency-contacts
-// @desc    Get user's emergency contacts
+// @desc    Get user's emergency contacts in priority order
 // @access  Private
 router.get('/emergency-contacts', auth, async (req, res) => {
   try {
     // Demo mode: serve from in-memory map
     if (mongoose.connection.readyState !== 1) {
-      const existing = demoEmergencyContacts.get(req.user.id) || [
-        { name: 'Alice', phone: '+1234567890', relationship: 'Friend' },
-        { name: 'Bob', phone: '+1987654321', relationship: 'Family' }
-      ]
-      demoEmergencyContacts.set(req.user.id, existing)
-      return res.json({ success: true, contacts: existing })
+      return res.json({ success: true, contacts: sortContacts(demoContactsFor(req.user.id)) })
     }
 
     const user = await User.findById(req.user.id)
@@ -226,7 +512,7 @@ router.get('/emergency-contacts', auth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' })
     }
 
-    return res.json({ success: true, contacts: user.emergencyContacts || [] })
+    return res.json({ success: true, contacts: sortContacts(user.emergencyContacts || []).map(serializeContact) })
   } catch (error) {
     console.error('Emergency contacts fetch error:', error)
     res.status(500).json({ success: false, message: 'Failed to fetch contacts', error: error.message })
@@ -234,21 +520,28 @@ router.get('/emergency-contacts', auth, async (req, res) => {
 })
 
 // @route   POST /api/auth/emergency-contacts
-// @desc    Add a new emergency contact
+// @desc    Add an emergency contact and send them an opt-in request
 // @access  Private
-router.post('/emergency-contacts', auth, async (req, res) => {
+router.post('/emergency-contacts', auth, contactConsentLimiter, async (req, res) => {
   try {
-    const { name, phone, relationship } = req.body
-    if (!name || !phone) {
-      return res.status(400).json({ success: false, message: 'Name and phone are required' })
+    const { contact, error } = sanitizeContact(req.body)
+    if (error) {
+      return res.status(400).json({ success: false, message: error })
     }
 
     // Demo mode: update in-memory list
     if (mongoose.connection.readyState !== 1) {
-      const list = demoEmergencyContacts.get(req.user.id) || []
-      list.push({ name, phone, relationship: relationship || 'Contact' })
-      demoEmergencyContacts.set(req.user.id, list)
-      return res.status(201).json({ success: true, contacts: list })
+      const list = demoContactsFor(req.user.id)
+      list.push({
+        _id: new mongoose.Types.ObjectId().toString(),
+        relationship: 'Contact',
+        alertTypes: [],
+        minSeverity: 'low',
+        ...contact,
+        priority: list.length,
+        consent: { status: 'pending' }
+      })
+      return res.status(201).json({ success: true, contacts: sortContacts(list) })
     }
 
     const user = await User.findById(req.user.id)
@@ -257,22 +550,266 @@ router.post('/emergency-contacts', auth, async (req, res) => {
     }
 
     user.emergencyContacts = user.emergencyContacts || []
-    user.emergencyContacts.push({ name, phone, relationship })
+    if (user.emergencyContacts.length >= MAX_EMERGENCY_CONTACTS) {
+      return res.status(400).json({ success: false, message: `You can have up to ${MAX_EMERGENCY_CONTACTS} emergency contacts` })
+    }
+
+    // New contacts go to the end of the priority list
+    const lastPriority = Math.max(-1, ...user.emergencyContacts.map(c => c.priority ?? 0))
+    user.emergencyContacts.push({ ...contact, priority: lastPriority + 1 })
+    const added = user.emergencyContacts[user.emergencyContacts.length - 1]
+    const token = startContactConsent(added)
     await user.save()
+    await sendContactConsent(user, added, token)
 
-    return res.status(201).json({ success: true, contacts: user.emergencyContacts })
+    return res.status(201).json({
+      success: true,
+      message: `Confirmation request sent to ${added.name}`,
+      contacts: sortContacts(user.emergencyContacts).map(serializeContact)
+    })
   } catch (error) {
     console.error('Emergency contact add error:', error)
     res.status(500).json({ success: false, message: 'Failed to add contact', error: error.message })
   }
 })
 
+// @route   PUT /api/auth/emergency-contacts/order
+// @desc    Set the alerting order; body { contactIds } lists every contact, first is alerted first
+// @access  Private
+router.put('/emergency-contacts/order', auth, async (req, res) => {
+  try {
+    const { contactIds } = req.body
+    const user = mongoose.connection.readyState === 1 ? await User.findById(req.user.id) : null
+    const current = user ? user.emergencyContacts : demoContactsFor(req.user.id)
+
+    if (mongoose.connection.readyState === 1 && !user) {
+      return res.status(404).json({ success: false, message: 'User not found' })
+    }
+
+    const ids = Array.isArray(contactIds) ? contactIds.map(String) : []
+    if (ids.length !== current.length || new Set(ids).size !== ids.length ||
+      current.some(c => !ids.includes(c._id.toString()))) {
+      return res.status(400).json({ success: false, message: 'contactIds must list each of your contacts exactly once' })
+    }
+
+    current.forEach(c => { c.priority = ids.indexOf(c._id.toString()) })
+
+    if (!user) {
+      return res.json({ success: true, contacts: sortContacts(current) })
+    }
+
+    await user.save()
+    res.json({ success: true, message: 'Contact order saved', contacts: sortContacts(current).map(serializeContact) })
+  } catch (error) {
+    console.error('Emergency contact order error:', error)
+    res.status(500).json({ success: false, message: 'Failed to reorder contacts', error: error.message })
+  }
+})
+
+// @route   PUT /api/auth/emergency-contacts/:contactId
+// @desc    Update a contact and its alert rules; a new phone/email needs fresh consent
+// @access  Private
+router.put('/emergency-contacts/:contactId', auth, async (req, res) => {
+  try {
+    const { contact: updates, error } = sanitizeContact(req.body, { partial: true })
+    if (error) {
+      return res.status(400).json({ success: false, message: error })
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      const list = demoContactsFor(req.user.id)
+      const contact = list.find(c => c._id === req.params.contactId)
+      if (!contact) {
+        return res.status(404).json({ success: false, message: 'Contact not found' })
+      }
+      Object.assign(contact, updates)
+      return res.json({ success: true, contacts: sortContacts(list) })
+    }
+
+    const user = await User.findById(req.user.id)
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' })
+    }
+
+    const contact = mongoose.Types.ObjectId.isValid(req.params.contactId) && user.emergencyContacts.id(req.params.contactId)
+    if (!contact) {
+      return res.status(404).json({ success: false, message: 'Contact not found' })
+    }
+
+    const addressChanged = ['phone', 'email'].some(field => field in updates && updates[field] !== contact[field])
+    Object.assign(contact, updates)
+
+    if (!contact.phone && !contact.email) {
+      return res.status(400).json({ success: false, message: 'A phone number or email address is required' })
+    }
+
+    // Consent was given for the old number or address
+    const token = addressChanged ? startContactConsent(contact) : null
+    await user.save()
+    if (token) await sendContactConsent(user, contact, token)
+
+    res.json({
+      success: true,
+      message: token ? `Contact updated; confirmation request sent to ${contact.name}` : 'Contact updated',
+      contacts: sortContacts(user.emergencyContacts).map(serializeContact)
+    })
+  } catch (error) {
+    console.error('Emergency contact update error:', error)
+    res.status(500).json({ success: false, message: 'Failed to update contact', error: error.message })
+  }
+})
+
+// @route   DELETE /api/auth/emergency-contacts/:contactId
+// @desc    Remove an emergency contact
+// @access  Private
+router.delete('/emergency-contacts/:contactId', auth, async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      const list = demoContactsFor(req.user.id)
+      const remaining = list.filter(c => c._id !== req.params.contactId)
+      if (remaining.length === list.length) {
+        return res.status(404).json({ success: false, message: 'Contact not found' })
+      }
+      demoEmergencyContacts.set(req.user.id, remaining)
+      return res.json({ success: true, contacts: sortContacts(remaining) })
+    }
+
+    const user = await User.findById(req.user.id)
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' })
+    }
+
+    const contact = mongoose.Types.ObjectId.isValid(req.params.contactId) && user.emergencyContacts.id(req.params.contactId)
+    if (!contact) {
+      return res.status(404).json({ success: false, message: 'Contact not found' })
+    }
+
+    contact.deleteOne()
+    await user.save()
+
+    res.json({
+      success: true,
+      message: 'Contact removed',
+      contacts: sortContacts(user.emergencyContacts).map(serializeContact)
+    })
+  } catch (error) {
+    console.error('Emergency contact delete error:', error)
+    res.status(500).json({ success: false, message: 'Failed to remove contact', error: error.message })
+  }
+})
+
+// @route   POST /api/auth/emergency-contacts/:contactId/consent
+// @desc    Send the opt-in request again (replaces the previous link)
+// @access  Private
+router.post('/emergency-contacts/:contactId/consent', auth, contactConsentLimiter, async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ success: false, message: 'Database is not connected. Contact confirmation is unavailable.' })
+    }
+
+    const user = await User.findById(req.user.id)
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' })
+    }
+
+    const contact = mongoose.Types.ObjectId.isValid(req.params.contactId) && user.emergencyContacts.id(req.params.contactId)
+    if (!contact) {
+      return res.status(404).json({ success: false, message: 'Contact not found' })
+    }
+
+    if (contact.consent?.status === 'confirmed') {
+      return res.status(400).json({ success: false, message: 'This contact has already confirmed' })
+    }
+
+    if (!contact.phone && !contact.email) {
+      return res.status(400).json({ success: false, message: 'Add a phone number or email address first' })
+    }
+
+    // Asking again doesn't stop alerts to a contact from before opt-in
+    const token = startContactConsent(contact, { grandfathered: predatesConsent(contact) })
+    await user.save()
+    await sendContactConsent(user, contact, token)
+
+    res.json({ success: true, message: `Confirmation request sent to ${contact.name}`, contact: serializeContact(contact) })
+  } catch (error) {
+    console.error('Emergency contact consent error:', error)
+    res.status(500).json({ success: false, message: 'Failed to send confirmation request', error: error.message })
+  }
+})
+
+// @route   GET /api/auth/contact-consent/:token
+// @desc    Who is asking, for the contact's confirmation page
+// @access  Public
+router.get('/contact-consent/:token', contactConsentLimiter, async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ success: false, message: 'Database is not connected. Contact confirmation is unavailable.' })
+    }
+
+    const found = await findContactByConsentToken(req.params.token)
+    if (!found) {
+      return res.status(400).json({ success: false, message: 'This confirmation link is invalid or has expired' })
+    }
+
+    res.json({
+      success: true,
+      riderName: found.user.name,
+      contactName: found.contact.name,
+      status: found.contact.consent.status
+    })
+  } catch (error) {
+    console.error('Contact consent lookup error:', error)
+    res.status(500).json({ success: false, message: 'Failed to load confirmation request', error: error.message })
+  }
+})
+
+// @route   POST /api/auth/contact-consent/:token
+// @desc    Contact confirms or declines being alerted; body { accept }
+// @access  Public
+router.post('/contact-consent/:token', contactConsentLimiter, async (req, res) => {
+  try {
+    if (typeof req.body.accept !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'accept must be true or false' })
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ success: false, message: 'Database is not connected. Contact confirmation is unavailable.' })
+    }
+
+    const found = await findContactByConsentToken(req.params.token)
+    if (!found) {
+      return res.status(400).json({ success: false, message: 'This confirmation link is invalid or has expired' })
+    }
+
+    // The link stays valid until it expires, so a contact can change their mind
+    const status = req.body.accept ? 'confirmed' : 'declined'
+    await User.updateOne(
+      { _id: found.user._id, 'emergencyContacts._id': found.contact._id },
+      {
+        'emergencyContacts.$.consent.status': status,
+        'emergencyContacts.$.consent.respondedAt': new Date()
+      }
+    )
+
+    res.json({
+      success: true,
+      status,
+      message: req.body.accept
+        ? `You will be alerted if ${found.user.name} raises an emergency`
+        : `You will not receive emergency alerts from ${found.user.name}`
+    })
+  } catch (error) {
+    console.error('Contact consent error:', error)
+    res.status(500).json({ success: false, message: 'Failed to record your answer', error: error.message })
+  }
+})
+
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
 router.put('/profile', auth, async (req, res) => {
   try {
-    const allowedUpdates = ['name', 'phone', 'bikeDetails', 'emergencyContacts', 'preferences']
+    const allowedUpdates = ['name', 'phone', 'bikeDetails', 'preferences']
     const updates = Object.keys(req.body)
     const isValidOperation = updates.every(update => allowedUpdates.includes(update))
 
@@ -292,7 +829,13 @@ router.put('/profile', auth, async (req, res) => {
     }
 
     updates.forEach(update => {
-      user[update] = req.body[update]
+      if (update !== 'preferences') {
+        user[update] = req.body[update]
+        return
+      }
+      // Merged key by key; twoFactorEnabled only mirrors the 2FA endpoints
+      const { twoFactorEnabled, ...preferences } = req.body.preferences || {}
+      Object.entries(preferences).forEach(([key, value]) => user.set(`preferences.${key}`, value))
     })
 
     await user.save()
@@ -312,12 +855,26 @@ router.put('/profile', auth, async (req, res) => {
   }
 })
 
+// The refresh token alone is enough to log out, so an expired access token can't
+// leave the session alive
+const authUnlessRefreshToken = (req, res, next) => req.body?.refreshToken ? next() : auth(req, res, next)
+
 // @route   POST /api/auth/logout
 // @desc    Logout user
-// @access  Private
-router.post('/logout', auth, async (req, res) => {
+// @access  Private (access token, or `refreshToken` in the body)
+router.post('/logout', authUnlessRefreshToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id)
+    let userId = req.user?.id
+
+    // Revoke this device's refresh token so the logout sticks
+    if (req.body?.refreshToken) {
+      const session = await revokeSessionByRefreshToken(req.body.refreshToken, 'logout')
+      userId = session?.user
+    } else if (req.user.sessionId) {
+      await revokeSession(req.user.id, req.user.sessionId, 'logout')
+    }
+
+    const user = userId && await User.findById(userId)
     if (user) {
       user.isOnline = false
       user.isRiding = false
@@ -369,13 +926,17 @@ router.put('/change-password', auth, async (req, res) => {
       })
     }
 
-    // Update password
+    // Update password (invalidates every access token, including this one)
     user.password = newPassword
     await user.save()
 
+    // Sign out other devices; this one keeps its session with a fresh access token
+    await revokeAllSessions(user._id, { except: req.user.sessionId, reason: 'password_changed' })
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token: req.user.sessionId ? signAccessToken(user, { _id: req.user.sessionId }) : undefined
     })
   } catch (error) {
     console.error('Password change error:', error)
@@ -415,7 +976,7 @@ router.put('/settings', auth, async (req, res) => {
     if (typeof settings.emergencyAlerts !== 'undefined') prefs.emergencyAlerts = !!settings.emergencyAlerts
     if (typeof settings.groupInvites !== 'undefined') prefs.groupInvites = !!settings.groupInvites
     if (typeof settings.rideRequests !== 'undefined') prefs.rideRequests = !!settings.rideRequests
-    if (typeof settings.twoFactorEnabled !== 'undefined') prefs.twoFactorEnabled = !!settings.twoFactorEnabled
+    // twoFactorEnabled is only changed through /2fa/enable and /2fa/disable
 
     user.preferences = prefs
     await user.save()
@@ -427,20 +988,209 @@ router.put('/settings', auth, async (req, res) => {
   }
 })
 
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrolment: issue a secret and QR code to scan
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ success: false, message: 'Database is not connected. 2FA is unavailable.' })
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.secret')
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' })
+    }
+
+    if (user.twoFactor?.secret) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' })
+    }
+
+    const secret = generateSecret()
+    user.set('twoFactor.pendingSecret', secret)
+    await user.save({ validateBeforeSave: false })
+
+    const otpauthUrl = buildOtpauthUrl({ secret, account: user.email })
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl,
+      qrCode: await buildQrCode(otpauthUrl)
+    })
+  } catch (error) {
+    console.error('2FA setup error:', error)
+    res.status(500).json({ success: false, message: 'Failed to start 2FA setup', error: error.message })
+  }
+})
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a first code; returns one-time backup codes
+// @access  Private
+router.post('/2fa/enable', auth, twoFactorLimiter, async (req, res) => {
+  try {
+    const { code } = req.body
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret')
+    if (!user || !user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ success: false, message: 'Start 2FA setup first' })
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code)
+    if (step === null) {
+      return res.status(400).json({ success: false, message: 'Invalid verification code' })
+    }
+
+    const { codes, hashes } = await generateBackupCodes()
+
+    user.twoFactor = {
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      backupCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    }
+    user.preferences.twoFactorEnabled = true
+    await user.save({ validateBeforeSave: false })
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      backupCodes: codes
+    })
+  } catch (error) {
+    console.error('2FA enable error:', error)
+    res.status(500).json({ success: false, message: 'Failed to enable 2FA', error: error.message })
+  }
+})
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a current code)
+// @access  Private
+router.post('/2fa/disable', auth, twoFactorLimiter, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body
+
+    if (!password || (!code && !backupCode)) {
+      return res.status(400).json({ success: false, message: 'Password and a verification code are required' })
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep')
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' })
+    }
+
+    if (!user.twoFactor?.secret) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' })
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ success: false, message: 'Password is incorrect' })
+    }
+
+    if (!(await verifySecondFactor(user, { code, backupCode }))) {
+      return res.status(401).json({ success: false, message: 'Invalid verification code' })
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $unset: { twoFactor: 1 }, 'preferences.twoFactorEnabled': false }
+    )
+
+    notifyUser(user._id, {
+      channels: ['email'],
+      subject: 'Two-factor authentication turned off',
+      body: 'Two-factor authentication was just disabled on your Rider Sathi account. If this was not you, reset your password immediately.',
+      context: { type: 'other', refId: user._id }
+    }).catch(err => console.error('2FA notice error:', err))
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' })
+  } catch (error) {
+    console.error('2FA disable error:', error)
+    res.status(500).json({ success: false, message: 'Failed to disable 2FA', error: error.message })
+  }
+})
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace backup codes (requires a current TOTP code)
+// @access  Private
+router.post('/2fa/backup-codes', auth, twoFactorLimiter, async (req, res) => {
+  try {
+    const { code } = req.body
+
+    const user = await User.findById(req.user.id).select('+twoFactor.secret +twoFactor.lastUsedStep')
+    if (!user || !user.twoFactor?.secret) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' })
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(401).json({ success: false, message: 'Invalid verification code' })
+    }
+
+    const { codes, hashes } = await generateBackupCodes()
+    await User.updateOne({ _id: user._id }, { 'twoFactor.backupCodes': hashes })
+
+    res.json({ success: true, backupCodes: codes })
+  } catch (error) {
+    console.error('2FA backup codes error:', error)
+    res.status(500).json({ success: false, message: 'Failed to regenerate backup codes', error: error.message })
+  }
+})
+
+// @route   GET /api/auth/export
+// @desc    Download a ZIP of all the user's data (rides included as GPX)
+// @access  Private
+router.get('/export', auth, exportLimiter, async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ success: false, message: 'Database is not connected. Data export is unavailable.' })
+    }
+
+    const archive = await buildAccountExport(req.user.id)
+
+    res.set('Content-Type', 'application/zip')
+    res.set('Content-Disposition', `attachment; filename="rider-sathi-export-${new Date().toISOString().slice(0, 10)}.zip"`)
+    res.send(archive)
+  } catch (error) {
+    console.error('Data export error:', error)
+    res.status(500).json({ success: false, message: 'Failed to export account data', error: error.message })
+  }
+})
+
 // @route   DELETE /api/auth/account
-// @desc    Delete user account
+// @desc    Close the account (password required) and queue erasure of its data
 // @access  Private
 router.delete('/account', auth, async (req, res) => {
   try {
+    const { password } = req.body
+
     // In demo mode, return success
     if (mongoose.connection.readyState !== 1) {
       return res.json({ success: true, message: 'Account deleted (demo mode)' })
     }
 
-    // Remove user and any related data (minimal implementation)
-    await User.findByIdAndDelete(req.user.id)
+    if (!password) {
+      return res.status(400).json({ success: false, message: 'Password is required to delete your account' })
+    }
+
+    const user = await User.findById(req.user.id).select('+password')
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' })
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ success: false, message: 'Password is incorrect' })
+    }
+
+    // Signs out every device now; the data is removed by a background job
+    const job = await requestAccountDeletion(user, req)
 
-    res.json({ success: true, message: 'Account deleted successfully' })
+    res.status(202).json({
+      success: true,
+      message: 'Your account has been closed and your data is being deleted',
+      deletionId: job._id
+    })
   } catch (error) {
     console.error('Account deletion error:', error)
     res.status(500).json({ success: false, message: 'Failed to delete account', error: error.message })
@@ -448,7 +1198,7 @@ router.delete('/account', auth, async (req, res) => {
 })
 
 // @route   POST /api/auth/forgot-password
-// @desc    Trigger forgot password flow (sends reset email in production)
+// @desc    Email a single-use password reset link
 // @access  Public
 router.post('/forgot-password', async (req, res) => {
   try {
@@ -464,11 +1214,23 @@ router.post('/forgot-password', async (req, res) => {
       return res.json({ success: true, message: 'If an account exists, a reset link has been sent to the provided email.' })
     }
 
-    // Lookup user and (in a real app) issue a reset token + send email (omitted here)
     const user = await User.findOne({ email: email.toLowerCase() })
-    if (user) {
-      // TODO: generate reset token, persist it, and email the user.
-      console.log(`Password reset requested for user id: ${user._id} (no email sent in this demo)`)
+    if (user && user.isActive) {
+      // Not awaited: the save and the email's retries would make known addresses
+      // answer slower than unknown ones
+      ;(async () => {
+        // A new request replaces any earlier, unused link
+        const resetToken = user.createPasswordResetToken()
+        await user.save({ validateBeforeSave: false })
+
+        const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password/${resetToken}`
+        await notifyUser(user._id, {
+          channels: ['email'],
+          subject: 'Rider Sathi password reset',
+          body: `We received a request to reset the password for your Rider Sathi account.\n\nReset it here (valid for ${PASSWORD_RESET_MINUTES} minutes): ${resetUrl}\n\nIf this was not you, you can ignore this email.`,
+          context: { type: 'password_reset', refId: user._id }
+        })
+      })().catch(err => console.error('Password reset email error:', err))
     }
 
     return res.json({ success: true, message: 'If an account exists, a reset link has been sent to the provided email.' })
@@ -478,6 +1240,126 @@ router.post('/forgot-password', async (req, res) => {
   }
 })
 
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using an emailed reset token
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'Reset token and new password are required' })
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' })
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ success: false, message: 'Database is not connected. Password reset is unavailable.' })
+    }
+
+    // Clear the token in the same update that finds it so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashResetToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    ).select('+password')
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired' })
+    }
+
+    user.password = password
+    await user.save()
+    await revokeAllSessions(user._id, { reason: 'password_changed' })
+
+    notifyUser(user._id, {
+      channels: ['email'],
+      subject: 'Your Rider Sathi password was changed',
+      body: 'The password for your Rider Sathi account was just reset and all devices were signed out. If this was not you, contact support immediately.',
+      context: { type: 'password_reset', refId: user._id }
+    }).catch(err => console.error('Password reset notice error:', err))
+
+    res.json({ success: true, message: 'Password has been reset. Please log in with your new password.' })
+  } catch (error) {
+    console.error('Reset password error:', error)
+    res.status(500).json({ success: false, message: 'Failed to reset password', error: error.message })
+  }
+})
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using an emailed verification token
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body
+
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Verification token is required' })
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ success: false, message: 'Database is not connected. Email verification is unavailable.' })
+    }
+
+    // Clear the token in the same update that finds it so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashResetToken(token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        isVerified: true,
+        verifiedAt: new Date(),
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    )
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired' })
+    }
+
+    res.json({ success: true, message: 'Email address verified' })
+  } catch (error) {
+    console.error('Verify email error:', error)
+    res.status(500).json({ success: false, message: 'Failed to verify email', error: error.message })
+  }
+})
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a fresh verification link to the current user
+// @access  Private
+router.post('/verify-email/resend', auth, verificationEmailLimiter, async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ success: false, message: 'Database is not connected. Email verification is unavailable.' })
+    }
+
+    const user = await User.findById(req.user.id)
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' })
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({ success: false, message: 'Email address is already verified' })
+    }
+
+    // A new link replaces any earlier, unused one
+    const verificationToken = user.createEmailVerificationToken()
+    await user.save({ validateBeforeSave: false })
+    await sendVerificationEmail(user, verificationToken)
+
+    res.json({ success: true, message: `Verification email sent to ${user.email}` })
+  } catch (error) {
+    console.error('Resend verification error:', error)
+    res.status(500).json({ success: false, message: 'Failed to send verification email', error: error.message })
+  }
+})
+
 // @route   POST /api/auth/avatar
 // @desc    Upload or update user avatar
 // @access  Private
@@ -510,6 +1392,64 @@ router.post('/avatar', auth, upload.single('avatar'), async (req, res) => {
   }
 })
 
+// @route   POST /api/auth/push-subscription
+// @desc    Register a Web Push subscription for this browser/device
+// @access  Private
+router.post('/push-subscription', auth, async (req, res) => {
+  try {
+    const { endpoint, keys } = req.body
+
+    if (!endpoint || !keys || !keys.p256dh || !keys.auth) {
+      return res.status(400).json({ success: false, message: 'A valid push subscription is required' })
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.json({ success: true, message: 'Push subscription saved (demo mode)' })
+    }
+
+    const user = await User.findById(req.user.id)
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' })
+    }
+
+    // Replace any previous subscription for the same endpoint
+    user.pushSubscriptions = (user.pushSubscriptions || []).filter(sub => sub.endpoint !== endpoint)
+    user.pushSubscriptions.push({ endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } })
+    await user.save({ validateBeforeSave: false })
+
+    res.status(201).json({ success: true, message: 'Push subscription saved' })
+  } catch (error) {
+    console.error('Push subscription error:', error)
+    res.status(500).json({ success: false, message: 'Failed to save push subscription', error: error.message })
+  }
+})
+
+// @route   DELETE /api/auth/push-subscription
+// @desc    Remove a Web Push subscription
+// @access  Private
+router.delete('/push-subscription', auth, async (req, res) => {
+  try {
+    const { endpoint } = req.body
+
+    if (!endpoint) {
+      return res.status(400).json({ success: false, message: 'Endpoint is required' })
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.json({ success: true, message: 'Push subscription removed (demo mode)' })
+    }
+
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { pushSubscriptions: { endpoint } }
+    })
+
+    res.json({ success: true, message: 'Push subscription removed' })
+  } catch (error) {
+    console.error('Push subscription removal error:', error)
+    res.status(500).json({ success: false, message: 'Failed to remove push subscription', error: error.message })
+  }
+})
+
 // @route   GET /api/auth/nearby-users
 // @desc    Get nearby online users
 // @access  Private
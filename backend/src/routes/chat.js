@@ -1,8 +1,9 @@
 import express from 'express'
 import mongoose from 'mongoose'
-import { auth } from '../middleware/auth.js'
+import { auth, meetsVerificationRequirement, VERIFICATION_REQUIRED_MESSAGE } from '../middleware/auth.js'
 import { ChatMessage, ChatRoom } from '../models/Chat.js'
 import User from '../models/User.js'
+import { notifyChatMentions } from '../services/notificationService.js'
 
 const router = express.Router()
 
@@ -22,6 +23,15 @@ router.post('/rooms', auth, async (req, res) => {
       })
     }
 
+    // Open group rooms can be limited to verified accounts (VERIFIED_ONLY_ACTIONS)
+    if (type === 'group' && !(await meetsVerificationRequirement(req.user.id, 'public_chat'))) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: VERIFICATION_REQUIRED_MESSAGE
+      })
+    }
+
     // Prepare participants array - ensure ObjectId casting, uniqueness and valid ids
     const creatorId = (() => {
       try {
@@ -244,6 +254,13 @@ router.post('/rooms/:roomId/messages', auth, async (req, res) => {
       })
     }
 
+    if (!room.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'This chat room has been closed'
+      })
+    }
+
     const isParticipant = room.participants.some(
       p => p.user.toString() === req.user.id
     )
@@ -274,6 +291,10 @@ router.post('/rooms/:roomId/messages', auth, async (req, res) => {
     room.lastActivity = new Date()
     await room.save()
 
+    // Fire-and-forget: push/email anyone @mentioned
+    notifyChatMentions({ room, chatMessage, senderId: req.user.id })
+      .catch(err => console.error('Mention notification error:', err))
+
     res.status(201).json({
       success: true,
       message: chatMessage
@@ -1,93 +1,12 @@
 import express from 'express'
-import axios from 'axios'
-import { auth } from '../middleware/auth.js'
+import { auth, requireVerified } from '../middleware/auth.js'
 import mongoose from 'mongoose'
 import EmergencyAlert from '../models/EmergencyAlert.js'
 import User from '../models/User.js'
 import { Reward } from '../models/Reward.js'
-
-// Notification helper: tries Twilio if configured, otherwise logs/simulates
-async function notifyContacts(alert) {
-  try {
-    const userDoc = await User.findById(alert.user).select('name phone emergencyContacts emergencyContact')
-    const contacts = []
-    if (userDoc) {
-      if (Array.isArray(userDoc.emergencyContacts) && userDoc.emergencyContacts.length) {
-        userDoc.emergencyContacts.forEach(c => { if (c.phone) contacts.push(c.phone) })
-      }
-      if (userDoc.emergencyContact && typeof userDoc.emergencyContact === 'string') {
-        contacts.push(userDoc.emergencyContact)
-      }
-    }
-
-    const message = `EMERGENCY ALERT:\nType: ${alert.type}\nLocation: ${alert.location?.coordinates ? `${alert.location.coordinates[1]},${alert.location.coordinates[0]}` : 'unknown'}\nMessage: Immediate help needed.`
-
-    const twilioSid = process.env.TWILIO_ACCOUNT_SID
-    const twilioToken = process.env.TWILIO_AUTH_TOKEN
-    const twilioFrom = process.env.TWILIO_FROM
-    const whatsappFrom = process.env.TWILIO_WHATSAPP_FROM
-
-    // Choose service number based on type
-    const serviceMap = {
-      accident: process.env.ACCIDENT_SERVICE_NUMBER || '1033',
-      breakdown: process.env.BREAKDOWN_SERVICE_NUMBER || process.env.TOWING_NUMBER || '',
-      medical: process.env.MEDICAL_SERVICE_NUMBER || '108',
-      fire: process.env.FIRE_SERVICE_NUMBER || '101'
-    }
-
-    const serviceNumber = serviceMap[alert.type] || ''
-
-    if (twilioSid && twilioToken && twilioFrom) {
-      // try dynamic import of twilio (may not be installed in dev)
-      try {
-        const twilioModule = await import('twilio')
-        const client = twilioModule.default(twilioSid, twilioToken)
-
-        // send SMS to contacts
-        for (const to of contacts) {
-          try {
-            await client.messages.create({ body: message, from: twilioFrom, to })
-          } catch (err) {
-            console.error('Twilio SMS error for', to, err)
-          }
-          // send WhatsApp if configured and number looks valid
-          if (whatsappFrom) {
-            try {
-              await client.messages.create({ body: message, from: whatsappFrom, to: `whatsapp:${to}` })
-            } catch (err) {
-              // not fatal
-            }
-          }
-        }
-
-        // place a call to the service number if available
-        if (serviceNumber) {
-          try {
-            await client.calls.create({
-              to: serviceNumber,
-              from: twilioFrom,
-              twiml: `<Response><Say voice="alice">Automated emergency alert. ${alert.type} reported. Please respond to the caller's location.</Say></Response>`
-            })
-          } catch (err) {
-            console.error('Twilio call error to service number', serviceNumber, err)
-          }
-        }
-
-        return
-      } catch (err) {
-        console.warn('Twilio module not available or failed to init, falling back to simulation', err)
-      }
-    }
-
-    // Fallback: log the notification and simulate call attempt
-    console.log('Simulated notification to contacts:', contacts, 'message:', message)
-    if (serviceNumber) {
-      console.log('Simulated call to service number:', serviceNumber)
-    }
-  } catch (error) {
-    console.error('notifyContacts error:', error)
-  }
-}
+import { createEmergencyAlert, findNearbyHospitals, calculateDistance } from '../services/emergencyService.js'
+import { broadcastRiderUpdate } from '../services/rideShareService.js'
+import { canReadMedicalProfile, readMedicalProfileForResponder } from '../services/medicalService.js'
 
 const router = express.Router()
 
@@ -105,60 +24,21 @@ router.post('/alert', auth, async (req, res) => {
       })
     }
 
-    // Check if user has an active alert within last 5 minutes
-    const recentAlert = await EmergencyAlert.findOne({
-      user: req.user.id,
-      status: 'active',
-      createdAt: { $gte: new Date(Date.now() - 5 * 60 * 1000) }
+    const { alert, error, notifiedUsers } = await createEmergencyAlert({
+      userId: req.user.id,
+      type,
+      severity,
+      location,
+      description
     })
 
-    if (recentAlert) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'You already have an active emergency alert'
+        message: error
       })
     }
 
-    // Create emergency alert
-    const alert = new EmergencyAlert({
-      user: req.user.id,
-      type,
-      severity: severity || 'medium',
-      location: {
-        type: 'Point',
-        coordinates: [location.longitude, location.latitude],
-        address: location.address
-      },
-      description
-    })
-
-    // Find nearby hospitals if medical emergency
-    if (type === 'medical' || type === 'accident') {
-      try {
-        const nearbyHospitals = await findNearbyHospitals(
-          location.latitude,
-          location.longitude
-        )
-        alert.nearbyHospitals = nearbyHospitals
-      } catch (error) {
-        console.error('Error finding hospitals:', error)
-      }
-    }
-
-    await alert.save()
-
-    // Schedule auto-resolve
-    alert.scheduleAutoResolve()
-
-    // Fire-and-forget: notify user's emergency contacts and nearby services (Twilio if configured)
-    ;(async () => {
-      try {
-        await notifyContacts(alert)
-      } catch (err) {
-        console.error('Failed to notify contacts:', err)
-      }
-    })()
-
     res.status(201).json({
       success: true,
       message: 'Emergency alert created successfully',
@@ -170,7 +50,8 @@ router.post('/alert', auth, async (req, res) => {
         description: alert.description,
         nearbyHospitals: alert.nearbyHospitals,
         createdAt: alert.createdAt
-      }
+      },
+      notifiedUsers
     })
   } catch (error) {
     console.error('Emergency alert error:', error)
@@ -185,7 +66,7 @@ router.post('/alert', auth, async (req, res) => {
 // @route   POST /api/emergency/respond/:alertId
 // @desc    Respond to emergency alert
 // @access  Private
-router.post('/respond/:alertId', auth, async (req, res) => {
+router.post('/respond/:alertId', auth, requireVerified('emergency_response'), async (req, res) => {
   try {
     const { alertId } = req.params
     const { message, estimatedArrival } = req.body
@@ -236,6 +117,7 @@ router.post('/respond/:alertId', auth, async (req, res) => {
     if (alert.status === 'active') {
       alert.status = 'responded'
     }
+    alert.addTimelineEvent('responded', { actor: req.user.id, note: message })
 
     await alert.save()
 
@@ -317,8 +199,10 @@ router.put('/resolve/:alertId', auth, async (req, res) => {
     alert.status = 'resolved'
     alert.resolvedAt = new Date()
     alert.resolvedBy = req.user.id
+    alert.addTimelineEvent('resolved', { actor: req.user.id })
 
     await alert.save()
+    broadcastRiderUpdate(alert.user).catch(err => console.error('Share broadcast error:', err))
 
     res.json({
       success: true,
@@ -339,6 +223,53 @@ router.put('/resolve/:alertId', auth, async (req, res) => {
   }
 })
 
+// @route   GET /api/emergency/medical/:alertId
+// @desc    Read the alert owner's medical ID (responders, while the alert is open; logged)
+// @access  Private
+router.get('/medical/:alertId', auth, async (req, res) => {
+  try {
+    const { alertId } = req.params
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database is not connected. Medical ID is unavailable.'
+      })
+    }
+
+    const alert = mongoose.Types.ObjectId.isValid(alertId) && await EmergencyAlert.findById(alertId)
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency alert not found'
+      })
+    }
+
+    if (!canReadMedicalProfile(alert, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Medical ID is only available to responders while the alert is open'
+      })
+    }
+
+    const medicalProfile = await readMedicalProfileForResponder(alert, req.user.id, req)
+
+    // Never let a browser or proxy keep a copy
+    res.set('Cache-Control', 'no-store')
+    res.json({
+      success: true,
+      medicalProfile
+    })
+  } catch (error) {
+    console.error('Responder medical ID error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load medical ID',
+      error: error.message
+    })
+  }
+})
+
 // @route   GET /api/emergency/nearby
 // @desc    Get nearby emergency alerts
 // @access  Private
@@ -567,81 +498,4 @@ router.get('/statistics', auth, async (req, res) => {
   }
 })
 
-// Helper function to find nearby hospitals using Overpass API
-async function findNearbyHospitals(latitude, longitude, radius = 20000) {
-  try {
-    const overpassQuery = `
-      [out:json][timeout:25];
-      (
-        node[amenity=hospital](around:${radius},${latitude},${longitude});
-        way[amenity=hospital](around:${radius},${latitude},${longitude});
-        node[amenity=clinic](around:${radius},${latitude},${longitude});
-        node[amenity=pharmacy](around:${radius},${latitude},${longitude});
-        node[healthcare=hospital](around:${radius},${latitude},${longitude});
-      );
-      out geom;
-    `
-
-    const overpassUrl = process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter'
-    
-    const response = await axios.post(overpassUrl, overpassQuery, {
-      headers: { 'Content-Type': 'text/plain' },
-      timeout: 30000
-    })
-
-    const facilities = response.data.elements.map(element => {
-      const tags = element.tags || {}
-      let coordinates = []
-      
-      if (element.lat && element.lon) {
-        coordinates = [element.lon, element.lat]
-      } else if (element.center) {
-        coordinates = [element.center.lon, element.center.lat]
-      }
-
-      const distance = calculateDistance(
-        latitude,
-        longitude,
-        coordinates[1],
-        coordinates[0]
-      )
-
-      return {
-        id: element.id,
-        name: tags.name || tags.brand || 'Medical Facility',
-        type: tags.amenity || tags.healthcare || 'hospital',
-        address: tags['addr:full'] || `${tags['addr:housenumber'] || ''} ${tags['addr:street'] || ''}`.trim(),
-        phone: tags.phone,
-        emergency: tags.emergency,
-        website: tags.website,
-        coordinates: coordinates,
-        distance: Math.round(distance)
-      }
-    }).filter(facility => facility.coordinates.length === 2)
-      .sort((a, b) => a.distance - b.distance)
-      .slice(0, 10) // Limit to 10 closest facilities
-
-    return facilities
-  } catch (error) {
-    console.error('Error finding hospitals:', error)
-    return []
-  }
-}
-
-// Helper function to calculate distance
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3 // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180
-  const φ2 = lat2 * Math.PI / 180
-  const Δφ = (lat2 - lat1) * Math.PI / 180
-  const Δλ = (lon2 - lon1) * Math.PI / 180
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-          Math.cos(φ1) * Math.cos(φ2) *
-          Math.sin(Δλ/2) * Math.sin(Δλ/2)
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a))
-
-  return R * c
-}
-
 export default router
\ No newline at end of file
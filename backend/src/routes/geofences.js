@@ -0,0 +1,347 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { auth } from '../middleware/auth.js'
+import Geofence, { GeofenceEvent, GEOFENCE_CATEGORIES } from '../models/Geofence.js'
+import RideGroup from '../models/RideGroup.js'
+import { findViewableSavedRoute } from '../services/savedRouteService.js'
+import {
+  MAX_GEOFENCES_PER_OWNER,
+  parseGeofenceShape,
+  parseGeofenceRules,
+  isGeofenceCategory,
+  canManageGeofence
+} from '../services/geofenceService.js'
+
+const router = express.Router()
+
+// Fences are checked against live locations kept in the database
+router.use(auth, (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      message: 'Database is not connected. Geofences are unavailable.'
+    })
+  }
+  next()
+})
+
+// Load a fence the rider can see (their own, or one of a group they ride with) or send 400/404
+async function loadGeofence(geofenceId, userId, res) {
+  if (!mongoose.Types.ObjectId.isValid(geofenceId)) {
+    res.status(400).json({ success: false, message: 'Invalid geofence ID' })
+    return null
+  }
+
+  const fence = await Geofence.findById(geofenceId)
+  let visible = !!fence && !fence.group && fence.owner.toString() === userId.toString()
+  if (fence?.group) {
+    const group = await RideGroup.findById(fence.group)
+    visible = !!group && group.status === 'active' && group.isActiveMember(userId)
+  }
+
+  if (!visible) {
+    res.status(404).json({ success: false, message: 'Geofence not found' })
+    return null
+  }
+  return fence
+}
+
+// Where riders are is tracked on the fence but not handed out with it
+const serializeGeofence = (fence) => {
+  const data = fence.toObject()
+  delete data.presence
+  return data
+}
+
+// Geometry and radius from the request body; a corridor can be drawn along a saved route
+// the rider can see. Sends 400/404 and resolves to null when the shape is unusable.
+async function buildShape(body, userId, res) {
+  const input = { ...body }
+  let savedRoute
+
+  if (body.shape === 'corridor' && body.savedRouteId) {
+    savedRoute = await findViewableSavedRoute(body.savedRouteId, userId)
+    if (!savedRoute) {
+      res.status(404).json({ success: false, message: 'Saved route not found' })
+      return null
+    }
+    input.line = savedRoute.geometry.coordinates
+  }
+
+  const shape = parseGeofenceShape(input)
+  if (shape.error) {
+    res.status(400).json({ success: false, message: shape.error })
+    return null
+  }
+  return { ...shape, savedRoute: savedRoute?._id }
+}
+
+// @route   GET /api/geofences
+// @desc    The rider's own fences and those of their groups (?groupId= for one group)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const groupIds = await RideGroup.findForUser(req.user.id, { memberStatus: 'active' }).distinct('_id')
+
+    let query = {
+      $or: [
+        { owner: req.user.id, group: null },
+        { group: { $in: groupIds } }
+      ]
+    }
+    if (req.query.groupId) {
+      if (!groupIds.some(id => id.toString() === req.query.groupId)) {
+        return res.status(404).json({ success: false, message: 'Group not found' })
+      }
+      query = { group: req.query.groupId }
+    }
+
+    const fences = await Geofence.find(query)
+      .select('-presence')
+      .sort({ group: 1, name: 1 })
+
+    res.json({
+      success: true,
+      geofences: fences
+    })
+  } catch (error) {
+    console.error('List geofences error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load geofences',
+      error: error.message
+    })
+  }
+})
+
+// @route   POST /api/geofences
+// @desc    Add a circle, polygon or route corridor with enter/exit rules
+//          (groupId makes it a group fence; group leaders only)
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { name, category = 'other', groupId, isActive } = req.body
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      })
+    }
+
+    if (!isGeofenceCategory(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of ${GEOFENCE_CATEGORIES.join(', ')}`
+      })
+    }
+
+    if (groupId) {
+      const group = mongoose.Types.ObjectId.isValid(groupId) ? await RideGroup.findById(groupId) : null
+      if (!group || group.status !== 'active' || !group.isActiveMember(req.user.id)) {
+        return res.status(404).json({ success: false, message: 'Group not found' })
+      }
+      if (!group.isLeader(req.user.id)) {
+        return res.status(403).json({ success: false, message: 'Only group leaders can add group geofences' })
+      }
+    }
+
+    const { rules, error } = parseGeofenceRules(req.body.rules, { isGroup: !!groupId })
+    if (error) {
+      return res.status(400).json({ success: false, message: error })
+    }
+
+    const owned = await Geofence.countDocuments({ owner: req.user.id })
+    if (owned >= MAX_GEOFENCES_PER_OWNER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_GEOFENCES_PER_OWNER} geofences`
+      })
+    }
+
+    const shape = await buildShape(req.body, req.user.id, res)
+    if (!shape) return
+
+    const fence = new Geofence({
+      owner: req.user.id,
+      group: groupId || undefined,
+      name,
+      category,
+      ...shape,
+      rules,
+      isActive: isActive !== false
+    })
+    await fence.save()
+
+    res.status(201).json({
+      success: true,
+      message: 'Geofence added',
+      geofence: serializeGeofence(fence)
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message })
+    }
+    console.error('Add geofence error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add geofence',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/geofences/:geofenceId
+// @desc    One fence
+// @access  Private
+router.get('/:geofenceId', async (req, res) => {
+  try {
+    const fence = await loadGeofence(req.params.geofenceId, req.user.id, res)
+    if (!fence) return
+
+    res.json({
+      success: true,
+      geofence: serializeGeofence(fence)
+    })
+  } catch (error) {
+    console.error('Get geofence error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load geofence',
+      error: error.message
+    })
+  }
+})
+
+// @route   PUT /api/geofences/:geofenceId
+// @desc    Rename, recategorise, change rules, switch on/off or redraw a fence
+// @access  Private (owner, or a leader for group fences)
+router.put('/:geofenceId', async (req, res) => {
+  try {
+    const fence = await loadGeofence(req.params.geofenceId, req.user.id, res)
+    if (!fence) return
+
+    if (!(await canManageGeofence(fence, req.user.id))) {
+      return res.status(403).json({ success: false, message: 'Only group leaders can change group geofences' })
+    }
+
+    const { name, category, rules, isActive, shape } = req.body
+
+    if (category !== undefined && !isGeofenceCategory(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of ${GEOFENCE_CATEGORIES.join(', ')}`
+      })
+    }
+
+    if (rules !== undefined) {
+      const parsed = parseGeofenceRules(rules, { isGroup: !!fence.group })
+      if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error })
+      }
+      fence.rules = parsed.rules
+    }
+
+    if (shape !== undefined) {
+      const built = await buildShape(req.body, req.user.id, res)
+      if (!built) return
+      fence.geometry = built.geometry
+      fence.radius = built.radius
+      fence.savedRoute = built.savedRoute
+      // Sides of the old shape mean nothing for the new one
+      fence.presence = []
+    }
+
+    if (name !== undefined) fence.name = name
+    if (category !== undefined) fence.category = category
+    if (isActive !== undefined) {
+      fence.isActive = isActive === true
+      if (!fence.isActive) fence.presence = []
+    }
+
+    await fence.save()
+
+    res.json({
+      success: true,
+      message: 'Geofence updated',
+      geofence: serializeGeofence(fence)
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message })
+    }
+    console.error('Update geofence error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update geofence',
+      error: error.message
+    })
+  }
+})
+
+// @route   DELETE /api/geofences/:geofenceId
+// @desc    Remove a fence and its history
+// @access  Private (owner, or a leader for group fences)
+router.delete('/:geofenceId', async (req, res) => {
+  try {
+    const fence = await loadGeofence(req.params.geofenceId, req.user.id, res)
+    if (!fence) return
+
+    if (!(await canManageGeofence(fence, req.user.id))) {
+      return res.status(403).json({ success: false, message: 'Only group leaders can remove group geofences' })
+    }
+
+    await GeofenceEvent.deleteMany({ geofence: fence._id })
+    await fence.deleteOne()
+
+    res.json({
+      success: true,
+      message: 'Geofence removed'
+    })
+  } catch (error) {
+    console.error('Delete geofence error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove geofence',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/geofences/:geofenceId/events
+// @desc    Enter/exit history, newest first (?limit=, ?before=). Group members see their
+//          own crossings; leaders see everyone's.
+// @access  Private
+router.get('/:geofenceId/events', async (req, res) => {
+  try {
+    const fence = await loadGeofence(req.params.geofenceId, req.user.id, res)
+    if (!fence) return
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+    const query = { geofence: fence._id }
+    if (!(await canManageGeofence(fence, req.user.id))) query.user = req.user.id
+    if (req.query.before) {
+      const before = new Date(req.query.before)
+      if (!isNaN(before)) query.occurredAt = { $lt: before }
+    }
+
+    const events = await GeofenceEvent.find(query)
+      .populate('user', 'name')
+      .sort({ occurredAt: -1 })
+      .limit(limit)
+
+    res.json({
+      success: true,
+      events
+    })
+  } catch (error) {
+    console.error('Geofence events error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load geofence events',
+      error: error.message
+    })
+  }
+})
+
+export default router
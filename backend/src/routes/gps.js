@@ -1,11 +1,48 @@
 import express from 'express'
-import axios from 'axios'
+import multer from 'multer'
 import { auth } from '../middleware/auth.js'
 import User from '../models/User.js'
 import Ride from '../models/Ride.js'
+import RideGroup from '../models/RideGroup.js'
+import { resetCrashDetection } from '../services/crashDetectionService.js'
+import { exportFormats, parseGPX } from '../services/trackFormatService.js'
+import RideShare from '../models/RideShare.js'
+import { disconnectRideWatchers } from '../services/socketService.js'
+import { broadcastRideUpdate, endRideShares } from '../services/rideShareService.js'
+import { resolveRideVehicle } from '../services/vehicleService.js'
+import { parseStops, planRoute, estimateRoute, AVOID_OPTIONS, ROUTE_PROFILES } from '../services/routingService.js'
+import { findViewableSavedRoute } from '../services/savedRouteService.js'
+import SavedRoute from '../models/SavedRoute.js'
+import { POI_CATEGORIES } from '../models/Poi.js'
+import { findNearbyPois } from '../services/poiService.js'
+import { parseWaypointBatch, ingestWaypoints } from '../services/waypointService.js'
+import { appendTrackPoints, deleteTracks, finaliseRideTrack, loadTrack } from '../services/trackService.js'
+import { applyMotion, notifyMotionChange, pauseRide, resumeRide, completeRide } from '../services/rideLifecycleService.js'
+import { evaluateGeofences } from '../services/geofenceService.js'
 
 const router = express.Router()
 
+// GPX uploads are parsed in memory, never written to disk
+const gpxUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
+  fileFilter: (req, file, cb) => {
+    if (!/\.gpx$/i.test(file.originalname) && !/gpx|xml/.test(file.mimetype)) {
+      return cb(new Error('Only GPX uploads are allowed'))
+    }
+    cb(null, true)
+  }
+})
+
+// A wrong file type or an oversized upload is the client's mistake: answer 400, not 500
+const acceptGpx = (req, res, next) => gpxUpload.single('file')(req, res, (err) => {
+  if (!err) return next()
+  res.status(400).json({
+    success: false,
+    message: err.code === 'LIMIT_FILE_SIZE' ? 'GPX file is too large (10 MB max)' : err.message
+  })
+})
+
 // @route   POST /api/gps/location
 // @desc    Update user's current location
 // @access  Private
@@ -31,6 +68,9 @@ router.post('/location', auth, async (req, res) => {
 
     await user.updateLocation(longitude, latitude, address)
 
+    evaluateGeofences(user._id, { coordinates: [longitude, latitude] })
+      .catch(err => console.error('Geofence check error:', err))
+
     res.json({
       success: true,
       message: 'Location updated successfully',
@@ -53,7 +93,7 @@ router.post('/location', auth, async (req, res) => {
 })
 
 // @route   GET /api/gps/route
-// @desc    Get route between two points using OSRM
+// @desc    Get route between two points (first reachable routing provider, else a straight-line estimate)
 // @access  Private
 router.get('/route', auth, async (req, res) => {
   try {
@@ -66,20 +106,26 @@ router.get('/route', auth, async (req, res) => {
       })
     }
 
-    // Use OSRM for routing
-    const osrmUrl = process.env.OSRM_URL || 'http://router.project-osrm.org'
-    const routeUrl = `${osrmUrl}/route/v1/${profile}/${startLng},${startLat};${endLng},${endLat}?steps=true&geometries=geojson&overview=full&annotations=true`
+    const { stops, error } = parseStops([
+      { latitude: startLat, longitude: startLng },
+      { latitude: endLat, longitude: endLng }
+    ])
+    if (error || !ROUTE_PROFILES.includes(profile)) {
+      return res.status(400).json({
+        success: false,
+        message: error || `Profile must be one of: ${ROUTE_PROFILES.join(', ')}`
+      })
+    }
 
-    const response = await axios.get(routeUrl)
-    
-    if (response.data.code !== 'Ok') {
+    const planned = await planRoute({ stops, profile, alternatives: false })
+    if (planned.error) {
       return res.status(400).json({
         success: false,
         message: 'Route not found'
       })
     }
 
-    const route = response.data.routes[0]
+    const [route] = planned.routes
     
     res.json({
       success: true,
@@ -87,13 +133,11 @@ router.get('/route', auth, async (req, res) => {
         distance: route.distance, // meters
         duration: route.duration, // seconds
         geometry: route.geometry,
-        steps: route.legs[0].steps.map(step => ({
-          instruction: step.maneuver.instruction,
-          distance: step.distance,
-          duration: step.duration,
-          geometry: step.geometry
-        }))
-      }
+        steps: route.legs[0].steps
+      },
+      provider: planned.provider,
+      estimated: planned.estimated,
+      warnings: planned.warnings
     })
   } catch (error) {
     console.error('Route calculation error:', error)
@@ -105,12 +149,84 @@ router.get('/route', auth, async (req, res) => {
   }
 })
 
+// @route   POST /api/gps/route/plan
+// @desc    Plan a route through ordered stops with avoid options; returns alternatives
+// @access  Private
+router.post('/route/plan', auth, async (req, res) => {
+  try {
+    const { avoid = [], profile = 'driving', alternatives = true } = req.body
+
+    const { stops, error } = parseStops(req.body.stops)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    if (!Array.isArray(avoid) || avoid.some(option => !AVOID_OPTIONS.includes(option))) {
+      return res.status(400).json({
+        success: false,
+        message: `Avoid options must be any of: ${AVOID_OPTIONS.join(', ')}`
+      })
+    }
+
+    if (!ROUTE_PROFILES.includes(profile)) {
+      return res.status(400).json({
+        success: false,
+        message: `Profile must be one of: ${ROUTE_PROFILES.join(', ')}`
+      })
+    }
+
+    const planned = await planRoute({ stops, avoid, profile, alternatives: alternatives !== false })
+    if (planned.error) {
+      return res.status(400).json({
+        success: false,
+        message: planned.error
+      })
+    }
+
+    res.json({
+      success: true,
+      stops,
+      routes: planned.routes,
+      warnings: planned.warnings,
+      provider: planned.provider,
+      estimated: planned.estimated
+    })
+  } catch (error) {
+    console.error('Route planning error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to plan route',
+      error: error.message
+    })
+  }
+})
+
 // @route   POST /api/gps/start-ride
-// @desc    Start a new ride
+// @desc    Start a new ride, optionally following a saved route (savedRouteId)
 // @access  Private
 router.post('/start-ride', auth, async (req, res) => {
   try {
-    const { startLocation, endLocation, rideType = 'solo', groupId } = req.body
+    const { rideType = 'solo', groupId, vehicleId, savedRouteId } = req.body
+    let { startLocation, endLocation } = req.body
+
+    // A saved route supplies the destination, and the start when none is given
+    let savedRoute = null
+    if (savedRouteId) {
+      savedRoute = await findViewableSavedRoute(savedRouteId, req.user.id)
+      if (!savedRoute) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved route not found'
+        })
+      }
+
+      const [first, last] = [savedRoute.stops[0], savedRoute.stops[savedRoute.stops.length - 1]]
+      startLocation = startLocation || { longitude: first.coordinates[0], latitude: first.coordinates[1], address: first.address }
+      endLocation = { longitude: last.coordinates[0], latitude: last.coordinates[1], address: last.address }
+    }
 
     if (!startLocation || !startLocation.latitude || !startLocation.longitude) {
       return res.status(400).json({
@@ -119,10 +235,10 @@ router.post('/start-ride', auth, async (req, res) => {
       })
     }
 
-    // Check if user already has an active ride
+    // Check if user already has an active ride (planned imports don't count)
     const activeRide = await Ride.findOne({
       rider: req.user.id,
-      status: { $in: ['planning', 'active', 'paused'] }
+      status: { $in: ['active', 'paused'] }
     })
 
     if (activeRide) {
@@ -132,6 +248,26 @@ router.post('/start-ride', auth, async (req, res) => {
       })
     }
 
+    // Group rides must reference a group the rider belongs to
+    if (groupId) {
+      const group = await RideGroup.findById(groupId)
+      if (!group || group.status !== 'active' || !group.isActiveMember(req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not a member of this ride group'
+        })
+      }
+    }
+
+    // Ride on the chosen bike, or the primary one from the garage
+    const { vehicle, error: vehicleError } = await resolveRideVehicle(req.user.id, vehicleId)
+    if (vehicleError) {
+      return res.status(400).json({
+        success: false,
+        message: vehicleError
+      })
+    }
+
     // Create new ride
     const ride = new Ride({
       rider: req.user.id,
@@ -146,30 +282,39 @@ router.post('/start-ride', auth, async (req, res) => {
         address: startLocation.address,
         lastUpdated: new Date()
       },
-      rideType,
+      rideType: groupId ? 'group' : rideType,
       groupId,
+      vehicle: vehicle?._id,
+      savedRoute: savedRoute?._id,
       status: 'active',
       startTime: new Date()
     })
 
-    // Add end location if provided
-    if (endLocation && endLocation.latitude && endLocation.longitude) {
+    if (savedRoute) {
+      ride.endLocation = {
+        type: 'Point',
+        coordinates: [endLocation.longitude, endLocation.latitude],
+        address: endLocation.address
+      }
+      ride.route.totalDistance = savedRoute.distance
+      ride.route.estimatedDuration = savedRoute.duration
+      ride.route.provider = savedRoute.provider
+    } else if (endLocation && endLocation.latitude && endLocation.longitude) {
+      // Add end location if provided
       ride.endLocation = {
         type: 'Point',
         coordinates: [endLocation.longitude, endLocation.latitude],
         address: endLocation.address
       }
 
-      // Calculate route
+      // Calculate route (falls back to a straight-line estimate offline)
       try {
-        const osrmUrl = process.env.OSRM_URL || 'http://router.project-osrm.org'
-        const routeUrl = `${osrmUrl}/route/v1/driving/${startLocation.longitude},${startLocation.latitude};${endLocation.longitude},${endLocation.latitude}?overview=false`
-        
-        const routeResponse = await axios.get(routeUrl)
-        if (routeResponse.data.code === 'Ok') {
-          const routeData = routeResponse.data.routes[0]
-          ride.route.totalDistance = routeData.distance
-          ride.route.estimatedDuration = routeData.duration
+        const { stops } = parseStops([startLocation, endLocation])
+        const estimate = stops && await estimateRoute(stops)
+        if (estimate) {
+          ride.route.totalDistance = estimate.distance
+          ride.route.estimatedDuration = estimate.duration
+          ride.route.provider = estimate.provider
         }
       } catch (routeError) {
         console.error('Route calculation error:', routeError)
@@ -179,6 +324,10 @@ router.post('/start-ride', auth, async (req, res) => {
 
     await ride.save()
 
+    if (savedRoute) {
+      await SavedRoute.updateOne({ _id: savedRoute._id }, { $inc: { timesRidden: 1 } })
+    }
+
     // Update user status
     await User.findByIdAndUpdate(req.user.id, {
       isRiding: true,
@@ -221,41 +370,60 @@ router.put('/update-ride/:rideId', auth, async (req, res) => {
       })
     }
 
+    const now = new Date()
+    let motionChange = null
+
     // Update current location
     if (location && location.latitude && location.longitude) {
       ride.currentLocation = {
         type: 'Point',
         coordinates: [location.longitude, location.latitude],
         address: location.address,
-        lastUpdated: new Date()
+        lastUpdated: now
       }
 
       // Add waypoint
-      ride.route.waypoints.push({
+      const waypoint = {
         coordinates: [location.longitude, location.latitude],
-        timestamp: new Date(),
-        speed: speed || 0,
+        timestamp: now,
+        speed: typeof speed === 'number' ? speed : undefined,
         heading: heading || 0
-      })
+      }
+      const { inserted } = await appendTrackPoints(ride._id, [waypoint])
+      ride.route.pointCount += inserted.length
+      motionChange = applyMotion(ride, [waypoint])
+
+      evaluateGeofences(req.user.id, waypoint)
+        .catch(err => console.error('Geofence check error:', err))
     }
 
     // Update status if provided
-    if (status) {
-      ride.status = status
-      
-      if (status === 'completed') {
-        ride.endTime = new Date()
-        ride.calculateStats()
-        
-        // Update user stats
-        await User.findByIdAndUpdate(req.user.id, {
-          isRiding: false,
-          $inc: { 'stats.totalDistance': ride.route.totalDistance || 0 }
-        })
+    if (status === 'completed') {
+      // Saves the ride and settles stats, odometer and share links
+      await completeRide(ride, now)
+    } else {
+      if (status === 'paused') {
+        pauseRide(ride, now)
+      } else if (status === 'active') {
+        resumeRide(ride, now)
+      } else if (status) {
+        ride.status = status
       }
-    }
 
-    await ride.save()
+      if (status === 'cancelled') {
+        resetCrashDetection(req.user.id)
+      }
+
+      await ride.save()
+      notifyMotionChange(ride, motionChange)
+
+      // Share links follow the ride: update guardians, or end the links with the ride
+      if (ride.status === 'cancelled') {
+        endRideShares(ride._id).catch(err => console.error('End ride shares error:', err))
+      } else {
+        broadcastRideUpdate(ride._id).catch(err => console.error('Share broadcast error:', err))
+      }
+    }
 
     res.json({
       success: true,
@@ -272,8 +440,45 @@ router.put('/update-ride/:rideId', auth, async (req, res) => {
   }
 })
 
+// @route   POST /api/gps/rides/:rideId/waypoints
+// @desc    Upload a batch of track points (array or encoded polyline with device times)
+// @access  Private
+router.post('/rides/:rideId/waypoints', auth, async (req, res) => {
+  try {
+    const batch = parseWaypointBatch(req.body)
+    if (batch.error) {
+      return res.status(400).json({ success: false, message: batch.error })
+    }
+
+    const result = await ingestWaypoints({ userId: req.user.id, rideId: req.params.rideId, points: batch.points })
+
+    if (result.accepted > 0) {
+      broadcastRideUpdate(req.params.rideId).catch(err => console.error('Share broadcast error:', err))
+    }
+
+    res.json({
+      success: true,
+      accepted: result.accepted,
+      duplicates: result.duplicates,
+      rejected: result.rejected + batch.invalid,
+      currentLocation: result.currentLocation,
+      status: result.status
+    })
+  } catch (error) {
+    if (error.message === 'Active ride not found') {
+      return res.status(404).json({ success: false, message: error.message })
+    }
+    console.error('Waypoint upload error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to store waypoints',
+      error: error.message
+    })
+  }
+})
+
 // @route   GET /api/gps/nearby-pois
-// @desc    Get nearby points of interest using Overpass API
+// @desc    Get nearby points of interest from the tile cache (filled from Overpass)
 // @access  Private
 router.get('/nearby-pois', auth, async (req, res) => {
   try {
@@ -286,70 +491,38 @@ router.get('/nearby-pois', auth, async (req, res) => {
       })
     }
 
-    // Define Overpass query based on type
-    const queries = {
-      fuel: '[amenity=fuel]',
-      repair: '[shop=motorcycle_repair]|[shop=car_repair]',
-      medical: '[amenity=hospital]|[amenity=pharmacy]|[amenity=clinic]',
-      food: '[amenity=restaurant]|[amenity=fast_food]|[amenity=cafe]',
-      parking: '[amenity=parking]',
-      atm: '[amenity=atm]|[amenity=bank]'
-    }
-
-    const query = queries[type] || queries.fuel
-    const radiusMeters = Math.min(parseInt(radius), 10000) // Max 10km
+    const category = POI_CATEGORIES.includes(type) ? type : 'fuel'
+    const radiusMeters = Math.min(parseInt(radius) || 5000, 10000) // Max 10km
 
-    const overpassQuery = `
-      [out:json][timeout:25];
-      (
-        node${query}(around:${radiusMeters},${latitude},${longitude});
-        way${query}(around:${radiusMeters},${latitude},${longitude});
-        relation${query}(around:${radiusMeters},${latitude},${longitude});
-      );
-      out geom;
-    `
-
-    const overpassUrl = process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter'
-    
-    const response = await axios.post(overpassUrl, overpassQuery, {
-      headers: { 'Content-Type': 'text/plain' },
-      timeout: 30000
-    })
-
-    const pois = response.data.elements.map(element => {
-      const tags = element.tags || {}
-      let coordinates = []
-      
-      if (element.lat && element.lon) {
-        coordinates = [element.lon, element.lat]
-      } else if (element.center) {
-        coordinates = [element.center.lon, element.center.lat]
-      }
+    const { pois: found, complete, stale } = await findNearbyPois({
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      radius: radiusMeters,
+      category,
+      limit: 20
+    })
 
+    const pois = found.map(poi => {
+      const [osmType, osmId] = poi.osmId.split('/')
       return {
-        id: element.id,
-        type: element.type,
-        name: tags.name || tags.brand || 'Unknown',
-        address: tags['addr:full'] || `${tags['addr:housenumber'] || ''} ${tags['addr:street'] || ''}`.trim(),
-        phone: tags.phone,
-        website: tags.website,
-        openingHours: tags.opening_hours,
-        coordinates: coordinates,
-        distance: calculateDistance(
-          parseFloat(latitude),
-          parseFloat(longitude),
-          coordinates[1],
-          coordinates[0]
-        )
+        id: parseInt(osmId),
+        type: osmType,
+        name: poi.name || 'Unknown',
+        address: poi.address || '',
+        phone: poi.phone,
+        website: poi.website,
+        openingHours: poi.openingHours,
+        coordinates: poi.location.coordinates,
+        distance: poi.distance
       }
-    }).filter(poi => poi.coordinates.length === 2)
-      .sort((a, b) => a.distance - b.distance)
-      .slice(0, 20) // Limit to 20 results
+    })
 
     res.json({
       success: true,
       pois: pois,
-      count: pois.length
+      count: pois.length,
+      complete,
+      stale
     })
   } catch (error) {
     console.error('POI search error:', error)
@@ -377,7 +550,6 @@ router.get('/ride-history', auth, async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
-      .select('-route.waypoints') // Exclude detailed waypoints for list view
 
     const total = await Ride.countDocuments(query)
 
@@ -401,6 +573,310 @@ router.get('/ride-history', auth, async (req, res) => {
   }
 })
 
+// @route   POST /api/gps/rides/:rideId/share
+// @desc    Create a time-limited public link to follow an active ride
+// @access  Private
+router.post('/rides/:rideId/share', auth, async (req, res) => {
+  try {
+    const { rideId } = req.params
+    const { label, expiresInMinutes = 240 } = req.body
+
+    const ride = await Ride.findOne({
+      _id: rideId,
+      rider: req.user.id,
+      status: { $in: ['active', 'paused'] }
+    })
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active ride not found'
+      })
+    }
+
+    // Between 5 minutes and 24 hours
+    const minutes = Math.min(Math.max(parseInt(expiresInMinutes) || 240, 5), 24 * 60)
+
+    const { share, token } = await RideShare.issue({
+      ride: ride._id,
+      rider: req.user.id,
+      label,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    })
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173'
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      share: {
+        id: share._id,
+        label: share.label,
+        expiresAt: share.expiresAt,
+        token,
+        url: `${frontendUrl}/track/${token}`
+      }
+    })
+  } catch (error) {
+    console.error('Create share link error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create share link',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/gps/rides/:rideId/shares
+// @desc    List live share links for a ride
+// @access  Private
+router.get('/rides/:rideId/shares', auth, async (req, res) => {
+  try {
+    const shares = await RideShare.find({
+      ride: req.params.rideId,
+      rider: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).select('-tokenHash').sort({ createdAt: -1 })
+
+    res.json({
+      success: true,
+      shares
+    })
+  } catch (error) {
+    console.error('List share links error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch share links',
+      error: error.message
+    })
+  }
+})
+
+// @route   DELETE /api/gps/shares/:shareId
+// @desc    Revoke a share link
+// @access  Private
+router.delete('/shares/:shareId', auth, async (req, res) => {
+  try {
+    const share = await RideShare.findOne({ _id: req.params.shareId, rider: req.user.id })
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      })
+    }
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date()
+      await share.save()
+    }
+
+    disconnectRideWatchers(share.ride, 'revoked', share._id)
+
+    res.json({
+      success: true,
+      message: 'Share link revoked'
+    })
+  } catch (error) {
+    console.error('Revoke share link error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke share link',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/gps/rides/:rideId/export
+// @desc    Export a completed ride as GPX, KML or GeoJSON (`track`: raw or cleaned)
+// @access  Private
+router.get('/rides/:rideId/export', auth, async (req, res) => {
+  try {
+    const { rideId } = req.params
+    const { format = 'gpx', track = 'raw' } = req.query
+
+    if (!['raw', 'cleaned'].includes(track)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Track must be raw or cleaned'
+      })
+    }
+
+    const exporter = exportFormats[format.toLowerCase()]
+    if (!exporter) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported format. Use one of: ${Object.keys(exportFormats).join(', ')}`
+      })
+    }
+
+    const ride = await Ride.findOne({ _id: rideId, rider: req.user.id })
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      })
+    }
+
+    if (ride.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed rides can be exported'
+      })
+    }
+
+    res.set('Content-Type', exporter.contentType)
+    res.set('Content-Disposition', `attachment; filename="ride-${ride._id}.${exporter.extension}"`)
+    // Rides completed before cleaning existed only have the raw track
+    const cleaned = track === 'cleaned' && ride.route.processing?.processedAt
+    res.send(exporter.render(ride, await loadTrack(ride._id, { cleaned: !!cleaned })))
+  } catch (error) {
+    console.error('Ride export error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export ride',
+      error: error.message
+    })
+  }
+})
+
+// @route   POST /api/gps/rides/import
+// @desc    Import a GPX file as a planned or completed ride
+// @access  Private
+router.post('/rides/import', auth, acceptGpx, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No GPX file uploaded'
+      })
+    }
+
+    let parsed
+    try {
+      parsed = parseGPX(req.file.buffer.toString('utf8'))
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      })
+    }
+
+    const { points } = parsed
+    if (points.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'GPX file must contain at least two track or route points'
+      })
+    }
+
+    const timed = points.every(p => p.timestamp)
+    const status = req.body.status || (timed ? 'completed' : 'planning')
+
+    if (!['planning', 'completed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be planning or completed'
+      })
+    }
+
+    if (status === 'completed' && !timed) {
+      return res.status(400).json({
+        success: false,
+        message: 'A completed ride needs timestamps on every point'
+      })
+    }
+
+    if (timed) {
+      points.sort((a, b) => a.timestamp - b.timestamp)
+
+      // Derive speed where the file doesn't carry it
+      for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1]
+        const curr = points[i]
+        if (typeof curr.speed !== 'number') {
+          const seconds = (curr.timestamp - prev.timestamp) / 1000
+          const meters = calculateDistance(prev.latitude, prev.longitude, curr.latitude, curr.longitude)
+          curr.speed = seconds > 0 ? Math.round((meters / seconds) * 3.6 * 100) / 100 : 0
+        }
+      }
+    }
+
+    const first = points[0]
+    const last = points[points.length - 1]
+
+    const ride = new Ride({
+      rider: req.user.id,
+      source: 'imported',
+      status,
+      startLocation: {
+        type: 'Point',
+        coordinates: [first.longitude, first.latitude]
+      },
+      endLocation: {
+        type: 'Point',
+        coordinates: [last.longitude, last.latitude]
+      },
+      notes: parsed.name || req.file.originalname
+    })
+
+    // Track points are keyed by time; untimed route points get placeholder times in file order
+    const importedAt = Date.now()
+    const track = points.map((p, i) => ({
+      coordinates: [p.longitude, p.latitude],
+      timestamp: timed ? p.timestamp : new Date(importedAt + i * 1000),
+      speed: p.speed,
+      heading: p.heading
+    }))
+
+    await ride.save()
+    try {
+      await appendTrackPoints(ride._id, track)
+    } catch (error) {
+      await deleteTracks([ride._id])
+      await Ride.deleteOne({ _id: ride._id })
+      throw error
+    }
+
+    if (status === 'completed') {
+      ride.startTime = first.timestamp
+      ride.endTime = last.timestamp
+    }
+
+    await finaliseRideTrack(ride)
+
+    if (status !== 'completed') {
+      // Planned routes have no recorded speeds; elevation still applies
+      ride.metrics.averageSpeed = undefined
+      ride.metrics.maxSpeed = undefined
+    }
+
+    await ride.save()
+
+    res.status(201).json({
+      success: true,
+      message: 'Ride imported successfully',
+      ride: {
+        id: ride._id,
+        status: ride.status,
+        name: ride.notes,
+        points: ride.route.pointCount,
+        totalDistance: ride.route.totalDistance,
+        actualDuration: ride.route.actualDuration,
+        startTime: ride.startTime,
+        endTime: ride.endTime
+      }
+    })
+  } catch (error) {
+    console.error('Ride import error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import ride',
+      error: error.message
+    })
+  }
+})
+
 // Helper function to calculate distance
 function calculateDistance(lat1, lon1, lat2, lon2) {
   const R = 6371e3 // Earth's radius in meters
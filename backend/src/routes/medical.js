@@ -0,0 +1,131 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { auth } from '../middleware/auth.js'
+import MedicalProfile from '../models/MedicalProfile.js'
+import MedicalAccessLog from '../models/MedicalAccessLog.js'
+import {
+  sanitizeMedicalProfile,
+  getMedicalProfile,
+  saveMedicalProfile
+} from '../services/medicalService.js'
+
+const router = express.Router()
+
+// Medical data is never served from demo mode
+router.use(auth, (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      message: 'Database is not connected. Medical ID is unavailable.'
+    })
+  }
+  next()
+})
+
+// @route   GET /api/medical
+// @desc    Get my medical ID
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const medicalProfile = await getMedicalProfile(req.user.id)
+
+    res.json({
+      success: true,
+      medicalProfile
+    })
+  } catch (error) {
+    console.error('Get medical profile error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load medical ID',
+      error: error.message
+    })
+  }
+})
+
+// @route   PUT /api/medical
+// @desc    Replace my medical ID (blood group, allergies, conditions, medications, insurance, notes)
+// @access  Private
+router.put('/', async (req, res) => {
+  try {
+    const { profile, error } = sanitizeMedicalProfile(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    const medicalProfile = await saveMedicalProfile(req.user.id, profile)
+
+    res.json({
+      success: true,
+      message: 'Medical ID saved',
+      medicalProfile
+    })
+  } catch (error) {
+    console.error('Save medical profile error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save medical ID',
+      error: error.message
+    })
+  }
+})
+
+// @route   DELETE /api/medical
+// @desc    Delete my medical ID
+// @access  Private
+router.delete('/', async (req, res) => {
+  try {
+    await MedicalProfile.deleteOne({ user: req.user.id })
+
+    res.json({
+      success: true,
+      message: 'Medical ID deleted'
+    })
+  } catch (error) {
+    console.error('Delete medical profile error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete medical ID',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/medical/access-log
+// @desc    Who read my medical ID, and during which alert
+// @access  Private
+router.get('/access-log', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+
+    const [entries, total] = await Promise.all([
+      MedicalAccessLog.find({ owner: req.user.id })
+        .select('-userAgent')
+        .populate('accessor', 'name avatar')
+        .populate('alert', 'type severity status createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      MedicalAccessLog.countDocuments({ owner: req.user.id })
+    ])
+
+    res.json({
+      success: true,
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    })
+  } catch (error) {
+    console.error('Medical access log error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load access log',
+      error: error.message
+    })
+  }
+})
+
+export default router
@@ -1,5 +1,5 @@
 import express from 'express'
-import { auth } from '../middleware/auth.js'
+import { auth, requireVerified } from '../middleware/auth.js'
 import mongoose from 'mongoose'
 import { Reward, Leaderboard, Achievement } from '../models/Reward.js'
 import User from '../models/User.js'
@@ -264,7 +264,7 @@ router.get('/activity-points', auth, async (req, res) => {
 // @route   POST /api/rewards/redeem
 // @desc    Redeem points for rewards
 // @access  Private
-router.post('/redeem', auth, async (req, res) => {
+router.post('/redeem', auth, requireVerified('rewards_redeem'), async (req, res) => {
   try {
     const { itemId, pointsCost } = req.body
 
@@ -0,0 +1,475 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { auth } from '../middleware/auth.js'
+import RideGroup from '../models/RideGroup.js'
+import User from '../models/User.js'
+import { emitToUser, emitToRoom, removeUserFromRoom, clearRoom } from '../services/socketService.js'
+
+const router = express.Router()
+
+// Load an active group or send 404
+async function loadGroup(groupId, res) {
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    res.status(400).json({ success: false, message: 'Invalid group ID' })
+    return null
+  }
+
+  const group = await RideGroup.findById(groupId)
+  if (!group || group.status !== 'active') {
+    res.status(404).json({ success: false, message: 'Ride group not found' })
+    return null
+  }
+
+  return group
+}
+
+// @route   POST /api/rides/groups
+// @desc    Create a ride group (creator becomes leader)
+// @access  Private
+router.post('/groups', auth, async (req, res) => {
+  try {
+    const { name, description, meetingPoint, scheduledAt, invite } = req.body
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Group name is required'
+      })
+    }
+
+    const group = new RideGroup({
+      name,
+      description,
+      createdBy: req.user.id,
+      scheduledAt,
+      members: [{
+        user: req.user.id,
+        role: 'leader',
+        status: 'active',
+        joinedAt: new Date()
+      }]
+    })
+
+    if (meetingPoint && meetingPoint.latitude && meetingPoint.longitude) {
+      group.meetingPoint = {
+        type: 'Point',
+        coordinates: [meetingPoint.longitude, meetingPoint.latitude],
+        address: meetingPoint.address
+      }
+    }
+
+    // Optional initial invites
+    if (Array.isArray(invite)) {
+      const invitees = await User.find({
+        _id: { $in: invite.filter(id => mongoose.Types.ObjectId.isValid(id) && id !== req.user.id.toString()) },
+        isActive: true
+      }).select('_id')
+
+      invitees.forEach(u => {
+        group.members.push({ user: u._id, invitedBy: req.user.id })
+      })
+    }
+
+    await group.save()
+    await group.populate('members.user', 'name avatar')
+
+    group.members
+      .filter(m => m.status === 'invited')
+      .forEach(m => emitToUser(m.user._id, 'ride-group-invite', {
+        groupId: group._id,
+        name: group.name,
+        invitedBy: req.user.id
+      }))
+
+    res.status(201).json({
+      success: true,
+      message: 'Ride group created successfully',
+      group
+    })
+  } catch (error) {
+    console.error('Create ride group error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create ride group',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/rides/groups
+// @desc    Get user's ride groups and pending invites
+// @access  Private
+router.get('/groups', auth, async (req, res) => {
+  try {
+    const groups = await RideGroup.findForUser(req.user.id)
+      .sort({ updatedAt: -1 })
+      .populate('members.user', 'name avatar isOnline')
+
+    const active = []
+    const invites = []
+    groups.forEach(group => {
+      const member = group.getMember(req.user.id)
+      if (member.status === 'active') {
+        active.push(group)
+      } else {
+        invites.push(group)
+      }
+    })
+
+    res.json({
+      success: true,
+      groups: active,
+      invites
+    })
+  } catch (error) {
+    console.error('Get ride groups error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ride groups',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/rides/groups/:groupId
+// @desc    Get a ride group
+// @access  Private (members and invitees)
+router.get('/groups/:groupId', auth, async (req, res) => {
+  try {
+    const group = await loadGroup(req.params.groupId, res)
+    if (!group) return
+
+    if (!group.getMember(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a member of this ride group'
+      })
+    }
+
+    await group.populate('members.user', 'name avatar isOnline isRiding')
+
+    res.json({
+      success: true,
+      group
+    })
+  } catch (error) {
+    console.error('Get ride group error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ride group',
+      error: error.message
+    })
+  }
+})
+
+// @route   POST /api/rides/groups/:groupId/invite
+// @desc    Invite users to a ride group
+// @access  Private (leader)
+router.post('/groups/:groupId/invite', auth, async (req, res) => {
+  try {
+    const { userIds } = req.body
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'userIds array is required'
+      })
+    }
+
+    const group = await loadGroup(req.params.groupId, res)
+    if (!group) return
+
+    if (!group.isLeader(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group leader can invite riders'
+      })
+    }
+
+    const validIds = [...new Set(userIds.filter(id => mongoose.Types.ObjectId.isValid(id)))]
+    const invitees = await User.find({ _id: { $in: validIds }, isActive: true }).select('_id')
+    const toInvite = invitees
+      .map(u => u._id)
+      .filter(id => !group.getMember(id))
+
+    if (group.members.length + toInvite.length > group.settings.maxMembers) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ride group has reached maximum member limit'
+      })
+    }
+
+    toInvite.forEach(id => {
+      group.members.push({ user: id, invitedBy: req.user.id })
+    })
+
+    await group.save()
+
+    toInvite.forEach(id => emitToUser(id, 'ride-group-invite', {
+      groupId: group._id,
+      name: group.name,
+      invitedBy: req.user.id
+    }))
+
+    res.json({
+      success: true,
+      message: 'Invites sent',
+      invited: toInvite
+    })
+  } catch (error) {
+    console.error('Invite to ride group error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send invites',
+      error: error.message
+    })
+  }
+})
+
+// @route   POST /api/rides/groups/:groupId/accept
+// @desc    Accept an invite to a ride group
+// @access  Private (invitee)
+router.post('/groups/:groupId/accept', auth, async (req, res) => {
+  try {
+    const group = await loadGroup(req.params.groupId, res)
+    if (!group) return
+
+    const member = group.getMember(req.user.id)
+    if (!member || member.status !== 'invited') {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending invite for this ride group'
+      })
+    }
+
+    member.status = 'active'
+    member.joinedAt = new Date()
+    await group.save()
+
+    emitToRoom(`ride_${group._id}`, 'ride-group-member-joined', {
+      groupId: group._id,
+      userId: req.user.id
+    })
+
+    res.json({
+      success: true,
+      message: 'Joined ride group successfully',
+      group
+    })
+  } catch (error) {
+    console.error('Accept ride group invite error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invite',
+      error: error.message
+    })
+  }
+})
+
+// @route   POST /api/rides/groups/:groupId/leave
+// @desc    Leave a ride group or decline an invite
+// @access  Private (member)
+router.post('/groups/:groupId/leave', auth, async (req, res) => {
+  try {
+    const group = await loadGroup(req.params.groupId, res)
+    if (!group) return
+
+    const member = group.getMember(req.user.id)
+    if (!member) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not a member of this ride group'
+      })
+    }
+
+    if (member.role === 'leader' && member.status === 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Leader must hand over leadership or disband the group'
+      })
+    }
+
+    group.members = group.members.filter(m => m.user.toString() !== req.user.id.toString())
+    await group.save()
+
+    removeUserFromRoom(req.user.id, `ride_${group._id}`)
+    emitToRoom(`ride_${group._id}`, 'user-left-ride', {
+      userId: req.user.id,
+      timestamp: new Date()
+    })
+
+    res.json({
+      success: true,
+      message: 'Left ride group successfully'
+    })
+  } catch (error) {
+    console.error('Leave ride group error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave ride group',
+      error: error.message
+    })
+  }
+})
+
+// @route   PUT /api/rides/groups/:groupId/members/:userId/role
+// @desc    Change a member's role (sweep, member, or hand over leader)
+// @access  Private (leader)
+router.put('/groups/:groupId/members/:userId/role', auth, async (req, res) => {
+  try {
+    const { role } = req.body
+
+    if (!['leader', 'sweep', 'member'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be leader, sweep or member'
+      })
+    }
+
+    const group = await loadGroup(req.params.groupId, res)
+    if (!group) return
+
+    if (!group.isLeader(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group leader can change roles'
+      })
+    }
+
+    const member = group.getMember(req.params.userId)
+    if (!member || member.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      })
+    }
+
+    // A group always has a leader: step down by handing leader to someone else
+    if (member.user.toString() === req.user.id.toString() && role !== 'leader') {
+      return res.status(400).json({
+        success: false,
+        message: 'Hand over leader to another member instead of stepping down'
+      })
+    }
+
+    if (role === 'leader') {
+      // Hand over leadership; previous leader becomes a regular member
+      group.getMember(req.user.id).role = 'member'
+    }
+    member.role = role
+
+    await group.save()
+
+    emitToRoom(`ride_${group._id}`, 'ride-group-role-changed', {
+      groupId: group._id,
+      userId: req.params.userId,
+      role
+    })
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      members: group.members
+    })
+  } catch (error) {
+    console.error('Change ride group role error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change role',
+      error: error.message
+    })
+  }
+})
+
+// @route   DELETE /api/rides/groups/:groupId/members/:userId
+// @desc    Kick a member or revoke an invite
+// @access  Private (leader)
+router.delete('/groups/:groupId/members/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params
+
+    const group = await loadGroup(req.params.groupId, res)
+    if (!group) return
+
+    if (!group.isLeader(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group leader can remove members'
+      })
+    }
+
+    if (userId === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Leader cannot remove themselves'
+      })
+    }
+
+    if (!group.getMember(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      })
+    }
+
+    group.members = group.members.filter(m => m.user.toString() !== userId)
+    await group.save()
+
+    removeUserFromRoom(userId, `ride_${group._id}`)
+    emitToUser(userId, 'ride-group-removed', { groupId: group._id })
+    emitToRoom(`ride_${group._id}`, 'user-left-ride', {
+      userId,
+      timestamp: new Date()
+    })
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    })
+  } catch (error) {
+    console.error('Kick ride group member error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member',
+      error: error.message
+    })
+  }
+})
+
+// @route   DELETE /api/rides/groups/:groupId
+// @desc    Disband a ride group
+// @access  Private (leader)
+router.delete('/groups/:groupId', auth, async (req, res) => {
+  try {
+    const group = await loadGroup(req.params.groupId, res)
+    if (!group) return
+
+    if (!group.isLeader(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group leader can disband the group'
+      })
+    }
+
+    group.status = 'disbanded'
+    group.disbandedAt = new Date()
+    await group.save()
+
+    emitToRoom(`ride_${group._id}`, 'ride-group-disbanded', { groupId: group._id })
+    clearRoom(`ride_${group._id}`)
+
+    res.json({
+      success: true,
+      message: 'Ride group disbanded'
+    })
+  } catch (error) {
+    console.error('Disband ride group error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disband ride group',
+      error: error.message
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,287 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { auth } from '../middleware/auth.js'
+import SavedRoute, { ROUTE_VISIBILITIES } from '../models/SavedRoute.js'
+import RideGroup from '../models/RideGroup.js'
+import { parseStops, planRoute, AVOID_OPTIONS, ROUTE_PROFILES } from '../services/routingService.js'
+import { plannedRouteFields, routeStops, findViewableSavedRoute } from '../services/savedRouteService.js'
+
+const router = express.Router()
+
+const MAX_TAGS = 10
+
+// Saved routes live in the database only
+router.use(auth, (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      message: 'Database is not connected. Saved routes are unavailable.'
+    })
+  }
+  next()
+})
+
+// Validate name/description/tags/visibility from a request body.
+// Resolves to { fields } or { error }; with `partial`, only given fields are checked.
+async function parseRouteDetails(body, userId, { partial = false } = {}) {
+  const fields = {}
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Route name is required' }
+    }
+    fields.name = body.name.trim()
+  }
+
+  if (body.description !== undefined) fields.description = body.description
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.length > MAX_TAGS || body.tags.some(t => typeof t !== 'string')) {
+      return { error: `Tags must be a list of up to ${MAX_TAGS} words` }
+    }
+    fields.tags = [...new Set(body.tags.map(t => t.trim().toLowerCase()).filter(Boolean))]
+  }
+
+  if (body.visibility !== undefined) {
+    if (!ROUTE_VISIBILITIES.includes(body.visibility)) {
+      return { error: `Visibility must be one of: ${ROUTE_VISIBILITIES.join(', ')}` }
+    }
+    fields.visibility = body.visibility
+  }
+
+  if (fields.visibility === 'group') {
+    const group = mongoose.Types.ObjectId.isValid(body.groupId) && await RideGroup.findById(body.groupId)
+    if (!group || group.status !== 'active' || !group.isActiveMember(userId)) {
+      return { error: 'Group routes need a ride group you belong to' }
+    }
+    fields.group = group._id
+  } else if (fields.visibility) {
+    fields.group = undefined
+  }
+
+  return { fields }
+}
+
+// Validate stops/avoid/profile and plan them; resolves to { fields } or { error }
+async function planRouteFields({ stops: rawStops, avoid = [], profile = 'driving', alternative = 0 }) {
+  const { stops, error } = parseStops(rawStops)
+  if (error) return { error }
+
+  if (!Array.isArray(avoid) || avoid.some(option => !AVOID_OPTIONS.includes(option))) {
+    return { error: `Avoid options must be any of: ${AVOID_OPTIONS.join(', ')}` }
+  }
+
+  if (!ROUTE_PROFILES.includes(profile)) {
+    return { error: `Profile must be one of: ${ROUTE_PROFILES.join(', ')}` }
+  }
+
+  const planned = await planRoute({ stops, avoid, profile, alternatives: alternative > 0 })
+  if (planned.error) return { error: planned.error }
+
+  const chosen = planned.routes[Math.min(Math.max(parseInt(alternative) || 0, 0), planned.routes.length - 1)]
+  return { fields: plannedRouteFields({ stops, avoid, profile, provider: planned.provider }, chosen), warnings: planned.warnings }
+}
+
+// @route   GET /api/routes
+// @desc    Saved routes library: scope mine (default), shared (my ride groups) or public; filter by tag or name
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { scope = 'mine', tag, q } = req.query
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50)
+
+    let query
+    if (scope === 'public') {
+      query = { visibility: 'public' }
+    } else if (scope === 'shared') {
+      const groupIds = await RideGroup.find({
+        status: 'active',
+        members: { $elemMatch: { user: req.user.id, status: 'active' } }
+      }).distinct('_id')
+      query = { visibility: 'group', group: { $in: groupIds } }
+    } else {
+      query = { owner: req.user.id }
+    }
+
+    if (tag) query.tags = String(tag).toLowerCase()
+    if (q) query.name = { $regex: String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' }
+
+    const [routes, total] = await Promise.all([
+      SavedRoute.find(query)
+        .select('-geometry')
+        .populate('owner', 'name avatar')
+        .populate('group', 'name')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SavedRoute.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      routes,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    })
+  } catch (error) {
+    console.error('List saved routes error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load saved routes',
+      error: error.message
+    })
+  }
+})
+
+// @route   POST /api/routes
+// @desc    Plan and save a route (stops, avoid, profile, alternative index from the planner)
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const details = await parseRouteDetails(req.body, req.user.id)
+    if (details.error) {
+      return res.status(400).json({ success: false, message: details.error })
+    }
+
+    const planned = await planRouteFields(req.body)
+    if (planned.error) {
+      return res.status(400).json({ success: false, message: planned.error })
+    }
+
+    const route = await SavedRoute.create({
+      ...details.fields,
+      ...planned.fields,
+      owner: req.user.id
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Route saved',
+      route,
+      warnings: planned.warnings
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message })
+    }
+    console.error('Save route error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save route',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/routes/:routeId
+// @desc    A saved route with its geometry
+// @access  Private (owner, group members or anyone for public routes)
+router.get('/:routeId', async (req, res) => {
+  try {
+    const route = await findViewableSavedRoute(req.params.routeId, req.user.id)
+    if (!route) {
+      return res.status(404).json({ success: false, message: 'Route not found' })
+    }
+
+    await route.populate([
+      { path: 'owner', select: 'name avatar' },
+      { path: 'group', select: 'name' }
+    ])
+
+    res.json({
+      success: true,
+      route
+    })
+  } catch (error) {
+    console.error('Get saved route error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load route',
+      error: error.message
+    })
+  }
+})
+
+// @route   PUT /api/routes/:routeId
+// @desc    Edit a saved route; new stops, avoid options or profile re-plan it
+// @access  Private (owner)
+router.put('/:routeId', async (req, res) => {
+  try {
+    const route = mongoose.Types.ObjectId.isValid(req.params.routeId) &&
+      await SavedRoute.findOne({ _id: req.params.routeId, owner: req.user.id })
+    if (!route) {
+      return res.status(404).json({ success: false, message: 'Route not found' })
+    }
+
+    const details = await parseRouteDetails(
+      { ...req.body, groupId: req.body.groupId ?? route.group },
+      req.user.id,
+      { partial: true }
+    )
+    if (details.error) {
+      return res.status(400).json({ success: false, message: details.error })
+    }
+
+    let warnings = []
+    if (['stops', 'avoid', 'profile'].some(field => req.body[field] !== undefined)) {
+      const planned = await planRouteFields({
+        stops: req.body.stops ?? routeStops(route),
+        avoid: req.body.avoid ?? route.avoid,
+        profile: req.body.profile ?? route.profile,
+        alternative: req.body.alternative
+      })
+      if (planned.error) {
+        return res.status(400).json({ success: false, message: planned.error })
+      }
+      route.set(planned.fields)
+      warnings = planned.warnings
+    }
+
+    route.set(details.fields)
+    await route.save()
+
+    res.json({
+      success: true,
+      message: 'Route updated',
+      route,
+      warnings
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message })
+    }
+    console.error('Update saved route error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update route',
+      error: error.message
+    })
+  }
+})
+
+// @route   DELETE /api/routes/:routeId
+// @desc    Delete a saved route (rides started from it keep their data)
+// @access  Private (owner)
+router.delete('/:routeId', async (req, res) => {
+  try {
+    const result = mongoose.Types.ObjectId.isValid(req.params.routeId) &&
+      await SavedRoute.deleteOne({ _id: req.params.routeId, owner: req.user.id })
+    if (!result?.deletedCount) {
+      return res.status(404).json({ success: false, message: 'Route not found' })
+    }
+
+    res.json({
+      success: true,
+      message: 'Route deleted'
+    })
+  } catch (error) {
+    console.error('Delete saved route error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete route',
+      error: error.message
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,51 @@
+import express from 'express'
+import Ride from '../models/Ride.js'
+import RideShare from '../models/RideShare.js'
+import { buildShareSnapshot } from '../services/rideShareService.js'
+
+const router = express.Router()
+
+// @route   GET /api/share/:token
+// @desc    Read-only view of a shared ride (location, ETA, emergency status)
+// @access  Public (share token)
+router.get('/:token', async (req, res) => {
+  try {
+    const share = await RideShare.findValidByToken(req.params.token)
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'This share link is invalid or has expired'
+      })
+    }
+
+    const ride = await Ride.findById(share.ride)
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      })
+    }
+
+    share.viewCount += 1
+    share.lastViewedAt = new Date()
+    await share.save()
+
+    res.json({
+      success: true,
+      share: {
+        label: share.label,
+        expiresAt: share.expiresAt
+      },
+      ride: await buildShareSnapshot(ride)
+    })
+  } catch (error) {
+    console.error('Shared ride view error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load shared ride',
+      error: error.message
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,399 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { auth } from '../middleware/auth.js'
+import Vehicle, { SERVICE_TYPES, MAX_ODOMETER_READINGS } from '../models/Vehicle.js'
+import Ride from '../models/Ride.js'
+import {
+  importLegacyBike,
+  initialServiceIntervals,
+  sendServiceReminders
+} from '../services/vehicleService.js'
+
+const router = express.Router()
+
+const EDITABLE_FIELDS = ['nickname', 'make', 'model', 'year', 'color', 'licensePlate', 'vehicleType', 'fuelEconomy']
+
+// Garage data lives in the database only
+router.use(auth, (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      message: 'Database is not connected. The garage is unavailable.'
+    })
+  }
+  next()
+})
+
+// Load one of the rider's bikes or send 400/404
+async function loadVehicle(vehicleId, userId, res) {
+  if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+    res.status(400).json({ success: false, message: 'Invalid vehicle ID' })
+    return null
+  }
+
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, owner: userId })
+  if (!vehicle) {
+    res.status(404).json({ success: false, message: 'Vehicle not found' })
+    return null
+  }
+
+  return vehicle
+}
+
+// Vehicle with its maintenance status; the odometer history only on request
+const serializeVehicle = (vehicle, { includeHistory = false } = {}) => {
+  const data = vehicle.toObject()
+  if (!includeHistory) {
+    delete data.odometerReadings
+    delete data.serviceHistory
+  }
+  data.services = vehicle.getServiceStatus()
+  return data
+}
+
+// Only one primary bike per rider
+const clearOtherPrimaries = (vehicle) => Vehicle.updateMany(
+  { owner: vehicle.owner, _id: { $ne: vehicle._id }, isPrimary: true },
+  { isPrimary: false }
+)
+
+const isPositiveOrEmpty = (value) => value === undefined || value === null || (typeof value === 'number' && value > 0)
+
+// @route   GET /api/vehicles
+// @desc    List the rider's bikes with service status
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    // Riders from before the garage get their old bike details as a first bike
+    await importLegacyBike(req.user.id)
+
+    const vehicles = await Vehicle.find({ owner: req.user.id })
+      .select('-odometerReadings -serviceHistory')
+      .sort({ isPrimary: -1, createdAt: 1 })
+
+    res.json({
+      success: true,
+      vehicles: vehicles.map(vehicle => serializeVehicle(vehicle))
+    })
+  } catch (error) {
+    console.error('List vehicles error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load vehicles',
+      error: error.message
+    })
+  }
+})
+
+// @route   POST /api/vehicles
+// @desc    Add a bike to the garage (default service intervals unless given)
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { odometer = 0, isPrimary, serviceIntervals } = req.body
+
+    if (!req.body.make) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make is required'
+      })
+    }
+
+    if (typeof odometer !== 'number' || odometer < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Odometer must be a non-negative number of km'
+      })
+    }
+
+    if (serviceIntervals && (!Array.isArray(serviceIntervals) ||
+      serviceIntervals.some(i => !SERVICE_TYPES.includes(i.type) || !isPositiveOrEmpty(i.intervalKm) || !isPositiveOrEmpty(i.intervalDays)))) {
+      return res.status(400).json({
+        success: false,
+        message: `Service intervals need a type (${SERVICE_TYPES.join(', ')}) and positive intervalKm/intervalDays`
+      })
+    }
+
+    const fields = {}
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field]
+    })
+
+    // The first bike is the primary one
+    const hasVehicles = await Vehicle.exists({ owner: req.user.id })
+
+    const vehicle = new Vehicle({
+      ...fields,
+      owner: req.user.id,
+      isPrimary: isPrimary === true || !hasVehicles,
+      odometer,
+      odometerReadings: [{ value: odometer, source: 'manual' }],
+      serviceIntervals: serviceIntervals ? initialServiceIntervals(odometer, serviceIntervals) : initialServiceIntervals(odometer)
+    })
+    await vehicle.save()
+
+    if (vehicle.isPrimary) await clearOtherPrimaries(vehicle)
+
+    res.status(201).json({
+      success: true,
+      message: 'Vehicle added',
+      vehicle: serializeVehicle(vehicle)
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message })
+    }
+    console.error('Add vehicle error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add vehicle',
+      error: error.message
+    })
+  }
+})
+
+// @route   GET /api/vehicles/:vehicleId
+// @desc    Bike details with odometer and service history and recent rides
+// @access  Private
+router.get('/:vehicleId', async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req.params.vehicleId, req.user.id, res)
+    if (!vehicle) return
+
+    const recentRides = await Ride.find({ vehicle: vehicle._id, rider: req.user.id })
+      .select('startLocation.address endLocation.address route.totalDistance status startTime endTime')
+      .sort({ createdAt: -1 })
+      .limit(10)
+
+    res.json({
+      success: true,
+      vehicle: serializeVehicle(vehicle, { includeHistory: true }),
+      recentRides
+    })
+  } catch (error) {
+    console.error('Get vehicle error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load vehicle',
+      error: error.message
+    })
+  }
+})
+
+// @route   PUT /api/vehicles/:vehicleId
+// @desc    Update bike details or make it the primary bike
+// @access  Private
+router.put('/:vehicleId', async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req.params.vehicleId, req.user.id, res)
+    if (!vehicle) return
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) vehicle[field] = req.body[field]
+    })
+    if (req.body.isPrimary === true) vehicle.isPrimary = true
+
+    await vehicle.save()
+    if (vehicle.isPrimary) await clearOtherPrimaries(vehicle)
+
+    res.json({
+      success: true,
+      message: 'Vehicle updated',
+      vehicle: serializeVehicle(vehicle)
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message })
+    }
+    console.error('Update vehicle error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update vehicle',
+      error: error.message
+    })
+  }
+})
+
+// @route   DELETE /api/vehicles/:vehicleId
+// @desc    Remove a bike (its rides are kept without a bike)
+// @access  Private
+router.delete('/:vehicleId', async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req.params.vehicleId, req.user.id, res)
+    if (!vehicle) return
+
+    const activeRide = await Ride.exists({ vehicle: vehicle._id, status: { $in: ['active', 'paused'] } })
+    if (activeRide) {
+      return res.status(400).json({
+        success: false,
+        message: 'Finish the ride on this bike before removing it'
+      })
+    }
+
+    await vehicle.deleteOne()
+    await Ride.updateMany({ vehicle: vehicle._id }, { $unset: { vehicle: 1 } })
+
+    // Hand the primary flag to the oldest remaining bike
+    if (vehicle.isPrimary) {
+      await Vehicle.findOneAndUpdate({ owner: req.user.id }, { isPrimary: true }, { sort: { createdAt: 1 } })
+    }
+
+    res.json({
+      success: true,
+      message: 'Vehicle removed'
+    })
+  } catch (error) {
+    console.error('Delete vehicle error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove vehicle',
+      error: error.message
+    })
+  }
+})
+
+// @route   POST /api/vehicles/:vehicleId/odometer
+// @desc    Record a manual odometer reading (km)
+// @access  Private
+router.post('/:vehicleId/odometer', async (req, res) => {
+  try {
+    const { value } = req.body
+
+    const vehicle = await loadVehicle(req.params.vehicleId, req.user.id, res)
+    if (!vehicle) return
+
+    if (typeof value !== 'number' || value < vehicle.odometer) {
+      return res.status(400).json({
+        success: false,
+        message: `Reading must be a number of km no lower than the current ${Math.round(vehicle.odometer)} km`
+      })
+    }
+
+    vehicle.odometer = value
+    vehicle.odometerReadings.push({ value, source: 'manual' })
+    if (vehicle.odometerReadings.length > MAX_ODOMETER_READINGS) {
+      vehicle.odometerReadings = vehicle.odometerReadings.slice(-MAX_ODOMETER_READINGS)
+    }
+    await vehicle.save()
+
+    const reminders = await sendServiceReminders(vehicle)
+
+    res.json({
+      success: true,
+      message: 'Odometer updated',
+      vehicle: serializeVehicle(vehicle),
+      reminders
+    })
+  } catch (error) {
+    console.error('Odometer update error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update odometer',
+      error: error.message
+    })
+  }
+})
+
+// @route   PUT /api/vehicles/:vehicleId/intervals/:type
+// @desc    Set a service interval (km and/or days); both empty removes it
+// @access  Private
+router.put('/:vehicleId/intervals/:type', async (req, res) => {
+  try {
+    const { type } = req.params
+    const { intervalKm, intervalDays } = req.body
+
+    if (!SERVICE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Service type must be one of: ${SERVICE_TYPES.join(', ')}`
+      })
+    }
+
+    if (!isPositiveOrEmpty(intervalKm) || !isPositiveOrEmpty(intervalDays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Intervals must be positive numbers'
+      })
+    }
+
+    const vehicle = await loadVehicle(req.params.vehicleId, req.user.id, res)
+    if (!vehicle) return
+
+    const existing = vehicle.serviceIntervals.find(i => i.type === type)
+    if (!intervalKm && !intervalDays) {
+      vehicle.serviceIntervals = vehicle.serviceIntervals.filter(i => i.type !== type)
+    } else if (existing) {
+      existing.intervalKm = intervalKm || undefined
+      existing.intervalDays = intervalDays || undefined
+      existing.lastRemindedAt = undefined
+    } else {
+      vehicle.serviceIntervals.push(...initialServiceIntervals(vehicle.odometer, [{ type, intervalKm, intervalDays }]))
+    }
+    await vehicle.save()
+
+    res.json({
+      success: true,
+      message: 'Service interval updated',
+      vehicle: serializeVehicle(vehicle)
+    })
+  } catch (error) {
+    console.error('Service interval error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update service interval',
+      error: error.message
+    })
+  }
+})
+
+// @route   POST /api/vehicles/:vehicleId/services
+// @desc    Log a completed service; restarts that interval
+// @access  Private
+router.post('/:vehicleId/services', async (req, res) => {
+  try {
+    const { type, servicedAt, odometer, cost, notes } = req.body
+
+    if (!SERVICE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Service type must be one of: ${SERVICE_TYPES.join(', ')}`
+      })
+    }
+
+    const vehicle = await loadVehicle(req.params.vehicleId, req.user.id, res)
+    if (!vehicle) return
+
+    const date = servicedAt ? new Date(servicedAt) : new Date()
+    if (isNaN(date) || date > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service date must be a valid date that is not in the future'
+      })
+    }
+
+    if (odometer !== undefined && (typeof odometer !== 'number' || odometer < 0 || odometer > vehicle.odometer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service odometer must be between 0 and the current reading'
+      })
+    }
+
+    vehicle.logService({ type, servicedAt: date, odometer, cost, notes })
+    await vehicle.save()
+
+    res.status(201).json({
+      success: true,
+      message: 'Service logged',
+      vehicle: serializeVehicle(vehicle, { includeHistory: true })
+    })
+  } catch (error) {
+    console.error('Log service error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log service',
+      error: error.message
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,25 @@
+// Load an offline OSM extract into the POI store:
+//   npm run import-pois -- path/to/region.osm
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import { importOsmExtract } from '../services/poiService.js'
+
+const filePath = process.argv[2]
+if (!filePath) {
+  console.error('Usage: npm run import-pois -- <extract.osm | overpass.json>')
+  process.exit(1)
+}
+
+const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/rider_sathi'
+
+try {
+  await mongoose.connect(mongoUri)
+  console.log(`📥 Importing POIs from ${filePath}`)
+  const { imported, skipped } = await importOsmExtract(filePath)
+  console.log(`✅ Imported ${imported} POIs${skipped ? ` (${skipped} skipped without a position)` : ''}`)
+} catch (error) {
+  console.error('POI import error:', error)
+  process.exitCode = 1
+} finally {
+  await mongoose.disconnect()
+}
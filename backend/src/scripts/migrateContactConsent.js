@@ -0,0 +1,41 @@
+// Ask emergency contacts listed before opt-in existed for their consent:
+//   npm run migrate-contacts
+// They are marked grandfathered, so SOS alerts keep reaching them until they answer.
+// Safe to run again: contacts that were already asked are skipped.
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import User from '../models/User.js'
+import { startContactConsent, sendContactConsent } from '../services/emergencyContactService.js'
+
+const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/rider_sathi'
+
+try {
+  await mongoose.connect(mongoUri)
+
+  const cursor = User.find({
+    emergencyContacts: { $elemMatch: { 'consent.requestedAt': { $exists: false } } }
+  }).select('name emergencyContacts').cursor()
+
+  let users = 0
+  let requested = 0
+  for await (const user of cursor) {
+    const pending = user.emergencyContacts.filter(contact => !contact.consent?.requestedAt)
+    const tokens = pending.map(contact => startContactConsent(contact, { grandfathered: true }))
+    await user.save({ validateBeforeSave: false })
+
+    for (const [i, contact] of pending.entries()) {
+      // Nowhere to send a request: stays grandfathered until the rider adds a phone or email
+      if (!contact.phone && !contact.email) continue
+      await sendContactConsent(user, contact, tokens[i])
+      requested++
+    }
+    users++
+  }
+
+  console.log(`✅ Sent ${requested} consent requests for ${users} riders`)
+} catch (error) {
+  console.error('Contact consent migration error:', error)
+  process.exitCode = 1
+} finally {
+  await mongoose.disconnect()
+}
@@ -0,0 +1,55 @@
+// Move embedded Ride.route.waypoints into the TrackPoint time-series collection:
+//   npm run migrate-tracks
+// Safe to run again: points already copied are skipped and migrated rides no longer match.
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import Ride from '../models/Ride.js'
+import TrackPoint from '../models/TrackPoint.js'
+import { appendTrackPoints, loadTrack, trackPreview } from '../services/trackService.js'
+
+const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/rider_sathi'
+
+try {
+  await mongoose.connect(mongoUri)
+  // Creates the time-series collection if it doesn't exist yet
+  await TrackPoint.init()
+
+  // The waypoints field is gone from the schema, so read the raw documents
+  const cursor = Ride.collection.find(
+    { 'route.waypoints.0': { $exists: true } },
+    { projection: { 'route.waypoints': 1, createdAt: 1 } }
+  )
+
+  let rides = 0
+  let points = 0
+  for await (const doc of cursor) {
+    // Untimed points (planned GPX imports) get placeholder times in their stored order
+    const base = (doc.createdAt || new Date()).getTime()
+    const track = doc.route.waypoints
+      .filter(wp => Array.isArray(wp.coordinates) && wp.coordinates.length >= 2)
+      .map((wp, i) => ({
+        coordinates: wp.coordinates,
+        timestamp: wp.timestamp ? new Date(wp.timestamp) : new Date(base + i * 1000),
+        speed: wp.speed,
+        heading: wp.heading
+      }))
+
+    const { inserted } = await appendTrackPoints(doc._id, track)
+    const stored = await loadTrack(doc._id)
+
+    await Ride.collection.updateOne({ _id: doc._id }, {
+      $set: { 'route.preview': trackPreview(stored), 'route.pointCount': stored.length },
+      $unset: { 'route.waypoints': '' }
+    })
+
+    rides++
+    points += inserted.length
+  }
+
+  console.log(`✅ Migrated ${rides} rides (${points} track points)`)
+} catch (error) {
+  console.error('Track migration error:', error)
+  process.exitCode = 1
+} finally {
+  await mongoose.disconnect()
+}
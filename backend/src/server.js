@@ -22,9 +22,18 @@ import weatherRoutes from './routes/weather.js'
 import rewardsRoutes from './routes/rewards.js'
 import chatRoutes from './routes/chat.js'
 import aiRoutes from './routes/ai.js'
+import rideRoutes from './routes/rides.js'
+import shareRoutes from './routes/share.js'
+import adminRoutes from './routes/admin.js'
+import vehicleRoutes from './routes/vehicles.js'
+import medicalRoutes from './routes/medical.js'
+import savedRouteRoutes from './routes/savedRoutes.js'
+import geofenceRoutes from './routes/geofences.js'
 
 // Import socket handlers
 import { handleSocketConnection } from './services/socketService.js'
+import { startScheduler, stopScheduler } from './services/schedulerService.js'
+import { promoteBootstrapAdmins } from './services/adminService.js'
 
 // dotenv already configured above
 
@@ -107,6 +116,13 @@ app.use('/api/weather', weatherRoutes)
 app.use('/api/rewards', rewardsRoutes)
 app.use('/api/chat', chatRoutes)
 app.use('/api/ai', aiRoutes)
+app.use('/api/rides', rideRoutes)
+app.use('/api/share', shareRoutes)
+app.use('/api/admin', adminRoutes)
+app.use('/api/vehicles', vehicleRoutes)
+app.use('/api/medical', medicalRoutes)
+app.use('/api/routes', savedRouteRoutes)
+app.use('/api/geofences', geofenceRoutes)
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -168,6 +184,12 @@ const PORT = process.env.PORT || 5000
 
 const startServer = async () => {
   const dbConnected = await connectDB()
+
+  // Persisted background jobs (emergency escalation / auto-resolve) need the database
+  if (dbConnected) {
+    startScheduler()
+    await promoteBootstrapAdmins().catch(err => console.error('Admin bootstrap error:', err))
+  }
   
   server.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`)
@@ -183,6 +205,7 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully')
+  stopScheduler()
   server.close(() => {
     console.log('Process terminated')
     mongoose.connection.close()
@@ -191,6 +214,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully')
+  stopScheduler()
   server.close(() => {
     console.log('Process terminated')
     mongoose.connection.close()
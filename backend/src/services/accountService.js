@@ -0,0 +1,470 @@
+import fs from 'fs/promises'
+import path from 'path'
+import User from '../models/User.js'
+import Session from '../models/Session.js'
+import Ride from '../models/Ride.js'
+import RideShare from '../models/RideShare.js'
+import RideGroup from '../models/RideGroup.js'
+import EmergencyAlert from '../models/EmergencyAlert.js'
+import NotificationLog from '../models/NotificationLog.js'
+import AuditLog from '../models/AuditLog.js'
+import AccountDeletion from '../models/AccountDeletion.js'
+import Vehicle from '../models/Vehicle.js'
+import MedicalProfile from '../models/MedicalProfile.js'
+import MedicalAccessLog from '../models/MedicalAccessLog.js'
+import SavedRoute from '../models/SavedRoute.js'
+import Geofence, { GeofenceEvent } from '../models/Geofence.js'
+import { ChatMessage, ChatRoom } from '../models/Chat.js'
+import { Reward, Leaderboard, Achievement } from '../models/Reward.js'
+import { toGPX } from './trackFormatService.js'
+import { loadTrack, deleteTracks } from './trackService.js'
+import { createZip } from './zipService.js'
+import { revokeAllSessions } from './sessionService.js'
+import { endRideShares } from './rideShareService.js'
+import { getMedicalProfile } from './medicalService.js'
+import { serializeContact } from './emergencyContactService.js'
+
+// A worker holds a deletion job this long before another may pick it up
+const DELETION_LEASE_MS = 10 * 60 * 1000
+const MAX_DELETION_ATTEMPTS = 5
+const RETRY_DELAY_MS = 15 * 60 * 1000
+
+const json = (data) => JSON.stringify(data, null, 2)
+
+// Every document tied to a user: JSON sections plus GPX tracks
+async function collectAccountData(userId) {
+  const user = await User.findById(userId)
+  const profile = user.getPublicProfile()
+  profile.emergencyContacts = user.emergencyContacts.map(serializeContact)
+
+  const [
+    rides,
+    sessions,
+    shares,
+    groups,
+    alerts,
+    responses,
+    messages,
+    rooms,
+    rewards,
+    achievements,
+    leaderboard,
+    notifications,
+    auditEntries,
+    vehicles,
+    medicalProfile,
+    medicalAccessLog,
+    savedRoutes,
+    geofences,
+    geofenceEvents
+  ] = await Promise.all([
+    Ride.find({ rider: userId }).sort({ createdAt: 1 }),
+    Session.find({ user: userId }).select('-refreshTokenHash -previousTokenHash').lean(),
+    RideShare.find({ rider: userId }).select('-tokenHash').lean(),
+    RideGroup.find({ 'members.user': userId }).lean(),
+    EmergencyAlert.find({ user: userId }).lean(),
+    EmergencyAlert.find({ 'responders.user': userId, user: { $ne: userId } })
+      .select('type severity status createdAt responders').lean(),
+    ChatMessage.find({ sender: userId }).sort({ createdAt: 1 }).lean(),
+    ChatRoom.find({ 'participants.user': userId }).select('name type createdAt participants').lean(),
+    Reward.find({ user: userId }).lean(),
+    Achievement.find({ user: userId }).lean(),
+    Leaderboard.find({ user: userId }).lean(),
+    NotificationLog.find({ user: userId }).lean(),
+    AuditLog.find({ $or: [{ actor: userId }, { targetType: 'User', targetId: userId }] })
+      .select('action actorRole targetType targetId reason createdAt').lean(),
+    Vehicle.find({ owner: userId }).lean(),
+    getMedicalProfile(userId),
+    MedicalAccessLog.find({ owner: userId }).select('-userAgent').lean(),
+    SavedRoute.find({ owner: userId }).lean(),
+    Geofence.find({ owner: userId }).select('-presence').lean(),
+    GeofenceEvent.find({ user: userId }).sort({ occurredAt: 1 }).lean()
+  ])
+
+  const isUser = (id) => id && id.toString() === userId.toString()
+
+  // One ride at a time keeps memory bounded for riders with long histories
+  const tracks = []
+  for (const ride of rides) {
+    if (!ride.route?.pointCount) continue
+    const points = await loadTrack(ride._id)
+    if (points.length) {
+      tracks.push({ name: `rides/ride-${ride._id}.gpx`, content: toGPX(ride, points) })
+    }
+  }
+
+  return {
+    sections: [
+      { name: 'profile.json', data: profile },
+      {
+        name: 'rides.json',
+        // Tracks are exported separately as GPX
+        data: rides.map(ride => ({ ...ride.toObject(), gpxFile: `rides/ride-${ride._id}.gpx` }))
+      },
+      { name: 'vehicles.json', data: vehicles },
+      { name: 'saved-routes.json', data: savedRoutes },
+      { name: 'geofences.json', data: geofences },
+      { name: 'geofence-events.json', data: geofenceEvents },
+      { name: 'medical-id.json', data: medicalProfile },
+      { name: 'medical-id-access-log.json', data: medicalAccessLog },
+      { name: 'sessions.json', data: sessions },
+      { name: 'ride-shares.json', data: shares },
+      {
+        name: 'ride-groups.json',
+        data: groups.map(({ members, ...group }) => ({ ...group, membership: members.find(m => isUser(m.user)) }))
+      },
+      { name: 'emergency-alerts.json', data: alerts },
+      {
+        name: 'emergency-responses.json',
+        data: responses.map(({ responders, ...alert }) => ({ ...alert, response: responders.find(r => isUser(r.user)) }))
+      },
+      { name: 'chat-messages.json', data: messages },
+      {
+        name: 'chat-rooms.json',
+        data: rooms.map(({ participants, ...room }) => ({ ...room, membership: participants.find(p => isUser(p.user)) }))
+      },
+      { name: 'rewards.json', data: { rewards, achievements, leaderboard } },
+      { name: 'notifications.json', data: notifications },
+      { name: 'audit-log.json', data: auditEntries }
+    ],
+    tracks
+  }
+}
+
+// ZIP archive of all of a user's data: JSON per collection plus one GPX per ride
+export async function buildAccountExport(userId) {
+  const { sections, tracks } = await collectAccountData(userId)
+
+  const manifest = {
+    generatedAt: new Date(),
+    userId,
+    files: [
+      ...sections.map(section => ({
+        name: section.name,
+        records: Array.isArray(section.data) ? section.data.length : 1
+      })),
+      ...tracks.map(track => ({ name: track.name, records: 1 }))
+    ]
+  }
+
+  return createZip([
+    { name: 'manifest.json', content: json(manifest) },
+    ...sections.map(section => ({ name: section.name, content: json(section.data) })),
+    ...tracks
+  ])
+}
+
+// Each step must be safe to run again: a job retried after a crash repeats
+// the step it was in. `run` resolves to the number of documents affected.
+const DELETION_STEPS = [
+  {
+    name: 'sessions',
+    action: 'deleted',
+    run: async (userId) => (await Session.deleteMany({ user: userId })).deletedCount
+  },
+  {
+    name: 'ride_shares',
+    action: 'deleted',
+    run: async (userId) => {
+      const rideIds = await RideShare.distinct('ride', { rider: userId })
+      await Promise.all(rideIds.map(rideId => endRideShares(rideId)))
+      return (await RideShare.deleteMany({ rider: userId })).deletedCount
+    }
+  },
+  {
+    name: 'ride_tracks',
+    action: 'deleted',
+    run: async (userId) => deleteTracks(await Ride.distinct('_id', { rider: userId }))
+  },
+  {
+    name: 'rides',
+    action: 'deleted',
+    run: async (userId) => (await Ride.deleteMany({ rider: userId })).deletedCount
+  },
+  {
+    name: 'vehicles',
+    action: 'deleted',
+    run: async (userId) => (await Vehicle.deleteMany({ owner: userId })).deletedCount
+  },
+  {
+    // Including routes shared with groups or the public
+    name: 'saved_routes',
+    action: 'deleted',
+    run: async (userId) => (await SavedRoute.deleteMany({ owner: userId })).deletedCount
+  },
+  {
+    // Including group fences this user drew, with their crossings, and where they were
+    // last seen on everyone else's
+    name: 'geofences',
+    action: 'deleted',
+    run: async (userId) => {
+      const fenceIds = await Geofence.distinct('_id', { owner: userId })
+      const results = await Promise.all([
+        GeofenceEvent.deleteMany({ $or: [{ user: userId }, { geofence: { $in: fenceIds } }] }),
+        Geofence.deleteMany({ _id: { $in: fenceIds } })
+      ])
+      await Geofence.updateMany({ 'presence.user': userId }, { $pull: { presence: { user: userId } } })
+      return results.reduce((sum, result) => sum + result.deletedCount, 0)
+    }
+  },
+  {
+    // Entries where this user was the responder stay in the helped rider's log
+    name: 'medical_id',
+    action: 'deleted',
+    run: async (userId) => {
+      const results = await Promise.all([
+        MedicalProfile.deleteMany({ user: userId }),
+        MedicalAccessLog.deleteMany({ owner: userId })
+      ])
+      return results.reduce((sum, result) => sum + result.deletedCount, 0)
+    }
+  },
+  {
+    // Other participants keep the conversation flow; the content is removed
+    name: 'chat_messages',
+    action: 'anonymised',
+    run: async (userId) => (await ChatMessage.updateMany(
+      { sender: userId },
+      {
+        $set: { message: '[deleted]', isDeleted: true, deletedAt: new Date() },
+        $unset: { location: 1, media: 1 }
+      }
+    )).modifiedCount
+  },
+  {
+    name: 'chat_reactions',
+    action: 'anonymised',
+    run: async (userId) => (await ChatMessage.updateMany(
+      { $or: [{ 'reactions.user': userId }, { 'readBy.user': userId }] },
+      { $pull: { reactions: { user: userId }, readBy: { user: userId } } }
+    )).modifiedCount
+  },
+  {
+    name: 'chat_rooms',
+    action: 'anonymised',
+    run: async (userId) => (await ChatRoom.updateMany(
+      { 'participants.user': userId },
+      { $pull: { participants: { user: userId } } }
+    )).modifiedCount
+  },
+  {
+    name: 'emergency_alerts',
+    action: 'deleted',
+    run: async (userId) => (await EmergencyAlert.deleteMany({ user: userId })).deletedCount
+  },
+  {
+    // Alerts raised by others keep their history without naming this user
+    name: 'emergency_responses',
+    action: 'anonymised',
+    run: async (userId) => {
+      const filter = {
+        $or: [
+          { 'responders.user': userId },
+          { 'escalation.notifiedUsers': userId },
+          { 'timeline.actor': userId },
+          { resolvedBy: userId }
+        ]
+      }
+      const count = await EmergencyAlert.countDocuments(filter)
+      await EmergencyAlert.updateMany(filter, {
+        $pull: { responders: { user: userId }, 'escalation.notifiedUsers': userId }
+      })
+      await EmergencyAlert.updateMany(
+        { 'timeline.actor': userId },
+        { $unset: { 'timeline.$[event].actor': 1 } },
+        { arrayFilters: [{ 'event.actor': userId }] }
+      )
+      await EmergencyAlert.updateMany({ resolvedBy: userId }, { $unset: { resolvedBy: 1 } })
+      return count
+    }
+  },
+  {
+    name: 'rewards',
+    action: 'deleted',
+    run: async (userId) => {
+      const results = await Promise.all([
+        Reward.deleteMany({ user: userId }),
+        Achievement.deleteMany({ user: userId }),
+        Leaderboard.deleteMany({ user: userId })
+      ])
+      return results.reduce((sum, result) => sum + result.deletedCount, 0)
+    }
+  },
+  {
+    // Leave every group; hand leadership on, or delete groups nobody else is in
+    name: 'ride_groups',
+    action: 'anonymised',
+    run: async (userId) => {
+      const groups = await RideGroup.find({ $or: [{ 'members.user': userId }, { createdBy: userId }] })
+      for (const group of groups) {
+        const wasLeader = group.members.some(m => m.user.toString() === userId.toString() && m.role === 'leader')
+        group.members = group.members.filter(m => m.user.toString() !== userId.toString())
+
+        const active = group.members.filter(m => m.status === 'active')
+        if (active.length === 0) {
+          await group.deleteOne()
+          continue
+        }
+
+        if (wasLeader || !group.members.some(m => m.role === 'leader')) {
+          const successor = active.find(m => m.role === 'sweep') || active[0]
+          successor.role = 'leader'
+        }
+        if (group.createdBy.toString() === userId.toString()) {
+          group.createdBy = group.members.find(m => m.role === 'leader').user
+        }
+        await group.save()
+      }
+      return groups.length
+    }
+  },
+  {
+    name: 'notification_logs',
+    action: 'deleted',
+    run: async (userId) => (await NotificationLog.deleteMany({ user: userId })).deletedCount
+  },
+  {
+    // Immutable record of privileged actions; entries only hold the account id
+    name: 'audit_logs',
+    action: 'retained',
+    run: async (userId) => AuditLog.countDocuments({ $or: [{ actor: userId }, { targetId: userId }] })
+  },
+  {
+    name: 'avatar',
+    action: 'deleted',
+    run: async (userId) => {
+      const user = await User.findById(userId).select('avatar')
+      if (!user?.avatar?.startsWith('/uploads/avatars/')) return 0
+      try {
+        await fs.unlink(path.join(process.cwd(), 'uploads', 'avatars', path.basename(user.avatar)))
+        return 1
+      } catch (error) {
+        if (error.code === 'ENOENT') return 0
+        throw error
+      }
+    }
+  },
+  {
+    name: 'user',
+    action: 'deleted',
+    run: async (userId) => (await User.deleteOne({ _id: userId })).deletedCount
+  }
+]
+
+// Close the account straight away and queue the erasure. Calling it again
+// returns the existing job.
+export async function requestAccountDeletion(user, req) {
+  const now = new Date()
+
+  await User.updateOne({ _id: user._id }, { isActive: false, deletionRequestedAt: now })
+  await revokeAllSessions(user._id, { reason: 'account_deleted' })
+
+  const job = await AccountDeletion.findOneAndUpdate(
+    { user: user._id },
+    { $setOnInsert: { user: user._id, requestedAt: now } },
+    { upsert: true, new: true }
+  )
+
+  if (job.attempts === 0) {
+    await AuditLog.create({
+      actor: user._id,
+      actorRole: user.role,
+      action: 'user.delete_request',
+      targetType: 'User',
+      targetId: user._id,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']?.slice(0, 300)
+    })
+  }
+
+  // Start now rather than waiting for the next scheduler tick
+  setImmediate(() => {
+    runAccountDeletion(job._id).catch(error => console.error('Account deletion error:', error))
+  })
+
+  return job
+}
+
+// Jobs that are due, or whose worker died mid-run
+const dueDeletions = (now = new Date()) => ({
+  attempts: { $lt: MAX_DELETION_ATTEMPTS },
+  $or: [
+    { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+    { status: 'running', lockedUntil: { $lte: now } }
+  ]
+})
+
+// Lease a due job so only one process runs it
+async function claimDeletion(jobId) {
+  const now = new Date()
+  return AccountDeletion.findOneAndUpdate(
+    { _id: jobId, ...dueDeletions(now) },
+    {
+      status: 'running',
+      lockedUntil: new Date(now.getTime() + DELETION_LEASE_MS),
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  )
+}
+
+// Run the remaining steps of a deletion job. Resolves to the job, or null if
+// it is not due or another worker holds it.
+export async function runAccountDeletion(jobId) {
+  const job = await claimDeletion(jobId)
+  if (!job) return null
+
+  const done = new Set(job.steps.map(step => step.name))
+
+  try {
+    for (const step of DELETION_STEPS) {
+      if (done.has(step.name)) continue
+
+      const count = await step.run(job.user)
+      await AccountDeletion.updateOne(
+        { _id: job._id },
+        {
+          $push: { steps: { name: step.name, action: step.action, count, completedAt: new Date() } },
+          lockedUntil: new Date(Date.now() + DELETION_LEASE_MS)
+        }
+      )
+      done.add(step.name)
+    }
+
+    await AccountDeletion.updateOne(
+      { _id: job._id },
+      {
+        status: 'completed',
+        completedAt: new Date(),
+        $unset: { lockedUntil: 1, lastError: 1, nextAttemptAt: 1 }
+      }
+    )
+    console.log(`🗑️  Account ${job.user} erased`)
+  } catch (error) {
+    console.error(`Account deletion ${job._id} failed (attempt ${job.attempts}):`, error)
+    await AccountDeletion.updateOne(
+      { _id: job._id },
+      {
+        status: 'failed',
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + RETRY_DELAY_MS * job.attempts),
+        $unset: { lockedUntil: 1 }
+      }
+    )
+  }
+
+  return AccountDeletion.findById(job._id)
+}
+
+// Scheduler entry point: pick up queued, retryable and abandoned jobs
+export async function processAccountDeletions({ limit = 10 } = {}) {
+  let processed = 0
+  while (processed < limit) {
+    const job = await AccountDeletion.findOne(dueDeletions()).select('_id')
+    if (!job) break
+
+    await runAccountDeletion(job._id)
+    processed++
+  }
+  return processed
+}
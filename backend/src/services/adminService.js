@@ -0,0 +1,35 @@
+import AuditLog from '../models/AuditLog.js'
+import User from '../models/User.js'
+
+// Write the audit entry for a privileged action taken through an API request
+export async function recordAudit(req, { action, targetType, targetId, reason, details }) {
+  return AuditLog.create({
+    actor: req.user.id,
+    actorRole: req.user.role,
+    action,
+    targetType,
+    targetId,
+    reason,
+    details,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']?.slice(0, 300)
+  })
+}
+
+// Promote the accounts listed in ADMIN_EMAILS so a fresh install has an admin
+export async function promoteBootstrapAdmins() {
+  const emails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean)
+  if (emails.length === 0) return 0
+
+  const result = await User.updateMany(
+    { email: { $in: emails }, role: { $ne: 'admin' } },
+    { role: 'admin' }
+  )
+  if (result.modifiedCount > 0) {
+    console.log(`👑 Promoted ${result.modifiedCount} account(s) from ADMIN_EMAILS to admin`)
+  }
+  return result.modifiedCount
+}
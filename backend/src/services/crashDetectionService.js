@@ -0,0 +1,191 @@
+import Ride from '../models/Ride.js'
+import { createEmergencyAlert } from './emergencyService.js'
+
+// Tunables (override via env)
+const IMPACT_G = parseFloat(process.env.CRASH_IMPACT_G) || 4 // peak acceleration in g
+const ROTATION_DPS = parseFloat(process.env.CRASH_ROTATION_DPS) || 250 // tumble rate in deg/s
+const COUNTDOWN_SECONDS = parseInt(process.env.CRASH_COUNTDOWN_SECONDS) || 30
+
+const GRAVITY = 9.80665
+const BUFFER_MS = 5000 // rolling window kept per rider
+const ROTATION_WINDOW_MS = 1000 // look for tumbling this close to the impact
+const STILLNESS_DELAY_MS = 500 // ignore bounce right after the impact
+const STILLNESS_MIN_MS = 1000 // how long the bike must lie still
+
+// userId -> recent samples (sorted by timestamp)
+const sampleBuffers = new Map()
+// userId -> { rideId, timer, expiresAt, location }
+const pendingCrashes = new Map()
+
+const magnitude = (v) => v ? Math.sqrt((v.x || 0) ** 2 + (v.y || 0) ** 2 + (v.z || 0) ** 2) : 0
+
+// Normalise raw client samples; accel in m/s², gyro in deg/s
+function normaliseSamples(samples) {
+  return samples
+    .filter(s => s && s.accel && s.timestamp)
+    .map(s => ({
+      t: new Date(s.timestamp).getTime(),
+      accelG: magnitude(s.accel) / GRAVITY,
+      gyroDps: magnitude(s.gyro),
+      location: s.location && s.location.latitude && s.location.longitude ? s.location : null
+    }))
+    .filter(s => !Number.isNaN(s.t))
+}
+
+// Look for an impact spike confirmed by either a tumble or the bike lying still afterwards.
+// Returns { flagged, peakG, peakRotation, stillness, impactAt } for the given window.
+export function detectImpact(samples) {
+  if (!samples.length) return { flagged: false }
+
+  let peak = samples[0]
+  samples.forEach(s => { if (s.accelG > peak.accelG) peak = s })
+
+  if (peak.accelG < IMPACT_G) {
+    return { flagged: false, peakG: peak.accelG }
+  }
+
+  const peakRotation = samples
+    .filter(s => Math.abs(s.t - peak.t) <= ROTATION_WINDOW_MS)
+    .reduce((max, s) => Math.max(max, s.gyroDps), 0)
+
+  const after = samples.filter(s => s.t >= peak.t + STILLNESS_DELAY_MS)
+  const afterSpan = after.length ? after[after.length - 1].t - after[0].t : 0
+  const stillness = afterSpan >= STILLNESS_MIN_MS &&
+    after.every(s => s.accelG > 0.7 && s.accelG < 1.3 && s.gyroDps < 30)
+
+  return {
+    flagged: peakRotation >= ROTATION_DPS || stillness,
+    peakG: peak.accelG,
+    peakRotation,
+    stillness,
+    impactAt: new Date(peak.t)
+  }
+}
+
+// Ingest a telemetry batch for an active ride. `emit(event, payload)` reaches the rider.
+export async function processTelemetry({ userId, rideId, samples, emit }) {
+  if (!Array.isArray(samples) || samples.length === 0) {
+    return { accepted: 0 }
+  }
+
+  userId = userId.toString()
+
+  const ride = await Ride.findOne({
+    _id: rideId,
+    rider: userId,
+    // Auto-pause can kick in while the bike lies still after a fall
+    status: { $in: ['active', 'paused'] }
+  }).select('_id currentLocation')
+
+  if (!ride) {
+    throw new Error('Active ride not found')
+  }
+
+  const incoming = normaliseSamples(samples)
+  const merged = [...(sampleBuffers.get(userId) || []), ...incoming].sort((a, b) => a.t - b.t)
+  const latest = merged.length ? merged[merged.length - 1].t : Date.now()
+  const buffer = merged.filter(s => s.t >= latest - BUFFER_MS)
+  sampleBuffers.set(userId, buffer)
+
+  // One countdown at a time per rider
+  if (pendingCrashes.has(userId)) {
+    return { accepted: incoming.length, pending: true }
+  }
+
+  const result = detectImpact(buffer)
+  if (!result.flagged) {
+    return { accepted: incoming.length, flagged: false }
+  }
+
+  sampleBuffers.delete(userId)
+
+  const lastFix = [...buffer].reverse().find(s => s.location)
+  const location = lastFix
+    ? { latitude: lastFix.location.latitude, longitude: lastFix.location.longitude, address: lastFix.location.address }
+    : ride.currentLocation?.coordinates?.length === 2
+      ? { latitude: ride.currentLocation.coordinates[1], longitude: ride.currentLocation.coordinates[0], address: ride.currentLocation.address }
+      : null
+
+  startCountdown({ userId, rideId: ride._id, location, detection: result, emit })
+
+  return { accepted: incoming.length, flagged: true }
+}
+
+function startCountdown({ userId, rideId, location, detection, emit }) {
+  const expiresAt = new Date(Date.now() + COUNTDOWN_SECONDS * 1000)
+
+  const timer = setTimeout(async () => {
+    pendingCrashes.delete(userId)
+    try {
+      await raiseCrashAlert({ userId, rideId, location, emit })
+    } catch (error) {
+      console.error('Crash alert creation error:', error)
+    }
+  }, COUNTDOWN_SECONDS * 1000)
+
+  pendingCrashes.set(userId, { rideId, timer, expiresAt, location })
+
+  emit('crash-detected', {
+    rideId,
+    countdown: COUNTDOWN_SECONDS,
+    expiresAt,
+    peakG: Math.round(detection.peakG * 10) / 10,
+    impactAt: detection.impactAt
+  })
+
+  console.log(`Possible crash detected for user ${userId} on ride ${rideId}, countdown ${COUNTDOWN_SECONDS}s`)
+}
+
+async function raiseCrashAlert({ userId, rideId, location, emit }) {
+  if (!location) {
+    // Without any fix we still want the rider's ride state, re-read it
+    const ride = await Ride.findById(rideId).select('currentLocation startLocation')
+    const point = ride?.currentLocation?.coordinates?.length === 2 ? ride.currentLocation : ride?.startLocation
+    if (!point) {
+      console.error(`Crash alert for user ${userId} skipped: no known location`)
+      return
+    }
+    location = { latitude: point.coordinates[1], longitude: point.coordinates[0], address: point.address }
+  }
+
+  const { alert, error } = await createEmergencyAlert({
+    userId,
+    type: 'accident',
+    severity: 'critical',
+    location,
+    description: 'Possible crash detected automatically; rider did not cancel the countdown.'
+  })
+
+  if (error) {
+    console.log(`Crash alert for user ${userId} not created: ${error}`)
+    return
+  }
+
+  await Ride.findByIdAndUpdate(rideId, { $push: { emergencyAlerts: alert._id } })
+
+  emit('crash-alert-created', {
+    rideId,
+    alertId: alert._id,
+    nearbyHospitals: alert.nearbyHospitals
+  })
+
+  console.log(`Crash alert ${alert._id} created for user ${userId}`)
+}
+
+// Rider confirmed they are fine
+export function cancelCrashCountdown(userId) {
+  userId = userId.toString()
+  const pending = pendingCrashes.get(userId)
+  if (!pending) return false
+
+  clearTimeout(pending.timer)
+  pendingCrashes.delete(userId)
+  sampleBuffers.delete(userId)
+  return true
+}
+
+// Drop per-rider state (ride ended)
+export function resetCrashDetection(userId) {
+  cancelCrashCountdown(userId)
+  sampleBuffers.delete(userId.toString())
+}
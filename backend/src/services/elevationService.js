@@ -0,0 +1,87 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+// Elevation from SRTM .hgt tiles kept on disk in DEM_DIR, named like N28E077.hgt: one
+// degree square of big-endian 16-bit heights in metres, 1201 or 3601 posts a side.
+// Tiles are read on first use; one that is missing stays missing until restart.
+const DEM_DIR = path.resolve(process.env.DEM_DIR || 'data/dem')
+const MAX_CACHED_TILES = parseInt(process.env.DEM_CACHE_TILES) || 4
+const VOID = -32768
+
+// Tile name -> { size, buffer }, or null when there is no file (Map order is LRU)
+const tileCache = new Map()
+
+function tileName(latitude, longitude) {
+  const lat = Math.floor(latitude)
+  const lng = Math.floor(longitude)
+  return `${lat < 0 ? 'S' : 'N'}${String(Math.abs(lat)).padStart(2, '0')}` +
+    `${lng < 0 ? 'W' : 'E'}${String(Math.abs(lng)).padStart(3, '0')}`
+}
+
+async function loadTile(name) {
+  if (tileCache.has(name)) {
+    const tile = tileCache.get(name)
+    tileCache.delete(name)
+    tileCache.set(name, tile)
+    return tile
+  }
+
+  let tile = null
+  try {
+    const buffer = await fs.readFile(path.join(DEM_DIR, `${name}.hgt`))
+    const size = Math.round(Math.sqrt(buffer.length / 2))
+    if (size * size * 2 === buffer.length) {
+      tile = { size, buffer }
+    } else {
+      console.warn(`DEM tile ${name} has an unexpected size; ignoring it`)
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+
+  tileCache.set(name, tile)
+  // Missing tiles cost nothing to keep, so only loaded ones count against the limit
+  const loaded = [...tileCache].filter(([, cached]) => cached)
+  while (loaded.length > MAX_CACHED_TILES) {
+    tileCache.delete(loaded.shift()[0])
+  }
+  return tile
+}
+
+function post(tile, row, col) {
+  const value = tile.buffer.readInt16BE((row * tile.size + col) * 2)
+  return value === VOID ? null : value
+}
+
+// Height in metres at a point, interpolated between the four surrounding posts.
+// Resolves to null where there is no tile or the data has a hole.
+export async function elevationAt(latitude, longitude) {
+  const tile = await loadTile(tileName(latitude, longitude))
+  if (!tile) return null
+
+  const last = tile.size - 1
+  // Row 0 is the tile's northern edge
+  const y = (Math.floor(latitude) + 1 - latitude) * last
+  const x = (longitude - Math.floor(longitude)) * last
+  const row = Math.min(Math.floor(y), last - 1)
+  const col = Math.min(Math.floor(x), last - 1)
+  const dy = y - row
+  const dx = x - col
+
+  const posts = [post(tile, row, col), post(tile, row, col + 1), post(tile, row + 1, col), post(tile, row + 1, col + 1)]
+  if (posts.some(value => value === null)) {
+    return posts.find(value => value !== null) ?? null
+  }
+
+  return posts[0] * (1 - dx) * (1 - dy) + posts[1] * dx * (1 - dy) +
+    posts[2] * (1 - dx) * dy + posts[3] * dx * dy
+}
+
+// Heights for [lng, lat] pairs, null where unknown
+export async function elevationProfile(coordinates) {
+  const heights = []
+  for (const [longitude, latitude] of coordinates) {
+    heights.push(await elevationAt(latitude, longitude))
+  }
+  return heights
+}
@@ -0,0 +1,140 @@
+import crypto from 'crypto'
+import User from '../models/User.js'
+import { ALERT_TYPES, ALERT_SEVERITIES } from '../models/EmergencyAlert.js'
+import { sendNotification } from './notificationService.js'
+
+// How long a contact has to answer an opt-in request
+export const CONTACT_CONSENT_DAYS = parseInt(process.env.CONTACT_CONSENT_DAYS) || 7
+
+export const MAX_EMERGENCY_CONTACTS = 10
+
+const PHONE_PATTERN = /^\+?[0-9 ()-]{6,20}$/
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/
+
+// Validate a contact from a request body. With `partial`, only given fields are checked.
+// Resolves to { contact } or { error }.
+export function sanitizeContact(input = {}, { partial = false } = {}) {
+  const contact = {}
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      return { error: 'Name is required' }
+    }
+    contact.name = input.name.trim().slice(0, 100)
+  }
+
+  for (const field of ['phone', 'email']) {
+    if (input[field] === undefined) continue
+    const value = typeof input[field] === 'string' ? input[field].trim() : ''
+    if (value && !(field === 'phone' ? PHONE_PATTERN : EMAIL_PATTERN).test(value)) {
+      return { error: `Invalid ${field}` }
+    }
+    contact[field] = value || undefined
+  }
+
+  if (!partial && !contact.phone && !contact.email) {
+    return { error: 'A phone number or email address is required' }
+  }
+
+  if (input.relationship !== undefined) {
+    contact.relationship = typeof input.relationship === 'string' ? input.relationship.trim().slice(0, 50) : undefined
+  }
+
+  if (input.alertTypes !== undefined) {
+    if (!Array.isArray(input.alertTypes) || input.alertTypes.some(t => !ALERT_TYPES.includes(t))) {
+      return { error: `Alert types must be a list of: ${ALERT_TYPES.join(', ')}` }
+    }
+    contact.alertTypes = [...new Set(input.alertTypes)]
+  }
+
+  if (input.minSeverity !== undefined) {
+    if (!ALERT_SEVERITIES.includes(input.minSeverity)) {
+      return { error: `Minimum severity must be one of: ${ALERT_SEVERITIES.join(', ')}` }
+    }
+    contact.minSeverity = input.minSeverity
+  }
+
+  return { contact }
+}
+
+// Contacts listed before opt-in existed (never sent a request, or marked by
+// `npm run migrate-contacts`) keep getting alerts until they confirm or decline
+export const predatesConsent = (contact) =>
+  contact.consent?.status === 'pending' && (!!contact.consent.grandfathered || !contact.consent.requestedAt)
+
+// Contact as returned to its owner (no consent token)
+export function serializeContact(contact) {
+  const data = typeof contact.toObject === 'function' ? contact.toObject() : { ...contact }
+  if (data.consent) {
+    const { tokenHash, ...consent } = data.consent
+    data.consent = { ...consent, grandfathered: predatesConsent(contact) }
+  }
+  return data
+}
+
+// Contacts sorted for alerting: priority, then the order they were added
+export function sortContacts(contacts = []) {
+  return contacts
+    .map((contact, index) => ({ contact, index }))
+    .sort((a, b) => (a.contact.priority ?? 0) - (b.contact.priority ?? 0) || a.index - b.index)
+    .map(({ contact }) => contact)
+}
+
+// Whether a contact's rules let this alert through
+export function contactWantsAlert(contact, alert) {
+  if (contact.alertTypes?.length && !contact.alertTypes.includes(alert.type)) return false
+  const minimum = ALERT_SEVERITIES.indexOf(contact.minSeverity || 'low')
+  return ALERT_SEVERITIES.indexOf(alert.severity || 'medium') >= minimum
+}
+
+// Opted-in (or grandfathered) contacts that should hear about this alert, in priority order
+export function alertRecipients(contacts, alert) {
+  return sortContacts(contacts).filter(c =>
+    (c.consent?.status === 'confirmed' || predatesConsent(c)) && contactWantsAlert(c, alert)
+  )
+}
+
+// Put a contact (a subdocument of `user`) into the pending state and send it an
+// opt-in link by SMS, or email when there is no phone. The caller saves the user first
+// with the returned token's hash in place, so send after saving:
+//   const token = startContactConsent(contact); await user.save(); await sendContactConsent(user, contact, token)
+// `grandfathered` keeps a contact from before opt-in alerted while the request is open.
+export function startContactConsent(contact, { grandfathered = false } = {}) {
+  const token = crypto.randomBytes(32).toString('hex')
+  contact.consent = {
+    status: 'pending',
+    channel: contact.phone ? 'sms' : 'email',
+    tokenHash: User.hashResetToken(token),
+    expiresAt: new Date(Date.now() + CONTACT_CONSENT_DAYS * 24 * 60 * 60 * 1000),
+    requestedAt: new Date(),
+    grandfathered: grandfathered || undefined
+  }
+  return token
+}
+
+export function sendContactConsent(user, contact, token) {
+  const confirmUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/contact-consent/${token}`
+  const channel = contact.consent.channel
+  const body = channel === 'sms'
+    ? `${user.name} added you as an emergency contact on Rider Sathi. Confirm or decline: ${confirmUrl}`
+    : `Hi ${contact.name},\n\n${user.name} would like to list you as an emergency contact on Rider Sathi. If you agree, you will receive a message when they raise an emergency alert.\n\nConfirm or decline (link valid for ${CONTACT_CONSENT_DAYS} days): ${confirmUrl}\n\nIf you do not know ${user.name}, you can ignore this message.`
+
+  return sendNotification({
+    channel,
+    to: channel === 'sms' ? contact.phone : contact.email,
+    subject: channel === 'email' ? `${user.name} added you as an emergency contact` : undefined,
+    body,
+    context: { type: 'contact_consent', refId: user._id }
+  })
+}
+
+// Find the user and contact behind a consent link, or null if it is unknown or expired
+export async function findContactByConsentToken(token) {
+  const tokenHash = User.hashResetToken(token)
+  const user = await User.findOne({ 'emergencyContacts.consent.tokenHash': tokenHash }).select('name emergencyContacts')
+  if (!user) return null
+
+  const contact = user.emergencyContacts.find(c => c.consent?.tokenHash === tokenHash)
+  if (!contact || !(contact.consent.expiresAt > new Date())) return null
+  return { user, contact }
+}
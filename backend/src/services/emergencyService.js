@@ -0,0 +1,376 @@
+import EmergencyAlert, { AUTO_RESOLVE_MINUTES } from '../models/EmergencyAlert.js'
+import User from '../models/User.js'
+import { emitToUser } from './socketService.js'
+import { sendNotification, isChannelConfigured } from './notificationService.js'
+import { broadcastRiderUpdate } from './rideShareService.js'
+import { alertRecipients } from './emergencyContactService.js'
+import { findNearbyPois } from './poiService.js'
+
+// Escalation ladder: nearby riders at widening radii, then contacts again, then the service call
+const ESCALATION_RADII = (process.env.EMERGENCY_ESCALATION_RADII || '10000,25000,50000')
+  .split(',')
+  .map(r => parseInt(r))
+  .filter(r => r > 0)
+const ESCALATION_INTERVAL_MINUTES = parseFloat(process.env.EMERGENCY_ESCALATION_INTERVAL_MINUTES) || 5
+// Vetted responders are told from the first rung as far out as the ladder ever reaches
+const RESPONDER_RADIUS = Math.max(...ESCALATION_RADII, 0)
+
+// Notify the rider's emergency contacts and/or the emergency service through the
+// notification service (Twilio, SMS gateway or the console sink in development).
+// Only contacts who opted in and whose alert type/severity rules match are messaged. Every
+// message and the service call go out at once, so a slow or failing provider (each send
+// retries) holds up nobody else.
+// options.contacts: message emergency contacts; options.serviceCall: call the emergency service number;
+// options.reminder: word the message as a follow-up.
+export async function notifyContacts(alert, options = {}) {
+  const { contacts: messageContacts = true, serviceCall = true, reminder = false } = options
+  try {
+    const userDoc = await User.findById(alert.user).select('name phone emergencyContacts emergencyContact')
+    const contacts = []
+    if (userDoc && messageContacts) {
+      if (Array.isArray(userDoc.emergencyContacts) && userDoc.emergencyContacts.length) {
+        alertRecipients(userDoc.emergencyContacts, alert).forEach(c => contacts.push({ phone: c.phone, email: c.email }))
+      }
+      if (userDoc.emergencyContact && typeof userDoc.emergencyContact === 'string') {
+        contacts.push({ phone: userDoc.emergencyContact })
+      }
+    }
+
+    const message = `${reminder ? 'EMERGENCY ALERT - STILL NO RESPONSE' : 'EMERGENCY ALERT'}:\nType: ${alert.type}\nLocation: ${alert.location?.coordinates ? `${alert.location.coordinates[1]},${alert.location.coordinates[0]}` : 'unknown'}\nMessage: Immediate help needed.`
+    const context = { type: 'emergency', refId: alert._id }
+
+    // Choose service number based on type
+    const serviceMap = {
+      accident: process.env.ACCIDENT_SERVICE_NUMBER || '1033',
+      breakdown: process.env.BREAKDOWN_SERVICE_NUMBER || process.env.TOWING_NUMBER || '',
+      medical: process.env.MEDICAL_SERVICE_NUMBER || '108',
+      fire: process.env.FIRE_SERVICE_NUMBER || '101'
+    }
+
+    const serviceNumber = serviceCall ? (serviceMap[alert.type] || '') : ''
+
+    const sends = []
+    for (const { phone, email } of contacts) {
+      if (phone) {
+        sends.push(sendNotification({ channel: 'sms', to: phone, body: message, context }))
+        // WhatsApp only when a real provider is set up; not worth a duplicate console line
+        if (isChannelConfigured('whatsapp')) {
+          sends.push(sendNotification({ channel: 'whatsapp', to: phone, body: message, context }))
+        }
+      }
+      if (email) {
+        sends.push(sendNotification({
+          channel: 'email',
+          to: email,
+          subject: `Emergency alert from ${userDoc.name}`,
+          body: `${userDoc.name} raised an emergency alert on Rider Sathi.\n\n${message}`,
+          context
+        }))
+      }
+    }
+
+    // place a call to the service number if available
+    if (serviceNumber) {
+      sends.push(sendNotification({
+        channel: 'voice',
+        to: serviceNumber,
+        body: `Automated emergency alert. ${alert.type} reported. Please respond to the caller's location.`,
+        context
+      }))
+    }
+
+    const results = await Promise.allSettled(sends)
+    results.filter(result => result.status === 'rejected')
+      .forEach(result => console.error('notifyContacts error:', result.reason))
+  } catch (error) {
+    console.error('notifyContacts error:', error)
+  }
+}
+
+// Create an emergency alert and kick off notifications.
+// Shared by POST /api/emergency/alert and server-side detectors (e.g. crash detection).
+// Returns { alert } on success or { error } when the request is rejected.
+export async function createEmergencyAlert({ userId, type, severity, location, description }) {
+  // Check if user has an active alert within last 5 minutes
+  const recentAlert = await EmergencyAlert.findOne({
+    user: userId,
+    status: 'active',
+    createdAt: { $gte: new Date(Date.now() - 5 * 60 * 1000) }
+  })
+
+  if (recentAlert) {
+    return { error: 'You already have an active emergency alert', alert: recentAlert }
+  }
+
+  // Create emergency alert
+  const alert = new EmergencyAlert({
+    user: userId,
+    type,
+    severity: severity || 'medium',
+    location: {
+      type: 'Point',
+      coordinates: [location.longitude, location.latitude],
+      address: location.address
+    },
+    description
+  })
+
+  // Find nearby hospitals if medical emergency
+  if (type === 'medical' || type === 'accident') {
+    try {
+      const nearbyHospitals = await findNearbyHospitals(
+        location.latitude,
+        location.longitude
+      )
+      alert.nearbyHospitals = nearbyHospitals
+    } catch (error) {
+      console.error('Error finding hospitals:', error)
+    }
+  }
+
+  // First rung of the escalation ladder; later rungs are advanced by sweepEmergencyAlerts
+  const ladder = escalationLadder()
+  alert.escalation = {
+    stage: 0,
+    radius: ladder[0].radius,
+    nextAt: ladder.length > 1 ? new Date(Date.now() + ESCALATION_INTERVAL_MINUTES * 60 * 1000) : undefined
+  }
+
+  // Auto-resolve is persisted on the alert (autoResolveAt) and handled by sweepEmergencyAlerts
+  await alert.save()
+
+  const notifiedUsers = await notifyNearbyRiders(alert, ladder[0].radius)
+  await recordTimeline(alert._id, 'notified_nearby', `${notifiedUsers} riders within ${ladder[0].radius / 1000} km`)
+
+  // Fire-and-forget: notify user's emergency contacts (the service call comes last on the ladder)
+  ;(async () => {
+    try {
+      await notifyContacts(alert, { serviceCall: false })
+      await recordTimeline(alert._id, 'contacts_notified')
+    } catch (err) {
+      console.error('Failed to notify contacts:', err)
+    }
+  })()
+
+  // Guardians following the rider's ride see the emergency straight away
+  broadcastRiderUpdate(userId).catch(err => console.error('Share broadcast error:', err))
+
+  return { alert, notifiedUsers }
+}
+
+// Ordered escalation stages. Stage 0 runs when the alert is created.
+function escalationLadder() {
+  const radii = ESCALATION_RADII.length ? ESCALATION_RADII : [10000]
+  return [
+    { event: 'notified_nearby', radius: radii[0] },
+    ...radii.slice(1).map(radius => ({ event: 'radius_widened', radius })),
+    { event: 'contacts_renotified' },
+    { event: 'service_called' }
+  ]
+}
+
+async function recordTimeline(alertId, event, note) {
+  await EmergencyAlert.updateOne(
+    { _id: alertId },
+    { $push: { timeline: { event, note, at: new Date() } } }
+  )
+  console.log(`Emergency alert ${alertId}: ${event}${note ? ` (${note})` : ''}`)
+}
+
+// Push the alert to online riders within `radius`, and online responders within the
+// ladder's widest radius, who haven't been told yet. Returns how many were reached.
+export async function notifyNearbyRiders(alert, radius) {
+  const [longitude, latitude] = alert.location.coordinates
+  const [riders, responders] = await Promise.all([
+    User.findNearby(longitude, latitude, radius),
+    RESPONDER_RADIUS > radius
+      ? User.findNearby(longitude, latitude, RESPONDER_RADIUS, { role: 'responder' })
+      : []
+  ])
+  const riderIds = new Set(riders.map(user => user._id.toString()))
+  const nearbyUsers = [...riders, ...responders.filter(user => !riderIds.has(user._id.toString()))]
+
+  const alreadyNotified = new Set((alert.escalation?.notifiedUsers || []).map(id => id.toString()))
+  const reached = []
+
+  nearbyUsers.forEach(user => {
+    const userId = user._id.toString()
+    if (userId === alert.user.toString() || alreadyNotified.has(userId)) return
+
+    const delivered = emitToUser(userId, 'emergency-alert', {
+      alertId: alert._id,
+      type: alert.type,
+      severity: alert.severity,
+      location: { latitude, longitude, address: alert.location.address },
+      description: alert.description,
+      userId: alert.user,
+      radius,
+      distance: calculateDistance(
+        latitude, longitude,
+        user.currentLocation.coordinates[1],
+        user.currentLocation.coordinates[0]
+      )
+    })
+    if (delivered) reached.push(user._id)
+  })
+
+  if (reached.length) {
+    await EmergencyAlert.updateOne(
+      { _id: alert._id },
+      { $addToSet: { 'escalation.notifiedUsers': { $each: reached } } }
+    )
+  }
+
+  return reached.length
+}
+
+// Advance one alert to the next rung. The stage is claimed with a conditional
+// update so only one instance performs the side effects, which then run in the
+// background so one alert's slow notifications don't hold up the rest of the sweep.
+async function advanceEscalation(alert, ladder, now) {
+  const currentStage = alert.escalation.stage || 0
+  const nextStage = currentStage + 1
+  const step = ladder[nextStage]
+
+  if (!step) {
+    await EmergencyAlert.updateOne({ _id: alert._id }, { $unset: { 'escalation.nextAt': 1 } })
+    return false
+  }
+
+  const isLast = nextStage >= ladder.length - 1
+  const update = {
+    $set: {
+      'escalation.stage': nextStage,
+      ...(step.radius && { 'escalation.radius': step.radius }),
+      ...(!alert.escalatedAt && { escalatedAt: now }),
+      ...(!isLast && { 'escalation.nextAt': new Date(now.getTime() + ESCALATION_INTERVAL_MINUTES * 60 * 1000) })
+    },
+    ...(isLast && { $unset: { 'escalation.nextAt': 1 } })
+  }
+
+  const claimed = await EmergencyAlert.updateOne(
+    { _id: alert._id, status: 'active', 'escalation.stage': currentStage },
+    update
+  )
+  if (claimed.modifiedCount !== 1) return false
+
+  runEscalationStep(alert, step)
+    .catch(err => console.error(`Failed to escalate emergency alert ${alert._id}:`, err))
+  return true
+}
+
+// Notify whoever a claimed rung reaches and record it on the timeline
+async function runEscalationStep(alert, step) {
+  let note
+  if (step.event === 'radius_widened') {
+    const reached = await notifyNearbyRiders(alert, step.radius)
+    note = `${reached} more riders within ${step.radius / 1000} km`
+  } else if (step.event === 'contacts_renotified') {
+    await notifyContacts(alert, { serviceCall: false, reminder: true })
+  } else if (step.event === 'service_called') {
+    await notifyContacts(alert, { contacts: false, serviceCall: true })
+  }
+
+  await recordTimeline(alert._id, step.event, note)
+}
+
+// Scheduler job: walk unanswered alerts up the escalation ladder, then auto-resolve stale ones.
+// Every transition is claimed with a conditional update so it fires once across instances.
+export async function sweepEmergencyAlerts() {
+  const now = new Date()
+  const ladder = escalationLadder()
+
+  // 1. Escalate alerts nobody has answered yet
+  let escalated = 0
+  const due = await EmergencyAlert.find({
+    status: 'active',
+    'escalation.nextAt': { $lte: now }
+  }).limit(100)
+
+  for (const alert of due) {
+    try {
+      if (await advanceEscalation(alert, ladder, now)) escalated++
+    } catch (err) {
+      console.error(`Failed to escalate emergency alert ${alert._id}:`, err)
+    }
+  }
+
+  // 2. Auto-resolve alerts past their deadline; critical ones only once the ladder is finished
+  const legacyBefore = new Date(now.getTime() - AUTO_RESOLVE_MINUTES * 60 * 1000)
+  let resolved = 0
+  for (;;) {
+    const alert = await EmergencyAlert.findOneAndUpdate(
+      {
+        status: 'active',
+        $and: [
+          {
+            $or: [
+              { autoResolveAt: { $lte: now } },
+              // Alerts created before autoResolveAt existed
+              { autoResolveAt: { $exists: false }, createdAt: { $lte: legacyBefore } }
+            ]
+          },
+          {
+            $or: [
+              { severity: { $ne: 'critical' } },
+              { 'escalation.nextAt': { $exists: false } }
+            ]
+          }
+        ]
+      },
+      {
+        $set: { status: 'resolved', autoResolved: true, resolvedAt: now },
+        $push: { timeline: { event: 'auto_resolved', at: now, note: 'No response before auto-resolve deadline' } }
+      },
+      { new: true }
+    )
+    if (!alert) break
+
+    resolved++
+    console.log(`Emergency alert ${alert._id}: auto-resolved`)
+  }
+
+  if (escalated || resolved) {
+    console.log(`Emergency sweep: ${escalated} escalation steps, ${resolved} auto-resolved`)
+  }
+
+  return { escalated, resolved }
+}
+
+// Helper function to find nearby hospitals from the POI cache
+export async function findNearbyHospitals(latitude, longitude, radius = 20000) {
+  try {
+    const { pois } = await findNearbyPois({ latitude, longitude, radius, category: 'medical', limit: 10 })
+
+    return pois.map(poi => ({
+      id: parseInt(poi.osmId.split('/')[1]),
+      name: poi.name || 'Medical Facility',
+      type: poi.kind || 'hospital',
+      address: poi.address || '',
+      phone: poi.phone,
+      emergency: poi.emergency,
+      website: poi.website,
+      coordinates: poi.location.coordinates,
+      distance: Math.round(poi.distance)
+    }))
+  } catch (error) {
+    console.error('Error finding hospitals:', error)
+    return []
+  }
+}
+
+// Helper function to calculate distance
+export function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371e3 // Earth's radius in meters
+  const φ1 = lat1 * Math.PI / 180
+  const φ2 = lat2 * Math.PI / 180
+  const Δφ = (lat2 - lat1) * Math.PI / 180
+  const Δλ = (lon2 - lon1) * Math.PI / 180
+
+  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+          Math.cos(φ1) * Math.cos(φ2) *
+          Math.sin(Δλ/2) * Math.sin(Δλ/2)
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a))
+
+  return R * c
+}
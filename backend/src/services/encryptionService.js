@@ -0,0 +1,47 @@
+import crypto from 'crypto'
+
+// AES-256-GCM for sensitive fields stored at rest (medical data).
+// Payloads look like `v1:<iv>:<tag>:<ciphertext>`, all base64.
+
+const ALGORITHM = 'aes-256-gcm'
+const VERSION = 'v1'
+
+let cachedKey = null
+
+// DATA_ENCRYPTION_KEY may be 64 hex chars or any passphrase (hashed to 32 bytes)
+function encryptionKey() {
+  if (cachedKey) return cachedKey
+
+  const configured = process.env.DATA_ENCRYPTION_KEY
+  if (configured && /^[0-9a-f]{64}$/i.test(configured)) {
+    cachedKey = Buffer.from(configured, 'hex')
+  } else {
+    if (!configured) {
+      console.warn('⚠️  DATA_ENCRYPTION_KEY is not set; deriving the data key from JWT_SECRET')
+    }
+    const secret = configured || process.env.JWT_SECRET || 'dev_jwt_secret'
+    cachedKey = crypto.createHash('sha256').update(secret).digest()
+  }
+  return cachedKey
+}
+
+export function encryptJson(value) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey(), iv)
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()])
+  const tag = cipher.getAuthTag()
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), data.toString('base64')].join(':')
+}
+
+// Throws if the payload was tampered with or encrypted under another key
+export function decryptJson(payload) {
+  const [version, iv, tag, data] = String(payload).split(':')
+  if (version !== VERSION || !iv || !tag || data === undefined) {
+    throw new Error('Unsupported encrypted payload')
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, encryptionKey(), Buffer.from(iv, 'base64'))
+  decipher.setAuthTag(Buffer.from(tag, 'base64'))
+  const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()])
+  return JSON.parse(plain.toString('utf8'))
+}
@@ -0,0 +1,291 @@
+import Geofence, { GeofenceEvent, GEOFENCE_CATEGORIES, GEOFENCE_EVENTS, GEOFENCE_AUDIENCES } from '../models/Geofence.js'
+import RideGroup from '../models/RideGroup.js'
+import User from '../models/User.js'
+import { calculateDistance } from './emergencyService.js'
+import { sortContacts } from './emergencyContactService.js'
+import { notifyUser, sendNotification } from './notificationService.js'
+import { simplifyLine } from './polylineService.js'
+import { emitToUser, emitToRoom } from './socketService.js'
+
+export const MAX_GEOFENCES_PER_OWNER = 50
+const MAX_RULES = 10
+const MAX_POLYGON_POINTS = 200
+const MAX_CORRIDOR_POINTS = 2000
+const RADIUS_LIMITS = { circle: [20, 50000], corridor: [20, 5000] }
+// A rider inside a fence only counts as leaving once this far outside it, so a fix
+// wobbling on the boundary doesn't fire enter/exit over and over
+const EXIT_MARGIN_METERS = parseFloat(process.env.GEOFENCE_EXIT_MARGIN_M) || 15
+
+const toCoordinate = (point) => {
+  const latitude = Number(point?.latitude)
+  const longitude = Number(point?.longitude)
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null
+  }
+  return [longitude, latitude]
+}
+
+// Validate the shape of a fence from a request body:
+//   shape: 'circle' with center { latitude, longitude } and radius (m)
+//   shape: 'polygon' with points [{ latitude, longitude }] (3 or more)
+//   shape: 'corridor' with points along the route (or `line`, [lng, lat] pairs from a saved
+//   route) and radius, the distance allowed either side
+// Returns { geometry, radius } or { error }.
+export function parseGeofenceShape({ shape, center, radius, points, line }) {
+  if (shape === 'circle') {
+    const coordinate = toCoordinate(center)
+    if (!coordinate) return { error: 'A circle needs a center with latitude and longitude' }
+    const [min, max] = RADIUS_LIMITS.circle
+    if (!(radius >= min && radius <= max)) return { error: `Radius must be between ${min} and ${max} metres` }
+    return { geometry: { type: 'Point', coordinates: coordinate }, radius }
+  }
+
+  if (shape === 'polygon') {
+    if (!Array.isArray(points) || points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+      return { error: `A polygon needs between 3 and ${MAX_POLYGON_POINTS} points` }
+    }
+    const ring = points.map(toCoordinate)
+    if (ring.some(coordinate => !coordinate)) return { error: 'Every point needs a valid latitude and longitude' }
+    const [first] = ring
+    const last = ring[ring.length - 1]
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first)
+    return { geometry: { type: 'Polygon', coordinates: [ring] } }
+  }
+
+  if (shape === 'corridor') {
+    const coordinates = line || (Array.isArray(points) ? points.map(toCoordinate) : null)
+    if (!coordinates || coordinates.length < 2 || coordinates.some(coordinate => !coordinate)) {
+      return { error: 'A corridor needs a saved route or at least two valid points' }
+    }
+    const [min, max] = RADIUS_LIMITS.corridor
+    if (!(radius >= min && radius <= max)) return { error: `Corridor radius must be between ${min} and ${max} metres` }
+
+    // Well inside the corridor width, so simplifying doesn't move its edges noticeably
+    let simplified = simplifyLine(coordinates, Math.min(10, radius / 4))
+    if (simplified.length > MAX_CORRIDOR_POINTS) {
+      simplified = simplifyLine(coordinates, radius / 2)
+    }
+    return { geometry: { type: 'LineString', coordinates: simplified }, radius }
+  }
+
+  return { error: 'Shape must be circle, polygon or corridor' }
+}
+
+// Validate rules [{ on: enter|exit, notify: me|contacts|group|leaders }]; group
+// audiences only make sense on group fences. Returns { rules } or { error }.
+export function parseGeofenceRules(rules, { isGroup }) {
+  if (rules === undefined) return { rules: [] }
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    return { error: `Rules must be a list of at most ${MAX_RULES}` }
+  }
+
+  const parsed = []
+  for (const rule of rules) {
+    if (!GEOFENCE_EVENTS.includes(rule?.on) || !GEOFENCE_AUDIENCES.includes(rule?.notify)) {
+      return { error: `Each rule needs on (${GEOFENCE_EVENTS.join(', ')}) and notify (${GEOFENCE_AUDIENCES.join(', ')})` }
+    }
+    if (!isGroup && ['group', 'leaders'].includes(rule.notify)) {
+      return { error: 'Only group geofences can notify the group' }
+    }
+    if (!parsed.some(r => r.on === rule.on && r.notify === rule.notify)) {
+      parsed.push({ on: rule.on, notify: rule.notify })
+    }
+  }
+  return { rules: parsed }
+}
+
+export const isGeofenceCategory = (category) => GEOFENCE_CATEGORIES.includes(category)
+
+// Whether a rider may change a fence: its owner, or a leader of its group
+export async function canManageGeofence(fence, userId) {
+  if (!fence.group) return fence.owner.toString() === userId.toString()
+  const group = await RideGroup.findById(fence.group)
+  return !!group && group.status === 'active' && group.isLeader(userId)
+}
+
+// Local flat projection in metres around `origin`; plenty at fence scale
+function projector([originLng, originLat]) {
+  const lngScale = 111320 * Math.cos(originLat * Math.PI / 180)
+  return ([lng, lat]) => [(lng - originLng) * lngScale, (lat - originLat) * 111320]
+}
+
+// Distance in metres from a point to a polyline
+function distanceToLine(point, line) {
+  const project = projector(point)
+  const xy = line.map(project)
+  let best = Infinity
+  for (let i = 1; i < xy.length; i++) {
+    const [ax, ay] = xy[i - 1]
+    const [bx, by] = xy[i]
+    const dx = bx - ax
+    const dy = by - ay
+    const lengthSq = dx * dx + dy * dy
+    const t = lengthSq ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0
+    best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy))
+  }
+  return best
+}
+
+// Ray casting on [lng, lat]
+function insideRing([lng, lat], ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// How far outside the fence a [lng, lat] point is, in metres; 0 or less is inside
+export function distanceOutside(fence, point) {
+  const { type, coordinates } = fence.geometry
+  if (type === 'Point') {
+    return calculateDistance(point[1], point[0], coordinates[1], coordinates[0]) - fence.radius
+  }
+  if (type === 'LineString') {
+    return distanceToLine(point, coordinates) - fence.radius
+  }
+  const [ring] = coordinates
+  return insideRing(point, ring) ? 0 : distanceToLine(point, ring)
+}
+
+// Fences that apply to a rider: their own and those of the groups they ride with
+async function fencesFor(userId) {
+  const groupIds = await RideGroup.findForUser(userId, { memberStatus: 'active' }).distinct('_id')
+  return Geofence.find({
+    isActive: true,
+    $or: [
+      { owner: userId, group: null },
+      { group: { $in: groupIds } }
+    ]
+  })
+}
+
+// Record which side of the fence the rider is on. Only a change from a known side is a
+// transition; the conditional update makes sure concurrent fixes report it once.
+async function updatePresence(fence, userId, inside, at) {
+  const previous = fence.presence.find(entry => entry.user.toString() === userId.toString())
+  if (previous && previous.inside === inside) return false
+
+  if (!previous) {
+    await Geofence.updateOne(
+      { _id: fence._id, 'presence.user': { $ne: userId } },
+      { $push: { presence: { user: userId, inside, since: at } } }
+    )
+    return false
+  }
+
+  const result = await Geofence.updateOne(
+    { _id: fence._id, presence: { $elemMatch: { user: userId, inside: previous.inside } } },
+    { $set: { 'presence.$.inside': inside, 'presence.$.since': at } }
+  )
+  return result.modifiedCount > 0
+}
+
+function transitionMessage(user, fence, event) {
+  const verb = event === 'enter' ? 'arrived at' : 'left'
+  return {
+    subject: `${user.name} ${verb} ${fence.name}`,
+    body: `${user.name} ${verb} ${fence.name} at ${new Date().toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}.`
+  }
+}
+
+// Send the notifications a transition's rules ask for. Never throws.
+async function notifyTransition(fence, user, event) {
+  const audiences = [...new Set(fence.rules.filter(rule => rule.on === event).map(rule => rule.notify))]
+  if (!audiences.length) return audiences
+
+  const { subject, body } = transitionMessage(user, fence, event)
+  const context = { type: 'geofence', refId: fence._id }
+  const data = { type: 'geofence', geofenceId: fence._id.toString(), event, userId: user._id.toString() }
+  const sends = []
+
+  if (audiences.includes('me')) {
+    sends.push(notifyUser(user._id, { channels: ['push'], subject, body, data, context }))
+  }
+
+  if (audiences.includes('contacts')) {
+    const contacts = sortContacts(user.emergencyContacts).filter(contact => contact.consent?.status === 'confirmed')
+    for (const contact of contacts) {
+      const channel = contact.phone ? 'sms' : 'email'
+      const to = contact.phone || contact.email
+      if (!to) continue
+      sends.push(sendNotification({ channel, to, subject: channel === 'email' ? subject : undefined, body, userId: user._id, context }))
+    }
+  }
+
+  if (fence.group && (audiences.includes('group') || audiences.includes('leaders'))) {
+    const group = await RideGroup.findById(fence.group)
+    const members = (group?.members || []).filter(member =>
+      member.status === 'active' &&
+      member.user.toString() !== user._id.toString() &&
+      (audiences.includes('group') || member.role === 'leader')
+    )
+    for (const member of members) {
+      sends.push(notifyUser(member.user, { channels: ['push'], subject, body, data, context }))
+    }
+  }
+
+  const results = await Promise.allSettled(sends)
+  results.filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Geofence notification error:', result.reason))
+  return audiences
+}
+
+// Check a rider's new position ({ coordinates: [lng, lat], timestamp }) against every fence
+// that applies to them. Each enter or exit is logged, emitted to the rider (and the group's
+// room for group fences) and notified per the fence's rules.
+// Resolves to the transitions [{ geofence, event }].
+export async function evaluateGeofences(userId, { coordinates, timestamp = new Date() }) {
+  const fences = await fencesFor(userId)
+  if (!fences.length) return []
+
+  const transitions = []
+  for (const fence of fences) {
+    const previous = fence.presence.find(entry => entry.user.toString() === userId.toString())
+    const outside = distanceOutside(fence, coordinates)
+    const inside = previous?.inside ? outside <= EXIT_MARGIN_METERS : outside <= 0
+
+    if (await updatePresence(fence, userId, inside, timestamp)) {
+      transitions.push({ fence, event: inside ? 'enter' : 'exit' })
+    }
+  }
+  if (!transitions.length) return []
+
+  const user = await User.findById(userId).select('name emergencyContacts')
+  if (!user) return []
+
+  for (const { fence, event } of transitions) {
+    const payload = {
+      geofenceId: fence._id,
+      name: fence.name,
+      category: fence.category,
+      groupId: fence.group,
+      event,
+      userId,
+      userName: user.name,
+      location: { latitude: coordinates[1], longitude: coordinates[0] },
+      timestamp
+    }
+    emitToUser(userId, 'geofence-event', payload)
+    if (fence.group) emitToRoom(`ride_${fence.group}`, 'geofence-event', payload)
+
+    const logged = await GeofenceEvent.create({
+      geofence: fence._id,
+      user: userId,
+      group: fence.group,
+      event,
+      location: { type: 'Point', coordinates },
+      occurredAt: timestamp
+    })
+
+    notifyTransition(fence, user, event)
+      .then(notified => notified.length && GeofenceEvent.updateOne({ _id: logged._id }, { notified }))
+      .catch(err => console.error('Geofence notification error:', err))
+  }
+
+  return transitions.map(({ fence, event }) => ({ geofence: fence._id, event }))
+}
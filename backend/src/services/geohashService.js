@@ -0,0 +1,75 @@
+// Minimal geohash helpers for tiling the map into cache cells
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz'
+
+export function encodeGeohash(latitude, longitude, precision) {
+  let latRange = [-90, 90]
+  let lngRange = [-180, 180]
+  let hash = ''
+  let bits = 0
+  let value = 0
+  let evenBit = true
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange
+    const coordinate = evenBit ? longitude : latitude
+    const mid = (range[0] + range[1]) / 2
+    if (coordinate >= mid) {
+      value = (value << 1) | 1
+      range[0] = mid
+    } else {
+      value = value << 1
+      range[1] = mid
+    }
+    evenBit = !evenBit
+
+    if (++bits === 5) {
+      hash += BASE32[value]
+      bits = 0
+      value = 0
+    }
+  }
+  return hash
+}
+
+// { south, west, north, east } of a geohash cell
+export function geohashBounds(hash) {
+  let latRange = [-90, 90]
+  let lngRange = [-180, 180]
+  let evenBit = true
+
+  for (const char of hash) {
+    const value = BASE32.indexOf(char)
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange
+      const mid = (range[0] + range[1]) / 2
+      if ((value >> bit) & 1) range[0] = mid
+      else range[1] = mid
+      evenBit = !evenBit
+    }
+  }
+  return { south: latRange[0], west: lngRange[0], north: latRange[1], east: lngRange[1] }
+}
+
+// Geohash cells of the given precision covering a circle (via its bounding box)
+export function geohashesAround(latitude, longitude, radiusMeters, precision) {
+  const latDelta = radiusMeters / 111320
+  const lngDelta = radiusMeters / (111320 * Math.max(Math.cos(latitude * Math.PI / 180), 0.01))
+  const south = Math.max(latitude - latDelta, -90)
+  const north = Math.min(latitude + latDelta, 90)
+  const west = Math.max(longitude - lngDelta, -180)
+  const east = Math.min(longitude + lngDelta, 180)
+
+  // Step by a cell's size, read off a sample cell at the centre
+  const cell = geohashBounds(encodeGeohash(latitude, longitude, precision))
+  const latStep = cell.north - cell.south
+  const lngStep = cell.east - cell.west
+
+  const hashes = new Set()
+  for (let lat = south; lat < north + latStep; lat += latStep) {
+    for (let lng = west; lng < east + lngStep; lng += lngStep) {
+      hashes.add(encodeGeohash(Math.min(lat, north), Math.min(lng, east), precision))
+    }
+  }
+  return [...hashes]
+}
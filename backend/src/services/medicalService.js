@@ -0,0 +1,93 @@
+import MedicalProfile from '../models/MedicalProfile.js'
+import MedicalAccessLog from '../models/MedicalAccessLog.js'
+import { encryptJson, decryptJson } from './encryptionService.js'
+
+export const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-', 'unknown']
+
+// Alert states in which responders may read the rider's medical ID
+export const MEDICAL_ACCESS_STATUSES = ['active', 'responded']
+
+const LIST_FIELDS = ['allergies', 'conditions', 'medications']
+const INSURANCE_FIELDS = ['provider', 'policyNumber', 'phone']
+const MAX_LIST_ITEMS = 20
+const MAX_TEXT_LENGTH = 200
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : undefined)
+
+// Validate and normalise a medical profile from a request body.
+// Resolves to { profile } or { error }.
+export function sanitizeMedicalProfile(input = {}) {
+  const profile = {}
+
+  if (input.bloodGroup !== undefined) {
+    if (!BLOOD_GROUPS.includes(input.bloodGroup)) {
+      return { error: `Blood group must be one of: ${BLOOD_GROUPS.join(', ')}` }
+    }
+    profile.bloodGroup = input.bloodGroup
+  }
+
+  for (const field of LIST_FIELDS) {
+    const value = input[field]
+    if (value === undefined) continue
+    if (!Array.isArray(value) || value.length > MAX_LIST_ITEMS || value.some(item => typeof item !== 'string')) {
+      return { error: `${field} must be a list of up to ${MAX_LIST_ITEMS} entries` }
+    }
+    profile[field] = value.map(cleanText).filter(Boolean)
+  }
+
+  if (input.insurance !== undefined) {
+    if (typeof input.insurance !== 'object' || input.insurance === null) {
+      return { error: 'Insurance must be an object' }
+    }
+    profile.insurance = {}
+    INSURANCE_FIELDS.forEach(field => {
+      const value = cleanText(input.insurance[field])
+      if (value) profile.insurance[field] = value
+    })
+  }
+
+  if (input.notes !== undefined) {
+    profile.notes = typeof input.notes === 'string' ? input.notes.trim().slice(0, 1000) : undefined
+  }
+
+  return { profile }
+}
+
+// Decrypted medical ID of a user, or null if none is stored
+export async function getMedicalProfile(userId) {
+  const record = await MedicalProfile.findOne({ user: userId })
+  if (!record) return null
+  return { ...decryptJson(record.encryptedData), updatedAt: record.updatedAt }
+}
+
+export async function saveMedicalProfile(userId, profile) {
+  const record = await MedicalProfile.findOneAndUpdate(
+    { user: userId },
+    { encryptedData: encryptJson(profile) },
+    { upsert: true, new: true }
+  )
+  return { ...profile, updatedAt: record.updatedAt }
+}
+
+// Responders may read the medical ID only while the alert is still open
+export function canReadMedicalProfile(alert, userId) {
+  return MEDICAL_ACCESS_STATUSES.includes(alert.status) &&
+    alert.responders.some(r => r.user && (r.user._id || r.user).toString() === userId.toString())
+}
+
+// Read the alert owner's medical ID on behalf of a responder, logging the access.
+// Check canReadMedicalProfile first.
+export async function readMedicalProfileForResponder(alert, responderId, req) {
+  const ownerId = alert.user._id || alert.user
+  const profile = await getMedicalProfile(ownerId)
+
+  await MedicalAccessLog.create({
+    owner: ownerId,
+    accessor: responderId,
+    alert: alert._id,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']?.slice(0, 300)
+  })
+
+  return profile
+}
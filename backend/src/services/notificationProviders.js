@@ -0,0 +1,173 @@
+import fs from 'fs'
+import path from 'path'
+import axios from 'axios'
+
+// Each provider exposes send({ channel, to, subject, body, html, data })
+// and resolves to { messageId } or throws on failure.
+
+let twilioClient = null
+async function getTwilioClient() {
+  if (twilioClient) return twilioClient
+  // Dynamic import: twilio may not be installed in dev
+  const twilioModule = await import('twilio')
+  twilioClient = twilioModule.default(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
+  return twilioClient
+}
+
+// Twilio: SMS, WhatsApp and voice calls
+export const twilioProvider = {
+  name: 'twilio',
+  isConfigured: (channel) => {
+    const base = !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_FROM)
+    if (channel === 'whatsapp') return base && !!process.env.TWILIO_WHATSAPP_FROM
+    return base
+  },
+  async send({ channel, to, body }) {
+    const client = await getTwilioClient()
+
+    if (channel === 'voice') {
+      const call = await client.calls.create({
+        to,
+        from: process.env.TWILIO_FROM,
+        twiml: `<Response><Say voice="alice">${body.replace(/[<>&]/g, '')}</Say></Response>`
+      })
+      return { messageId: call.sid }
+    }
+
+    const message = channel === 'whatsapp'
+      ? await client.messages.create({ body, from: process.env.TWILIO_WHATSAPP_FROM, to: `whatsapp:${to}` })
+      : await client.messages.create({ body, from: process.env.TWILIO_FROM, to })
+    return { messageId: message.sid }
+  }
+}
+
+// Generic HTTP SMS gateway (e.g. an SMPP bridge or local aggregator)
+export const httpSmsProvider = {
+  name: 'http-sms',
+  isConfigured: () => !!process.env.SMS_GATEWAY_URL,
+  async send({ to, body }) {
+    const response = await axios.post(process.env.SMS_GATEWAY_URL, {
+      to,
+      from: process.env.SMS_GATEWAY_SENDER_ID,
+      message: body
+    }, {
+      headers: process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {},
+      timeout: 10000
+    })
+    return { messageId: response.data?.messageId || response.data?.id }
+  }
+}
+
+let smtpTransport = null
+async function getSmtpTransport() {
+  if (smtpTransport) return smtpTransport
+  // Dynamic import: nodemailer may not be installed in dev
+  const nodemailer = (await import('nodemailer')).default
+  smtpTransport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  })
+  return smtpTransport
+}
+
+// SMTP email
+export const smtpProvider = {
+  name: 'smtp',
+  isConfigured: () => !!process.env.SMTP_HOST,
+  async send({ to, subject, body, html }) {
+    const transport = await getSmtpTransport()
+    const info = await transport.sendMail({
+      from: process.env.SMTP_FROM || 'Rider Sathi <no-reply@ridersathi.com>',
+      to,
+      subject,
+      text: body,
+      html
+    })
+    return { messageId: info.messageId }
+  }
+}
+
+let webPush = null
+async function getWebPush() {
+  if (webPush) return webPush
+  // Dynamic import: web-push may not be installed in dev
+  webPush = (await import('web-push')).default
+  webPush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:admin@ridersathi.com',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  )
+  return webPush
+}
+
+// Web Push; `to` is a JSON-serialised PushSubscription
+export const webPushProvider = {
+  name: 'web-push',
+  isConfigured: () => !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY),
+  async send({ to, subject, body, data }) {
+    const client = await getWebPush()
+    const subscription = typeof to === 'string' ? JSON.parse(to) : to
+    await client.sendNotification(subscription, JSON.stringify({ title: subject, body, data }))
+    return { messageId: null }
+  }
+}
+
+// Local development sink: console, or JSON lines in NOTIFY_SINK_FILE
+export const consoleProvider = {
+  name: 'console',
+  isConfigured: () => true,
+  async send({ channel, to, subject, body }) {
+    const entry = { at: new Date().toISOString(), channel, to, subject, body }
+    if (process.env.NOTIFY_SINK_FILE) {
+      const file = path.resolve(process.env.NOTIFY_SINK_FILE)
+      await fs.promises.mkdir(path.dirname(file), { recursive: true })
+      await fs.promises.appendFile(file, JSON.stringify(entry) + '\n')
+    } else {
+      console.log(`📨 [${channel}] to ${to}${subject ? ` "${subject}"` : ''}: ${body}`)
+    }
+    return { messageId: `console-${Date.now()}` }
+  }
+}
+
+// Stands in for a channel with no provider in production: nothing is sent or printed
+export const unconfiguredProvider = {
+  name: 'none',
+  isConfigured: () => false,
+  async send({ channel }) {
+    throw new Error(`No ${channel} provider configured`)
+  }
+}
+
+const providers = {
+  twilio: twilioProvider,
+  http: httpSmsProvider,
+  smtp: smtpProvider,
+  webpush: webPushProvider,
+  console: consoleProvider
+}
+
+// Candidate providers per channel, in order of preference
+const channelDefaults = {
+  sms: ['twilio', 'http'],
+  whatsapp: ['twilio'],
+  voice: ['twilio'],
+  email: ['smtp'],
+  push: ['webpush']
+}
+
+// Pick the provider for a channel: NOTIFY_<CHANNEL>_PROVIDER wins, then the first
+// configured default, then the console sink. Message bodies carry live reset, verification
+// and consent links, so production only uses the sink when it is asked for by name.
+export function resolveProvider(channel) {
+  const forced = process.env[`NOTIFY_${channel.toUpperCase()}_PROVIDER`]
+  if (forced && providers[forced]) return providers[forced]
+
+  const candidate = (channelDefaults[channel] || [])
+    .map(name => providers[name])
+    .find(provider => provider.isConfigured(channel))
+
+  if (candidate) return candidate
+  return process.env.NODE_ENV === 'production' ? unconfiguredProvider : consoleProvider
+}
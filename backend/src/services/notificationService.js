@@ -0,0 +1,153 @@
+import mongoose from 'mongoose'
+import NotificationLog from '../models/NotificationLog.js'
+import User from '../models/User.js'
+import { resolveProvider } from './notificationProviders.js'
+
+// Attempts per channel (override with NOTIFY_<CHANNEL>_RETRIES)
+const DEFAULT_ATTEMPTS = {
+  sms: 3,
+  whatsapp: 2,
+  voice: 2,
+  email: 3,
+  push: 2
+}
+
+const RETRY_BASE_DELAY_MS = parseInt(process.env.NOTIFY_RETRY_DELAY_MS) || 1000
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+function attemptsFor(channel) {
+  return parseInt(process.env[`NOTIFY_${channel.toUpperCase()}_RETRIES`]) || DEFAULT_ATTEMPTS[channel] || 1
+}
+
+// Delivery logs need the database; in demo mode we only send
+const canLog = () => mongoose.connection.readyState === 1
+
+// Whether a channel has a real provider behind it (not the console sink or nothing)
+export function isChannelConfigured(channel) {
+  return !['console', 'none'].includes(resolveProvider(channel).name)
+}
+
+// Send one notification over one channel with retries, recording the outcome.
+// Never throws; resolves to { status, provider, attempts, error, logId }.
+export async function sendNotification({ channel, to, subject, body, html, data, userId, context = {} }) {
+  const provider = resolveProvider(channel)
+  // Retrying can't help when there is no provider at all
+  const maxAttempts = provider.name === 'none' ? 1 : attemptsFor(channel)
+  const logTo = typeof to === 'string' ? to : (to?.endpoint || JSON.stringify(to))
+
+  let log = null
+  if (canLog()) {
+    try {
+      log = await NotificationLog.create({
+        user: userId,
+        channel,
+        provider: provider.name,
+        to: logTo,
+        subject,
+        body: body?.slice(0, 2000),
+        context: { type: context.type || 'other', refId: context.refId }
+      })
+    } catch (err) {
+      console.error('Notification log error:', err.message)
+    }
+  }
+
+  let attempts = 0
+  let lastError = null
+  while (attempts < maxAttempts) {
+    attempts++
+    try {
+      const result = await provider.send({ channel, to, subject, body, html, data })
+      if (log) {
+        log.status = 'sent'
+        log.attempts = attempts
+        log.providerMessageId = result?.messageId || undefined
+        log.sentAt = new Date()
+        await log.save().catch(err => console.error('Notification log error:', err.message))
+      }
+      return { status: 'sent', provider: provider.name, attempts, logId: log?._id }
+    } catch (err) {
+      lastError = err
+      console.error(`Notification ${channel} via ${provider.name} to ${logTo} failed (attempt ${attempts}/${maxAttempts}):`, err.message)
+      if (attempts < maxAttempts) {
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1))
+      }
+    }
+  }
+
+  if (log) {
+    log.status = 'failed'
+    log.attempts = attempts
+    log.error = lastError?.message
+    await log.save().catch(err => console.error('Notification log error:', err.message))
+  }
+  return { status: 'failed', provider: provider.name, attempts, error: lastError?.message, logId: log?._id }
+}
+
+// Notify an account holder on the given channels, resolving their addresses.
+// With mode 'first', channels are tried in order until one delivers.
+export async function notifyUser(userId, { channels = ['push', 'email'], subject, body, html, data, context, mode = 'all' }) {
+  const user = await User.findById(userId).select('email phone pushSubscriptions preferences')
+  if (!user) return []
+
+  const results = []
+  for (const channel of channels) {
+    let recipients = []
+    if (channel === 'email' && user.email) recipients = [user.email]
+    if ((channel === 'sms' || channel === 'whatsapp' || channel === 'voice') && user.phone) recipients = [user.phone]
+    if (channel === 'push') recipients = (user.pushSubscriptions || []).map(sub => sub.toObject ? sub.toObject() : sub)
+
+    let delivered = false
+    for (const to of recipients) {
+      const result = await sendNotification({ channel, to, subject, body, html, data, userId: user._id, context })
+      results.push({ channel, ...result })
+      if (result.status === 'sent') delivered = true
+    }
+
+    if (delivered && mode === 'first') break
+  }
+
+  return results
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Notify room participants mentioned as @Name or @FirstName in a chat message
+export async function notifyChatMentions({ room, chatMessage, senderId }) {
+  const text = chatMessage.message
+  if (!text || !text.includes('@')) return []
+
+  const participantIds = room.participants
+    .map(p => (p.user._id || p.user).toString())
+    .filter(id => id !== senderId.toString())
+  if (participantIds.length === 0) return []
+
+  const [sender, participants] = await Promise.all([
+    User.findById(senderId).select('name'),
+    User.find({ _id: { $in: participantIds }, isActive: true }).select('name preferences')
+  ])
+
+  const mentioned = participants.filter(user => {
+    if (!user.name || user.preferences?.notifications === false) return false
+    const firstName = user.name.split(/\s+/)[0]
+    return [user.name, firstName].some(name =>
+      new RegExp(`@${escapeRegex(name)}(?![\\w])`, 'i').test(text)
+    )
+  })
+
+  const results = []
+  for (const user of mentioned) {
+    const sent = await notifyUser(user._id, {
+      channels: ['push', 'email'],
+      mode: 'first',
+      subject: `${sender?.name || 'Someone'} mentioned you in ${room.name}`,
+      body: text.slice(0, 200),
+      data: { roomId: room._id, messageId: chatMessage._id },
+      context: { type: 'chat_mention', refId: chatMessage._id }
+    })
+    results.push(...sent)
+  }
+
+  return results
+}
@@ -0,0 +1,346 @@
+import fs from 'fs'
+import readline from 'readline'
+import axios from 'axios'
+import mongoose from 'mongoose'
+import Poi, { POI_CATEGORIES } from '../models/Poi.js'
+import PoiTile from '../models/PoiTile.js'
+import { geohashesAround, geohashBounds } from './geohashService.js'
+
+// OSM tags behind each category
+const CATEGORY_TAGS = {
+  fuel: [['amenity', 'fuel']],
+  repair: [['shop', 'motorcycle_repair'], ['shop', 'car_repair']],
+  medical: [['amenity', 'hospital'], ['amenity', 'pharmacy'], ['amenity', 'clinic'], ['healthcare', 'hospital']],
+  food: [['amenity', 'restaurant'], ['amenity', 'fast_food'], ['amenity', 'cafe']],
+  parking: [['amenity', 'parking']],
+  atm: [['amenity', 'atm'], ['amenity', 'bank']]
+}
+
+// Precision 5 cells are about 5 x 5 km at the equator
+const TILE_PRECISION = parseInt(process.env.POI_TILE_PRECISION) || 5
+const MAX_TILES_PER_LOOKUP = 100
+const TILE_TTL_MS = (parseFloat(process.env.POI_TILE_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000
+// A failed fetch is retried after this long, doubling per failure
+const TILE_RETRY_MS = 5 * 60 * 1000
+// Background refresh skips tiles nobody has asked for in this long
+const TILE_KEEP_MS = (parseFloat(process.env.POI_TILE_KEEP_DAYS) || 30) * 24 * 60 * 60 * 1000
+const REFRESH_LEASE_MS = 2 * 60 * 1000
+const REFRESH_BATCH = parseInt(process.env.POI_REFRESH_BATCH) || 20
+// Overpass is given this long before we answer from the store alone
+const OVERPASS_TIMEOUT_MS = parseInt(process.env.POI_FETCH_TIMEOUT_MS) || 8000
+
+const overpassUrl = () => process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter'
+
+export function categoriesForTags(tags = {}) {
+  return POI_CATEGORIES.filter(category => CATEGORY_TAGS[category].some(([key, value]) => tags[key] === value))
+}
+
+// Store fields for an OSM element with tags and a position, or null if it is not a POI we keep
+export function poiFromElement(element, coordinates) {
+  const tags = element.tags || {}
+  const categories = categoriesForTags(tags)
+  if (!categories.length || !coordinates) return null
+
+  return {
+    osmId: `${element.type}/${element.id}`,
+    categories,
+    kind: tags.amenity || tags.healthcare || tags.shop,
+    name: tags.name || tags.brand,
+    address: tags['addr:full'] || `${tags['addr:housenumber'] || ''} ${tags['addr:street'] || ''}`.trim() || undefined,
+    phone: tags.phone || tags['contact:phone'],
+    website: tags.website || tags['contact:website'],
+    openingHours: tags.opening_hours,
+    emergency: tags.emergency,
+    location: { type: 'Point', coordinates }
+  }
+}
+
+// Position of an Overpass element (nodes have lat/lon, ways and relations a center)
+const overpassCoordinates = (element) => {
+  if (element.lat !== undefined && element.lon !== undefined) return [element.lon, element.lat]
+  if (element.center) return [element.center.lon, element.center.lat]
+  return null
+}
+
+// Run one Overpass query for a category inside a bbox or around a point
+async function queryOverpass(category, area) {
+  const scope = area.around
+    ? `(around:${area.around.radius},${area.around.latitude},${area.around.longitude})`
+    : `(${area.south},${area.west},${area.north},${area.east})`
+  const selectors = CATEGORY_TAGS[category]
+    .flatMap(([key, value]) => ['node', 'way', 'relation'].map(type => `${type}[${key}=${value}]${scope};`))
+    .join('\n')
+
+  const response = await axios.post(overpassUrl(), `[out:json][timeout:25];\n(\n${selectors}\n);\nout center tags;`, {
+    headers: { 'Content-Type': 'text/plain' },
+    timeout: OVERPASS_TIMEOUT_MS
+  })
+
+  return response.data.elements
+    .map(element => poiFromElement(element, overpassCoordinates(element)))
+    .filter(Boolean)
+}
+
+async function upsertPois(pois, source) {
+  for (let i = 0; i < pois.length; i += 500) {
+    await Poi.bulkWrite(pois.slice(i, i + 500).map(poi => ({
+      updateOne: {
+        filter: { osmId: poi.osmId },
+        update: { $set: { ...poi, source } },
+        upsert: true
+      }
+    })), { ordered: false })
+  }
+}
+
+// Fetch tiles of one category from Overpass in a single bbox query and store the result.
+// Tiles another request is already refreshing are skipped. Resolves to true on success.
+export async function refreshTiles(category, geohashes) {
+  const now = new Date()
+  const claimed = []
+  for (const geohash of geohashes) {
+    try {
+      const tile = await PoiTile.findOneAndUpdate(
+        {
+          geohash,
+          category,
+          $or: [{ refreshingUntil: { $exists: false } }, { refreshingUntil: null }, { refreshingUntil: { $lte: now } }]
+        },
+        { refreshingUntil: new Date(now.getTime() + REFRESH_LEASE_MS) },
+        { upsert: true, new: true }
+      )
+      if (tile) claimed.push(tile)
+    } catch (error) {
+      // Duplicate key on upsert: another request holds this tile
+      if (error.code !== 11000) throw error
+    }
+  }
+  if (!claimed.length) return true
+
+  const cells = claimed.map(tile => geohashBounds(tile.geohash))
+  const box = {
+    south: Math.min(...cells.map(c => c.south)),
+    west: Math.min(...cells.map(c => c.west)),
+    north: Math.max(...cells.map(c => c.north)),
+    east: Math.max(...cells.map(c => c.east))
+  }
+  const ids = claimed.map(tile => tile._id)
+
+  try {
+    const pois = await queryOverpass(category, box)
+    await upsertPois(pois, 'overpass')
+
+    // Places gone from OSM: drop this category from cached entries the refresh did not see
+    const seen = pois.map(poi => poi.osmId)
+    const within = {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [[[box.west, box.south], [box.east, box.south], [box.east, box.north], [box.west, box.north], [box.west, box.south]]]
+        }
+      }
+    }
+    await Poi.updateMany(
+      { source: 'overpass', categories: category, location: within, osmId: { $nin: seen } },
+      { $pull: { categories: category } }
+    )
+    await Poi.deleteMany({ source: 'overpass', categories: { $size: 0 } })
+
+    await PoiTile.updateMany({ _id: { $in: ids } }, {
+      fetchedAt: now,
+      expiresAt: new Date(now.getTime() + TILE_TTL_MS),
+      failures: 0,
+      $unset: { refreshingUntil: 1, lastError: 1 }
+    })
+    return true
+  } catch (error) {
+    console.error(`POI tile refresh failed (${category}, ${claimed.length} tiles):`, error.message)
+    await Promise.all(claimed.map(tile => PoiTile.updateOne({ _id: tile._id }, {
+      failures: tile.failures + 1,
+      lastError: error.message,
+      // Keep serving what we have; try Overpass again later
+      expiresAt: new Date(Date.now() + TILE_RETRY_MS * 2 ** Math.min(tile.failures, 6)),
+      $unset: { refreshingUntil: 1 }
+    })))
+    return false
+  }
+}
+
+const withDistance = (latitude, longitude) => (poi) => ({
+  ...poi,
+  distance: distanceMeters(latitude, longitude, poi.location.coordinates[1], poi.location.coordinates[0])
+})
+
+// POIs of a category near a point, nearest first.
+// Served from the store: missing tiles are fetched first (bounded by the Overpass timeout),
+// expired tiles are served as they are and refreshed in the background. Without a database
+// Overpass is asked directly. Resolves to { pois, complete, stale } where `complete` is false
+// if some tiles could not be fetched.
+export async function findNearbyPois({ latitude, longitude, radius, category, limit = 20 }) {
+  if (mongoose.connection.readyState !== 1) {
+    const pois = await queryOverpass(category, { around: { latitude, longitude, radius } })
+    return {
+      pois: pois.map(withDistance(latitude, longitude)).sort((a, b) => a.distance - b.distance).slice(0, limit),
+      complete: true,
+      stale: false
+    }
+  }
+
+  let geohashes = geohashesAround(latitude, longitude, radius, TILE_PRECISION)
+  if (geohashes.length > MAX_TILES_PER_LOOKUP) {
+    geohashes = geohashesAround(latitude, longitude, radius, TILE_PRECISION - 1)
+  }
+
+  const now = new Date()
+  const tiles = await PoiTile.find({ category, geohash: { $in: geohashes } }).lean()
+  const known = new Map(tiles.map(tile => [tile.geohash, tile]))
+
+  const refreshing = (tile) => tile.refreshingUntil && tile.refreshingUntil > now
+  const due = (tile) => !tile.expiresAt || tile.expiresAt <= now
+  const missing = geohashes.filter(hash => {
+    const tile = known.get(hash)
+    return !tile || (!tile.fetchedAt && due(tile) && !refreshing(tile))
+  })
+  const stale = tiles.filter(tile => tile.fetchedAt && due(tile) && !refreshing(tile)).map(tile => tile.geohash)
+
+  await PoiTile.updateMany({ category, geohash: { $in: geohashes } }, { lastRequestedAt: now })
+
+  let complete = missing.length === 0 && tiles.every(tile => tile.fetchedAt)
+  if (missing.length) {
+    complete = await refreshTiles(category, missing)
+  }
+  if (stale.length) {
+    refreshTiles(category, stale).catch(error => console.error('POI background refresh error:', error))
+  }
+
+  const pois = await Poi.find({
+    categories: category,
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        $maxDistance: radius
+      }
+    }
+  }).limit(limit).lean()
+
+  return { pois: pois.map(withDistance(latitude, longitude)), complete, stale: stale.length > 0 }
+}
+
+// Scheduled: refresh expired tiles riders still use, oldest expiry first
+export async function sweepPoiTiles() {
+  const now = new Date()
+  const tiles = await PoiTile.find({
+    expiresAt: { $lte: now },
+    lastRequestedAt: { $gte: new Date(now.getTime() - TILE_KEEP_MS) },
+    $or: [{ refreshingUntil: { $exists: false } }, { refreshingUntil: null }, { refreshingUntil: { $lte: now } }]
+  })
+    .sort({ expiresAt: 1 })
+    .limit(REFRESH_BATCH)
+    .lean()
+
+  let refreshed = 0
+  for (const tile of tiles) {
+    if (await refreshTiles(tile.category, [tile.geohash])) refreshed++
+  }
+
+  if (tiles.length) {
+    console.log(`POI sweep: ${refreshed}/${tiles.length} tiles refreshed`)
+  }
+  return { refreshed, attempted: tiles.length }
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+const decodeXml = (value) => value.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name])
+const xmlAttributes = (line) => Object.fromEntries(
+  [...line.matchAll(/([\w:]+)="([^"]*)"/g)].map(([, key, value]) => [key, decodeXml(value)])
+)
+
+// Stream an OSM XML extract (e.g. from `osmium tags-filter`). Nodes are kept for way
+// centres, so filter the extract to the POI tags first. Relations are skipped.
+async function readOsmXml(filePath, onPoi) {
+  const nodes = new Map()
+  let current = null
+  let skipped = 0
+
+  const finish = () => {
+    if (!current) return
+    let coordinates = null
+    if (current.type === 'node') {
+      coordinates = [current.lon, current.lat]
+    } else if (current.type === 'way') {
+      const points = current.refs.map(ref => nodes.get(ref)).filter(Boolean)
+      if (points.length) {
+        coordinates = [
+          points.reduce((sum, p) => sum + p[0], 0) / points.length,
+          points.reduce((sum, p) => sum + p[1], 0) / points.length
+        ]
+      }
+    }
+    const poi = current.type !== 'relation' && poiFromElement(current, coordinates)
+    if (poi) onPoi(poi)
+    else if (categoriesForTags(current.tags).length) skipped++
+    current = null
+  }
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity })
+  for await (const raw of lines) {
+    const line = raw.trim()
+    const element = line.match(/^<(node|way|relation)\s/)
+    if (element) {
+      finish()
+      const attrs = xmlAttributes(line)
+      current = { type: element[1], id: attrs.id, tags: {}, refs: [] }
+      if (element[1] === 'node') {
+        current.lat = parseFloat(attrs.lat)
+        current.lon = parseFloat(attrs.lon)
+        nodes.set(attrs.id, [current.lon, current.lat])
+      }
+      if (line.endsWith('/>')) finish()
+    } else if (current && line.startsWith('<tag ')) {
+      const { k, v } = xmlAttributes(line)
+      current.tags[k] = v
+    } else if (current && line.startsWith('<nd ')) {
+      current.refs.push(xmlAttributes(line).ref)
+    } else if (/^<\/(node|way|relation)>/.test(line)) {
+      finish()
+    }
+  }
+  finish()
+  return { skipped }
+}
+
+// Load POIs from an offline OSM extract: OSM XML (.osm) or Overpass JSON (.json, `out center`).
+// Imported POIs are never expired, so they answer lookups when Overpass is down.
+export async function importOsmExtract(filePath) {
+  const pois = []
+  let skipped = 0
+
+  if (/\.json$/i.test(filePath)) {
+    const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+    for (const element of data.elements || []) {
+      const poi = poiFromElement(element, overpassCoordinates(element))
+      if (poi) pois.push(poi)
+      else if (categoriesForTags(element.tags).length) skipped++
+    }
+  } else {
+    ;({ skipped } = await readOsmXml(filePath, poi => pois.push(poi)))
+  }
+
+  await upsertPois(pois, 'import')
+  return { imported: pois.length, skipped }
+}
+
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371e3 // Earth's radius in meters
+  const φ1 = lat1 * Math.PI / 180
+  const φ2 = lat2 * Math.PI / 180
+  const Δφ = (lat2 - lat1) * Math.PI / 180
+  const Δλ = (lon2 - lon1) * Math.PI / 180
+
+  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+          Math.cos(φ1) * Math.cos(φ2) *
+          Math.sin(Δλ/2) * Math.sin(Δλ/2)
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a))
+
+  return R * c
+}
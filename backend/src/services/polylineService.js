@@ -0,0 +1,95 @@
+// Google encoded polylines: [lng, lat] pairs in, compact strings out (and back)
+
+export function encodePolyline(coordinates, precision = 5) {
+  const factor = 10 ** precision
+  let lastLat = 0
+  let lastLng = 0
+  let encoded = ''
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1
+    let chunk = ''
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63)
+      v >>= 5
+    }
+    return chunk + String.fromCharCode(v + 63)
+  }
+
+  for (const [lng, lat] of coordinates) {
+    const latE = Math.round(lat * factor)
+    const lngE = Math.round(lng * factor)
+    encoded += encodeValue(latE - lastLat) + encodeValue(lngE - lastLng)
+    lastLat = latE
+    lastLng = lngE
+  }
+  return encoded
+}
+
+// Valhalla shapes use 6 decimal places; most other encoders use 5
+export function decodePolyline(encoded, precision = 6) {
+  const factor = 10 ** precision
+  const coordinates = []
+  let index = 0
+  let lat = 0
+  let lng = 0
+  while (index < encoded.length) {
+    for (const axis of ['lat', 'lng']) {
+      let result = 0
+      let shift = 0
+      let byte
+      do {
+        byte = encoded.charCodeAt(index++) - 63
+        result |= (byte & 0x1f) << shift
+        shift += 5
+      } while (byte >= 0x20)
+      const delta = result & 1 ? ~(result >> 1) : result >> 1
+      if (axis === 'lat') lat += delta
+      else lng += delta
+    }
+    coordinates.push([lng / factor, lat / factor])
+  }
+  return coordinates
+}
+
+// Douglas-Peucker simplification; `tolerance` in metres
+export function simplifyLine(coordinates, tolerance) {
+  if (coordinates.length <= 2) return coordinates
+
+  // Local equirectangular projection is plenty at track scale
+  const latScale = 111320
+  const lngScale = 111320 * Math.cos(coordinates[0][1] * Math.PI / 180)
+  const xy = coordinates.map(([lng, lat]) => [lng * lngScale, lat * latScale])
+
+  const keep = new Uint8Array(coordinates.length)
+  keep[0] = keep[coordinates.length - 1] = 1
+  const stack = [[0, coordinates.length - 1]]
+
+  while (stack.length) {
+    const [first, last] = stack.pop()
+    const [ax, ay] = xy[first]
+    const [bx, by] = xy[last]
+    const dx = bx - ax
+    const dy = by - ay
+    const lengthSq = dx * dx + dy * dy
+
+    let maxDistance = 0
+    let index = -1
+    for (let i = first + 1; i < last; i++) {
+      const [px, py] = xy[i]
+      const t = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0
+      const distance = Math.hypot(px - (ax + t * dx), py - (ay + t * dy))
+      if (distance > maxDistance) {
+        maxDistance = distance
+        index = i
+      }
+    }
+
+    if (maxDistance > tolerance) {
+      keep[index] = 1
+      stack.push([first, index], [index, last])
+    }
+  }
+
+  return coordinates.filter((_, i) => keep[i])
+}
@@ -0,0 +1,175 @@
+import Ride from '../models/Ride.js'
+import User from '../models/User.js'
+import { calculateDistance } from './emergencyService.js'
+import { resetCrashDetection } from './crashDetectionService.js'
+import { finaliseRideTrack } from './trackService.js'
+import { recordRideDistance } from './vehicleService.js'
+import { endRideShares } from './rideShareService.js'
+import { emitToUser } from './socketService.js'
+
+// Standing within this distance of the same spot for this long pauses the ride
+const AUTO_PAUSE_SECONDS = parseInt(process.env.RIDE_AUTO_PAUSE_SECONDS) || 180
+const STILL_RADIUS_METERS = parseFloat(process.env.RIDE_STILL_RADIUS_M) || 30
+// Rides that hear nothing for this long are completed as of their last fix
+const STALE_RIDE_HOURS = parseFloat(process.env.RIDE_STALE_HOURS) || 12
+
+const openPause = (ride) => ride.pauses.find(pause => !pause.endedAt)
+
+export function pauseRide(ride, at = new Date(), { auto = false } = {}) {
+  if (ride.status !== 'active') return false
+  ride.status = 'paused'
+  ride.pauses.push({ startedAt: at, auto })
+  return true
+}
+
+// Resume a paused ride; it must move away from where it is now before it can auto-pause again
+export function resumeRide(ride, at = new Date()) {
+  if (ride.status !== 'paused') return false
+  const pause = openPause(ride)
+  if (pause) pause.endedAt = at < pause.startedAt ? pause.startedAt : at
+  ride.status = 'active'
+  ride.motion.since = at
+  return true
+}
+
+// Feed new fixes ({ coordinates, timestamp }) to the auto-pause state; mutates the ride.
+// Fixes older than the last one seen (late batches) are ignored. Only pauses the server
+// started are resumed automatically. Returns 'paused', 'resumed' or null.
+export function applyMotion(ride, points) {
+  let change = null
+  const motion = ride.motion
+
+  for (const point of [...points].sort((a, b) => a.timestamp - b.timestamp)) {
+    if (motion.lastFixAt && point.timestamp <= motion.lastFixAt) continue
+    motion.lastFixAt = point.timestamp
+
+    const anchor = motion.anchor
+    const moved = !anchor?.length ||
+      calculateDistance(anchor[1], anchor[0], point.coordinates[1], point.coordinates[0]) > STILL_RADIUS_METERS
+
+    if (moved) {
+      motion.anchor = point.coordinates
+      motion.since = point.timestamp
+      if (ride.status === 'paused' && openPause(ride)?.auto && resumeRide(ride, point.timestamp)) {
+        change = 'resumed'
+      }
+    } else if (ride.status === 'active' && motion.since &&
+      point.timestamp - motion.since >= AUTO_PAUSE_SECONDS * 1000) {
+      // The pause starts when the rider stopped, not when we noticed
+      pauseRide(ride, motion.since, { auto: true })
+      change = 'paused'
+    }
+  }
+
+  return change
+}
+
+export function notifyMotionChange(ride, change) {
+  if (!change) return
+  emitToUser(ride.rider, `ride-auto-${change}`, { rideId: ride._id, status: ride.status, at: ride.motion.lastFixAt })
+}
+
+// Location from the rider's socket stream, which isn't stored as track: it only drives auto-pause
+export async function noteRiderLocation(userId, point) {
+  const ride = await Ride.findOne({ rider: userId, status: { $in: ['active', 'paused'] } })
+  if (!ride) return null
+
+  const readStatus = ride.status
+  const change = applyMotion(ride, [point])
+  const update = { motion: ride.motion }
+  if (change) Object.assign(update, { status: ride.status, pauses: ride.pauses })
+
+  // Only if nobody completed, paused or resumed the ride since it was read
+  const { modifiedCount } = await Ride.updateOne({ _id: ride._id, status: readStatus }, { $set: update })
+  if (modifiedCount === 0) return null
+  notifyMotionChange(ride, change)
+  return change
+}
+
+// Finish a ride as of `endTime`: close any pause, take stats from the track and settle the
+// rider's totals, bike odometer and share links. Claims the ride first so a rider completing
+// it and the stale-ride sweep can't both count it. Resolves to false if it was already over.
+export async function completeRide(ride, endTime = new Date(), { auto = false } = {}) {
+  const claimed = await Ride.updateOne(
+    { _id: ride._id, status: { $in: ['active', 'paused'] } },
+    { status: 'completed' }
+  )
+  if (claimed.modifiedCount === 0) return false
+
+  const pause = openPause(ride)
+  if (pause) pause.endedAt = endTime < pause.startedAt ? pause.startedAt : endTime
+  ride.status = 'completed'
+  ride.endTime = endTime
+  ride.autoCompleted = auto || undefined
+  resetCrashDetection(ride.rider)
+
+  await finaliseRideTrack(ride)
+  await ride.save()
+
+  await User.findByIdAndUpdate(ride.rider, {
+    isRiding: false,
+    $inc: {
+      'stats.totalDistance': ride.route.totalDistance || 0,
+      'stats.totalMovingTime': ride.metrics.movingTime || 0,
+      'stats.totalElevationGain': ride.metrics.elevationGain || 0,
+      'stats.totalFuelConsumed': ride.metrics.fuelConsumed || 0,
+      'stats.totalCo2Saved': ride.metrics.co2Saved || 0,
+      'stats.totalCalories': ride.metrics.calories || 0
+    }
+  })
+
+  recordRideDistance(ride).catch(err => console.error('Odometer update error:', err))
+  endRideShares(ride._id).catch(err => console.error('End ride shares error:', err))
+  return true
+}
+
+// Scheduled: pause active rides that have gone quiet, and complete rides that have been
+// quiet for STALE_RIDE_HOURS as of their last fix
+export async function sweepRides(now = new Date()) {
+  const lastHeard = (ride) => new Date(Math.max(
+    ride.motion?.lastFixAt || 0,
+    ride.currentLocation?.lastUpdated || 0,
+    ride.startTime || ride.createdAt
+  ))
+
+  const staleBefore = new Date(now.getTime() - STALE_RIDE_HOURS * 60 * 60 * 1000)
+  const quietBefore = new Date(now.getTime() - AUTO_PAUSE_SECONDS * 1000)
+
+  const cursor = Ride.find({
+    status: { $in: ['active', 'paused'] },
+    $nor: [
+      { 'motion.lastFixAt': { $gte: quietBefore } },
+      { 'currentLocation.lastUpdated': { $gte: quietBefore } }
+    ]
+  }).cursor()
+
+  let paused = 0
+  let completed = 0
+  for await (const ride of cursor) {
+    const heard = lastHeard(ride)
+    if (heard < staleBefore) {
+      if (await completeRide(ride, heard, { auto: true })) {
+        completed++
+        emitToUser(ride.rider, 'ride-auto-completed', { rideId: ride._id, endTime: ride.endTime })
+      }
+    } else if (heard < quietBefore && pauseRide(ride, heard, { auto: true })) {
+      // Still active and still quiet, or a fix or the rider got there first
+      const { modifiedCount } = await Ride.updateOne(
+        {
+          _id: ride._id,
+          status: 'active',
+          $nor: [
+            { 'motion.lastFixAt': { $gte: quietBefore } },
+            { 'currentLocation.lastUpdated': { $gte: quietBefore } }
+          ]
+        },
+        { $set: { status: 'paused' }, $push: { pauses: ride.pauses[ride.pauses.length - 1] } }
+      )
+      if (modifiedCount === 0) continue
+      paused++
+      notifyMotionChange(ride, 'paused')
+    }
+  }
+
+  return { paused, completed }
+}
@@ -0,0 +1,168 @@
+import Vehicle from '../models/Vehicle.js'
+import { calculateDistance } from './emergencyService.js'
+import { elevationProfile } from './elevationService.js'
+
+// Slower than this counts as standing still
+const STOP_SPEED_KMH = 3
+// A standstill this long is reported as a stop (shorter ones still count as stopped time)
+const MIN_STOP_SECONDS = parseInt(process.env.RIDE_MIN_STOP_SECONDS) || 30
+const MAX_STOPS = 100
+// Speed changes harder than these (m/s²) count as hard braking / acceleration
+const HARD_BRAKING_MS2 = parseFloat(process.env.RIDE_HARD_BRAKING_MS2) || 3.5
+const HARD_ACCELERATION_MS2 = parseFloat(process.env.RIDE_HARD_ACCELERATION_MS2) || 3
+// Gaps between fixes longer than this say nothing about braking
+const MAX_SAMPLE_GAP_SECONDS = 5
+// Climbs and drops smaller than this are DEM noise
+const ELEVATION_THRESHOLD_METERS = 5
+
+// km per litre when the bike has no fuelEconomy of its own
+const DEFAULT_FUEL_ECONOMY = { motorcycle: 40, scooter: 45, moped: 50, electric: null, other: 40 }
+const PETROL_CO2_KG_PER_LITRE = 2.31
+// An average petrol car, for the CO2 saved by riding instead
+const CAR_CO2_KG_PER_KM = 0.17
+const CALORIES_PER_MOVING_HOUR = 170
+
+const round = (value, places = 0) => Math.round(value * 10 ** places) / 10 ** places
+
+// Device speed where it has one, otherwise what the distance covered implies
+function segmentSpeedKmh(prev, curr, seconds) {
+  if (curr.speed > 0) return curr.speed
+  const meters = calculateDistance(prev.coordinates[1], prev.coordinates[0], curr.coordinates[1], curr.coordinates[0])
+  return seconds > 0 ? meters / seconds * 3.6 : 0
+}
+
+// Moving and stopped time, stops, hard braking and acceleration and lean from a cleaned,
+// timed track (see trackService.finaliseRideTrack)
+export function measureMotion(points) {
+  let movingTime = 0
+  let stoppedTime = 0
+  let hardBrakingCount = 0
+  let hardAccelerationCount = 0
+  const stops = []
+
+  let stop = null
+  let lastSpeed = null
+  let braking = false
+  let accelerating = false
+
+  const closeStop = () => {
+    if (stop && stop.duration >= MIN_STOP_SECONDS && stops.length < MAX_STOPS) {
+      stops.push({ ...stop, duration: Math.round(stop.duration) })
+    }
+    stop = null
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1]
+    const curr = points[i]
+    const seconds = (curr.timestamp - prev.timestamp) / 1000
+    if (seconds <= 0) continue
+
+    const speed = segmentSpeedKmh(prev, curr, seconds)
+    if (speed < STOP_SPEED_KMH) {
+      stoppedTime += seconds
+      if (!stop) stop = { coordinates: prev.coordinates, startTime: prev.timestamp, duration: 0 }
+      stop.duration += seconds
+    } else {
+      movingTime += seconds
+      closeStop()
+    }
+
+    // One event per run of hard samples
+    if (lastSpeed !== null && seconds <= MAX_SAMPLE_GAP_SECONDS) {
+      const acceleration = (speed - lastSpeed) / 3.6 / seconds
+      if (acceleration <= -HARD_BRAKING_MS2) {
+        if (!braking) hardBrakingCount++
+        braking = true
+      } else {
+        braking = false
+      }
+      if (acceleration >= HARD_ACCELERATION_MS2) {
+        if (!accelerating) hardAccelerationCount++
+        accelerating = true
+      } else {
+        accelerating = false
+      }
+    } else {
+      braking = accelerating = false
+    }
+    lastSpeed = speed
+  }
+  closeStop()
+
+  const metrics = {
+    movingTime: Math.round(movingTime),
+    stoppedTime: Math.round(stoppedTime),
+    stops,
+    hardBrakingCount,
+    hardAccelerationCount
+  }
+
+  // Lean comes from the phone's sensors (right positive) and only some apps send it
+  const leans = points.map(point => point.lean).filter(Number.isFinite)
+  if (leans.length) {
+    metrics.maxLeanRight = round(leans.reduce((max, lean) => Math.max(max, lean), 0), 1)
+    metrics.maxLeanLeft = round(leans.reduce((max, lean) => Math.max(max, -lean), 0), 1)
+  }
+
+  return metrics
+}
+
+// Climb and descent along the track from the local DEM tiles; {} where there are none
+export async function measureElevation(points) {
+  const heights = (await elevationProfile(points.map(point => point.coordinates)))
+    .filter(height => height !== null)
+  if (heights.length < 2) return {}
+
+  let gain = 0
+  let loss = 0
+  let reference = heights[0]
+  for (const height of heights) {
+    if (height - reference >= ELEVATION_THRESHOLD_METERS) {
+      gain += height - reference
+      reference = height
+    } else if (reference - height >= ELEVATION_THRESHOLD_METERS) {
+      loss += reference - height
+      reference = height
+    }
+  }
+
+  return {
+    elevationGain: Math.round(gain),
+    elevationLoss: Math.round(loss),
+    minElevation: Math.round(heights.reduce((min, height) => Math.min(min, height))),
+    maxElevation: Math.round(heights.reduce((max, height) => Math.max(max, height)))
+  }
+}
+
+// Fuel (litres), CO2 saved against a car (kg) and calories for a finished ride
+export async function estimateConsumption(ride, movingTime) {
+  const km = (ride.route.totalDistance || 0) / 1000
+  const vehicle = ride.vehicle
+    ? await Vehicle.findById(ride.vehicle).select('vehicleType fuelEconomy').lean()
+    : null
+
+  const economy = vehicle?.fuelEconomy || DEFAULT_FUEL_ECONOMY[vehicle?.vehicleType || 'motorcycle']
+  const fuelConsumed = economy ? km / economy : 0
+
+  return {
+    fuelConsumed: round(fuelConsumed, 2),
+    co2Saved: round(Math.max(0, km * CAR_CO2_KG_PER_KM - fuelConsumed * PETROL_CO2_KG_PER_LITRE), 2),
+    calories: Math.round(movingTime / 3600 * CALORIES_PER_MOVING_HOUR)
+  }
+}
+
+// Fill in the ride's metrics beyond distance and speed (caller saves the ride).
+// Planned routes only get elevation, as their times are placeholders.
+export async function applyRideMetrics(ride, points) {
+  const metrics = await measureElevation(points)
+
+  if (ride.status !== 'planning' && points.length >= 2) {
+    const motion = measureMotion(points)
+    Object.assign(metrics, motion, await estimateConsumption(ride, motion.movingTime))
+  }
+
+  for (const [key, value] of Object.entries(metrics)) {
+    ride.set(`metrics.${key}`, value)
+  }
+}
@@ -0,0 +1,117 @@
+import Ride from '../models/Ride.js'
+import RideShare from '../models/RideShare.js'
+import EmergencyAlert from '../models/EmergencyAlert.js'
+import User from '../models/User.js'
+import { emitToRideWatchers, hasRideWatchers, disconnectRideWatchers } from './socketService.js'
+import { calculateDistance } from './emergencyService.js'
+import { recentTrackPoints } from './trackService.js'
+
+// Assumed cruising speed when the ride has no usable speed data yet
+const FALLBACK_SPEED_KMH = 40
+
+// Rough ETA to the ride's destination from its current position; `recentPoints` are the last few track fixes
+export function estimateEta(ride, currentLocation = ride.currentLocation, recentPoints = []) {
+  const current = currentLocation?.coordinates
+  const end = ride.endLocation?.coordinates
+  if (!current || current.length !== 2 || !end || end.length !== 2) return null
+
+  const remainingDistance = calculateDistance(current[1], current[0], end[1], end[0])
+
+  const recentSpeeds = recentPoints.map(point => point.speed).filter(speed => speed > 5)
+  const speedKmh = recentSpeeds.length
+    ? recentSpeeds.reduce((a, b) => a + b, 0) / recentSpeeds.length
+    : (ride.metrics?.averageSpeed > 5 ? ride.metrics.averageSpeed : FALLBACK_SPEED_KMH)
+
+  const seconds = Math.round(remainingDistance / (speedKmh / 3.6))
+
+  return {
+    remainingDistance: Math.round(remainingDistance), // meters
+    seconds,
+    arrivalAt: new Date(Date.now() + seconds * 1000)
+  }
+}
+
+// Read-only view of a ride for guardians; deliberately minimal
+export async function buildShareSnapshot(ride) {
+  const rider = await User.findById(ride.rider).select('name avatar currentLocation')
+
+  // Socket location updates land on the user, REST ride updates on the ride; use the newer
+  const rideFix = ride.currentLocation?.coordinates?.length === 2 ? ride.currentLocation : null
+  const userFix = rider?.currentLocation?.coordinates?.length === 2 &&
+    !(rider.currentLocation.coordinates[0] === 0 && rider.currentLocation.coordinates[1] === 0)
+    ? rider.currentLocation
+    : null
+  const current = userFix && (!rideFix || new Date(userFix.lastUpdated) > new Date(rideFix.lastUpdated || 0))
+    ? userFix
+    : rideFix
+
+  const alert = await EmergencyAlert.findOne({
+    user: ride.rider,
+    status: { $in: ['active', 'responded'] },
+    createdAt: { $gte: ride.startTime || ride.createdAt }
+  }).sort({ createdAt: -1 })
+
+  const point = (location) => location?.coordinates?.length === 2
+    ? { latitude: location.coordinates[1], longitude: location.coordinates[0], address: location.address }
+    : null
+
+  return {
+    rideId: ride._id,
+    rider: {
+      name: rider?.name ? rider.name.split(/\s+/)[0] : 'Rider',
+      avatar: rider?.avatar || null
+    },
+    status: ride.status,
+    startTime: ride.startTime,
+    startLocation: point(ride.startLocation),
+    endLocation: point(ride.endLocation),
+    currentLocation: current ? { ...point(current), lastUpdated: current.lastUpdated } : null,
+    eta: ['active', 'paused'].includes(ride.status)
+      ? estimateEta(ride, current, await recentTrackPoints(ride._id, 10))
+      : null,
+    emergency: alert
+      ? {
+          status: alert.status,
+          type: alert.type,
+          severity: alert.severity,
+          respondersCount: alert.responders.length,
+          createdAt: alert.createdAt
+        }
+      : null,
+    updatedAt: new Date()
+  }
+}
+
+// Push a fresh snapshot to anyone following the ride
+export async function broadcastRideUpdate(rideId) {
+  if (!hasRideWatchers(rideId)) return
+
+  const ride = await Ride.findById(rideId)
+  if (!ride) return
+
+  emitToRideWatchers(rideId, 'ride-update', await buildShareSnapshot(ride))
+}
+
+// Same, for whichever ride the user is currently on
+export async function broadcastRiderUpdate(userId) {
+  if (!hasRideWatchers()) return
+
+  const ride = await Ride.findOne({
+    rider: userId,
+    status: { $in: ['active', 'paused'] }
+  }).select('_id')
+
+  if (ride) {
+    await broadcastRideUpdate(ride._id)
+  }
+}
+
+// Expire every share of a ride (called when the ride ends)
+export async function endRideShares(rideId) {
+  const now = new Date()
+  await RideShare.updateMany(
+    { ride: rideId, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    { expiresAt: now }
+  )
+  disconnectRideWatchers(rideId, 'ride-ended')
+}
@@ -0,0 +1,373 @@
+import axios from 'axios'
+import { decodePolyline } from './polylineService.js'
+
+// Each provider exposes route({ stops, profile, avoid, alternatives, steps }) and resolves to
+// { routes, ignoredAvoid } where each route is { distance (m), duration (s), geometry
+// (GeoJSON LineString), legs: [{ distance, duration, steps }] }. An empty `routes` means
+// the provider found no route; throwing means it could not be reached.
+//
+// Providers that can snap a recorded track to roads also expose match({ points, profile })
+// for points [{ coordinates: [lng, lat], timestamp, accuracy }], resolving to one
+// [lng, lat] per point, or null where the point could not be matched.
+
+export const MAX_ALTERNATIVES = 3
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.ROUTING_TIMEOUT_MS) || 10000
+
+const toLineString = (coordinates) => ({ type: 'LineString', coordinates })
+
+// Join per-leg routes into one route, dropping the repeated point at each stop
+function joinLegs(legRoutes) {
+  const coordinates = []
+  legRoutes.forEach((route, index) => {
+    coordinates.push(...(index === 0 ? route.geometry.coordinates : route.geometry.coordinates.slice(1)))
+  })
+  return {
+    distance: legRoutes.reduce((sum, r) => sum + r.distance, 0),
+    duration: legRoutes.reduce((sum, r) => sum + r.duration, 0),
+    geometry: toLineString(coordinates),
+    legs: legRoutes.flatMap(r => r.legs)
+  }
+}
+
+// Per-leg alternatives combined into whole routes: the n-th route takes the n-th
+// option on every leg that has one
+function combineLegAlternatives(legOptions, alternatives) {
+  const count = alternatives ? Math.max(...legOptions.map(options => options.length)) : 1
+  const routes = []
+  for (let i = 0; i < count; i++) {
+    routes.push(joinLegs(legOptions.map(options => options[Math.min(i, options.length - 1)])))
+  }
+  return routes
+}
+
+const legPairs = (stops) => stops.slice(1).map((stop, index) => [stops[index], stop])
+
+// Match engines cap the trace length, so long tracks are matched a chunk at a time
+async function matchInChunks(points, size, matchChunk) {
+  const matched = []
+  for (let i = 0; i < points.length; i += size) {
+    matched.push(...await matchChunk(points.slice(i, i + size)))
+  }
+  return matched
+}
+
+// Search radius per point: the reported accuracy, within what the engines accept
+const matchRadius = (point) => Math.round(Math.min(Math.max(point.accuracy || 10, 5), 50))
+
+// OSRM: the public demo server unless OSRM_URL points at our own
+const OSRM_EXCLUDE = {
+  tolls: 'toll',
+  highways: 'motorway'
+}
+
+async function osrmRequest(profile, stops, { alternatives, exclude, steps }) {
+  const coordinates = stops.map(s => `${s.longitude},${s.latitude}`).join(';')
+  const params = new URLSearchParams({
+    overview: 'full',
+    geometries: 'geojson',
+    steps: String(steps),
+    alternatives: alternatives ? String(MAX_ALTERNATIVES) : 'false'
+  })
+  if (exclude.length) params.set('exclude', exclude.join(','))
+
+  const base = process.env.OSRM_URL || 'http://router.project-osrm.org'
+  const response = await axios.get(`${base}/route/v1/${profile}/${coordinates}?${params}`, {
+    timeout: REQUEST_TIMEOUT_MS,
+    // OSRM answers bad requests (e.g. an unknown exclude class) with a JSON body
+    validateStatus: status => status < 500
+  })
+  return response.data
+}
+
+const osrmRoute = (route) => ({
+  distance: route.distance,
+  duration: route.duration,
+  geometry: route.geometry,
+  legs: route.legs.map(leg => ({
+    distance: leg.distance,
+    duration: leg.duration,
+    steps: (leg.steps || []).map(step => ({
+      instruction: step.maneuver?.instruction || [step.maneuver?.type, step.maneuver?.modifier, step.name].filter(Boolean).join(' '),
+      distance: step.distance,
+      duration: step.duration,
+      geometry: step.geometry
+    }))
+  }))
+})
+
+export const osrmProvider = {
+  name: 'osrm',
+  isConfigured: () => true,
+  // OSRM only offers alternatives between two points, so each leg is routed on its own
+  async route({ stops, profile, avoid, alternatives, steps }) {
+    const ignoredAvoid = avoid.filter(option => !OSRM_EXCLUDE[option])
+    let exclude = avoid.map(option => OSRM_EXCLUDE[option]).filter(Boolean)
+
+    const routeLegs = () => Promise.all(legPairs(stops).map(pair => osrmRequest(profile, pair, { alternatives, exclude, steps })))
+
+    let results = await routeLegs()
+    if (exclude.length && results.some(result => result.code === 'InvalidValue' || result.code === 'InvalidQuery')) {
+      // This OSRM server was built without exclude classes; route without them
+      ignoredAvoid.push(...avoid.filter(option => OSRM_EXCLUDE[option]))
+      exclude = []
+      results = await routeLegs()
+    }
+
+    if (results.some(result => result.code !== 'Ok' || !result.routes?.length)) {
+      if (results.some(result => result.code && !['Ok', 'NoRoute', 'NoSegment'].includes(result.code))) {
+        throw new Error(`OSRM error: ${results.find(r => r.code !== 'Ok').code}`)
+      }
+      return { routes: [], ignoredAvoid }
+    }
+
+    return {
+      routes: combineLegAlternatives(results.map(result => result.routes.map(osrmRoute)), alternatives),
+      ignoredAvoid
+    }
+  },
+  // OSRM's default max-matching-size is 100 coordinates
+  async match({ points, profile }) {
+    const base = process.env.OSRM_URL || 'http://router.project-osrm.org'
+    return matchInChunks(points, 100, async (chunk) => {
+      const coordinates = chunk.map(p => `${p.coordinates[0]},${p.coordinates[1]}`).join(';')
+      const params = new URLSearchParams({
+        timestamps: chunk.map(p => Math.round(p.timestamp.getTime() / 1000)).join(';'),
+        radiuses: chunk.map(matchRadius).join(';'),
+        overview: 'false',
+        gaps: 'split'
+      })
+      const response = await axios.get(`${base}/match/v1/${profile}/${coordinates}?${params}`, {
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: status => status < 500
+      })
+
+      // NoMatch: nothing in this chunk is near a road
+      if (response.data.code === 'NoMatch') return chunk.map(() => null)
+      if (response.data.code !== 'Ok') throw new Error(`OSRM error: ${response.data.code}`)
+      return response.data.tracepoints.map(tracepoint => tracepoint ? tracepoint.location : null)
+    })
+  }
+}
+
+// GraphHopper: hosted API with GRAPHHOPPER_API_KEY, or a self-hosted GRAPHHOPPER_URL
+const GRAPHHOPPER_PROFILES = { driving: 'car', cycling: 'bike', foot: 'foot' }
+const GRAPHHOPPER_AVOID = {
+  tolls: 'toll != NO',
+  highways: 'road_class == MOTORWAY',
+  unpaved: 'surface == UNPAVED || surface == GRAVEL || surface == DIRT || surface == GROUND'
+}
+// Instruction signs that end a leg: via point reached, finish
+const GRAPHHOPPER_LEG_END_SIGNS = [5, 4]
+
+function graphhopperRoute(path, withSteps) {
+  const coordinates = path.points.coordinates
+  const legs = []
+  let leg = { distance: 0, duration: 0, steps: [] }
+  for (const instruction of path.instructions || []) {
+    leg.distance += instruction.distance
+    leg.duration += instruction.time / 1000
+    if (withSteps) {
+      leg.steps.push({
+        instruction: instruction.text,
+        distance: instruction.distance,
+        duration: instruction.time / 1000,
+        geometry: toLineString(coordinates.slice(instruction.interval[0], instruction.interval[1] + 1))
+      })
+    }
+    if (GRAPHHOPPER_LEG_END_SIGNS.includes(instruction.sign)) {
+      legs.push(leg)
+      leg = { distance: 0, duration: 0, steps: [] }
+    }
+  }
+
+  return {
+    distance: path.distance,
+    duration: path.time / 1000,
+    geometry: toLineString(coordinates),
+    legs: legs.length ? legs : [{ distance: path.distance, duration: path.time / 1000, steps: [] }]
+  }
+}
+
+export const graphhopperProvider = {
+  name: 'graphhopper',
+  isConfigured: () => !!(process.env.GRAPHHOPPER_API_KEY || process.env.GRAPHHOPPER_URL),
+  async route({ stops, profile, avoid, alternatives, steps }) {
+    const base = process.env.GRAPHHOPPER_URL || 'https://graphhopper.com/api/1'
+    const body = {
+      points: stops.map(s => [s.longitude, s.latitude]),
+      profile: GRAPHHOPPER_PROFILES[profile] || 'car',
+      points_encoded: false,
+      // Instructions are how legs are told apart
+      instructions: true,
+      locale: 'en'
+    }
+    if (avoid.length) {
+      body['ch.disable'] = true
+      body.custom_model = { priority: avoid.map(option => ({ if: GRAPHHOPPER_AVOID[option], multiply_by: '0' })) }
+    }
+    if (alternatives && stops.length === 2) {
+      body.algorithm = 'alternative_route'
+      body['alternative_route.max_paths'] = MAX_ALTERNATIVES
+    }
+
+    const response = await axios.post(`${base}/route`, body, {
+      params: process.env.GRAPHHOPPER_API_KEY ? { key: process.env.GRAPHHOPPER_API_KEY } : {},
+      timeout: REQUEST_TIMEOUT_MS,
+      validateStatus: status => status < 500 && status !== 401 && status !== 429
+    })
+
+    // 400 with "Cannot find point" / "Connection between locations not found"
+    if (response.status !== 200) return { routes: [], ignoredAvoid: [] }
+
+    return {
+      routes: (response.data.paths || []).map(path => graphhopperRoute(path, steps)),
+      ignoredAvoid: []
+    }
+  }
+}
+
+// Valhalla: self-hosted at VALHALLA_URL
+const VALHALLA_COSTING = { driving: 'auto', cycling: 'bicycle', foot: 'pedestrian' }
+
+function valhallaRoute(trip, withSteps) {
+  const legs = trip.legs.map(leg => {
+    const coordinates = decodePolyline(leg.shape)
+    return {
+      coordinates,
+      leg: {
+        distance: leg.summary.length * 1000,
+        duration: leg.summary.time,
+        steps: withSteps
+          ? (leg.maneuvers || []).map(m => ({
+            instruction: m.instruction,
+            distance: m.length * 1000,
+            duration: m.time,
+            geometry: toLineString(coordinates.slice(m.begin_shape_index, m.end_shape_index + 1))
+          }))
+          : []
+      }
+    }
+  })
+
+  return joinLegs(legs.map(({ coordinates, leg }) => ({
+    distance: leg.distance,
+    duration: leg.duration,
+    geometry: toLineString(coordinates),
+    legs: [leg]
+  })))
+}
+
+export const valhallaProvider = {
+  name: 'valhalla',
+  isConfigured: () => !!process.env.VALHALLA_URL,
+  async route({ stops, profile, avoid, alternatives, steps }) {
+    const costing = VALHALLA_COSTING[profile] || 'auto'
+    const options = {}
+    if (avoid.includes('tolls')) options.use_tolls = 0
+    if (avoid.includes('highways')) options.use_highways = 0
+    if (avoid.includes('unpaved')) options.exclude_unpaved = true
+
+    const response = await axios.post(`${process.env.VALHALLA_URL}/route`, {
+      locations: stops.map(s => ({ lat: s.latitude, lon: s.longitude, type: 'break' })),
+      costing,
+      costing_options: { [costing]: options },
+      directions_options: { units: 'kilometers' },
+      alternates: alternatives && stops.length === 2 ? MAX_ALTERNATIVES - 1 : 0
+    }, {
+      timeout: REQUEST_TIMEOUT_MS,
+      validateStatus: status => status < 500
+    })
+
+    // 400 with error_code 442 (no path) and friends
+    if (response.status !== 200 || !response.data.trip) return { routes: [], ignoredAvoid: [] }
+
+    const trips = [response.data.trip, ...(response.data.alternates || []).map(a => a.trip)]
+    return {
+      routes: trips.map(trip => valhallaRoute(trip, steps)),
+      // Tolls and highways are only available on motor costings
+      ignoredAvoid: costing === 'auto' ? [] : avoid.filter(option => option !== 'unpaved')
+    }
+  },
+  async match({ points, profile }) {
+    return matchInChunks(points, 2000, async (chunk) => {
+      const response = await axios.post(`${process.env.VALHALLA_URL}/trace_attributes`, {
+        shape: chunk.map(p => ({
+          lat: p.coordinates[1],
+          lon: p.coordinates[0],
+          time: Math.round(p.timestamp.getTime() / 1000),
+          radius: matchRadius(p)
+        })),
+        costing: VALHALLA_COSTING[profile] || 'auto',
+        shape_match: 'map_snap',
+        filters: { attributes: ['matched.point', 'matched.type'], action: 'include' }
+      }, {
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: status => status < 500
+      })
+
+      // 400 with error_code 443/444: no road segments near the trace
+      if (response.status !== 200) return chunk.map(() => null)
+      return response.data.matched_points.map(m => m.type === 'unmatched' ? null : [m.lon, m.lat])
+    })
+  }
+}
+
+// Offline estimate: great-circle distance stretched by a detour factor at a typical
+// speed per profile. Always answers, so it is the last resort.
+const FALLBACK_SPEED_KMH = {
+  driving: parseFloat(process.env.ROUTING_FALLBACK_SPEED_KMH) || 45,
+  cycling: 15,
+  foot: 5
+}
+const FALLBACK_DETOUR_FACTOR = parseFloat(process.env.ROUTING_FALLBACK_DETOUR) || 1.3
+
+function haversine([lng1, lat1], [lng2, lat2]) {
+  const R = 6371e3
+  const φ1 = lat1 * Math.PI / 180
+  const φ2 = lat2 * Math.PI / 180
+  const Δφ = (lat2 - lat1) * Math.PI / 180
+  const Δλ = (lng2 - lng1) * Math.PI / 180
+  const a = Math.sin(Δφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) ** 2
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+export const straightLineProvider = {
+  name: 'straight-line',
+  isConfigured: () => true,
+  async route({ stops, profile, avoid }) {
+    const speed = (FALLBACK_SPEED_KMH[profile] || FALLBACK_SPEED_KMH.driving) / 3.6
+    const legs = legPairs(stops).map(([from, to]) => {
+      const distance = haversine([from.longitude, from.latitude], [to.longitude, to.latitude]) * FALLBACK_DETOUR_FACTOR
+      return {
+        distance,
+        duration: distance / speed,
+        geometry: toLineString([[from.longitude, from.latitude], [to.longitude, to.latitude]]),
+        legs: [{ distance, duration: distance / speed, steps: [] }]
+      }
+    })
+    return { routes: [joinLegs(legs)], ignoredAvoid: avoid }
+  }
+}
+
+const providers = {
+  osrm: osrmProvider,
+  graphhopper: graphhopperProvider,
+  valhalla: valhallaProvider,
+  'straight-line': straightLineProvider
+}
+
+// Providers to try in order: ROUTING_PROVIDERS (comma separated) or every configured
+// engine, self-hosted first. The straight-line estimate always comes last.
+export function resolveProviders() {
+  const names = process.env.ROUTING_PROVIDERS
+    ? process.env.ROUTING_PROVIDERS.split(',').map(name => name.trim())
+    : ['valhalla', 'graphhopper', 'osrm']
+
+  const chain = names
+    .map(name => providers[name])
+    .filter(provider => provider && provider.isConfigured())
+    .filter(provider => provider !== straightLineProvider)
+
+  return [...chain, straightLineProvider]
+}
@@ -0,0 +1,119 @@
+import { resolveProviders } from './routingProviders.js'
+
+export const AVOID_OPTIONS = ['tolls', 'highways', 'unpaved']
+export const ROUTE_PROFILES = ['driving', 'cycling', 'foot']
+export const MAX_ROUTE_STOPS = 25
+
+const CACHE_TTL_MS = (parseFloat(process.env.ROUTE_CACHE_TTL_MINUTES) || 60) * 60 * 1000
+const CACHE_MAX_ENTRIES = parseInt(process.env.ROUTE_CACHE_SIZE) || 500
+// 4 decimals is about 11 m; requests that close together share an answer
+const CACHE_PRECISION = parseInt(process.env.ROUTE_CACHE_PRECISION) || 4
+
+// In-memory LRU of provider answers (Map keeps insertion order; hits are re-inserted)
+const routeCache = new Map()
+
+// Validate ordered stops [{ latitude, longitude, address }] from a request body.
+// Resolves to { stops } or { error }.
+export function parseStops(input) {
+  if (!Array.isArray(input) || input.length < 2 || input.length > MAX_ROUTE_STOPS) {
+    return { error: `A route needs between 2 and ${MAX_ROUTE_STOPS} stops` }
+  }
+
+  const stops = []
+  for (const stop of input) {
+    const latitude = Number(stop?.latitude)
+    const longitude = Number(stop?.longitude)
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return { error: 'Every stop needs a valid latitude and longitude' }
+    }
+    stops.push({
+      latitude,
+      longitude,
+      address: typeof stop.address === 'string' ? stop.address.trim().slice(0, 200) : undefined
+    })
+  }
+  return { stops }
+}
+
+function cacheKey({ stops, profile, avoid, alternatives, steps }) {
+  const points = stops.map(s => `${s.longitude.toFixed(CACHE_PRECISION)},${s.latitude.toFixed(CACHE_PRECISION)}`).join(';')
+  return [profile, [...avoid].sort().join(','), alternatives ? 'alt' : '', steps ? 'steps' : '', points].join('|')
+}
+
+function cacheGet(key) {
+  const entry = routeCache.get(key)
+  if (!entry) return null
+  routeCache.delete(key)
+  if (entry.expiresAt < Date.now()) return null
+  routeCache.set(key, entry)
+  return entry.value
+}
+
+function cacheSet(key, value) {
+  routeCache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS })
+  while (routeCache.size > CACHE_MAX_ENTRIES) {
+    routeCache.delete(routeCache.keys().next().value)
+  }
+}
+
+// Plan a route through ordered stops, asking each routing provider in turn and falling
+// back to a straight-line estimate when none can be reached. Avoid options the answering
+// provider cannot honour are reported in `warnings`; `provider` names who answered and
+// `estimated` is set for the offline fallback (which is never cached).
+// Resolves to { routes, warnings, provider, estimated, cached } or { error }.
+export async function planRoute({ stops, avoid = [], profile = 'driving', alternatives = true, steps = true }) {
+  const request = { stops, avoid, profile, alternatives, steps }
+  const key = cacheKey(request)
+  const hit = cacheGet(key)
+  if (hit) return { ...hit, cached: true }
+
+  for (const provider of resolveProviders()) {
+    let result
+    try {
+      result = await provider.route(request)
+    } catch (error) {
+      console.warn(`Routing provider ${provider.name} unavailable:`, error.message)
+      continue
+    }
+
+    const estimated = provider.name === 'straight-line'
+    if (!result.routes.length) {
+      return { error: 'No route found between these stops', provider: provider.name }
+    }
+
+    const warnings = estimated
+      ? ['No routing service could be reached; distance and duration are straight-line estimates']
+      : result.ignoredAvoid.map(option => `${provider.name} cannot avoid ${option} here; the route may include them`)
+
+    const answer = { routes: result.routes, warnings, provider: provider.name, estimated }
+    if (!estimated) cacheSet(key, answer)
+    return { ...answer, cached: false }
+  }
+
+  return { error: 'Routing is unavailable' }
+}
+
+// Distance and duration of the best route through the stops, for ride estimates.
+// Resolves to { distance, duration, provider, estimated } or null if there is no route.
+export async function estimateRoute(stops, profile = 'driving') {
+  const planned = await planRoute({ stops, profile, alternatives: false, steps: false })
+  if (planned.error) return null
+  const [route] = planned.routes
+  return { distance: route.distance, duration: route.duration, provider: planned.provider, estimated: planned.estimated }
+}
+
+// Snap a recorded track to roads with the first provider that offers map matching.
+// Resolves to { coordinates, provider } with one [lng, lat] or null per point, or null
+// when no provider could match it.
+export async function matchTrack(points, profile = 'driving') {
+  for (const provider of resolveProviders()) {
+    if (!provider.match) continue
+    try {
+      return { coordinates: await provider.match({ points, profile }), provider: provider.name }
+    } catch (error) {
+      console.warn(`Map matching with ${provider.name} failed:`, error.message)
+    }
+  }
+  return null
+}
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose'
+import SavedRoute from '../models/SavedRoute.js'
+import RideGroup from '../models/RideGroup.js'
+
+const toPoint = (stop) => ({
+  type: 'Point',
+  coordinates: [stop.longitude, stop.latitude],
+  address: stop.address
+})
+
+// Stops as { latitude, longitude, address }, the shape the planner takes
+export const routeStops = (route) => route.stops.map(stop => ({
+  latitude: stop.coordinates[1],
+  longitude: stop.coordinates[0],
+  address: stop.address
+}))
+
+// Fields for a SavedRoute from parsed stops and the chosen planner result
+export function plannedRouteFields({ stops, avoid, profile, provider }, planned) {
+  return {
+    provider,
+    stops: stops.map(toPoint),
+    startLocation: toPoint(stops[0]),
+    avoid,
+    profile,
+    geometry: planned.geometry,
+    distance: planned.distance,
+    duration: planned.duration,
+    legs: planned.legs.map(leg => ({ distance: leg.distance, duration: leg.duration }))
+  }
+}
+
+// Whether a rider may see a saved route
+export async function canViewSavedRoute(route, userId) {
+  if (route.owner.toString() === userId.toString() || route.visibility === 'public') return true
+  if (route.visibility !== 'group' || !route.group) return false
+
+  const group = await RideGroup.findById(route.group)
+  return !!group && group.status === 'active' && group.isActiveMember(userId)
+}
+
+// A saved route the rider may see, or null
+export async function findViewableSavedRoute(routeId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(routeId)) return null
+  const route = await SavedRoute.findById(routeId)
+  if (!route || !(await canViewSavedRoute(route, userId))) return null
+  return route
+}
@@ -0,0 +1,88 @@
+import os from 'os'
+import cron from 'node-cron'
+import mongoose from 'mongoose'
+import JobLock from '../models/JobLock.js'
+import { sweepEmergencyAlerts } from './emergencyService.js'
+import { processAccountDeletions } from './accountService.js'
+import { sweepServiceReminders } from './vehicleService.js'
+import { sweepPoiTiles } from './poiService.js'
+import { sweepRides } from './rideLifecycleService.js'
+
+// Identifies this process when holding a job lease
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`
+
+const tasks = []
+
+// Take the lease for a job once any previous one has expired, including one held by this
+// instance. Resolves to the lease expiry, which identifies this run's lease, or null.
+export async function acquireLock(name, ttlMs) {
+  const now = new Date()
+  const lockedUntil = new Date(now.getTime() + ttlMs)
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      { name, lockedUntil: { $lte: now } },
+      { owner: INSTANCE_ID, lockedUntil },
+      { upsert: true, new: true }
+    )
+    return lock.owner === INSTANCE_ID && lock.lockedUntil.getTime() === lockedUntil.getTime() ? lockedUntil : null
+  } catch (error) {
+    // Duplicate key on upsert means an unexpired lease is held
+    if (error.code === 11000) return null
+    throw error
+  }
+}
+
+// End the lease taken by this run; one that expired and was taken again is left alone
+async function releaseLock(name, lease, error) {
+  await JobLock.updateOne(
+    { name, owner: INSTANCE_ID, lockedUntil: lease },
+    { lockedUntil: new Date(), lastRunAt: new Date(), lastError: error ? error.message : null }
+  )
+}
+
+// Register a cron job that runs on a single instance per tick. node-cron doesn't skip a
+// tick while the previous run is still going, so this process skips it itself.
+export function scheduleJob(name, expression, handler, { lockTtlMs = 55 * 1000 } = {}) {
+  let running = false
+  const task = cron.schedule(expression, async () => {
+    if (running || mongoose.connection.readyState !== 1) return
+
+    running = true
+    let lease = null
+    try {
+      lease = await acquireLock(name, lockTtlMs)
+      if (!lease) return
+      await handler()
+      await releaseLock(name, lease)
+    } catch (error) {
+      console.error(`Scheduled job ${name} failed:`, error)
+      if (lease) {
+        await releaseLock(name, lease, error).catch(() => {})
+      }
+    } finally {
+      running = false
+    }
+  }, { scheduled: false })
+
+  tasks.push({ name, task })
+  return task
+}
+
+export function startScheduler() {
+  if (tasks.length === 0) {
+    scheduleJob('emergency-sweep', '* * * * *', sweepEmergencyAlerts)
+    scheduleJob('account-deletions', '*/5 * * * *', processAccountDeletions, { lockTtlMs: 4 * 60 * 1000 })
+    scheduleJob('service-reminders', '0 9 * * *', sweepServiceReminders, { lockTtlMs: 30 * 60 * 1000 })
+    scheduleJob('poi-refresh', '*/30 * * * *', sweepPoiTiles, { lockTtlMs: 25 * 60 * 1000 })
+    scheduleJob('ride-sweep', '* * * * *', sweepRides)
+  }
+
+  tasks.forEach(({ name, task }) => {
+    task.start()
+    console.log(`⏱️  Scheduled job started: ${name}`)
+  })
+}
+
+export function stopScheduler() {
+  tasks.forEach(({ task }) => task.stop())
+}
@@ -0,0 +1,130 @@
+import jwt from 'jsonwebtoken'
+import Session from '../models/Session.js'
+import User from '../models/User.js'
+import { disconnectSession } from './socketService.js'
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev_jwt_secret'
+
+// Access tokens are short-lived; the refresh token keeps the device signed in.
+// Deliberately not JWT_EXPIRE, which older setups have set to days.
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m'
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30
+
+// Two tabs refreshing at once present the same token; don't treat that as theft
+const REUSE_GRACE_MS = 30 * 1000
+
+// Access JWT bound to a session (sid) and the user's tokenVersion
+export const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { userId: user._id, tokenVersion: user.tokenVersion || 0, sid: session._id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  )
+}
+
+// Start a session for a freshly authenticated device
+export async function createSession(user, req) {
+  const refreshToken = Session.generateToken()
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    userAgent: req.headers['user-agent']?.slice(0, 300),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  })
+
+  return { session, token: signAccessToken(user, session), refreshToken }
+}
+
+// Exchange a refresh token for a new access/refresh pair.
+// Resolves to { session, user, token, refreshToken } or { error }.
+export async function rotateSession(refreshToken, req) {
+  const tokenHash = Session.hashToken(refreshToken)
+  const nextToken = Session.generateToken()
+  const now = new Date()
+
+  // Swap the hash in the same update that finds it so a token rotates once
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    {
+      refreshTokenHash: Session.hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      ip: req.ip
+    },
+    { new: true }
+  )
+
+  if (!session) {
+    // An already-rotated token coming back outside the grace window means it
+    // leaked: kill the whole session
+    const reused = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: { $exists: false } })
+    if (reused && now - reused.rotatedAt > REUSE_GRACE_MS) {
+      console.warn(`Refresh token reuse detected for session ${reused._id}; revoking`)
+      await revokeSession(reused.user, reused._id, 'refresh_reuse')
+    }
+    return { error: 'Session has expired - please log in again' }
+  }
+
+  const user = await User.findById(session.user)
+  if (!user || !user.isActive) {
+    await revokeSession(session.user, session._id, 'revoked')
+    return { error: 'Account is not available' }
+  }
+
+  return { session, user, token: signAccessToken(user, session), refreshToken: nextToken }
+}
+
+// Active session owned by the user, or null
+export async function findActiveSession(sessionId, userId) {
+  if (!sessionId) return null
+  const session = await Session.findById(sessionId)
+  if (!session || !session.isActive() || session.user.toString() !== userId.toString()) {
+    return null
+  }
+  return session
+}
+
+export async function listSessions(userId) {
+  return Session.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 })
+}
+
+// Revoke one of the user's sessions and drop its sockets. Returns false if none matched.
+export async function revokeSession(userId, sessionId, reason = 'revoked') {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  )
+  disconnectSession(sessionId, reason)
+  return result.modifiedCount === 1
+}
+
+// Revoke the session a refresh token belongs to (the current one, or the one it was just
+// rotated from in another tab). Resolves to the session, or null if none is active.
+export async function revokeSessionByRefreshToken(refreshToken, reason = 'revoked') {
+  const tokenHash = Session.hashToken(refreshToken)
+  const session = await Session.findOne({
+    $or: [{ refreshTokenHash: tokenHash }, { previousTokenHash: tokenHash }],
+    revokedAt: { $exists: false }
+  })
+  if (!session) return null
+
+  await revokeSession(session.user, session._id, reason)
+  return session
+}
+
+// Revoke every session of a user, optionally keeping one (the caller's)
+export async function revokeAllSessions(userId, { except, reason = 'revoked_all' } = {}) {
+  const filter = { user: userId, revokedAt: { $exists: false } }
+  if (except) filter._id = { $ne: except }
+
+  const sessions = await Session.find(filter).select('_id')
+  await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason })
+  sessions.forEach(session => disconnectSession(session._id, reason))
+  return sessions.length
+}
@@ -1,14 +1,140 @@
-import { socketAuth } from '../middleware/auth.js'
+import { socketAuth, meetsVerificationRequirement, VERIFICATION_REQUIRED_MESSAGE } from '../middleware/auth.js'
 import User from '../models/User.js'
 import EmergencyAlert from '../models/EmergencyAlert.js'
 import { ChatMessage, ChatRoom } from '../models/Chat.js'
 import { Reward } from '../models/Reward.js'
+import RideGroup from '../models/RideGroup.js'
+import { processTelemetry, cancelCrashCountdown } from './crashDetectionService.js'
+import { noteRiderLocation } from './rideLifecycleService.js'
+import { evaluateGeofences } from './geofenceService.js'
+import { createEmergencyAlert } from './emergencyService.js'
+import { notifyChatMentions } from './notificationService.js'
+import RideShare from '../models/RideShare.js'
+import Ride from '../models/Ride.js'
+import { buildShareSnapshot, broadcastRiderUpdate, broadcastRideUpdate } from './rideShareService.js'
+import { parseWaypointBatch, ingestWaypoints } from './waypointService.js'
 
 // Store connected users
 const connectedUsers = new Map()
 const userRooms = new Map()
 
+// Socket.IO instance, kept so routes and services can push events
+let ioInstance = null
+
+// Emit an event to a connected user (no-op when offline)
+export const emitToUser = (userId, event, payload) => {
+  if (!ioInstance) return false
+  const userConnection = connectedUsers.get(userId.toString())
+  if (!userConnection) return false
+  ioInstance.to(userConnection.socketId).emit(event, payload)
+  return true
+}
+
+// Emit an event to every socket in a room
+export const emitToRoom = (room, event, payload) => {
+  if (!ioInstance) return
+  ioInstance.to(room).emit(event, payload)
+}
+
+// Force a connected user's socket out of a room
+export const removeUserFromRoom = (userId, room) => {
+  if (!ioInstance) return
+  const userConnection = connectedUsers.get(userId.toString())
+  if (userConnection) {
+    ioInstance.in(userConnection.socketId).socketsLeave(room)
+  }
+}
+
+// Drop the sockets opened under one login session
+export const disconnectSession = (sessionId, reason) => {
+  if (!ioInstance) return
+  const id = sessionId.toString()
+  for (const socket of ioInstance.of('/').sockets.values()) {
+    if (socket.sessionId === id) {
+      socket.emit('session-revoked', { reason })
+      socket.disconnect(true)
+    }
+  }
+}
+
+// Force every socket out of a room
+export const clearRoom = (room) => {
+  if (!ioInstance) return
+  ioInstance.in(room).socketsLeave(room)
+}
+
+// Whether anyone follows a ride through a share link (any ride when rideId is omitted)
+export const hasRideWatchers = (rideId) => {
+  if (!ioInstance) return false
+  const rooms = ioInstance.of('/share').adapter.rooms
+  if (!rideId) return ioInstance.of('/share').sockets.size > 0
+  return (rooms.get(`share_${rideId}`)?.size || 0) > 0
+}
+
+// Emit to guardians following a ride
+export const emitToRideWatchers = (rideId, event, payload) => {
+  if (!ioInstance) return
+  ioInstance.of('/share').to(`share_${rideId}`).emit(event, payload)
+}
+
+// Notify and disconnect guardians of a ride, or of a single share link
+export const disconnectRideWatchers = (rideId, reason, shareId) => {
+  if (!ioInstance) return
+  const room = shareId ? `sharelink_${shareId}` : `share_${rideId}`
+  const nsp = ioInstance.of('/share')
+  nsp.to(room).emit('share-ended', { reason })
+  nsp.in(room).disconnectSockets(true)
+}
+
+// Public, read-only namespace for share links: no account, just the share token
+const handleShareNamespace = (io) => {
+  const shareNsp = io.of('/share')
+
+  shareNsp.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token
+      const share = token && await RideShare.findValidByToken(token)
+      if (!share) {
+        return next(new Error('Share link is invalid or expired'))
+      }
+      socket.shareId = share._id.toString()
+      socket.rideId = share.ride.toString()
+      socket.shareExpiresAt = share.expiresAt
+      next()
+    } catch (error) {
+      console.error('Share socket auth error:', error)
+      next(new Error('Share link is invalid or expired'))
+    }
+  })
+
+  shareNsp.on('connection', async (socket) => {
+    socket.join(`share_${socket.rideId}`)
+    socket.join(`sharelink_${socket.shareId}`)
+
+    // Drop the viewer when the link expires
+    const expiresIn = new Date(socket.shareExpiresAt).getTime() - Date.now()
+    const expiryTimer = setTimeout(() => {
+      socket.emit('share-ended', { reason: 'expired' })
+      socket.disconnect(true)
+    }, Math.min(Math.max(expiresIn, 0), 2147483647))
+    socket.on('disconnect', () => clearTimeout(expiryTimer))
+
+    try {
+      const ride = await Ride.findById(socket.rideId)
+      if (ride) {
+        socket.emit('ride-update', await buildShareSnapshot(ride))
+      }
+    } catch (error) {
+      console.error('Share snapshot error:', error)
+    }
+  })
+}
+
 export const handleSocketConnection = (io) => {
+  ioInstance = io
+
+  handleShareNamespace(io)
+
   // Authentication middleware
   io.use(socketAuth)
 
@@ -81,6 +207,23 @@ export const handleSocketConnection = (io) => {
         })
 
         socket.emit('location-update-success', { timestamp })
+
+        // Standing still pauses the rider's ride, moving off resumes it
+        const fixedAt = new Date(timestamp || Date.now())
+        const fix = {
+          coordinates: [location.longitude, location.latitude],
+          timestamp: Number.isNaN(fixedAt.getTime()) ? new Date() : fixedAt
+        }
+        noteRiderLocation(socket.userId, fix)
+          .catch(err => console.error('Auto-pause error:', err))
+
+        // Arriving at or leaving the rider's and their groups' geofences
+        evaluateGeofences(socket.userId, fix)
+          .catch(err => console.error('Geofence check error:', err))
+
+        // Keep guardians following this rider's ride up to date
+        broadcastRiderUpdate(socket.userId)
+          .catch(err => console.error('Share broadcast error:', err))
       } catch (error) {
         console.error('Location update error:', error)
         socket.emit('error', { message: 'Failed to update location' })
@@ -88,13 +231,32 @@ export const handleSocketConnection = (io) => {
     })
 
     // Ride group management
-    socket.on('join-ride-group', (groupId) => {
-      socket.join(`ride_${groupId}`)
-      socket.to(`ride_${groupId}`).emit('user-joined-ride', {
-        userId: socket.userId,
-        timestamp: new Date()
-      })
-      console.log(`User ${socket.userId} joined ride group ${groupId}`)
+    socket.on('join-ride-group', async (groupId) => {
+      try {
+        const group = await RideGroup.findById(groupId)
+        if (!group || group.status !== 'active') {
+          return socket.emit('error', { message: 'Ride group not found' })
+        }
+
+        // Only accepted members may join the live room
+        if (!group.isActiveMember(socket.userId)) {
+          return socket.emit('error', { message: 'Not authorized to join this ride group' })
+        }
+
+        const member = group.getMember(socket.userId)
+
+        socket.join(`ride_${groupId}`)
+        socket.to(`ride_${groupId}`).emit('user-joined-ride', {
+          userId: socket.userId,
+          role: member.role,
+          timestamp: new Date()
+        })
+        socket.emit('joined-ride-group', { groupId, role: member.role })
+        console.log(`User ${socket.userId} joined ride group ${groupId}`)
+      } catch (error) {
+        console.error('Join ride group error:', error)
+        socket.emit('error', { message: 'Failed to join ride group' })
+      }
     })
 
     socket.on('leave-ride-group', (groupId) => {
@@ -106,59 +268,91 @@ export const handleSocketConnection = (io) => {
       console.log(`User ${socket.userId} left ride group ${groupId}`)
     })
 
+    // Motion telemetry for crash detection during an active ride
+    socket.on('ride-telemetry', async (data) => {
+      try {
+        const { rideId, samples } = data || {}
+
+        if (!rideId || !Array.isArray(samples)) {
+          return socket.emit('error', { message: 'Invalid telemetry data' })
+        }
+
+        const result = await processTelemetry({
+          userId: socket.userId,
+          rideId,
+          samples,
+          emit: (event, payload) => emitToUser(socket.userId, event, payload)
+        })
+
+        socket.emit('ride-telemetry-ack', { rideId, ...result })
+      } catch (error) {
+        console.error('Ride telemetry error:', error)
+        socket.emit('error', { message: error.message === 'Active ride not found' ? error.message : 'Failed to process telemetry' })
+      }
+    })
+
+    // Batched track points for an active ride; `batchId` is echoed so the app can drop its buffer
+    socket.on('ride-waypoints', async (data) => {
+      const { rideId, batchId } = data || {}
+      try {
+        const batch = parseWaypointBatch(data)
+        if (!rideId || batch.error) {
+          return socket.emit('error', { message: batch.error || 'Invalid waypoint batch' })
+        }
+
+        const result = await ingestWaypoints({ userId: socket.userId, rideId, points: batch.points })
+
+        if (result.accepted > 0) {
+          broadcastRideUpdate(rideId).catch(err => console.error('Share broadcast error:', err))
+        }
+
+        socket.emit('ride-waypoints-ack', {
+          rideId,
+          batchId,
+          accepted: result.accepted,
+          duplicates: result.duplicates,
+          rejected: result.rejected + batch.invalid,
+          status: result.status
+        })
+      } catch (error) {
+        console.error('Ride waypoints error:', error)
+        socket.emit('error', { message: error.message === 'Active ride not found' ? error.message : 'Failed to store waypoints' })
+      }
+    })
+
+    socket.on('crash-cancel', () => {
+      const cancelled = cancelCrashCountdown(socket.userId)
+      socket.emit('crash-cancelled', { cancelled })
+      if (cancelled) {
+        console.log(`User ${socket.userId} cancelled crash countdown`)
+      }
+    })
+
     // Emergency alerts
     socket.on('emergency-alert', async (alertData) => {
       try {
         const { type, severity, location, description } = alertData
 
-        // Create emergency alert
-        const emergency = new EmergencyAlert({
-          user: socket.userId,
+        if (!type || !location || !location.latitude || !location.longitude) {
+          return socket.emit('error', { message: 'Alert type and location are required' })
+        }
+
+        // Same path as POST /api/emergency/alert: nearby riders, contacts and escalation ladder
+        const { alert: emergency, error, notifiedUsers } = await createEmergencyAlert({
+          userId: socket.userId,
           type,
           severity,
-          location: {
-            type: 'Point',
-            coordinates: [location.longitude, location.latitude],
-            address: location.address
-          },
+          location,
           description
         })
 
-        await emergency.save()
-
-        // Find nearby users (within 10km)
-        const nearbyUsers = await User.findNearby(
-          location.longitude,
-          location.latitude,
-          10000
-        )
-
-        // Notify nearby users
-        nearbyUsers.forEach(user => {
-          const userConnection = connectedUsers.get(user._id.toString())
-          if (userConnection && user._id.toString() !== socket.userId) {
-            io.to(userConnection.socketId).emit('emergency-alert', {
-              alertId: emergency._id,
-              type,
-              severity,
-              location,
-              description,
-              userId: socket.userId,
-              distance: calculateDistance(
-                location.latitude, location.longitude,
-                user.currentLocation.coordinates[1],
-                user.currentLocation.coordinates[0]
-              )
-            })
-          }
-        })
-
-        // Schedule auto-resolve
-        emergency.scheduleAutoResolve()
+        if (error) {
+          return socket.emit('error', { message: error })
+        }
 
         socket.emit('emergency-alert-sent', {
           alertId: emergency._id,
-          notifiedUsers: nearbyUsers.length
+          notifiedUsers
         })
 
         console.log(`Emergency alert sent by ${socket.userId}`)
@@ -173,6 +367,10 @@ export const handleSocketConnection = (io) => {
       try {
         const { alertId, message, estimatedArrival } = data
 
+        if (!(await meetsVerificationRequirement(socket.userId, 'emergency_response'))) {
+          return socket.emit('error', { code: 'EMAIL_NOT_VERIFIED', message: VERIFICATION_REQUIRED_MESSAGE })
+        }
+
         const alert = await EmergencyAlert.findById(alertId)
         if (!alert || alert.status !== 'active') {
           return socket.emit('error', { message: 'Emergency alert not found or not active' })
@@ -188,6 +386,7 @@ export const handleSocketConnection = (io) => {
         if (alert.status === 'active') {
           alert.status = 'responded'
         }
+        alert.addTimelineEvent('responded', { actor: socket.userId, note: message })
 
         await alert.save()
 
@@ -274,6 +473,10 @@ export const handleSocketConnection = (io) => {
           return socket.emit('error', { message: 'Chat room not found' })
         }
 
+        if (!room.isActive) {
+          return socket.emit('error', { message: 'This chat room has been closed' })
+        }
+
         const isParticipant = room.participants.some(
           p => p.user.toString() === socket.userId
         )
@@ -300,6 +503,10 @@ export const handleSocketConnection = (io) => {
         room.lastActivity = new Date()
         await room.save()
 
+        // Fire-and-forget: push/email anyone @mentioned
+        notifyChatMentions({ room, chatMessage, senderId: socket.userId })
+          .catch(err => console.error('Mention notification error:', err))
+
         // Broadcast message to room with a consistent payload shape
         io.to(`chat_${roomId}`).emit('new-message', {
           chatId: roomId,
@@ -440,20 +647,4 @@ export const handleSocketConnection = (io) => {
       }
     })
   })
-}
-
-// Helper function to calculate distance
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3 // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180
-  const φ2 = lat2 * Math.PI / 180
-  const Δφ = (lat2 - lat1) * Math.PI / 180
-  const Δλ = (lon2 - lon1) * Math.PI / 180
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-          Math.cos(φ1) * Math.cos(φ2) *
-          Math.sin(Δλ/2) * Math.sin(Δλ/2)
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a))
-
-  return R * c
 }
\ No newline at end of file
@@ -0,0 +1,132 @@
+import crypto from 'crypto'
+import bcrypt from 'bcryptjs'
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 s steps),
+// the defaults every authenticator app understands.
+const STEP_SECONDS = 30
+const DIGITS = 6
+// Accept one step of clock drift either way
+const DRIFT_STEPS = 1
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+export function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+export function base32Decode(input) {
+  const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase()
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error('Invalid base32 secret')
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+// 160-bit secret, base32 encoded for authenticator apps
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS)
+
+// HOTP value for a given counter (RFC 4226)
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8)
+  buffer.writeBigUInt64BE(BigInt(counter))
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+  return code.toString().padStart(DIGITS, '0')
+}
+
+export function generateTotp(secret, time = Date.now()) {
+  return hotp(secret, currentStep(time))
+}
+
+// Check a code against the current window. Returns the matched time step,
+// or null. Steps at or before `lastUsedStep` are refused so a code can't be replayed.
+export function verifyTotp(secret, code, { lastUsedStep = -1, time = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s+/g, '')
+  if (!secret || !/^\d{6}$/.test(normalized)) return null
+
+  const step = currentStep(time)
+  for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+    const candidate = step + offset
+    if (candidate <= lastUsedStep) continue
+    const expected = hotp(secret, candidate)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate
+    }
+  }
+  return null
+}
+
+export function buildOtpauthUrl({ secret, account, issuer = process.env.TOTP_ISSUER || 'Rider Sathi' }) {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+// QR code as a data URL for the enrolment screen. Returns null when the
+// optional qrcode package isn't installed; clients fall back to the secret.
+export async function buildQrCode(otpauthUrl) {
+  try {
+    // Dynamic import: qrcode may not be installed in dev
+    const QRCode = (await import('qrcode')).default
+    return await QRCode.toDataURL(otpauthUrl)
+  } catch (error) {
+    return null
+  }
+}
+
+const normalizeBackupCode = (code) => String(code || '').replace(/[\s-]+/g, '').toLowerCase()
+
+// One-time recovery codes, shown once; only bcrypt hashes are stored
+export async function generateBackupCodes(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex')
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+  const hashes = await Promise.all(codes.map(code => bcrypt.hash(normalizeBackupCode(code), 10)))
+  return { codes, hashes }
+}
+
+// Index of the matching hash, or -1
+export async function matchBackupCode(hashes = [], code) {
+  const normalized = normalizeBackupCode(code)
+  if (!normalized) return -1
+  for (let i = 0; i < hashes.length; i++) {
+    if (await bcrypt.compare(normalized, hashes[i])) return i
+  }
+  return -1
+}
@@ -0,0 +1,121 @@
+import { calculateDistance } from './emergencyService.js'
+import { matchTrack } from './routingService.js'
+
+// Fixes the device itself rates worse than this are dropped
+const MAX_ACCURACY_METERS = parseFloat(process.env.TRACK_MAX_ACCURACY_M) || 50
+// Faster than any bike: a jump this fast between fixes is a bad fix, not riding
+const MAX_SPEED_KMH = parseFloat(process.env.TRACK_MAX_SPEED_KMH) || 250
+// Below this the rider is treated as standing still and fixes are pinned in place
+const STOP_SPEED_KMH = 3
+const STOP_RADIUS_METERS = 10
+// Fixes either side of a point averaged into it
+const SMOOTHING_HALF_WINDOW = 2
+
+const impliedSpeedKmh = (a, b) => {
+  const seconds = (b.timestamp - a.timestamp) / 1000
+  if (seconds <= 0) return 0
+  return calculateDistance(a.coordinates[1], a.coordinates[0], b.coordinates[1], b.coordinates[0]) / seconds * 3.6
+}
+
+const tooFast = (a, b) => impliedSpeedKmh(a, b) > MAX_SPEED_KMH
+
+// Drop fixes that are inaccurate or that the rider could not have reached in time.
+// A spike is a fix too far from both neighbours, so one bad fix doesn't take the
+// next good one down with it.
+function rejectOutliers(points, counts) {
+  const accurate = points.filter(point => {
+    const ok = !(point.accuracy > MAX_ACCURACY_METERS) && !(point.speed > MAX_SPEED_KMH)
+    if (!ok) counts.accuracy++
+    return ok
+  })
+
+  const kept = []
+  accurate.forEach((point, i) => {
+    const prev = kept[kept.length - 1]
+    const next = accurate[i + 1]
+    const spike = prev && next
+      ? tooFast(prev, point) && tooFast(point, next)
+      : (prev && tooFast(prev, point)) || (next && tooFast(point, next))
+    if (spike) counts.speed++
+    else kept.push(point)
+  })
+  return kept
+}
+
+// Pin slow fixes that stay near where the rider stopped to that spot, so jitter at a
+// signal adds no distance or speed. A speed of 0 is what older clients stored for "no
+// reading", so it is checked against the distance covered like a missing one.
+function pinStops(points) {
+  let anchor = null
+  return points.map((point, i) => {
+    const neighbour = i > 0 ? [points[i - 1], point] : [point, points[1]]
+    const speed = point.speed > 0
+      ? point.speed
+      : (neighbour[1] ? impliedSpeedKmh(...neighbour) : 0)
+
+    if (speed >= STOP_SPEED_KMH) {
+      anchor = null
+      return point
+    }
+
+    const radius = Math.max(point.accuracy || 0, STOP_RADIUS_METERS)
+    if (anchor && calculateDistance(anchor[1], anchor[0], point.coordinates[1], point.coordinates[0]) <= radius) {
+      return { ...point, coordinates: anchor, speed: 0, stopped: true }
+    }
+    anchor = point.coordinates
+    return { ...point, stopped: true }
+  })
+}
+
+// Accuracy-weighted moving average over moving fixes; pinned fixes stay put
+function smooth(points) {
+  return points.map((point, i) => {
+    if (point.stopped) return point
+
+    let lng = 0
+    let lat = 0
+    let total = 0
+    const from = Math.max(0, i - SMOOTHING_HALF_WINDOW)
+    const to = Math.min(points.length - 1, i + SMOOTHING_HALF_WINDOW)
+    for (let j = from; j <= to; j++) {
+      if (points[j].stopped) continue
+      const weight = 1 / Math.max(points[j].accuracy || 10, 1) ** 2
+      lng += points[j].coordinates[0] * weight
+      lat += points[j].coordinates[1] * weight
+      total += weight
+    }
+    return { ...point, coordinates: [lng / total, lat / total] }
+  })
+}
+
+// Clean a raw track (time order, from trackService.loadTrack) before stats are taken from it.
+// Map matching is opt-in with TRACK_MAP_MATCHING=true since it sends the track to the
+// routing provider. Resolves to { points, summary }.
+export async function cleanTrack(raw) {
+  const counts = { accuracy: 0, speed: 0 }
+  const usable = raw.filter(point => Array.isArray(point.coordinates) && point.coordinates.length >= 2)
+
+  let points = smooth(pinStops(rejectOutliers(usable, counts)))
+
+  let matchedBy = null
+  if (process.env.TRACK_MAP_MATCHING === 'true' && points.length >= 2) {
+    const matched = await matchTrack(points)
+    if (matched) {
+      matchedBy = matched.provider
+      points = points.map((point, i) => matched.coordinates[i] ? { ...point, coordinates: matched.coordinates[i] } : point)
+    }
+  }
+
+  return {
+    points: points.map(({ stopped, ...point }) => point),
+    summary: {
+      rawPoints: raw.length,
+      cleanedPoints: points.length,
+      rejectedForAccuracy: counts.accuracy,
+      rejectedForSpeed: counts.speed,
+      stoppedPoints: points.filter(point => point.stopped).length,
+      mapMatchedBy: matchedBy,
+      processedAt: new Date()
+    }
+  }
+}
@@ -0,0 +1,226 @@
+// Conversions between Ride tracks and GPX 1.1 / KML / GeoJSON
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+const unescapeXml = (value) => String(value ?? '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+
+const kmhToMs = (kmh) => Math.round((kmh / 3.6) * 100) / 100
+const msToKmh = (ms) => Math.round(ms * 3.6 * 100) / 100
+
+const isoTime = (date) => date ? new Date(date).toISOString() : null
+
+function rideName(ride) {
+  const from = ride.startLocation?.address
+  const to = ride.endLocation?.address
+  if (from && to) return `${from} to ${to}`
+  return `Ride ${isoTime(ride.startTime || ride.createdAt)?.slice(0, 10) || ride._id}`
+}
+
+// Track points (from trackService.loadTrack) as plain objects, skipping malformed entries.
+// Planned routes only carry placeholder times, so theirs are left out.
+function trackPoints(ride, stored = []) {
+  const timed = ride.status !== 'planning'
+  return stored
+    .filter(wp => Array.isArray(wp.coordinates) && wp.coordinates.length >= 2)
+    .map(wp => ({
+      longitude: wp.coordinates[0],
+      latitude: wp.coordinates[1],
+      timestamp: timed ? wp.timestamp : undefined,
+      speed: wp.speed,
+      heading: wp.heading
+    }))
+}
+
+export function toGPX(ride, stored) {
+  const name = escapeXml(rideName(ride))
+  const points = trackPoints(ride, stored).map(p => {
+    const lines = [`      <trkpt lat="${p.latitude}" lon="${p.longitude}">`]
+    if (p.timestamp) lines.push(`        <time>${isoTime(p.timestamp)}</time>`)
+    if (typeof p.speed === 'number' || typeof p.heading === 'number') {
+      lines.push('        <extensions>')
+      lines.push('          <gpxtpx:TrackPointExtension>')
+      if (typeof p.speed === 'number') lines.push(`            <gpxtpx:speed>${kmhToMs(p.speed)}</gpxtpx:speed>`)
+      if (typeof p.heading === 'number') lines.push(`            <gpxtpx:course>${p.heading}</gpxtpx:course>`)
+      lines.push('          </gpxtpx:TrackPointExtension>')
+      lines.push('        </extensions>')
+    }
+    lines.push('      </trkpt>')
+    return lines.join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Rider Sathi"',
+    '  xmlns="http://www.topografix.com/GPX/1/1"',
+    '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"',
+    '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+    '  <metadata>',
+    `    <name>${name}</name>`,
+    ride.startTime ? `    <time>${isoTime(ride.startTime)}</time>` : null,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${name}</name>`,
+    '    <type>motorcycling</type>',
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].filter(line => line !== null).join('\n')
+}
+
+export function toKML(ride, stored) {
+  const name = escapeXml(rideName(ride))
+  const points = trackPoints(ride, stored)
+  const timed = points.length > 0 && points.every(p => p.timestamp)
+
+  const track = timed
+    ? [
+        '      <gx:Track>',
+        ...points.map(p => `        <when>${isoTime(p.timestamp)}</when>`),
+        ...points.map(p => `        <gx:coord>${p.longitude} ${p.latitude} 0</gx:coord>`),
+        '        <ExtendedData>',
+        '          <SchemaData schemaUrl="#trackData">',
+        '            <gx:SimpleArrayData name="speed">',
+        ...points.map(p => `              <gx:value>${p.speed ?? ''}</gx:value>`),
+        '            </gx:SimpleArrayData>',
+        '            <gx:SimpleArrayData name="heading">',
+        ...points.map(p => `              <gx:value>${p.heading ?? ''}</gx:value>`),
+        '            </gx:SimpleArrayData>',
+        '          </SchemaData>',
+        '        </ExtendedData>',
+        '      </gx:Track>'
+      ]
+    : [
+        '      <LineString>',
+        '        <tessellate>1</tessellate>',
+        `        <coordinates>${points.map(p => `${p.longitude},${p.latitude},0`).join(' ')}</coordinates>`,
+        '      </LineString>'
+      ]
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${name}</name>`,
+    '    <Schema id="trackData">',
+    '      <gx:SimpleArrayField name="speed" type="float">',
+    '        <displayName>Speed (km/h)</displayName>',
+    '      </gx:SimpleArrayField>',
+    '      <gx:SimpleArrayField name="heading" type="float">',
+    '        <displayName>Heading (deg)</displayName>',
+    '      </gx:SimpleArrayField>',
+    '    </Schema>',
+    '    <Placemark>',
+    `      <name>${name}</name>`,
+    ...track,
+    '    </Placemark>',
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n')
+}
+
+export function toGeoJSON(ride, stored) {
+  const points = trackPoints(ride, stored)
+
+  return {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(p => [p.longitude, p.latitude])
+      },
+      properties: {
+        name: rideName(ride),
+        rideId: ride._id,
+        startTime: isoTime(ride.startTime),
+        endTime: isoTime(ride.endTime),
+        totalDistance: ride.route?.totalDistance, // meters
+        averageSpeed: ride.metrics?.averageSpeed, // km/h
+        maxSpeed: ride.metrics?.maxSpeed, // km/h
+        coordTimes: points.map(p => isoTime(p.timestamp)),
+        speeds: points.map(p => p.speed ?? null), // km/h
+        headings: points.map(p => p.heading ?? null) // degrees
+      }
+    }]
+  }
+}
+
+// Export formats keyed by ?format=
+export const exportFormats = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx', render: toGPX },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml', render: toKML },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson', render: (ride, stored) => JSON.stringify(toGeoJSON(ride, stored), null, 2) }
+}
+
+function readTag(block, tag) {
+  const match = block.match(new RegExp(`<(?:\\w+:)?${tag}>([\\s\\S]*?)</(?:\\w+:)?${tag}>`))
+  return match ? unescapeXml(match[1].trim()) : undefined
+}
+
+function readAttr(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`))
+  return match ? parseFloat(match[1]) : NaN
+}
+
+// Parse track (or route) points out of a GPX document.
+// Returns { name, points: [{ latitude, longitude, timestamp, speed, heading, elevation }] }
+export function parseGPX(xml) {
+  if (typeof xml !== 'string' || !/<gpx[\s>]/.test(xml)) {
+    throw new Error('Not a GPX document')
+  }
+
+  const collect = (tag) => {
+    const regex = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g')
+    const points = []
+    let match
+    while ((match = regex.exec(xml)) !== null) {
+      const attrs = match[1]
+      const body = match[2] || ''
+      const latitude = readAttr(attrs, 'lat')
+      const longitude = readAttr(attrs, 'lon')
+      if (Number.isNaN(latitude) || Number.isNaN(longitude)) continue
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) continue
+
+      const time = readTag(body, 'time')
+      const speed = readTag(body, 'speed') // m/s in GPX
+      const course = readTag(body, 'course')
+      const ele = readTag(body, 'ele')
+
+      points.push({
+        latitude,
+        longitude,
+        timestamp: time && !Number.isNaN(Date.parse(time)) ? new Date(time) : undefined,
+        speed: speed !== undefined && !Number.isNaN(parseFloat(speed)) ? msToKmh(parseFloat(speed)) : undefined,
+        heading: course !== undefined && !Number.isNaN(parseFloat(course)) ? parseFloat(course) : undefined,
+        elevation: ele !== undefined && !Number.isNaN(parseFloat(ele)) ? parseFloat(ele) : undefined
+      })
+    }
+    return points
+  }
+
+  // Prefer recorded track points, then planned route points
+  let points = collect('trkpt')
+  if (points.length === 0) points = collect('rtept')
+
+  const trkBlock = xml.match(/<(trk|rte)\b[\s\S]*?<\/\1>/)
+  const metadataBlock = xml.match(/<metadata\b[\s\S]*?<\/metadata>/)
+  const name = (trkBlock && readTag(trkBlock[0].split(/<(?:trkseg|rtept)\b/)[0], 'name')) ||
+    (metadataBlock && readTag(metadataBlock[0], 'name'))
+
+  return { name, points }
+}
@@ -0,0 +1,111 @@
+import TrackPoint, { CleanTrackPoint } from '../models/TrackPoint.js'
+import { encodePolyline, simplifyLine } from './polylineService.js'
+import { cleanTrack } from './trackCleaningService.js'
+import { applyRideMetrics } from './rideMetricsService.js'
+
+// The preview kept on the Ride is simplified until it fits in this many points
+const PREVIEW_MAX_POINTS = 500
+const PREVIEW_TOLERANCE_METERS = 10
+
+// Store points for a ride, skipping any whose device time is already stored.
+// Resolves to { inserted: [points], duplicates }.
+export async function appendTrackPoints(rideId, points) {
+  if (!points.length) return { inserted: [], duplicates: 0 }
+
+  const times = points.map(point => point.timestamp.getTime())
+  const existing = await TrackPoint.find({
+    ride: rideId,
+    timestamp: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) }
+  }).select('timestamp').lean()
+
+  const seen = new Set(existing.map(point => point.timestamp.getTime()))
+  const inserted = []
+  for (const point of points) {
+    const time = point.timestamp.getTime()
+    if (seen.has(time)) continue
+    seen.add(time)
+    inserted.push(point)
+  }
+
+  if (inserted.length) {
+    await TrackPoint.insertMany(
+      inserted.map(point => ({ ...point, ride: rideId })),
+      { ordered: false, lean: true }
+    )
+  }
+
+  return { inserted, duplicates: points.length - inserted.length }
+}
+
+// A ride's track in time order: the raw fixes, or with `cleaned` the track stats were
+// taken from. Two uploads racing past the duplicate check can store the same fix twice,
+// so repeats are dropped on the way out.
+export async function loadTrack(rideId, { cleaned = false } = {}) {
+  const Model = cleaned ? CleanTrackPoint : TrackPoint
+  const points = await Model.find({ ride: rideId })
+    .sort({ timestamp: 1 })
+    .select('-_id -ride')
+    .lean()
+
+  return points.filter((point, i) => i === 0 || point.timestamp.getTime() !== points[i - 1].timestamp.getTime())
+}
+
+// The last few fixes, oldest first
+export async function recentTrackPoints(rideId, count = 10) {
+  const points = await TrackPoint.find({ ride: rideId })
+    .sort({ timestamp: -1 })
+    .limit(count)
+    .select('-_id -ride')
+    .lean()
+
+  return points.reverse()
+}
+
+export async function deleteTracks(rideIds) {
+  const [raw, cleaned] = await Promise.all([
+    TrackPoint.deleteMany({ ride: { $in: rideIds } }),
+    CleanTrackPoint.deleteMany({ ride: { $in: rideIds } })
+  ])
+  return raw.deletedCount + cleaned.deletedCount
+}
+
+async function replaceCleanTrack(rideId, points) {
+  await CleanTrackPoint.deleteMany({ ride: rideId })
+  if (points.length) {
+    await CleanTrackPoint.insertMany(points.map(point => ({ ...point, ride: rideId })), { lean: true })
+  }
+}
+
+// Encoded polyline (precision 5) of the simplified track
+export function trackPreview(points) {
+  let coordinates = points.map(point => point.coordinates).filter(c => Array.isArray(c) && c.length >= 2)
+  if (coordinates.length < 2) return undefined
+
+  let tolerance = PREVIEW_TOLERANCE_METERS
+  coordinates = simplifyLine(coordinates, tolerance)
+  while (coordinates.length > PREVIEW_MAX_POINTS) {
+    tolerance *= 2
+    coordinates = simplifyLine(coordinates, tolerance)
+  }
+  return encodePolyline(coordinates)
+}
+
+// Clean the stored track, keep the result next to the raw one and recompute the ride's
+// stats, metrics and preview from it (caller saves the ride). Planned routes only carry
+// placeholder times, so they are measured as drawn.
+export async function finaliseRideTrack(ride) {
+  const raw = await loadTrack(ride._id)
+  let points = raw
+  if (ride.status !== 'planning') {
+    const cleaned = await cleanTrack(raw)
+    points = cleaned.points
+    await replaceCleanTrack(ride._id, points)
+    ride.route.processing = cleaned.summary
+  }
+
+  ride.calculateStats(points)
+  await applyRideMetrics(ride, points)
+  ride.route.preview = trackPreview(points)
+  ride.route.pointCount = raw.length
+  return points
+}
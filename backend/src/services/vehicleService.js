@@ -0,0 +1,156 @@
+import mongoose from 'mongoose'
+import Vehicle, { DEFAULT_SERVICE_INTERVALS, MAX_ODOMETER_READINGS } from '../models/Vehicle.js'
+import User from '../models/User.js'
+import { notifyUser } from './notificationService.js'
+import { emitToUser } from './socketService.js'
+
+const SERVICE_LABELS = {
+  oil: 'Oil change',
+  chain: 'Chain service',
+  tyres: 'Tyre replacement',
+  brakes: 'Brake service',
+  air_filter: 'Air filter replacement',
+  general: 'General service'
+}
+
+export const vehicleName = (vehicle) =>
+  vehicle.nickname || [vehicle.make, vehicle.model].filter(Boolean).join(' ') || 'your bike'
+
+// Intervals for a newly added bike, counted from its starting odometer
+export function initialServiceIntervals(odometer = 0, intervals = DEFAULT_SERVICE_INTERVALS) {
+  return intervals.map(({ type, intervalKm, intervalDays }) => ({
+    type,
+    intervalKm,
+    intervalDays,
+    lastServicedOdometer: odometer
+  }))
+}
+
+// Create a bike from the legacy single User.bikeDetails entry, once, for
+// riders who had one before the garage existed
+export async function importLegacyBike(userId) {
+  if (await Vehicle.exists({ owner: userId })) return null
+
+  const user = await User.findById(userId).select('bikeDetails')
+  const details = user?.bikeDetails
+  if (!details?.make) return null
+
+  return Vehicle.create({
+    owner: userId,
+    make: details.make,
+    model: details.model,
+    year: details.year,
+    color: details.color,
+    licensePlate: details.licensePlate,
+    isPrimary: true,
+    odometerReadings: [{ value: 0, source: 'manual' }],
+    serviceIntervals: initialServiceIntervals(0)
+  })
+}
+
+// Bike for a new ride: the one requested (must belong to the rider) or the
+// rider's primary bike. Resolves to { vehicle } (possibly null) or { error }.
+export async function resolveRideVehicle(userId, vehicleId) {
+  if (vehicleId) {
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      return { error: 'Invalid vehicle ID' }
+    }
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, owner: userId }).select('_id')
+    return vehicle ? { vehicle } : { error: 'Vehicle not found in your garage' }
+  }
+
+  const primary = await Vehicle.findOne({ owner: userId, isPrimary: true }).select('_id')
+  return { vehicle: primary }
+}
+
+// Add a completed ride's distance to the odometer of the bike it was ridden on. Only
+// distance measured from its track counts: a ride with no points (abandoned, or the app
+// never uploaded) would otherwise add its planned distance.
+export async function recordRideDistance(ride) {
+  const meters = ride.route?.trackedDistance
+  if (!ride.vehicle || !(meters > 0)) return null
+
+  const km = Math.round(meters / 10) / 100
+
+  // Increment and reading go in one update; the ride id in the readings
+  // makes a repeated call a no-op
+  const vehicle = await Vehicle.findOneAndUpdate(
+    { _id: ride.vehicle, 'odometerReadings.ride': { $ne: ride._id } },
+    {
+      $inc: { odometer: km },
+      $push: {
+        odometerReadings: {
+          $each: [{ source: 'ride', ride: ride._id, recordedAt: ride.endTime || new Date() }],
+          $slice: -MAX_ODOMETER_READINGS
+        }
+      }
+    },
+    { new: true }
+  )
+  if (!vehicle) return null
+
+  await Vehicle.updateOne(
+    { _id: vehicle._id, 'odometerReadings.ride': ride._id },
+    { $set: { 'odometerReadings.$.value': vehicle.odometer } }
+  )
+
+  await sendServiceReminders(vehicle)
+  return vehicle
+}
+
+// Notify the owner about overdue services, once per service cycle
+export async function sendServiceReminders(vehicle, now = new Date()) {
+  const overdue = vehicle.getServiceStatus(now).filter(service => service.status === 'overdue')
+  const sent = []
+
+  for (const service of overdue) {
+    const interval = vehicle.serviceIntervals.find(i => i.type === service.type)
+
+    // Claim the reminder so concurrent runs don't both send it
+    const claimed = await Vehicle.updateOne(
+      { _id: vehicle._id, serviceIntervals: { $elemMatch: { _id: interval._id, lastRemindedAt: null } } },
+      { $set: { 'serviceIntervals.$.lastRemindedAt': now } }
+    )
+    if (claimed.modifiedCount === 0) continue
+
+    const label = SERVICE_LABELS[service.type]
+    const name = vehicleName(vehicle)
+    const dueBy = [
+      service.kmRemaining !== null && service.kmRemaining <= 0 ? `${Math.abs(service.kmRemaining)} km overdue` : null,
+      service.daysRemaining !== null && service.daysRemaining <= 0 ? `${Math.abs(service.daysRemaining)} days overdue` : null
+    ].filter(Boolean).join(', ')
+
+    emitToUser(vehicle.owner, 'service-reminder', {
+      vehicleId: vehicle._id,
+      vehicleName: name,
+      ...service
+    })
+
+    notifyUser(vehicle.owner, {
+      channels: ['push', 'email'],
+      subject: `${label} due for ${name}`,
+      body: `${label} is due for ${name} (${dueBy || 'due now'}). Odometer: ${Math.round(vehicle.odometer)} km.\n\nLog the service in your garage to reset the reminder.`,
+      data: { type: 'service_reminder', vehicleId: vehicle._id.toString(), service: service.type },
+      context: { type: 'service_reminder', refId: vehicle._id }
+    }).catch(err => console.error('Service reminder error:', err))
+
+    sent.push(service.type)
+  }
+
+  return sent
+}
+
+// Scheduler entry point: date-based intervals come due without any riding
+export async function sweepServiceReminders() {
+  const now = new Date()
+  const cursor = Vehicle.find({
+    serviceIntervals: { $elemMatch: { lastRemindedAt: null } }
+  }).cursor()
+
+  let reminded = 0
+  for await (const vehicle of cursor) {
+    const sent = await sendServiceReminders(vehicle, now)
+    reminded += sent.length
+  }
+  return reminded
+}
@@ -0,0 +1,174 @@
+import mongoose from 'mongoose'
+import Ride from '../models/Ride.js'
+import { decodePolyline } from './polylineService.js'
+import { appendTrackPoints } from './trackService.js'
+import { applyMotion, notifyMotionChange } from './rideLifecycleService.js'
+import { evaluateGeofences } from './geofenceService.js'
+
+export const MAX_BATCH_POINTS = parseInt(process.env.WAYPOINT_BATCH_LIMIT) || 1000
+// Device clocks drift; allow this much either side of the ride's start and the server clock
+const CLOCK_SKEW_MS = 5 * 60 * 1000
+
+const isCoordinate = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180
+
+const optionalNumber = (value) => {
+  const number = parseFloat(value)
+  return Number.isFinite(number) ? number : undefined
+}
+
+const toTime = (value) => {
+  if (value === undefined || value === null || value === '') return NaN
+  return new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value).getTime()
+}
+
+// Normalise a batch into waypoints. Accepts either
+//   points: [{ latitude, longitude, timestamp, speed?, heading?, accuracy?, lean? }]
+// or an encoded polyline with times per point:
+//   polyline, precision (5 or 6), timestamps: [...] or startTime + offsets (ms), speeds?, headings?, leans?
+// Resolves to { points, invalid } or { error }; points without a usable position or time are counted as invalid.
+export function parseWaypointBatch({ points, polyline, precision = 5, timestamps, startTime, offsets, speeds, headings, leans } = {}) {
+  let raw
+
+  if (polyline !== undefined) {
+    if (typeof polyline !== 'string' || ![5, 6].includes(Number(precision))) {
+      return { error: 'Polyline must be an encoded string with precision 5 or 6' }
+    }
+
+    let coordinates
+    try {
+      coordinates = decodePolyline(polyline, Number(precision))
+    } catch {
+      return { error: 'Polyline could not be decoded' }
+    }
+
+    let times
+    if (Array.isArray(timestamps)) {
+      times = timestamps.map(toTime)
+    } else if (startTime !== undefined && Array.isArray(offsets)) {
+      const start = toTime(startTime)
+      times = offsets.map(offset => start + Number(offset))
+    } else {
+      return { error: 'Polyline points need timestamps, or startTime with offsets' }
+    }
+
+    if (times.length !== coordinates.length) {
+      return { error: `Polyline has ${coordinates.length} points but ${times.length} times` }
+    }
+
+    raw = coordinates.map(([longitude, latitude], i) => ({
+      latitude,
+      longitude,
+      time: times[i],
+      speed: optionalNumber(speeds?.[i]),
+      heading: optionalNumber(headings?.[i]),
+      lean: optionalNumber(leans?.[i])
+    }))
+  } else if (Array.isArray(points)) {
+    raw = points.map(point => ({
+      latitude: Number(point?.latitude),
+      longitude: Number(point?.longitude),
+      time: toTime(point?.timestamp),
+      speed: optionalNumber(point?.speed),
+      heading: optionalNumber(point?.heading),
+      accuracy: optionalNumber(point?.accuracy),
+      lean: optionalNumber(point?.lean)
+    }))
+  } else {
+    return { error: 'Send points as an array or an encoded polyline' }
+  }
+
+  if (raw.length === 0) {
+    return { error: 'Batch has no points' }
+  }
+
+  if (raw.length > MAX_BATCH_POINTS) {
+    return { error: `A batch can hold at most ${MAX_BATCH_POINTS} points` }
+  }
+
+  const valid = raw.filter(point => isCoordinate(point.latitude, point.longitude) && Number.isFinite(point.time))
+
+  return {
+    points: valid.map(point => ({
+      coordinates: [point.longitude, point.latitude],
+      timestamp: new Date(point.time),
+      speed: point.speed,
+      heading: point.heading ?? 0,
+      accuracy: point.accuracy,
+      lean: point.lean
+    })),
+    invalid: raw.length - valid.length
+  }
+}
+
+// Add a parsed batch to an active or paused ride. Points may arrive late, repeated or out of
+// order (the app buffers while offline and retries): duplicates by device time are dropped and
+// the track is read back in time order. Points before the ride started or in the future are refused.
+// New points also drive auto-pause and resume, and the newest is checked against geofences.
+// Resolves to { accepted, duplicates, rejected, currentLocation, status }.
+export async function ingestWaypoints({ userId, rideId, points }) {
+  const ride = mongoose.Types.ObjectId.isValid(rideId) && await Ride.findOne({
+    _id: rideId,
+    rider: userId,
+    status: { $in: ['active', 'paused'] }
+  }).select('rider status startTime currentLocation pauses motion')
+
+  if (!ride) {
+    throw new Error('Active ride not found')
+  }
+
+  const earliest = (ride.startTime ? ride.startTime.getTime() : 0) - CLOCK_SKEW_MS
+  const latestAllowed = Date.now() + CLOCK_SKEW_MS
+  const inWindow = points.filter(point => {
+    const time = point.timestamp.getTime()
+    return time >= earliest && time <= latestAllowed
+  })
+  const rejected = points.length - inWindow.length
+
+  const { inserted, duplicates } = await appendTrackPoints(ride._id, inWindow)
+
+  if (inserted.length === 0) {
+    return { accepted: 0, duplicates, rejected, currentLocation: ride.currentLocation, status: ride.status }
+  }
+
+  const newest = inserted.reduce((latest, point) => point.timestamp > latest.timestamp ? point : latest)
+  const readStatus = ride.status
+  const motionChange = applyMotion(ride, inserted)
+  const update = {
+    $inc: { 'route.pointCount': inserted.length },
+    $set: { motion: ride.motion }
+  }
+  if (motionChange) {
+    update.$set.status = ride.status
+    update.$set.pauses = ride.pauses
+  }
+
+  // A late batch fills in the track but doesn't move the rider backwards
+  let currentLocation = ride.currentLocation
+  const lastUpdated = ride.currentLocation?.lastUpdated
+  if (!lastUpdated || newest.timestamp > lastUpdated) {
+    currentLocation = {
+      type: 'Point',
+      coordinates: newest.coordinates,
+      lastUpdated: newest.timestamp
+    }
+    update.$set.currentLocation = currentLocation
+  }
+
+  // The ride may have been completed, paused or resumed since it was read (the app flushing
+  // its buffer as the rider taps End); the points are kept but the state is left alone
+  const filter = { _id: ride._id, status: motionChange ? readStatus : { $in: ['active', 'paused'] } }
+  const { modifiedCount } = await Ride.updateOne(filter, update)
+  if (modifiedCount === 0) {
+    await Ride.updateOne({ _id: ride._id }, { $inc: { 'route.pointCount': inserted.length } })
+    const current = await Ride.findById(ride._id).select('status currentLocation')
+    return { accepted: inserted.length, duplicates, rejected, currentLocation: current?.currentLocation, status: current?.status }
+  }
+  notifyMotionChange(ride, motionChange)
+
+  if (update.$set.currentLocation) {
+    evaluateGeofences(userId, newest).catch(err => console.error('Geofence check error:', err))
+  }
+
+  return { accepted: inserted.length, duplicates, rejected, currentLocation, status: ride.status }
+}
@@ -21,6 +21,13 @@ import Chatbot from './pages/Chatbot'
 import Profile from './pages/Profile'
 import FeatureDetails from './pages/FeatureDetails'
 import ForgotPassword from './pages/ForgotPassword'
+import TrackRide from './pages/TrackRide'
+import ResetPassword from './pages/ResetPassword'
+import VerifyEmail from './pages/VerifyEmail'
+import Admin from './pages/Admin'
+import Garage from './pages/Garage'
+import ContactConsent from './pages/ContactConsent'
+import RoutePlanner from './pages/RoutePlanner'
 
 // Context
 import { AuthProvider } from './contexts/AuthContext'
@@ -94,8 +101,36 @@ function App() {
                         </ProtectedRoute>
                       } 
                     />
+                    <Route 
+                      path="/admin" 
+                      element={
+                        <ProtectedRoute roles={['admin', 'moderator']}>
+                          <Admin />
+                        </ProtectedRoute>
+                      } 
+                    />
                     <Route path="/forgot-password" element={<ForgotPassword />} />
+                    <Route path="/reset-password/:token" element={<ResetPassword />} />
+                    <Route path="/verify-email/:token" element={<VerifyEmail />} />
+                    <Route path="/contact-consent/:token" element={<ContactConsent />} />
+                    <Route path="/track/:token" element={<TrackRide />} />
                     <Route path="/chatbot" element={<Chatbot />} />
+                    <Route 
+                      path="/routes" 
+                      element={
+                        <ProtectedRoute>
+                          <RoutePlanner />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/garage" 
+                      element={
+                        <ProtectedRoute>
+                          <Garage />
+                        </ProtectedRoute>
+                      } 
+                    />
                     <Route 
                       path="/profile" 
                       element={
@@ -10,13 +10,18 @@ import {
   ChartBarIcon,
   UserIcon,
   Bars3Icon,
-  XMarkIcon
+  XMarkIcon,
+  ShieldCheckIcon,
+  WrenchScrewdriverIcon,
+  MapPinIcon
 } from '@heroicons/react/24/outline'
+import { useAuth } from '../contexts/AuthContext'
 
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false)
   const [scrolled, setScrolled] = useState(false)
   const location = useLocation()
+  const { user } = useAuth()
 
   useEffect(() => {
     const handleScroll = () => {
@@ -32,7 +37,11 @@ const Navbar = () => {
     { name: 'Map', path: '/map', icon: MapIcon },
     { name: 'Emergency', path: '/emergency', icon: ExclamationTriangleIcon },
     { name: 'Chat', path: '/chat', icon: ChatBubbleLeftIcon },
+    { name: 'Routes', path: '/routes', icon: MapPinIcon },
+    { name: 'Garage', path: '/garage', icon: WrenchScrewdriverIcon },
     { name: 'Profile', path: '/profile', icon: UserIcon },
+    // Staff only
+    ...(['admin', 'moderator'].includes(user?.role) ? [{ name: 'Admin', path: '/admin', icon: ShieldCheckIcon }] : []),
   ]
 
   return (
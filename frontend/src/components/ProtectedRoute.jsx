@@ -2,7 +2,8 @@ import React from 'react'
 import { Navigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 
-const ProtectedRoute = ({ children }) => {
+// `roles` optionally limits the route to users holding one of those roles
+const ProtectedRoute = ({ children, roles }) => {
   const { user, loading } = useAuth()
 
   if (loading) {
@@ -17,7 +18,15 @@ const ProtectedRoute = ({ children }) => {
     )
   }
 
-  return user ? children : <Navigate to="/login" replace />
+  if (!user) {
+    return <Navigate to="/login" replace />
+  }
+
+  if (roles && !roles.includes(user.role)) {
+    return <Navigate to="/dashboard" replace />
+  }
+
+  return children
 }
 
 export default ProtectedRoute
\ No newline at end of file
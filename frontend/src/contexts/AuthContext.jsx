@@ -3,6 +3,35 @@ import axios from 'axios'
 
 const AuthContext = createContext()
 
+// Bare client for session calls so they never pass through the 401 interceptor
+const sessionClient = axios.create()
+
+// One refresh at a time; concurrent 401s wait on the same request
+let refreshPromise = null
+const refreshSession = (apiUrl) => {
+  if (!refreshPromise) {
+    const attempt = (refreshToken) => sessionClient.post(`${apiUrl}/api/auth/refresh`, { refreshToken })
+
+    const sent = localStorage.getItem('refreshToken')
+    refreshPromise = attempt(sent)
+      .catch((error) => {
+        // Another tab may have rotated the token meanwhile; try its newer one
+        const latest = localStorage.getItem('refreshToken')
+        if (latest && latest !== sent) return attempt(latest)
+        throw error
+      })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token)
+        localStorage.setItem('refreshToken', response.data.refreshToken)
+        return response.data.token
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+  return refreshPromise
+}
+
 export const useAuth = () => {
   const context = useContext(AuthContext)
   if (!context) {
@@ -30,10 +59,10 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token, API_URL])
 
-  // Check if user is authenticated on mount
+  // Check if user is authenticated on mount (token refreshes keep the loaded user)
   useEffect(() => {
     const checkAuth = async () => {
-      if (token) {
+      if (token && !user) {
         try {
           // Attach Authorization header explicitly to avoid race where defaults aren't set yet
           const response = await axios.get(`${API_URL}/api/auth/profile`, {
@@ -42,6 +71,7 @@ export const AuthProvider = ({ children }) => {
           setUser(normalizeUser(response.data.user))
         } catch (error) {
           localStorage.removeItem('token')
+          localStorage.removeItem('refreshToken')
           setToken(null)
           setUser(null)
         }
@@ -52,14 +82,32 @@ export const AuthProvider = ({ children }) => {
     checkAuth()
   }, [token, API_URL])
 
-  // Global axios response interceptor: auto-logout on 401 to keep UI state consistent
+  // Global axios response interceptor: on 401 try one silent refresh, then auto-logout
   useEffect(() => {
     const id = axios.interceptors.response.use(
       (response) => response,
-      (error) => {
+      async (error) => {
+        const original = error.config
+        const isLoginCall = /\/api\/auth\/(login|register)/.test(original?.url || '')
+
+        if (error.response?.status === 401 && original && !original._retried && !isLoginCall &&
+            localStorage.getItem('refreshToken')) {
+          original._retried = true
+          try {
+            const newToken = await refreshSession(API_URL)
+            setToken(newToken)
+            axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`
+            original.headers['Authorization'] = `Bearer ${newToken}`
+            return axios(original)
+          } catch (refreshError) {
+            // Session is gone; fall through to logout
+          }
+        }
+
         if (error.response?.status === 401) {
           // Clear local auth state
           localStorage.removeItem('token')
+          localStorage.removeItem('refreshToken')
           setToken(null)
           setUser(null)
         }
@@ -84,13 +132,19 @@ export const AuthProvider = ({ children }) => {
       
       console.log('Login response:', response.data)
       
-  const { token: newToken, user: userData } = response.data
+      // 2FA accounts get a challenge instead of a session; Login.jsx asks for the code
+      if (response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken }
+      }
+      
+  const { token: newToken, refreshToken, user: userData } = response.data
       
   setToken(newToken)
   setUser(normalizeUser(userData))
       // Ensure Authorization header is set immediately to avoid race with useEffect
       axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`
       localStorage.setItem('token', newToken)
+      localStorage.setItem('refreshToken', refreshToken)
       
       return { success: true }
     } catch (error) {
@@ -102,15 +156,42 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
+  // Second login step for accounts with two-factor authentication
+  const verifyTwoFactor = async (challengeToken, { code, backupCode }) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/login/2fa`, {
+        challengeToken,
+        code,
+        backupCode
+      })
+      
+      const { token: newToken, refreshToken, user: userData } = response.data
+      
+      setToken(newToken)
+      setUser(normalizeUser(userData))
+      axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`
+      localStorage.setItem('token', newToken)
+      localStorage.setItem('refreshToken', refreshToken)
+      
+      return { success: true, backupCodesRemaining: response.data.backupCodesRemaining }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Verification failed'
+      }
+    }
+  }
+
   const register = async (userData) => {
     try {
       const response = await axios.post(`${API_URL}/api/auth/register`, userData)
       
-      const { token: newToken, user: newUser } = response.data
+      const { token: newToken, refreshToken, user: newUser } = response.data
       
       setToken(newToken)
       setUser(normalizeUser(newUser))
       localStorage.setItem('token', newToken)
+      localStorage.setItem('refreshToken', refreshToken)
       // Set header immediately like in login to avoid race conditions
       axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`
       
@@ -124,12 +205,29 @@ export const AuthProvider = ({ children }) => {
   }
 
   const logout = () => {
+    // Revoke this device's session server-side; local state is cleared regardless.
+    // The refresh token works even once the access token has expired.
+    const refreshToken = localStorage.getItem('refreshToken')
+    if (refreshToken || token) {
+      sessionClient.post(`${API_URL}/api/auth/logout`, refreshToken ? { refreshToken } : {}, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      }).catch(() => {})
+    }
+
     setToken(null)
     setUser(null)
     localStorage.removeItem('token')
+    localStorage.removeItem('refreshToken')
     delete axios.defaults.headers.common['Authorization']
   }
 
+  // Swap in a freshly issued token (e.g. after a password change revoked the old one)
+  const replaceToken = (newToken) => {
+    setToken(newToken)
+    localStorage.setItem('token', newToken)
+    axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`
+  }
+
   const updateProfile = async (profileData) => {
     try {
       const response = await axios.put(`${API_URL}/api/auth/profile`, profileData)
@@ -143,14 +241,44 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
+  // Confirm an emailed verification link; updates the loaded user if signed in
+  const confirmEmail = async (verificationToken) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/verify-email`, { token: verificationToken })
+      setUser(prev => (prev ? { ...prev, isVerified: true } : prev))
+      return { success: true, message: response.data.message }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Email verification failed'
+      }
+    }
+  }
+
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/verify-email/resend`)
+      return { success: true, message: response.data.message }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to send verification email'
+      }
+    }
+  }
+
   const value = {
     user,
     token,
     loading,
     login,
+    verifyTwoFactor,
     register,
     logout,
     updateProfile,
+    replaceToken,
+    confirmEmail,
+    resendVerification,
     isAuthenticated: !!token && !!user
   }
 
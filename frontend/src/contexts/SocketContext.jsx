@@ -16,7 +16,9 @@ export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null)
   const [connected, setConnected] = useState(false)
   const [onlineUsers, setOnlineUsers] = useState([])
-  const { user, token } = useAuth()
+  const { user, token, logout } = useAuth()
+  // Access tokens rotate every few minutes; only (re)connect on sign-in/sign-out
+  const hasToken = !!token
 
   const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000'
 
@@ -29,10 +31,9 @@ export const SocketProvider = ({ children }) => {
         // ignore
       }
 
+      // Read the latest access token on every (re)connect attempt
       const newSocket = io(SOCKET_URL, {
-        auth: {
-          token
-        }
+        auth: (cb) => cb({ token: localStorage.getItem('token') })
       })
 
       newSocket.on('connect', () => {
@@ -66,6 +67,11 @@ export const SocketProvider = ({ children }) => {
         setOnlineUsers(prev => prev.filter(u => u.userId !== userId))
       })
 
+      // This device's session was revoked (remote logout, password change)
+      newSocket.on('session-revoked', () => {
+        logout()
+      })
+
       newSocket.on('connect_error', (error) => {
         console.error('Socket connection error:', error)
         setConnected(false)
@@ -83,7 +89,7 @@ export const SocketProvider = ({ children }) => {
         setConnected(false)
       }
     }
-  }, [token, user, SOCKET_URL])
+  }, [hasToken, user, SOCKET_URL])
 
   // Location tracking functions
   const updateLocation = (location) => {
@@ -0,0 +1,427 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import {
+  UserGroupIcon,
+  ExclamationTriangleIcon,
+  ChatBubbleLeftIcon,
+  ClipboardDocumentListIcon,
+  MagnifyingGlassIcon
+} from '@heroicons/react/24/outline'
+import { useAuth } from '../contexts/AuthContext'
+import axios from 'axios'
+
+const ROLES = ['rider', 'responder', 'moderator', 'admin']
+
+// Every admin action is audited server-side and needs a reason
+const askReason = (label) => {
+  const reason = window.prompt(`Reason for ${label}:`)
+  return reason && reason.trim() ? reason.trim() : null
+}
+
+const Admin = () => {
+  const { user } = useAuth()
+  const isAdmin = user?.role === 'admin'
+
+  const [activeTab, setActiveTab] = useState('users')
+  const [notice, setNotice] = useState(null)
+
+  const [userQuery, setUserQuery] = useState('')
+  const [users, setUsers] = useState([])
+
+  const [alertStatus, setAlertStatus] = useState('open')
+  const [alerts, setAlerts] = useState([])
+
+  const [rooms, setRooms] = useState([])
+  const [selectedRoom, setSelectedRoom] = useState(null)
+  const [roomMessages, setRoomMessages] = useState([])
+
+  const [auditEntries, setAuditEntries] = useState([])
+
+  const tabs = [
+    { id: 'users', name: 'Users', icon: UserGroupIcon },
+    { id: 'alerts', name: 'Emergency Alerts', icon: ExclamationTriangleIcon },
+    { id: 'chat', name: 'Chat Moderation', icon: ChatBubbleLeftIcon },
+    ...(isAdmin ? [{ id: 'audit', name: 'Audit Log', icon: ClipboardDocumentListIcon }] : [])
+  ]
+
+  const showResult = (message, type = 'success') => {
+    setNotice({ message, type })
+    setTimeout(() => setNotice(null), 4000)
+  }
+
+  const showError = (error, fallback) => {
+    console.error(fallback, error)
+    showResult(error.response?.data?.message || fallback, 'error')
+  }
+
+  const fetchUsers = async () => {
+    try {
+      const response = await axios.get('/api/admin/users', { params: { q: userQuery || undefined } })
+      setUsers(response.data.users || [])
+    } catch (error) {
+      showError(error, 'Failed to load users')
+    }
+  }
+
+  const fetchAlerts = async () => {
+    try {
+      const response = await axios.get('/api/admin/alerts', { params: { status: alertStatus } })
+      setAlerts(response.data.alerts || [])
+    } catch (error) {
+      showError(error, 'Failed to load alerts')
+    }
+  }
+
+  const fetchRooms = async () => {
+    try {
+      const response = await axios.get('/api/admin/chat/rooms')
+      setRooms(response.data.rooms || [])
+    } catch (error) {
+      showError(error, 'Failed to load chat rooms')
+    }
+  }
+
+  const fetchRoomMessages = async (room) => {
+    setSelectedRoom(room)
+    try {
+      const response = await axios.get(`/api/admin/chat/rooms/${room._id}/messages`)
+      setRoomMessages(response.data.messages || [])
+    } catch (error) {
+      showError(error, 'Failed to load messages')
+    }
+  }
+
+  const fetchAudit = async () => {
+    try {
+      const response = await axios.get('/api/admin/audit')
+      setAuditEntries(response.data.entries || [])
+    } catch (error) {
+      showError(error, 'Failed to load audit log')
+    }
+  }
+
+  useEffect(() => {
+    if (activeTab === 'users') fetchUsers()
+    if (activeTab === 'alerts') fetchAlerts()
+    if (activeTab === 'chat') fetchRooms()
+    if (activeTab === 'audit') fetchAudit()
+  }, [activeTab, alertStatus])
+
+  const toggleUserStatus = async (target) => {
+    const reason = askReason(target.isActive ? `deactivating ${target.name}` : `reactivating ${target.name}`)
+    if (!reason) return
+    try {
+      await axios.put(`/api/admin/users/${target._id}/status`, { isActive: !target.isActive, reason })
+      setUsers(users.map(u => (u._id === target._id ? { ...u, isActive: !target.isActive } : u)))
+      showResult(target.isActive ? 'Account deactivated' : 'Account reactivated')
+    } catch (error) {
+      showError(error, 'Failed to update account status')
+    }
+  }
+
+  const changeRole = async (target, role) => {
+    const reason = askReason(`making ${target.name} a ${role}`)
+    if (!reason) return
+    try {
+      await axios.put(`/api/admin/users/${target._id}/role`, { role, reason })
+      setUsers(users.map(u => (u._id === target._id ? { ...u, role } : u)))
+      showResult('Role updated')
+    } catch (error) {
+      showError(error, 'Failed to update role')
+    }
+  }
+
+  const adjustRewards = async (target) => {
+    const delta = parseInt(window.prompt(`Points to add to ${target.name} (negative to deduct):`), 10)
+    if (!delta) return
+    const reason = askReason('this adjustment')
+    if (!reason) return
+    try {
+      const response = await axios.post(`/api/admin/users/${target._id}/rewards`, { delta, reason })
+      setUsers(users.map(u => (u._id === target._id
+        ? { ...u, stats: { ...u.stats, rewardPoints: response.data.rewardPoints } }
+        : u)))
+      showResult('Reward balance updated')
+    } catch (error) {
+      showError(error, 'Failed to adjust rewards')
+    }
+  }
+
+  const forceResolve = async (alert) => {
+    const reason = askReason('force-resolving this alert')
+    if (!reason) return
+    try {
+      await axios.put(`/api/admin/alerts/${alert._id}/resolve`, { reason })
+      fetchAlerts()
+      showResult('Alert resolved')
+    } catch (error) {
+      showError(error, 'Failed to resolve alert')
+    }
+  }
+
+  const toggleRoom = async (room) => {
+    const reason = askReason(room.isActive ? `closing "${room.name}"` : `reopening "${room.name}"`)
+    if (!reason) return
+    try {
+      await axios.put(`/api/admin/chat/rooms/${room._id}/status`, { isActive: !room.isActive, reason })
+      setRooms(rooms.map(r => (r._id === room._id ? { ...r, isActive: !room.isActive } : r)))
+      showResult(room.isActive ? 'Room closed' : 'Room reopened')
+    } catch (error) {
+      showError(error, 'Failed to update room')
+    }
+  }
+
+  const deleteMessage = async (message) => {
+    const reason = askReason('removing this message')
+    if (!reason) return
+    try {
+      await axios.delete(`/api/admin/chat/messages/${message._id}`, { data: { reason } })
+      setRoomMessages(roomMessages.map(m => (m._id === message._id ? { ...m, isDeleted: true } : m)))
+      showResult('Message removed')
+    } catch (error) {
+      showError(error, 'Failed to remove message')
+    }
+  }
+
+  const removeParticipant = async (room, participant) => {
+    const reason = askReason(`removing ${participant.user?.name || 'this user'} from "${room.name}"`)
+    if (!reason) return
+    try {
+      await axios.delete(`/api/admin/chat/rooms/${room._id}/participants/${participant.user._id}`, { data: { reason } })
+      const updated = { ...room, participants: room.participants.filter(p => p.user._id !== participant.user._id) }
+      setRooms(rooms.map(r => (r._id === room._id ? updated : r)))
+      setSelectedRoom(updated)
+      showResult('Participant removed')
+    } catch (error) {
+      showError(error, 'Failed to remove participant')
+    }
+  }
+
+  return (
+    <div className="min-h-screen pt-20 px-4 pb-8">
+      <div className="max-w-6xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-6"
+        >
+          <h1 className="text-3xl font-orbitron font-bold text-white">Admin Console</h1>
+          <p className="text-gray-400 mt-1">Signed in as {user?.name} ({user?.role}). All actions are audited.</p>
+        </motion.div>
+
+        {notice && (
+          <div className={`mb-4 px-4 py-3 rounded border ${
+            notice.type === 'error'
+              ? 'bg-red-900/20 border-red-500/30 text-red-400'
+              : 'bg-green-900/20 border-green-500/30 text-green-400'
+          }`}>
+            {notice.message}
+          </div>
+        )}
+
+        <div className="flex space-x-2 mb-6 overflow-x-auto">
+          {tabs.map(tab => {
+            const Icon = tab.icon
+            return (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`flex items-center space-x-2 px-4 py-2 rounded transition-colors whitespace-nowrap ${
+                  activeTab === tab.id ? 'bg-neon-cyan text-dark-800' : 'bg-dark-600 text-gray-300 hover:bg-dark-500'
+                }`}
+              >
+                <Icon className="w-5 h-5" />
+                <span>{tab.name}</span>
+              </button>
+            )
+          })}
+        </div>
+
+        {activeTab === 'users' && (
+          <div className="card-glow">
+            <form
+              onSubmit={(e) => {
+                e.preventDefault()
+                fetchUsers()
+              }}
+              className="relative mb-4"
+            >
+              <MagnifyingGlassIcon className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+              <input
+                type="text"
+                value={userQuery}
+                onChange={(e) => setUserQuery(e.target.value)}
+                className="w-full pl-10 pr-4 py-3 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400 focus:border-neon-cyan focus:outline-none transition-colors"
+                placeholder="Search by name, email or phone"
+              />
+            </form>
+
+            <div className="space-y-2">
+              {users.map(u => (
+                <div key={u._id} className="flex flex-col md:flex-row md:items-center md:justify-between p-3 bg-dark-600 rounded gap-2">
+                  <div>
+                    <p className="text-white font-medium">
+                      {u.name}
+                      {!u.isActive && <span className="ml-2 text-xs text-red-400">deactivated</span>}
+                    </p>
+                    <p className="text-sm text-gray-400">{u.email} · {u.stats?.rewardPoints || 0} pts</p>
+                  </div>
+                  {isAdmin ? (
+                    <div className="flex items-center space-x-2">
+                      <select
+                        value={u.role}
+                        onChange={(e) => changeRole(u, e.target.value)}
+                        disabled={u._id === user?._id}
+                        className="bg-dark-700 border border-gray-600 rounded text-white text-sm px-2 py-1"
+                      >
+                        {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                      </select>
+                      <button onClick={() => adjustRewards(u)} className="px-3 py-1 text-sm bg-dark-500 text-white rounded hover:bg-dark-400">
+                        Points
+                      </button>
+                      <button
+                        onClick={() => toggleUserStatus(u)}
+                        disabled={u._id === user?._id}
+                        className={`px-3 py-1 text-sm text-white rounded disabled:opacity-50 ${u.isActive ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
+                      >
+                        {u.isActive ? 'Deactivate' : 'Reactivate'}
+                      </button>
+                    </div>
+                  ) : (
+                    <span className="text-sm text-gray-400">{u.role}</span>
+                  )}
+                </div>
+              ))}
+              {users.length === 0 && <p className="text-gray-400 text-sm">No users found.</p>}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'alerts' && (
+          <div className="card-glow">
+            <div className="flex space-x-2 mb-4">
+              {['open', 'resolved', 'cancelled', 'all'].map(status => (
+                <button
+                  key={status}
+                  onClick={() => setAlertStatus(status)}
+                  className={`px-3 py-1 text-sm rounded capitalize ${alertStatus === status ? 'bg-neon-cyan text-dark-800' : 'bg-dark-600 text-gray-300'}`}
+                >
+                  {status}
+                </button>
+              ))}
+            </div>
+            <div className="space-y-2">
+              {alerts.map(alert => (
+                <div key={alert._id} className="flex flex-col md:flex-row md:items-center md:justify-between p-3 bg-dark-600 rounded gap-2">
+                  <div>
+                    <p className="text-white font-medium capitalize">
+                      {alert.type} · {alert.severity}
+                      <span className="ml-2 text-xs text-gray-400">{alert.status}</span>
+                    </p>
+                    <p className="text-sm text-gray-400">
+                      {alert.user?.name || 'Unknown rider'} · {new Date(alert.createdAt).toLocaleString()} · {alert.responders?.length || 0} responder(s)
+                    </p>
+                    {alert.description && <p className="text-sm text-gray-300 mt-1">{alert.description}</p>}
+                  </div>
+                  {isAdmin && ['active', 'responded'].includes(alert.status) && (
+                    <button onClick={() => forceResolve(alert)} className="px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700">
+                      Force resolve
+                    </button>
+                  )}
+                </div>
+              ))}
+              {alerts.length === 0 && <p className="text-gray-400 text-sm">No alerts.</p>}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'chat' && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="card-glow space-y-2">
+              {rooms.map(room => (
+                <div
+                  key={room._id}
+                  className={`flex items-center justify-between p-3 rounded cursor-pointer ${selectedRoom?._id === room._id ? 'bg-dark-500' : 'bg-dark-600'}`}
+                  onClick={() => fetchRoomMessages(room)}
+                >
+                  <div>
+                    <p className="text-white font-medium">
+                      {room.name}
+                      {!room.isActive && <span className="ml-2 text-xs text-red-400">closed</span>}
+                    </p>
+                    <p className="text-sm text-gray-400">{room.type} · {room.participants?.length || 0} participants</p>
+                  </div>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      toggleRoom(room)
+                    }}
+                    className={`px-3 py-1 text-sm text-white rounded ${room.isActive ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
+                  >
+                    {room.isActive ? 'Close' : 'Reopen'}
+                  </button>
+                </div>
+              ))}
+              {rooms.length === 0 && <p className="text-gray-400 text-sm">No chat rooms.</p>}
+            </div>
+
+            <div className="card-glow">
+              {selectedRoom ? (
+                <>
+                  <h3 className="text-white font-bold mb-2">{selectedRoom.name}</h3>
+                  <div className="flex flex-wrap gap-2 mb-4">
+                    {selectedRoom.participants?.filter(p => p.user).map(p => (
+                      <span key={p.user._id} className="flex items-center text-xs bg-dark-600 text-gray-300 rounded px-2 py-1">
+                        {p.user.name}
+                        <button onClick={() => removeParticipant(selectedRoom, p)} className="ml-2 text-red-400 hover:text-red-300">×</button>
+                      </span>
+                    ))}
+                  </div>
+                  <div className="space-y-2 max-h-96 overflow-y-auto">
+                    {roomMessages.map(message => (
+                      <div key={message._id} className="flex items-start justify-between p-2 bg-dark-600 rounded">
+                        <div>
+                          <p className="text-xs text-gray-400">{message.sender?.name} · {new Date(message.createdAt).toLocaleString()}</p>
+                          <p className={`text-sm ${message.isDeleted ? 'text-gray-500 line-through' : 'text-white'}`}>{message.message}</p>
+                        </div>
+                        {!message.isDeleted && (
+                          <button onClick={() => deleteMessage(message)} className="text-xs text-red-400 hover:text-red-300 ml-2">
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    {roomMessages.length === 0 && <p className="text-gray-400 text-sm">No messages.</p>}
+                  </div>
+                </>
+              ) : (
+                <p className="text-gray-400 text-sm">Select a room to review its messages.</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'audit' && isAdmin && (
+          <div className="card-glow space-y-2">
+            {auditEntries.map(entry => (
+              <div key={entry._id} className="p-3 bg-dark-600 rounded">
+                <p className="text-white text-sm">
+                  <span className="font-mono text-neon-cyan">{entry.action}</span>
+                  {' '}by {entry.actor?.name || 'unknown'} ({entry.actorRole})
+                  {' '}on {entry.targetType} {entry.targetId}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {new Date(entry.createdAt).toLocaleString()}
+                  {entry.reason && ` · “${entry.reason}”`}
+                </p>
+              </div>
+            ))}
+            {auditEntries.length === 0 && <p className="text-gray-400 text-sm">No audit entries yet.</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Admin
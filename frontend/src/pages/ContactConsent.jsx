@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import axios from 'axios'
+
+// Landing page for the opt-in link sent to a rider's emergency contact
+const ContactConsent = () => {
+  const { token } = useParams()
+  const [request, setRequest] = useState(null)
+  const [status, setStatus] = useState('loading')
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    axios.get(`/api/auth/contact-consent/${token}`)
+      .then(response => {
+        setRequest(response.data)
+        setStatus('ready')
+      })
+      .catch(error => {
+        setMessage(error.response?.data?.message || 'This confirmation link is invalid or has expired')
+        setStatus('failed')
+      })
+  }, [token])
+
+  const answer = async (accept) => {
+    try {
+      const response = await axios.post(`/api/auth/contact-consent/${token}`, { accept })
+      setRequest({ ...request, status: response.data.status })
+      setMessage(response.data.message)
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to record your answer')
+    }
+  }
+
+  return (
+    <div className="min-h-screen pt-20 flex items-center justify-center px-4">
+      <div className="max-w-md w-full space-y-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center"
+        >
+          <h2 className="text-3xl font-orbitron font-bold text-white">Emergency contact</h2>
+          {request && (
+            <p className="mt-2 text-gray-400">
+              {request.riderName} would like to alert you, {request.contactName}, if they have an emergency while riding.
+            </p>
+          )}
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className="card-glow space-y-6"
+        >
+          {status === 'loading' && (
+            <p className="text-gray-300 text-center">Loading...</p>
+          )}
+
+          {status === 'failed' && (
+            <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded">
+              {message}
+            </div>
+          )}
+
+          {status === 'ready' && (
+            <>
+              {message && (
+                <div className="bg-green-900/20 border border-green-500/30 text-green-400 px-4 py-3 rounded">
+                  {message}
+                </div>
+              )}
+              {!message && request.status !== 'pending' && (
+                <p className="text-gray-300 text-center">
+                  You have {request.status} this request. You can change your answer below.
+                </p>
+              )}
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => answer(true)}
+                  disabled={request.status === 'confirmed'}
+                  className="flex-1 py-3 bg-neon-cyan text-dark-800 font-semibold rounded hover:bg-neon-cyan/80 transition-colors disabled:opacity-50"
+                >
+                  Confirm
+                </button>
+                <button
+                  onClick={() => answer(false)}
+                  disabled={request.status === 'declined'}
+                  className="flex-1 py-3 bg-gray-600 text-white font-semibold rounded hover:bg-gray-700 transition-colors disabled:opacity-50"
+                >
+                  Decline
+                </button>
+              </div>
+            </>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  )
+}
+
+export default ContactConsent
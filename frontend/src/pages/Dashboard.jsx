@@ -25,7 +25,11 @@ const Dashboard = () => {
   const [isRiding, setIsRiding] = useState(false)
   const [currentLocation, setCurrentLocation] = useState(null)
   
-  const { user } = useAuth()
+  const [verificationNotice, setVerificationNotice] = useState('')
+  const [vehicles, setVehicles] = useState([])
+  const [selectedVehicle, setSelectedVehicle] = useState('')
+  
+  const { user, resendVerification } = useAuth()
   const { socket, connected, onlineUsers } = useSocket()
 
   const API_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:5000'
@@ -35,6 +39,7 @@ const Dashboard = () => {
     fetchWeather()
     fetchNearbyAlerts()
     fetchLeaderboard()
+    fetchVehicles()
     getCurrentLocation()
     // Integrate with the Battery Status API if available
     let batteryMgr = null
@@ -172,6 +177,17 @@ const Dashboard = () => {
     }
   }
 
+  const fetchVehicles = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/vehicles`)
+      const list = response.data?.vehicles ?? []
+      setVehicles(list)
+      setSelectedVehicle((list.find(v => v.isPrimary) || list[0])?._id || '')
+    } catch (error) {
+      console.error('Vehicles fetch error:', error)
+    }
+  }
+
   const startRide = async () => {
     if (!currentLocation) {
       alert('Location not available')
@@ -184,7 +200,8 @@ const Dashboard = () => {
           latitude: currentLocation.latitude,
           longitude: currentLocation.longitude
         },
-        rideType: 'solo'
+        rideType: 'solo',
+        vehicleId: selectedVehicle || undefined
       })
       
       setIsRiding(true)
@@ -257,6 +274,24 @@ const Dashboard = () => {
           </p>
         </motion.div>
 
+        {/* Email verification reminder */}
+        {user && !user.isVerified && (
+          <div className="mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-3 bg-yellow-900/20 border border-yellow-500/30 text-yellow-300 px-4 py-3 rounded">
+            <p>
+              {verificationNotice || `Please confirm ${user.email} - some features such as responding to emergencies may require a verified email.`}
+            </p>
+            <button
+              onClick={async () => {
+                const result = await resendVerification()
+                setVerificationNotice(result.success ? result.message : result.error)
+              }}
+              className="px-4 py-2 bg-yellow-600 text-white rounded hover:bg-yellow-700 transition-colors whitespace-nowrap"
+            >
+              Resend email
+            </button>
+          </div>
+        )}
+
         {/* Status Cards */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           {/* Connection Status */}
@@ -358,6 +393,17 @@ const Dashboard = () => {
             <p className="text-2xl font-bold text-neon-cyan">
               {isRiding ? 'Riding' : 'Parked'}
             </p>
+            {!isRiding && vehicles.length > 1 && (
+              <select
+                value={selectedVehicle}
+                onChange={(e) => setSelectedVehicle(e.target.value)}
+                className="mt-2 w-full bg-dark-600 border border-gray-600 rounded text-white text-xs px-2 py-1"
+              >
+                {vehicles.map(v => (
+                  <option key={v._id} value={v._id}>{v.nickname || `${v.make} ${v.model || ''}`.trim()}</option>
+                ))}
+              </select>
+            )}
             <button
               onClick={startRide}
               className={`text-xs mt-2 px-3 py-1 rounded transition-colors ${
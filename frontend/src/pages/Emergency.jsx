@@ -16,6 +16,15 @@ import { useAuth } from '../contexts/AuthContext'
 import { useSocket } from '../contexts/SocketContext'
 import axios from 'axios'
 
+const emptyContact = { name: '', phone: '', email: '', relationship: '', minSeverity: 'low' }
+
+const CONSENT_BADGES = {
+  pending: { label: 'Awaiting confirmation', className: 'text-yellow-400' },
+  grandfathered: { label: 'Awaiting confirmation - still alerted until they answer', className: 'text-yellow-400' },
+  confirmed: { label: 'Confirmed', className: 'text-green-400' },
+  declined: { label: 'Declined', className: 'text-red-400' }
+}
+
 const Emergency = () => {
   const [activeAlert, setActiveAlert] = useState(null)
   const [nearbyAlerts, setNearbyAlerts] = useState([])
@@ -23,8 +32,9 @@ const Emergency = () => {
   const [userLocation, setUserLocation] = useState(null)
   const [isResponding, setIsResponding] = useState(false)
   const [showContactForm, setShowContactForm] = useState(false)
-  const [newContact, setNewContact] = useState({ name: '', phone: '', relationship: '' })
+  const [newContact, setNewContact] = useState(emptyContact)
   const [toast, setToast] = useState(null)
+  const [medicalView, setMedicalView] = useState(null)
   
   const { user } = useAuth()
   const { socket, connected } = useSocket()
@@ -293,6 +303,17 @@ const Emergency = () => {
     }
   }
 
+  const viewMedicalId = async (alertId) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/emergency/medical/${alertId}`)
+      setMedicalView({ medicalProfile: response.data.medicalProfile })
+    } catch (error) {
+      console.error('Medical ID error:', error)
+      setToast({ message: error.response?.data?.message || 'Medical ID unavailable', type: 'warning' })
+      setTimeout(() => setToast(null), 3000)
+    }
+  }
+
   const resolveAlert = async (alertId) => {
     try {
       // backend expects PUT /api/emergency/resolve/:alertId
@@ -319,20 +340,61 @@ const Emergency = () => {
   }
 
   const addEmergencyContact = async () => {
-    if (!newContact.name || !newContact.phone) {
-      alert('Please fill in all required fields')
+    if (!newContact.name || (!newContact.phone && !newContact.email)) {
+      alert('Please enter a name and a phone number or email')
       return
     }
 
     try {
-      const response = await axios.post('/api/auth/emergency-contacts', newContact)
+      const response = await axios.post('/api/auth/emergency-contacts', {
+        ...newContact,
+        phone: newContact.phone || undefined,
+        email: newContact.email || undefined
+      })
       setEmergencyContacts(response.data.contacts)
-      setNewContact({ name: '', phone: '', relationship: '' })
+      setNewContact(emptyContact)
       setShowContactForm(false)
-      alert('Emergency contact added successfully!')
+      alert(response.data.message || 'Emergency contact added successfully!')
     } catch (error) {
       console.error('Add contact error:', error)
-      alert('Failed to add emergency contact')
+      alert(error.response?.data?.message || 'Failed to add emergency contact')
+    }
+  }
+
+  const moveEmergencyContact = async (index, direction) => {
+    const ids = emergencyContacts.map(c => c._id)
+    const target = index + direction
+    if (target < 0 || target >= ids.length) return
+    ;[ids[index], ids[target]] = [ids[target], ids[index]]
+
+    try {
+      const response = await axios.put(`${API_URL}/api/auth/emergency-contacts/order`, { contactIds: ids })
+      setEmergencyContacts(response.data.contacts)
+    } catch (error) {
+      console.error('Reorder contacts error:', error)
+      alert(error.response?.data?.message || 'Failed to reorder contacts')
+    }
+  }
+
+  const removeEmergencyContact = async (contact) => {
+    if (!window.confirm(`Remove ${contact.name} from your emergency contacts?`)) return
+    try {
+      const response = await axios.delete(`${API_URL}/api/auth/emergency-contacts/${contact._id}`)
+      setEmergencyContacts(response.data.contacts)
+    } catch (error) {
+      console.error('Remove contact error:', error)
+      alert(error.response?.data?.message || 'Failed to remove contact')
+    }
+  }
+
+  const resendContactConsent = async (contact) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/emergency-contacts/${contact._id}/consent`)
+      setToast({ message: response.data.message, type: 'success' })
+      setTimeout(() => setToast(null), 3000)
+    } catch (error) {
+      console.error('Resend consent error:', error)
+      alert(error.response?.data?.message || 'Failed to send confirmation request')
     }
   }
 
@@ -494,6 +556,13 @@ const Emergency = () => {
                     onChange={(e) => setNewContact({...newContact, phone: e.target.value})}
                     className="w-full px-4 py-2 bg-dark-600 border border-gray-600 rounded text-white"
                   />
+                  <input
+                    type="email"
+                    placeholder="Email (if no phone)"
+                    value={newContact.email}
+                    onChange={(e) => setNewContact({...newContact, email: e.target.value})}
+                    className="w-full px-4 py-2 bg-dark-600 border border-gray-600 rounded text-white"
+                  />
                   <input
                     type="text"
                     placeholder="Relationship (optional)"
@@ -501,6 +570,17 @@ const Emergency = () => {
                     onChange={(e) => setNewContact({...newContact, relationship: e.target.value})}
                     className="w-full px-4 py-2 bg-dark-600 border border-gray-600 rounded text-white"
                   />
+                  <select
+                    value={newContact.minSeverity}
+                    onChange={(e) => setNewContact({...newContact, minSeverity: e.target.value})}
+                    className="w-full px-4 py-2 bg-dark-600 border border-gray-600 rounded text-white"
+                  >
+                    <option value="low">Alert for every emergency</option>
+                    <option value="medium">Medium severity and above</option>
+                    <option value="high">High severity and above</option>
+                    <option value="critical">Critical only</option>
+                  </select>
+                  <p className="text-xs text-gray-400">They will get a message asking them to confirm before any alert reaches them.</p>
                   <div className="flex space-x-2">
                     <button
                       onClick={addEmergencyContact}
@@ -521,23 +601,39 @@ const Emergency = () => {
 
             <div className="space-y-3">
               {emergencyContacts.length > 0 ? (
-                emergencyContacts.map((contact, index) => (
-                  <div key={index} className="card-glow">
-                    <div className="flex items-center justify-between">
-                      <div>
-                        <h3 className="text-white font-semibold">{contact.name}</h3>
-                        <p className="text-sm text-gray-400">{contact.relationship}</p>
-                        <p className="text-sm text-neon-cyan">{contact.phone}</p>
+                emergencyContacts.map((contact, index) => {
+                  const badge = contact.consent?.grandfathered
+                    ? CONSENT_BADGES.grandfathered
+                    : CONSENT_BADGES[contact.consent?.status] || CONSENT_BADGES.pending
+                  return (
+                    <div key={contact._id || index} className="card-glow">
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <h3 className="text-white font-semibold">{index + 1}. {contact.name}</h3>
+                          <p className="text-sm text-gray-400">{contact.relationship}</p>
+                          <p className="text-sm text-neon-cyan">{contact.phone || contact.email}</p>
+                          <p className={`text-xs ${badge.className}`}>{badge.label}</p>
+                        </div>
+                        {contact.phone && (
+                          <button
+                            onClick={() => callEmergencyContact(contact.phone)}
+                            className="p-2 bg-green-600 hover:bg-green-700 text-white rounded-full transition-colors"
+                          >
+                            <PhoneIcon className="w-5 h-5" />
+                          </button>
+                        )}
+                      </div>
+                      <div className="flex flex-wrap gap-3 mt-2 text-xs">
+                        <button onClick={() => moveEmergencyContact(index, -1)} disabled={index === 0} className="text-gray-400 hover:text-white disabled:opacity-30">↑ Up</button>
+                        <button onClick={() => moveEmergencyContact(index, 1)} disabled={index === emergencyContacts.length - 1} className="text-gray-400 hover:text-white disabled:opacity-30">↓ Down</button>
+                        {contact.consent?.status !== 'confirmed' && (
+                          <button onClick={() => resendContactConsent(contact)} className="text-neon-cyan hover:text-neon-purple">Resend confirmation</button>
+                        )}
+                        <button onClick={() => removeEmergencyContact(contact)} className="text-red-400 hover:text-red-300">Remove</button>
                       </div>
-                      <button
-                        onClick={() => callEmergencyContact(contact.phone)}
-                        className="p-2 bg-green-600 hover:bg-green-700 text-white rounded-full transition-colors"
-                      >
-                        <PhoneIcon className="w-5 h-5" />
-                      </button>
                     </div>
-                  </div>
-                ))
+                  )
+                })
               ) : (
                 <div className="card-glow text-center py-8">
                   <PhoneIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
@@ -644,10 +740,19 @@ const Emergency = () => {
                         </div>
                         <div className="flex space-x-2">
                           {alert.responded ? (
-                            <div className="flex items-center px-3 py-2 bg-green-600 text-white rounded">
-                              <CheckCircleIcon className="w-4 h-4 mr-1" />
-                              Responding
-                            </div>
+                            <>
+                              <div className="flex items-center px-3 py-2 bg-green-600 text-white rounded">
+                                <CheckCircleIcon className="w-4 h-4 mr-1" />
+                                Responding
+                              </div>
+                              <button
+                                onClick={() => viewMedicalId(alert.id)}
+                                className="flex items-center px-3 py-2 bg-dark-600 hover:bg-dark-500 text-white rounded transition-colors"
+                              >
+                                <HeartIcon className="w-4 h-4 mr-1" />
+                                Medical ID
+                              </button>
+                            </>
                           ) : (
                             <button
                               onClick={() => respondToAlert(alert.id)}
@@ -683,6 +788,43 @@ const Emergency = () => {
           </motion.div>
         </div>
       </div>
+
+      {/* Medical ID of the rider being helped */}
+      {medicalView && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 px-4">
+          <div className="card-glow w-full max-w-md">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-semibold text-white">Medical ID</h3>
+              <button onClick={() => setMedicalView(null)} className="text-gray-400 hover:text-white">
+                <XMarkIcon className="w-6 h-6" />
+              </button>
+            </div>
+            {medicalView.medicalProfile ? (
+              <div className="space-y-2 text-sm">
+                {[
+                  ['Blood group', medicalView.medicalProfile.bloodGroup],
+                  ['Allergies', medicalView.medicalProfile.allergies?.join(', ')],
+                  ['Conditions', medicalView.medicalProfile.conditions?.join(', ')],
+                  ['Medications', medicalView.medicalProfile.medications?.join(', ')],
+                  ['Insurance', [
+                    medicalView.medicalProfile.insurance?.provider,
+                    medicalView.medicalProfile.insurance?.policyNumber,
+                    medicalView.medicalProfile.insurance?.phone
+                  ].filter(Boolean).join(' · ')],
+                  ['Notes', medicalView.medicalProfile.notes]
+                ].filter(([, value]) => value).map(([label, value]) => (
+                  <div key={label}>
+                    <p className="text-gray-400">{label}</p>
+                    <p className="text-white">{value}</p>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-gray-400">This rider has not added a medical ID.</p>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   )
 }
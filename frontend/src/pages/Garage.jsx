@@ -0,0 +1,311 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import {
+  PlusIcon,
+  WrenchScrewdriverIcon,
+  StarIcon,
+  TrashIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+import axios from 'axios'
+
+const SERVICE_LABELS = {
+  oil: 'Oil change',
+  chain: 'Chain service',
+  tyres: 'Tyres',
+  brakes: 'Brakes',
+  air_filter: 'Air filter',
+  general: 'General service'
+}
+
+const STATUS_STYLES = {
+  ok: 'text-green-400',
+  due_soon: 'text-yellow-400',
+  overdue: 'text-red-400'
+}
+
+const emptyBike = { nickname: '', make: '', model: '', year: '', licensePlate: '', odometer: '' }
+
+const describeDue = (service) => {
+  const parts = []
+  if (service.kmRemaining !== null) {
+    parts.push(service.kmRemaining > 0 ? `${service.kmRemaining} km left` : `${Math.abs(service.kmRemaining)} km overdue`)
+  }
+  if (service.daysRemaining !== null) {
+    parts.push(service.daysRemaining > 0 ? `${service.daysRemaining} days left` : `${Math.abs(service.daysRemaining)} days overdue`)
+  }
+  return parts.join(' · ')
+}
+
+const Garage = () => {
+  const [vehicles, setVehicles] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showAddModal, setShowAddModal] = useState(false)
+  const [newBike, setNewBike] = useState(emptyBike)
+  const [serviceForm, setServiceForm] = useState(null)
+
+  useEffect(() => {
+    fetchVehicles()
+  }, [])
+
+  const fetchVehicles = async () => {
+    try {
+      const response = await axios.get('/api/vehicles')
+      setVehicles(response.data.vehicles || [])
+    } catch (err) {
+      console.error('Garage fetch error:', err)
+      setError(err.response?.data?.message || 'Failed to load your garage')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const replaceVehicle = (updated) => {
+    setVehicles(vehicles.map(v => (v._id === updated._id ? updated : v)))
+  }
+
+  const addBike = async (e) => {
+    e.preventDefault()
+    try {
+      await axios.post('/api/vehicles', {
+        ...newBike,
+        year: newBike.year ? parseInt(newBike.year, 10) : undefined,
+        odometer: newBike.odometer ? parseFloat(newBike.odometer) : 0
+      })
+      setShowAddModal(false)
+      setNewBike(emptyBike)
+      fetchVehicles()
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to add bike')
+    }
+  }
+
+  const makePrimary = async (vehicle) => {
+    try {
+      await axios.put(`/api/vehicles/${vehicle._id}`, { isPrimary: true })
+      fetchVehicles()
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update bike')
+    }
+  }
+
+  const removeBike = async (vehicle) => {
+    if (!window.confirm(`Remove ${vehicle.nickname || vehicle.make} from your garage? Its rides are kept.`)) return
+    try {
+      await axios.delete(`/api/vehicles/${vehicle._id}`)
+      fetchVehicles()
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to remove bike')
+    }
+  }
+
+  const updateOdometer = async (vehicle) => {
+    const value = parseFloat(window.prompt('Current odometer reading (km):', Math.round(vehicle.odometer)))
+    if (isNaN(value)) return
+    try {
+      const response = await axios.post(`/api/vehicles/${vehicle._id}/odometer`, { value })
+      replaceVehicle(response.data.vehicle)
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update odometer')
+    }
+  }
+
+  const logService = async (e) => {
+    e.preventDefault()
+    try {
+      const response = await axios.post(`/api/vehicles/${serviceForm.vehicleId}/services`, {
+        type: serviceForm.type,
+        notes: serviceForm.notes || undefined,
+        cost: serviceForm.cost ? parseFloat(serviceForm.cost) : undefined
+      })
+      const { odometerReadings, serviceHistory, ...vehicle } = response.data.vehicle
+      replaceVehicle(vehicle)
+      setServiceForm(null)
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to log service')
+    }
+  }
+
+  return (
+    <div className="min-h-screen pt-20 px-4 pb-8">
+      <div className="max-w-5xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex items-center justify-between mb-6"
+        >
+          <div>
+            <h1 className="text-3xl font-orbitron font-bold text-white">My Garage</h1>
+            <p className="text-gray-400 mt-1">Odometers update automatically when you finish a ride.</p>
+          </div>
+          <button
+            onClick={() => setShowAddModal(true)}
+            className="flex items-center space-x-2 px-4 py-2 bg-neon-cyan text-dark-800 font-semibold rounded hover:bg-neon-cyan/80 transition-colors"
+          >
+            <PlusIcon className="w-5 h-5" />
+            <span>Add Bike</span>
+          </button>
+        </motion.div>
+
+        {error && (
+          <div className="mb-4 bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded">{error}</div>
+        )}
+
+        {loading ? (
+          <p className="text-gray-400">Loading...</p>
+        ) : vehicles.length === 0 ? (
+          <div className="card-glow text-center text-gray-400">No bikes yet. Add one to track its odometer and services.</div>
+        ) : (
+          <div className="space-y-6">
+            {vehicles.map(vehicle => (
+              <motion.div
+                key={vehicle._id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="card-glow"
+              >
+                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4 mb-4">
+                  <div>
+                    <h3 className="text-xl font-semibold text-white flex items-center">
+                      {vehicle.nickname || `${vehicle.make} ${vehicle.model || ''}`}
+                      {vehicle.isPrimary && <span className="ml-2 text-xs px-2 py-0.5 bg-neon-cyan/20 text-neon-cyan rounded">Primary</span>}
+                    </h3>
+                    <p className="text-gray-400 text-sm">
+                      {[vehicle.make, vehicle.model, vehicle.year, vehicle.licensePlate].filter(Boolean).join(' · ')}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-2xl font-bold text-neon-cyan">{Math.round(vehicle.odometer).toLocaleString()} km</p>
+                    <button onClick={() => updateOdometer(vehicle)} className="text-xs text-gray-400 hover:text-white">
+                      Update reading
+                    </button>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+                  {vehicle.services.map(service => (
+                    <div key={service.type} className="p-3 bg-dark-600 rounded">
+                      <p className="text-white font-medium">{SERVICE_LABELS[service.type]}</p>
+                      <p className={`text-sm ${STATUS_STYLES[service.status]}`}>
+                        {service.status === 'ok' ? 'OK' : service.status === 'due_soon' ? 'Due soon' : 'Overdue'}
+                      </p>
+                      <p className="text-xs text-gray-400">{describeDue(service)}</p>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => setServiceForm({ vehicleId: vehicle._id, type: vehicle.services[0]?.type || 'general', notes: '', cost: '' })}
+                    className="flex items-center space-x-1 px-3 py-1 text-sm bg-dark-600 text-white rounded hover:bg-dark-500"
+                  >
+                    <WrenchScrewdriverIcon className="w-4 h-4" />
+                    <span>Log service</span>
+                  </button>
+                  {!vehicle.isPrimary && (
+                    <button
+                      onClick={() => makePrimary(vehicle)}
+                      className="flex items-center space-x-1 px-3 py-1 text-sm bg-dark-600 text-white rounded hover:bg-dark-500"
+                    >
+                      <StarIcon className="w-4 h-4" />
+                      <span>Make primary</span>
+                    </button>
+                  )}
+                  <button
+                    onClick={() => removeBike(vehicle)}
+                    className="flex items-center space-x-1 px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                    <span>Remove</span>
+                  </button>
+                </div>
+              </motion.div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Add Bike Modal */}
+      {showAddModal && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 px-4">
+          <form onSubmit={addBike} className="card-glow w-full max-w-md space-y-4">
+            <div className="flex items-center justify-between">
+              <h3 className="text-xl font-semibold text-white">Add Bike</h3>
+              <button type="button" onClick={() => setShowAddModal(false)} className="text-gray-400 hover:text-white">
+                <XMarkIcon className="w-6 h-6" />
+              </button>
+            </div>
+            {[
+              { key: 'nickname', label: 'Nickname', placeholder: 'e.g. The Bullet' },
+              { key: 'make', label: 'Make', placeholder: 'e.g. Royal Enfield', required: true },
+              { key: 'model', label: 'Model', placeholder: 'e.g. Classic 350' },
+              { key: 'year', label: 'Year', type: 'number' },
+              { key: 'licensePlate', label: 'License Plate' },
+              { key: 'odometer', label: 'Current Odometer (km)', type: 'number' }
+            ].map(field => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-300 mb-1">{field.label}</label>
+                <input
+                  type={field.type || 'text'}
+                  required={field.required}
+                  min={field.type === 'number' ? 0 : undefined}
+                  value={newBike[field.key]}
+                  onChange={(e) => setNewBike({ ...newBike, [field.key]: e.target.value })}
+                  placeholder={field.placeholder}
+                  className="w-full px-4 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400 focus:border-neon-cyan focus:outline-none transition-colors"
+                />
+              </div>
+            ))}
+            <button type="submit" className="w-full py-3 bg-neon-cyan text-dark-800 font-semibold rounded hover:bg-neon-cyan/80 transition-colors">
+              Add to garage
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Log Service Modal */}
+      {serviceForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 px-4">
+          <form onSubmit={logService} className="card-glow w-full max-w-md space-y-4">
+            <div className="flex items-center justify-between">
+              <h3 className="text-xl font-semibold text-white">Log Service</h3>
+              <button type="button" onClick={() => setServiceForm(null)} className="text-gray-400 hover:text-white">
+                <XMarkIcon className="w-6 h-6" />
+              </button>
+            </div>
+            <select
+              value={serviceForm.type}
+              onChange={(e) => setServiceForm({ ...serviceForm, type: e.target.value })}
+              className="w-full px-4 py-2 bg-dark-600 border border-gray-600 rounded text-white"
+            >
+              {Object.entries(SERVICE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min={0}
+              value={serviceForm.cost}
+              onChange={(e) => setServiceForm({ ...serviceForm, cost: e.target.value })}
+              placeholder="Cost (optional)"
+              className="w-full px-4 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400"
+            />
+            <textarea
+              value={serviceForm.notes}
+              onChange={(e) => setServiceForm({ ...serviceForm, notes: e.target.value })}
+              placeholder="Notes (optional)"
+              maxLength={500}
+              className="w-full px-4 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400"
+            />
+            <button type="submit" className="w-full py-3 bg-neon-cyan text-dark-800 font-semibold rounded hover:bg-neon-cyan/80 transition-colors">
+              Save
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Garage
@@ -5,7 +5,8 @@ import {
   EnvelopeIcon, 
   LockClosedIcon,
   EyeIcon,
-  EyeSlashIcon
+  EyeSlashIcon,
+  ShieldCheckIcon
 } from '@heroicons/react/24/outline'
 import { useAuth } from '../contexts/AuthContext'
 
@@ -17,8 +18,12 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  // Set when the account has 2FA and the password step succeeded
+  const [challengeToken, setChallengeToken] = useState(null)
+  const [verificationCode, setVerificationCode] = useState('')
+  const [useBackupCode, setUseBackupCode] = useState(false)
 
-  const { login } = useAuth()
+  const { login, verifyTwoFactor } = useAuth()
   const navigate = useNavigate()
 
   const handleSubmit = async (e) => {
@@ -30,6 +35,8 @@ const Login = () => {
     
     if (result.success) {
       navigate('/dashboard')
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken)
     } else {
       setError(result.error || 'Login failed')
     }
@@ -37,6 +44,122 @@ const Login = () => {
     setLoading(false)
   }
 
+  const handleVerify = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError('')
+
+    const result = await verifyTwoFactor(
+      challengeToken,
+      useBackupCode ? { backupCode: verificationCode } : { code: verificationCode }
+    )
+
+    if (result.success) {
+      if (typeof result.backupCodesRemaining === 'number') {
+        alert(`Backup code used. ${result.backupCodesRemaining} backup code(s) left.`)
+      }
+      navigate('/dashboard')
+    } else {
+      setError(result.error || 'Verification failed')
+      // An expired challenge means starting over from the password step
+      if (/expired|challenge/i.test(result.error || '')) {
+        setChallengeToken(null)
+        setVerificationCode('')
+      }
+    }
+
+    setLoading(false)
+  }
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen pt-20 flex items-center justify-center px-4">
+        <div className="max-w-md w-full space-y-8">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="text-center"
+          >
+            <h2 className="text-3xl font-orbitron font-bold text-white">
+              Two-Factor Verification
+            </h2>
+            <p className="mt-2 text-gray-400">
+              {useBackupCode
+                ? 'Enter one of your backup codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </motion.div>
+
+          <motion.form
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1 }}
+            onSubmit={handleVerify}
+            className="card-glow space-y-6"
+          >
+            {error && (
+              <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded">
+                {error}
+              </div>
+            )}
+
+            <div className="relative">
+              <ShieldCheckIcon className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+              <input
+                id="verificationCode"
+                name="verificationCode"
+                type="text"
+                inputMode={useBackupCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                required
+                autoFocus
+                value={verificationCode}
+                onChange={(e) => setVerificationCode(e.target.value)}
+                className="w-full pl-10 pr-4 py-3 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400 focus:border-neon-cyan focus:outline-none transition-colors tracking-widest"
+                placeholder={useBackupCode ? 'xxxxx-xxxxx' : '123456'}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className={`w-full py-3 px-4 bg-neon-cyan text-dark-800 font-semibold rounded hover:bg-neon-cyan/80 transition-colors ${
+                loading ? 'opacity-50 cursor-not-allowed' : ''
+              }`}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+
+            <div className="flex items-center justify-between text-sm">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseBackupCode(!useBackupCode)
+                  setVerificationCode('')
+                  setError('')
+                }}
+                className="text-neon-cyan hover:text-neon-purple transition-colors"
+              >
+                {useBackupCode ? 'Use authenticator code' : 'Use a backup code'}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setChallengeToken(null)
+                  setVerificationCode('')
+                  setError('')
+                }}
+                className="text-gray-400 hover:text-gray-300"
+              >
+                Back to sign in
+              </button>
+            </div>
+          </motion.form>
+        </div>
+      </div>
+    )
+  }
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -17,11 +17,27 @@ import {
   BellIcon,
   EyeIcon,
   KeyIcon,
-  TrashIcon
+  TrashIcon,
+  DevicePhoneMobileIcon,
+  ArrowDownTrayIcon,
+  HeartIcon
 } from '@heroicons/react/24/outline'
 import { useAuth } from '../contexts/AuthContext'
 import axios from 'axios'
 
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-', 'unknown']
+
+const emptyMedicalForm = {
+  bloodGroup: '',
+  allergies: '',
+  conditions: '',
+  medications: '',
+  insuranceProvider: '',
+  policyNumber: '',
+  insurancePhone: '',
+  notes: ''
+}
+
 const Profile = () => {
   const [activeTab, setActiveTab] = useState('profile')
   const [userStats, setUserStats] = useState(null)
@@ -58,8 +74,18 @@ const Profile = () => {
   const [showPrivacyModal, setShowPrivacyModal] = useState(false)
   const [show2FAModal, setShow2FAModal] = useState(false)
   const [twoFAEnabled, setTwoFAEnabled] = useState(false)
+  const [twoFASetup, setTwoFASetup] = useState(null)
+  const [twoFAForm, setTwoFAForm] = useState({ code: '', password: '' })
+  const [backupCodes, setBackupCodes] = useState(null)
+  const [twoFAError, setTwoFAError] = useState('')
+  const [showSessionsModal, setShowSessionsModal] = useState(false)
+  const [sessions, setSessions] = useState([])
+  const [showMedicalModal, setShowMedicalModal] = useState(false)
+  const [medicalForm, setMedicalForm] = useState(emptyMedicalForm)
+  const [medicalAccessLog, setMedicalAccessLog] = useState([])
+  const [medicalMessage, setMedicalMessage] = useState('')
   
-  const { user, logout } = useAuth()
+  const { user, logout, replaceToken } = useAuth()
 
   const navigate = useNavigate()
 
@@ -199,10 +225,12 @@ const Profile = () => {
     }
 
     try {
-      await axios.put('/api/auth/change-password', {
+      const response = await axios.put('/api/auth/change-password', {
         currentPassword: passwordForm.currentPassword,
         newPassword: passwordForm.newPassword
       })
+      // The old token is revoked by the change; keep this device signed in
+      if (response.data.token) replaceToken(response.data.token)
       setShowChangePassword(false)
       setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' })
       alert('Password changed successfully!')
@@ -212,6 +240,166 @@ const Profile = () => {
     }
   }
 
+  const closeTwoFAModal = () => {
+    setShow2FAModal(false)
+    setTwoFASetup(null)
+    setTwoFAForm({ code: '', password: '' })
+    setBackupCodes(null)
+    setTwoFAError('')
+  }
+
+  const startTwoFASetup = async () => {
+    setTwoFAError('')
+    try {
+      const response = await axios.post('/api/auth/2fa/setup')
+      setTwoFASetup(response.data)
+    } catch (error) {
+      console.error('2FA setup error:', error)
+      setTwoFAError(error.response?.data?.message || 'Failed to start 2FA setup')
+    }
+  }
+
+  const enableTwoFA = async () => {
+    setTwoFAError('')
+    try {
+      const response = await axios.post('/api/auth/2fa/enable', { code: twoFAForm.code })
+      setBackupCodes(response.data.backupCodes)
+      setTwoFASetup(null)
+      setTwoFAForm({ code: '', password: '' })
+      setTwoFAEnabled(true)
+      setSettings({ ...settings, twoFactorEnabled: true })
+    } catch (error) {
+      console.error('2FA enable error:', error)
+      setTwoFAError(error.response?.data?.message || 'Failed to enable 2FA')
+    }
+  }
+
+  // Turning 2FA off needs the password plus a current code (or backup code)
+  const disableTwoFA = async () => {
+    setTwoFAError('')
+    const code = twoFAForm.code.trim()
+    try {
+      await axios.post('/api/auth/2fa/disable', {
+        password: twoFAForm.password,
+        ...(/^\d{6}$/.test(code) ? { code } : { backupCode: code })
+      })
+      setTwoFAForm({ code: '', password: '' })
+      setTwoFAEnabled(false)
+      setSettings({ ...settings, twoFactorEnabled: false })
+    } catch (error) {
+      console.error('2FA disable error:', error)
+      setTwoFAError(error.response?.data?.message || 'Failed to disable 2FA')
+    }
+  }
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get('/api/auth/sessions')
+      setSessions(response.data.sessions || [])
+    } catch (error) {
+      console.error('Sessions fetch error:', error)
+    }
+  }
+
+  const openMedicalModal = async () => {
+    setShowMedicalModal(true)
+    setMedicalMessage('')
+    try {
+      const [profileResponse, logResponse] = await Promise.all([
+        axios.get('/api/medical'),
+        axios.get('/api/medical/access-log')
+      ])
+      const medical = profileResponse.data.medicalProfile
+      setMedicalForm(medical ? {
+        bloodGroup: medical.bloodGroup || '',
+        allergies: (medical.allergies || []).join(', '),
+        conditions: (medical.conditions || []).join(', '),
+        medications: (medical.medications || []).join(', '),
+        insuranceProvider: medical.insurance?.provider || '',
+        policyNumber: medical.insurance?.policyNumber || '',
+        insurancePhone: medical.insurance?.phone || '',
+        notes: medical.notes || ''
+      } : emptyMedicalForm)
+      setMedicalAccessLog(logResponse.data.entries || [])
+    } catch (error) {
+      console.error('Medical ID fetch error:', error)
+      setMedicalMessage(error.response?.data?.message || 'Failed to load medical ID')
+    }
+  }
+
+  const saveMedicalProfile = async () => {
+    const toList = (value) => value.split(',').map(item => item.trim()).filter(Boolean)
+    try {
+      await axios.put('/api/medical', {
+        bloodGroup: medicalForm.bloodGroup || undefined,
+        allergies: toList(medicalForm.allergies),
+        conditions: toList(medicalForm.conditions),
+        medications: toList(medicalForm.medications),
+        insurance: {
+          provider: medicalForm.insuranceProvider,
+          policyNumber: medicalForm.policyNumber,
+          phone: medicalForm.insurancePhone
+        },
+        notes: medicalForm.notes
+      })
+      setMedicalMessage('Medical ID saved')
+    } catch (error) {
+      console.error('Medical ID save error:', error)
+      setMedicalMessage(error.response?.data?.message || 'Failed to save medical ID')
+    }
+  }
+
+  const deleteMedicalProfile = async () => {
+    if (!window.confirm('Delete your medical ID? Responders will no longer see it.')) return
+    try {
+      await axios.delete('/api/medical')
+      setMedicalForm(emptyMedicalForm)
+      setMedicalMessage('Medical ID deleted')
+    } catch (error) {
+      console.error('Medical ID delete error:', error)
+      setMedicalMessage(error.response?.data?.message || 'Failed to delete medical ID')
+    }
+  }
+
+  const openSessionsModal = () => {
+    setShowSessionsModal(true)
+    fetchSessions()
+  }
+
+  const revokeSession = async (session) => {
+    try {
+      await axios.delete(`/api/auth/sessions/${session.id}`)
+      if (session.current) {
+        logout()
+        navigate('/login')
+        return
+      }
+      setSessions(sessions.filter(s => s.id !== session.id))
+    } catch (error) {
+      console.error('Session revoke error:', error)
+      alert('Failed to sign out that device')
+    }
+  }
+
+  const revokeOtherSessions = async () => {
+    try {
+      await axios.delete('/api/auth/sessions', { params: { exceptCurrent: true } })
+      setSessions(sessions.filter(s => s.current))
+    } catch (error) {
+      console.error('Session revoke error:', error)
+      alert('Failed to sign out other devices')
+    }
+  }
+
+  // Short device label from a user agent string
+  const describeDevice = (userAgent = '') => {
+    // Most specific first: Edge and Opera UAs also mention Chrome and Safari
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    const browser = (browsers.find(([token]) => userAgent.includes(token)) || [null, 'Browser'])[1]
+    const os = (userAgent.match(/(Android|iPhone|iPad|Windows|Mac OS X|Linux)/) || [])[1] || 'Unknown device'
+    return `${browser} on ${os === 'Mac OS X' ? 'macOS' : os}`
+  }
+
   const updateSettings = async (settingKey, value) => {
     try {
       const updatedSettings = { ...settings, [settingKey]: value }
@@ -222,20 +410,37 @@ const Profile = () => {
     }
   }
 
+  const downloadMyData = async () => {
+    try {
+      const response = await axios.get('/api/auth/export', { responseType: 'blob' })
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `rider-sathi-export-${new Date().toISOString().slice(0, 10)}.zip`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Data export error:', error)
+      alert('Failed to export your data')
+    }
+  }
+
   const deleteAccount = async () => {
     const confirmed = window.confirm(
-      'Are you sure you want to delete your account? This action cannot be undone.'
+      'Are you sure you want to delete your account? Your rides, alerts, rewards and messages will be permanently removed. Download your data first if you want a copy.'
     )
-    
-    if (confirmed) {
-      try {
-        await axios.delete('/api/auth/account')
-        logout()
-        alert('Account deleted successfully')
-      } catch (error) {
-        console.error('Account deletion error:', error)
-        alert('Failed to delete account')
-      }
+    if (!confirmed) return
+
+    const password = window.prompt('Enter your password to confirm account deletion:')
+    if (!password) return
+
+    try {
+      await axios.delete('/api/auth/account', { data: { password } })
+      logout()
+      alert('Your account has been closed and your data is being deleted')
+    } catch (error) {
+      console.error('Account deletion error:', error)
+      alert(error.response?.data?.message || 'Failed to delete account')
     }
   }
 
@@ -728,12 +933,39 @@ const Profile = () => {
                   </div>
                   <span className="text-gray-400">›</span>
                 </button>
+                <button
+                  onClick={openSessionsModal}
+                  className="w-full flex items-center justify-between p-4 bg-dark-600 hover:bg-dark-500 rounded transition-colors"
+                >
+                  <div className="flex items-center space-x-3">
+                    <DevicePhoneMobileIcon className="w-5 h-5 text-gray-400" />
+                    <span className="text-white">Active Sessions</span>
+                  </div>
+                  <span className="text-gray-400">›</span>
+                </button>
+                <button
+                  onClick={openMedicalModal}
+                  className="w-full flex items-center justify-between p-4 bg-dark-600 hover:bg-dark-500 rounded transition-colors"
+                >
+                  <div className="flex items-center space-x-3">
+                    <HeartIcon className="w-5 h-5 text-gray-400" />
+                    <span className="text-white">Medical ID</span>
+                  </div>
+                  <span className="text-gray-400">›</span>
+                </button>
               </div>
             </div>
 
             {/* Danger Zone */}
             <div className="card-glow border-red-500/30">
               <h3 className="text-xl font-semibold text-red-400 mb-6">Danger Zone</h3>
+              <button
+                onClick={downloadMyData}
+                className="w-full flex items-center justify-center space-x-2 p-4 mb-4 bg-dark-600 hover:bg-dark-500 rounded transition-colors"
+              >
+                <ArrowDownTrayIcon className="w-5 h-5" />
+                <span>Download My Data</span>
+              </button>
               <button
                 onClick={deleteAccount}
                 className="w-full flex items-center justify-center space-x-2 p-4 bg-red-600 hover:bg-red-700 rounded transition-colors"
@@ -742,7 +974,7 @@ const Profile = () => {
                 <span>Delete Account</span>
               </button>
               <p className="text-sm text-gray-400 mt-2 text-center">
-                This action cannot be undone. All your data will be permanently deleted.
+                This action cannot be undone. Your account is closed at once and your data is erased shortly after.
               </p>
             </div>
           </motion.div>
@@ -907,6 +1139,139 @@ const Profile = () => {
           </motion.div>
         )}
 
+        {/* Sessions Modal */}
+        {showSessionsModal && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50"
+          >
+            <motion.div
+              initial={{ scale: 0.95 }}
+              animate={{ scale: 1 }}
+              className="bg-dark-800 rounded-lg p-6 w-full max-w-lg"
+            >
+              <h3 className="text-xl font-bold text-white mb-4">Active Sessions</h3>
+              <div className="space-y-3 max-h-80 overflow-y-auto">
+                {sessions.length === 0 && (
+                  <p className="text-sm text-gray-400">No active sessions found.</p>
+                )}
+                {sessions.map(session => (
+                  <div key={session.id} className="flex items-center justify-between p-3 bg-dark-600 rounded">
+                    <div>
+                      <p className="text-white font-medium">
+                        {describeDevice(session.userAgent)}
+                        {session.current && <span className="ml-2 text-xs text-neon-cyan">This device</span>}
+                      </p>
+                      <p className="text-sm text-gray-400">
+                        {session.ip || 'Unknown IP'} · last active {new Date(session.lastUsedAt).toLocaleString()}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => revokeSession(session)}
+                      className="px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+                    >
+                      Sign out
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex justify-between space-x-2 mt-4">
+                <button
+                  onClick={revokeOtherSessions}
+                  disabled={sessions.filter(s => !s.current).length === 0}
+                  className="px-4 py-2 bg-red-600 text-white rounded disabled:opacity-50"
+                >
+                  Sign out all other devices
+                </button>
+                <button onClick={() => setShowSessionsModal(false)} className="px-4 py-2 bg-gray-600 text-white rounded">Close</button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+
+        {/* Medical ID Modal */}
+        {showMedicalModal && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50"
+          >
+            <motion.div
+              initial={{ scale: 0.95 }}
+              animate={{ scale: 1 }}
+              className="bg-dark-800 rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto"
+            >
+              <h3 className="text-xl font-bold text-white mb-2">Medical ID</h3>
+              <p className="text-sm text-gray-400 mb-4">
+                Stored encrypted. Only riders responding to your emergency alert can see it, and only while the alert is open.
+              </p>
+
+              {medicalMessage && (
+                <p className="text-sm text-neon-cyan mb-3">{medicalMessage}</p>
+              )}
+
+              <div className="space-y-3">
+                <select
+                  value={medicalForm.bloodGroup}
+                  onChange={(e) => setMedicalForm({ ...medicalForm, bloodGroup: e.target.value })}
+                  className="w-full px-3 py-2 bg-dark-600 border border-gray-600 rounded text-white"
+                >
+                  <option value="">Blood group</option>
+                  {BLOOD_GROUPS.map(group => <option key={group} value={group}>{group}</option>)}
+                </select>
+                {[
+                  { key: 'allergies', placeholder: 'Allergies (comma separated)' },
+                  { key: 'conditions', placeholder: 'Medical conditions (comma separated)' },
+                  { key: 'medications', placeholder: 'Medications (comma separated)' },
+                  { key: 'insuranceProvider', placeholder: 'Insurance provider' },
+                  { key: 'policyNumber', placeholder: 'Policy number' },
+                  { key: 'insurancePhone', placeholder: 'Insurance phone' }
+                ].map(field => (
+                  <input
+                    key={field.key}
+                    type="text"
+                    value={medicalForm[field.key]}
+                    onChange={(e) => setMedicalForm({ ...medicalForm, [field.key]: e.target.value })}
+                    placeholder={field.placeholder}
+                    className="w-full px-3 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400"
+                  />
+                ))}
+                <textarea
+                  value={medicalForm.notes}
+                  onChange={(e) => setMedicalForm({ ...medicalForm, notes: e.target.value })}
+                  placeholder="Notes for responders"
+                  maxLength={1000}
+                  className="w-full px-3 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400"
+                />
+              </div>
+
+              <h4 className="text-white font-semibold mt-6 mb-2">Access history</h4>
+              <div className="space-y-2 max-h-40 overflow-y-auto">
+                {medicalAccessLog.length === 0 && (
+                  <p className="text-sm text-gray-400">Nobody has viewed your medical ID.</p>
+                )}
+                {medicalAccessLog.map(entry => (
+                  <div key={entry._id} className="p-2 bg-dark-600 rounded text-sm">
+                    <p className="text-white">{entry.accessor?.name || 'A responder'}</p>
+                    <p className="text-gray-400">
+                      {new Date(entry.createdAt).toLocaleString()}
+                      {entry.alert && ` · during your ${entry.alert.type} alert`}
+                    </p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex justify-end space-x-2 mt-4">
+                <button onClick={deleteMedicalProfile} className="px-4 py-2 bg-red-600 text-white rounded">Delete</button>
+                <button onClick={() => setShowMedicalModal(false)} className="px-4 py-2 bg-gray-600 text-white rounded">Close</button>
+                <button onClick={saveMedicalProfile} className="px-4 py-2 bg-neon-cyan text-dark-800 font-semibold rounded">Save</button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+
         {/* Two-Factor Modal */}
         {show2FAModal && (
           <motion.div
@@ -920,36 +1285,81 @@ const Profile = () => {
               className="bg-dark-800 rounded-lg p-6 w-full max-w-md"
             >
               <h3 className="text-xl font-bold text-white mb-4">Two-Factor Authentication</h3>
-              <p className="text-sm text-gray-400 mb-4">Enable Two-Factor Authentication for added account security.</p>
-              <div className="flex items-center justify-between mb-4">
-                <div>
-                  <p className="text-white font-medium">Two-Factor Authentication</p>
-                  <p className="text-sm text-gray-400">Use an authentication app or SMS for login verification.</p>
+              <p className="text-sm text-gray-400 mb-4">
+                {twoFAEnabled
+                  ? 'Two-Factor Authentication is on. Sign-ins require a code from your authenticator app.'
+                  : 'Use an authenticator app (Google Authenticator, Authy, 1Password...) for login verification.'}
+              </p>
+
+              {twoFAError && (
+                <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded mb-4">
+                  {twoFAError}
                 </div>
-                <label className="relative inline-flex items-center cursor-pointer">
+              )}
+
+              {backupCodes && (
+                <div className="mb-4">
+                  <p className="text-white font-medium mb-2">Save your backup codes</p>
+                  <p className="text-sm text-gray-400 mb-2">Each code works once if you lose your phone. They won't be shown again.</p>
+                  <div className="grid grid-cols-2 gap-2 bg-dark-600 p-3 rounded font-mono text-sm text-neon-cyan">
+                    {backupCodes.map(code => <span key={code}>{code}</span>)}
+                  </div>
+                </div>
+              )}
+
+              {!twoFAEnabled && !twoFASetup && (
+                <button onClick={startTwoFASetup} className="w-full py-2 px-4 bg-neon-cyan text-dark-800 font-semibold rounded hover:bg-neon-cyan/80 transition-colors">
+                  Set up authenticator app
+                </button>
+              )}
+
+              {!twoFAEnabled && twoFASetup && (
+                <div className="space-y-4">
+                  {twoFASetup.qrCode && (
+                    <img src={twoFASetup.qrCode} alt="Authenticator QR code" className="mx-auto w-48 h-48 bg-white p-2 rounded" />
+                  )}
+                  <div>
+                    <p className="text-sm text-gray-400">Or enter this key manually:</p>
+                    <p className="font-mono text-sm text-white break-all">{twoFASetup.secret}</p>
+                  </div>
                   <input
-                    type="checkbox"
-                    checked={twoFAEnabled}
-                    onChange={async (e) => {
-                      const enabled = e.target.checked
-                      try {
-                        await axios.put('/api/auth/settings', { settings: { twoFactorEnabled: enabled } })
-                        setTwoFAEnabled(enabled)
-                        // Also update in local settings state for UI consistency
-                        setSettings({ ...settings, twoFactorEnabled: enabled })
-                      } catch (err) {
-                        console.error('2FA toggle error:', err)
-                        alert('Failed to update 2FA setting')
-                      }
-                    }}
-                    className="sr-only peer"
+                    type="text"
+                    inputMode="numeric"
+                    value={twoFAForm.code}
+                    onChange={(e) => setTwoFAForm({ ...twoFAForm, code: e.target.value })}
+                    className="w-full px-4 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400 focus:border-neon-cyan focus:outline-none"
+                    placeholder="6-digit code from the app"
                   />
-                  <div className="w-11 h-6 bg-gray-600 peer-focus:outline-none rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-neon-cyan"></div>
-                </label>
-              </div>
+                  <button onClick={enableTwoFA} className="w-full py-2 px-4 bg-neon-cyan text-dark-800 font-semibold rounded hover:bg-neon-cyan/80 transition-colors">
+                    Verify and enable
+                  </button>
+                </div>
+              )}
+
+              {twoFAEnabled && !backupCodes && (
+                <div className="space-y-4">
+                  <input
+                    type="password"
+                    value={twoFAForm.password}
+                    onChange={(e) => setTwoFAForm({ ...twoFAForm, password: e.target.value })}
+                    className="w-full px-4 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400 focus:border-neon-cyan focus:outline-none"
+                    placeholder="Current password"
+                  />
+                  <input
+                    type="text"
+                    value={twoFAForm.code}
+                    onChange={(e) => setTwoFAForm({ ...twoFAForm, code: e.target.value })}
+                    className="w-full px-4 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400 focus:border-neon-cyan focus:outline-none"
+                    placeholder="Authenticator or backup code"
+                  />
+                  <button onClick={disableTwoFA} className="w-full py-2 px-4 bg-red-600 text-white font-semibold rounded hover:bg-red-700 transition-colors">
+                    Disable Two-Factor Authentication
+                  </button>
+                </div>
+              )}
 
               <div className="flex justify-end space-x-2 mt-4">
-                <button onClick={() => setShow2FAModal(false)} className="px-4 py-2 bg-gray-600 text-white rounded">Close</button>
+                <button onClick={closeTwoFAModal} className="px-4 py-2 bg-gray-600 text-white rounded">Close</button>
               </div>
             </motion.div>
           </motion.div>
@@ -0,0 +1,125 @@
+import React, { useState } from 'react'
+import { Link, useParams, useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import axios from 'axios'
+
+const ResetPassword = () => {
+  const { token } = useParams()
+  const navigate = useNavigate()
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setMessage('')
+    setError('')
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setLoading(true)
+    try {
+      const response = await axios.post('/api/auth/reset-password', { token, password })
+      setMessage(response.data.message || 'Password has been reset.')
+      setTimeout(() => navigate('/login'), 2500)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset password. The link may have expired.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen pt-20 flex items-center justify-center px-4">
+      <div className="max-w-md w-full space-y-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center"
+        >
+          <h2 className="text-3xl font-orbitron font-bold text-white">Reset password</h2>
+          <p className="mt-2 text-gray-400">Choose a new password. You'll be signed out on all devices.</p>
+        </motion.div>
+
+        <motion.form
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          onSubmit={handleSubmit}
+          className="card-glow space-y-6"
+        >
+          {message && (
+            <div className="bg-green-900/20 border border-green-500/30 text-green-400 px-4 py-3 rounded">
+              {message}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded">
+              {error}
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-300 mb-2">New Password</label>
+            <input
+              id="password"
+              name="password"
+              type="password"
+              required
+              minLength={6}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full pl-4 pr-4 py-3 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400 focus:border-neon-cyan focus:outline-none transition-colors"
+              placeholder="At least 6 characters"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-300 mb-2">Confirm Password</label>
+            <input
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              required
+              minLength={6}
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              className="w-full pl-4 pr-4 py-3 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400 focus:border-neon-cyan focus:outline-none transition-colors"
+              placeholder="Repeat your new password"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading || !!message}
+            className={`w-full py-3 px-4 bg-neon-cyan text-dark-800 font-semibold rounded hover:bg-neon-cyan/80 transition-colors ${
+              loading || message ? 'opacity-50 cursor-not-allowed' : ''
+            }`}
+          >
+            {loading ? 'Resetting...' : 'Reset password'}
+          </button>
+        </motion.form>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2 }}
+          className="text-center"
+        >
+          <p className="text-gray-400">
+            Link expired?{' '}
+            <Link to="/forgot-password" className="text-neon-cyan hover:text-neon-purple transition-colors font-medium">Request a new one</Link>
+          </p>
+        </motion.div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
@@ -0,0 +1,337 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import {
+  PlusIcon,
+  TrashIcon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+  PlayIcon
+} from '@heroicons/react/24/outline'
+import axios from 'axios'
+
+const AVOID_LABELS = {
+  tolls: 'Tolls',
+  highways: 'Highways',
+  unpaved: 'Unpaved roads'
+}
+
+const SCOPES = [
+  { key: 'mine', label: 'My routes' },
+  { key: 'shared', label: 'Group routes' },
+  { key: 'public', label: 'Public' }
+]
+
+const emptyStop = { address: '', latitude: '', longitude: '' }
+
+const formatDistance = (meters) => `${(meters / 1000).toFixed(1)} km`
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.round((seconds % 3600) / 60)
+  return hours ? `${hours} h ${minutes} min` : `${minutes} min`
+}
+
+const RoutePlanner = () => {
+  const navigate = useNavigate()
+  const [scope, setScope] = useState('mine')
+  const [savedRoutes, setSavedRoutes] = useState([])
+  const [stops, setStops] = useState([emptyStop, emptyStop])
+  const [avoid, setAvoid] = useState([])
+  const [plan, setPlan] = useState(null)
+  const [selected, setSelected] = useState(0)
+  const [details, setDetails] = useState({ name: '', tags: '', visibility: 'private' })
+  const [error, setError] = useState('')
+  const [planning, setPlanning] = useState(false)
+
+  useEffect(() => {
+    fetchSavedRoutes()
+  }, [scope])
+
+  const fetchSavedRoutes = async () => {
+    try {
+      const response = await axios.get('/api/routes', { params: { scope } })
+      setSavedRoutes(response.data.routes || [])
+    } catch (err) {
+      console.error('Saved routes fetch error:', err)
+      setError(err.response?.data?.message || 'Failed to load saved routes')
+    }
+  }
+
+  const updateStop = (index, field, value) => {
+    setStops(stops.map((stop, i) => (i === index ? { ...stop, [field]: value } : stop)))
+    setPlan(null)
+  }
+
+  const moveStop = (index, direction) => {
+    const target = index + direction
+    if (target < 0 || target >= stops.length) return
+    const next = [...stops]
+    ;[next[index], next[target]] = [next[target], next[index]]
+    setStops(next)
+    setPlan(null)
+  }
+
+  const toggleAvoid = (option) => {
+    setAvoid(avoid.includes(option) ? avoid.filter(o => o !== option) : [...avoid, option])
+    setPlan(null)
+  }
+
+  const planPayload = () => ({
+    stops: stops.map(stop => ({
+      latitude: parseFloat(stop.latitude),
+      longitude: parseFloat(stop.longitude),
+      address: stop.address || undefined
+    })),
+    avoid
+  })
+
+  const planRoute = async () => {
+    setError('')
+    setPlanning(true)
+    try {
+      const response = await axios.post('/api/gps/route/plan', planPayload())
+      setPlan(response.data)
+      setSelected(0)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to plan route')
+    } finally {
+      setPlanning(false)
+    }
+  }
+
+  const saveRoute = async (e) => {
+    e.preventDefault()
+    try {
+      await axios.post('/api/routes', {
+        ...planPayload(),
+        alternative: selected,
+        name: details.name,
+        tags: details.tags.split(',').map(t => t.trim()).filter(Boolean),
+        visibility: details.visibility
+      })
+      setDetails({ name: '', tags: '', visibility: 'private' })
+      setPlan(null)
+      setScope('mine')
+      fetchSavedRoutes()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save route')
+    }
+  }
+
+  const deleteRoute = async (route) => {
+    if (!window.confirm(`Delete "${route.name}"?`)) return
+    try {
+      await axios.delete(`/api/routes/${route._id}`)
+      fetchSavedRoutes()
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to delete route')
+    }
+  }
+
+  const startRide = async (route) => {
+    try {
+      await axios.post('/api/gps/start-ride', { savedRouteId: route._id, rideType: 'solo' })
+      navigate('/map')
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to start ride')
+    }
+  }
+
+  return (
+    <div className="min-h-screen pt-20 px-4 pb-8">
+      <div className="max-w-6xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-6"
+        >
+          <h1 className="text-3xl font-orbitron font-bold text-white">Route Planner</h1>
+          <p className="text-gray-400 mt-1">Plan multi-stop rides, keep them in your library and start a ride from any of them.</p>
+        </motion.div>
+
+        {error && (
+          <div className="mb-4 bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded">{error}</div>
+        )}
+
+        <div className="grid lg:grid-cols-2 gap-8">
+          {/* Planner */}
+          <div className="card-glow space-y-4">
+            <h2 className="text-xl font-semibold text-white">Stops</h2>
+            {stops.map((stop, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <span className="text-neon-cyan w-6">{index + 1}</span>
+                <input
+                  type="text"
+                  value={stop.address}
+                  onChange={(e) => updateStop(index, 'address', e.target.value)}
+                  placeholder={index === 0 ? 'Start' : index === stops.length - 1 ? 'Destination' : 'Stop'}
+                  className="flex-1 min-w-0 px-3 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400"
+                />
+                <input
+                  type="number"
+                  step="any"
+                  value={stop.latitude}
+                  onChange={(e) => updateStop(index, 'latitude', e.target.value)}
+                  placeholder="Lat"
+                  className="w-24 px-2 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400"
+                />
+                <input
+                  type="number"
+                  step="any"
+                  value={stop.longitude}
+                  onChange={(e) => updateStop(index, 'longitude', e.target.value)}
+                  placeholder="Lng"
+                  className="w-24 px-2 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400"
+                />
+                <button onClick={() => moveStop(index, -1)} className="text-gray-400 hover:text-white"><ArrowUpIcon className="w-4 h-4" /></button>
+                <button onClick={() => moveStop(index, 1)} className="text-gray-400 hover:text-white"><ArrowDownIcon className="w-4 h-4" /></button>
+                <button
+                  onClick={() => { setStops(stops.filter((_, i) => i !== index)); setPlan(null) }}
+                  disabled={stops.length <= 2}
+                  className="text-red-400 hover:text-red-300 disabled:opacity-30"
+                >
+                  <TrashIcon className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => setStops([...stops.slice(0, -1), emptyStop, stops[stops.length - 1]])}
+              className="flex items-center space-x-1 text-neon-cyan hover:text-neon-purple text-sm"
+            >
+              <PlusIcon className="w-4 h-4" />
+              <span>Add stop</span>
+            </button>
+
+            <div className="flex flex-wrap gap-4">
+              {Object.entries(AVOID_LABELS).map(([option, label]) => (
+                <label key={option} className="flex items-center space-x-2 text-gray-300 text-sm">
+                  <input type="checkbox" checked={avoid.includes(option)} onChange={() => toggleAvoid(option)} />
+                  <span>Avoid {label.toLowerCase()}</span>
+                </label>
+              ))}
+            </div>
+
+            <button
+              onClick={planRoute}
+              disabled={planning}
+              className="w-full py-3 bg-neon-cyan text-dark-800 font-semibold rounded hover:bg-neon-cyan/80 transition-colors disabled:opacity-50"
+            >
+              {planning ? 'Planning...' : 'Plan route'}
+            </button>
+
+            {plan && (
+              <div className="space-y-3">
+                {plan.warnings?.map(warning => (
+                  <p key={warning} className="text-sm text-yellow-400">{warning}</p>
+                ))}
+                {plan.routes.map((route, index) => (
+                  <button
+                    key={index}
+                    onClick={() => setSelected(index)}
+                    className={`w-full text-left p-3 rounded border ${selected === index ? 'border-neon-cyan bg-dark-600' : 'border-gray-600 bg-dark-700'}`}
+                  >
+                    <p className="text-white font-medium">{index === 0 ? 'Fastest' : `Alternative ${index}`}</p>
+                    <p className="text-sm text-gray-400">
+                      {formatDistance(route.distance)} · {formatDuration(route.duration)} · {route.legs.length} legs
+                    </p>
+                  </button>
+                ))}
+
+                <form onSubmit={saveRoute} className="space-y-3 pt-2">
+                  <input
+                    type="text"
+                    required
+                    value={details.name}
+                    onChange={(e) => setDetails({ ...details, name: e.target.value })}
+                    placeholder="Route name"
+                    className="w-full px-3 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400"
+                  />
+                  <input
+                    type="text"
+                    value={details.tags}
+                    onChange={(e) => setDetails({ ...details, tags: e.target.value })}
+                    placeholder="Tags (comma separated)"
+                    className="w-full px-3 py-2 bg-dark-600 border border-gray-600 rounded text-white placeholder-gray-400"
+                  />
+                  <select
+                    value={details.visibility}
+                    onChange={(e) => setDetails({ ...details, visibility: e.target.value })}
+                    className="w-full px-3 py-2 bg-dark-600 border border-gray-600 rounded text-white"
+                  >
+                    <option value="private">Only me</option>
+                    <option value="public">Every rider</option>
+                  </select>
+                  <button type="submit" className="w-full py-2 bg-green-600 hover:bg-green-700 text-white rounded transition-colors">
+                    Save route
+                  </button>
+                </form>
+              </div>
+            )}
+          </div>
+
+          {/* Library */}
+          <div>
+            <div className="flex space-x-2 mb-4">
+              {SCOPES.map(({ key, label }) => (
+                <button
+                  key={key}
+                  onClick={() => setScope(key)}
+                  className={`px-3 py-1 rounded text-sm ${scope === key ? 'bg-neon-cyan text-dark-800' : 'bg-dark-600 text-gray-300'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {savedRoutes.length === 0 ? (
+              <div className="card-glow text-center text-gray-400">No saved routes yet.</div>
+            ) : (
+              <div className="space-y-3">
+                {savedRoutes.map(route => (
+                  <div key={route._id} className="card-glow">
+                    <div className="flex items-start justify-between gap-4">
+                      <div>
+                        <h3 className="text-white font-semibold">{route.name}</h3>
+                        <p className="text-sm text-gray-400">
+                          {route.stops.length} stops · {formatDistance(route.distance)} · {formatDuration(route.duration)}
+                          {scope !== 'mine' && route.owner?.name && ` · by ${route.owner.name}`}
+                        </p>
+                        {route.tags?.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {route.tags.map(tag => (
+                              <span key={tag} className="text-xs px-2 py-0.5 bg-dark-600 text-neon-cyan rounded">#{tag}</span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => startRide(route)}
+                          className="flex items-center space-x-1 px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700"
+                        >
+                          <PlayIcon className="w-4 h-4" />
+                          <span>Ride</span>
+                        </button>
+                        {scope === 'mine' && (
+                          <button
+                            onClick={() => deleteRoute(route)}
+                            className="p-1 text-red-400 hover:text-red-300"
+                          >
+                            <TrashIcon className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RoutePlanner
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet'
+import { motion } from 'framer-motion'
+import L from 'leaflet'
+import 'leaflet/dist/leaflet.css'
+import io from 'socket.io-client'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:5000'
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000'
+
+const riderIcon = new L.Icon({
+  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-blue.png',
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  popupAnchor: [1, -34],
+  shadowSize: [41, 41]
+})
+
+const destinationIcon = new L.Icon({
+  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-green.png',
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  popupAnchor: [1, -34],
+  shadowSize: [41, 41]
+})
+
+const endedMessages = {
+  expired: 'This share link has expired.',
+  revoked: 'The rider stopped sharing this ride.',
+  'ride-ended': 'The ride has ended.'
+}
+
+// Keep the rider in view as they move
+const FollowRider = ({ position }) => {
+  const map = useMap()
+  useEffect(() => {
+    if (position) map.panTo(position)
+  }, [position, map])
+  return null
+}
+
+const formatEta = (eta) => {
+  if (!eta) return null
+  const minutes = Math.round(eta.seconds / 60)
+  const duration = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} min`
+  return `${duration} (${(eta.remainingDistance / 1000).toFixed(1)} km to go)`
+}
+
+const TrackRide = () => {
+  const { token } = useParams()
+  const [ride, setRide] = useState(null)
+  const [share, setShare] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [ended, setEnded] = useState('')
+
+  useEffect(() => {
+    let socket = null
+
+    const load = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/share/${token}`)
+        setShare(response.data.share)
+        setRide(response.data.ride)
+
+        socket = io(`${SOCKET_URL}/share`, { auth: { token } })
+        socket.on('ride-update', (snapshot) => setRide(snapshot))
+        socket.on('share-ended', ({ reason }) => {
+          setEnded(endedMessages[reason] || 'Sharing has ended.')
+          socket.disconnect()
+        })
+      } catch (err) {
+        setError(err.response?.data?.message || 'Unable to load this shared ride.')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    load()
+
+    return () => {
+      if (socket) socket.disconnect()
+    }
+  }, [token])
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="loading-dots">
+          <div></div>
+          <div></div>
+          <div></div>
+        </div>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen pt-20 flex items-center justify-center px-4">
+        <div className="max-w-md w-full card-glow text-center space-y-4">
+          <h2 className="text-2xl font-orbitron font-bold text-white">Link unavailable</h2>
+          <p className="text-gray-400">{error}</p>
+          <Link to="/" className="text-neon-cyan hover:text-neon-purple transition-colors font-medium">Go to Rider Sathi</Link>
+        </div>
+      </div>
+    )
+  }
+
+  const current = ride?.currentLocation
+  const position = current ? [current.latitude, current.longitude] : null
+  const destination = ride?.endLocation ? [ride.endLocation.latitude, ride.endLocation.longitude] : null
+  const center = position || destination || (ride?.startLocation ? [ride.startLocation.latitude, ride.startLocation.longitude] : [20.5937, 78.9629])
+
+  return (
+    <div className="min-h-screen pt-20 px-4 pb-8">
+      <div className="max-w-4xl mx-auto space-y-4">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center"
+        >
+          <h2 className="text-3xl font-orbitron font-bold text-white">
+            Following {ride?.rider?.name || 'Rider'}
+          </h2>
+          {share?.label && <p className="mt-2 text-gray-400">{share.label}</p>}
+        </motion.div>
+
+        {ride?.emergency && (
+          <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded">
+            🚨 Emergency {ride.emergency.status === 'responded' ? '(help is on the way)' : 'alert active'}: {ride.emergency.type} · {ride.emergency.severity} severity
+            {ride.emergency.respondersCount > 0 && ` · ${ride.emergency.respondersCount} responder(s)`}
+          </div>
+        )}
+
+        {ended && (
+          <div className="bg-yellow-900/20 border border-yellow-500/30 text-yellow-400 px-4 py-3 rounded">
+            {ended}
+          </div>
+        )}
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className="card-glow grid grid-cols-1 md:grid-cols-3 gap-4 text-sm"
+        >
+          <div>
+            <p className="text-gray-400">Status</p>
+            <p className="text-white font-semibold capitalize">{ride?.status}</p>
+          </div>
+          <div>
+            <p className="text-gray-400">ETA</p>
+            <p className="text-white font-semibold">{formatEta(ride?.eta) || '—'}</p>
+          </div>
+          <div>
+            <p className="text-gray-400">Last update</p>
+            <p className="text-white font-semibold">
+              {current?.lastUpdated ? new Date(current.lastUpdated).toLocaleTimeString() : '—'}
+            </p>
+          </div>
+        </motion.div>
+
+        <div className="rounded overflow-hidden border border-gray-700" style={{ height: '60vh' }}>
+          <MapContainer center={center} zoom={14} style={{ height: '100%', width: '100%' }}>
+            <TileLayer
+              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            />
+            {position && (
+              <Marker position={position} icon={riderIcon}>
+                <Popup>{ride.rider?.name || 'Rider'}</Popup>
+              </Marker>
+            )}
+            {destination && (
+              <Marker position={destination} icon={destinationIcon}>
+                <Popup>{ride.endLocation.address || 'Destination'}</Popup>
+              </Marker>
+            )}
+            <FollowRider position={position} />
+          </MapContainer>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TrackRide
@@ -0,0 +1,85 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { useAuth } from '../contexts/AuthContext'
+
+const VerifyEmail = () => {
+  const { token } = useParams()
+  const { confirmEmail, isAuthenticated } = useAuth()
+  const [status, setStatus] = useState('verifying')
+  const [message, setMessage] = useState('')
+  // Tokens are single use; don't submit twice if the effect re-runs
+  const submitted = useRef(false)
+
+  useEffect(() => {
+    if (submitted.current) return
+    submitted.current = true
+
+    confirmEmail(token).then(result => {
+      setStatus(result.success ? 'verified' : 'failed')
+      setMessage(result.success ? result.message : result.error)
+    })
+  }, [token])
+
+  return (
+    <div className="min-h-screen pt-20 flex items-center justify-center px-4">
+      <div className="max-w-md w-full space-y-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center"
+        >
+          <h2 className="text-3xl font-orbitron font-bold text-white">Verify email</h2>
+          <p className="mt-2 text-gray-400">Confirming your email address for Rider Sathi.</p>
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className="card-glow space-y-6"
+        >
+          {status === 'verifying' && (
+            <p className="text-gray-300 text-center">Verifying...</p>
+          )}
+
+          {status === 'verified' && (
+            <div className="bg-green-900/20 border border-green-500/30 text-green-400 px-4 py-3 rounded">
+              {message || 'Email address verified'}
+            </div>
+          )}
+
+          {status === 'failed' && (
+            <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded">
+              {message}
+            </div>
+          )}
+
+          {status !== 'verifying' && (
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="block w-full py-3 px-4 bg-neon-cyan text-dark-800 font-semibold rounded hover:bg-neon-cyan/80 transition-colors text-center"
+            >
+              {isAuthenticated ? 'Go to dashboard' : 'Log in'}
+            </Link>
+          )}
+        </motion.div>
+
+        {status === 'failed' && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.2 }}
+            className="text-center"
+          >
+            <p className="text-gray-400">
+              Link expired? Log in and request a new one from your dashboard.
+            </p>
+          </motion.div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmail